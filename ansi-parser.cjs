@@ -0,0 +1,319 @@
+'use strict';
+
+/**
+ * ansi parser - stateful tokenizer for the stuff ink writes to the terminal
+ *
+ * the old code did str.includes('\x1b[H') on raw chunks. that breaks two ways:
+ * - a pty read can split a sequence in half so we miss it completely
+ * - '\x1b[5;1H' contains '\x1b[' and 'H' but it's not a home, it's row 5
+ *
+ * this keeps partial sequences across feed() calls and hands back typed events:
+ *
+ *   { type: 'text', text }
+ *   { type: 'newline' }
+ *   { type: 'control', char }                 - \r, \b, bell, tab etc
+ *   { type: 'csi', params, prefix, intermediates, final, raw }
+ *   { type: 'sgr', params, raw }              - colors/styles (CSI ... m)
+ *   { type: 'osc', command, data, raw }       - titles, hyperlinks
+ *   { type: 'esc', intermediates, final, raw } - \x1b7, \x1b8, \x1bM etc
+ *   { type: 'string', kind, data, raw }       - DCS/APC/PM/SOS payloads
+ *
+ * every event has start/end offsets into the chunk it finished in. a sequence
+ * that started in an earlier chunk gets start 0 and carried: true
+ */
+
+const ESC = '\x1b';
+const BEL = '\x07';
+
+// anything longer than this ain't a real sequence, bail so we don't buffer forever
+const MAX_SEQUENCE_LENGTH = 65536;
+
+const GROUND = 0;
+const ESCAPE = 1;
+const CSI = 2;
+const OSC = 3;
+const STRING = 4;     // DCS, APC, PM, SOS - all end with ST
+const STRING_ESC = 5; // saw ESC inside a string, waiting for the backslash
+
+const STRING_KINDS = { P: 'dcs', _: 'apc', '^': 'pm', X: 'sos' };
+
+/**
+ * split a CSI parameter string into numbers
+ * empty params come back as null so '\x1b[;5H' is [null, 5]
+ * colon subparams ('38:2:...') are kept whole on the first number
+ */
+function parseParams(str) {
+  if (str === '') return [];
+  return str.split(';').map(p => {
+    if (p === '') return null;
+    const n = parseInt(p, 10);
+    return Number.isNaN(n) ? null : n;
+  });
+}
+
+class AnsiTokenizer {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.state = GROUND;
+    this.raw = '';         // sequence collected so far
+    this.stringKind = null;
+  }
+
+  /**
+   * true when the last feed() ended in the middle of a sequence
+   */
+  get pending() {
+    return this.state !== GROUND;
+  }
+
+  /**
+   * tokenize a chunk, returns an array of events
+   * buffers get decoded as utf8
+   */
+  feed(chunk) {
+    const str = typeof chunk === 'string' ? chunk : chunk.toString();
+    const events = [];
+    let textStart = -1;
+    let seqStart = this.state === GROUND ? -1 : 0;
+    const carried = this.state !== GROUND;
+    let firstSeq = true;
+
+    const flushText = (end) => {
+      if (textStart !== -1 && end > textStart) {
+        events.push({ type: 'text', text: str.slice(textStart, end), start: textStart, end });
+      }
+      textStart = -1;
+    };
+
+    const finish = (event, end) => {
+      event.raw = this.raw;
+      event.start = seqStart;
+      event.end = end;
+      if (carried && firstSeq && seqStart === 0) event.carried = true;
+      firstSeq = false;
+      events.push(event);
+      this.raw = '';
+      this.state = GROUND;
+      this.stringKind = null;
+      seqStart = -1;
+    };
+
+    for (let i = 0; i < str.length; i++) {
+      const ch = str[i];
+      const code = str.charCodeAt(i);
+
+      switch (this.state) {
+        case GROUND:
+          if (ch === ESC) {
+            flushText(i);
+            this.state = ESCAPE;
+            this.raw = ESC;
+            seqStart = i;
+            firstSeq = false;
+          } else if (ch === '\n') {
+            flushText(i);
+            events.push({ type: 'newline', start: i, end: i + 1 });
+          } else if (code < 0x20 || code === 0x7f) {
+            flushText(i);
+            events.push({ type: 'control', char: ch, start: i, end: i + 1 });
+          } else if (textStart === -1) {
+            textStart = i;
+          }
+          break;
+
+        case ESCAPE:
+          this.raw += ch;
+          if (ch === '[') {
+            this.state = CSI;
+          } else if (ch === ']') {
+            this.state = OSC;
+          } else if (STRING_KINDS[ch]) {
+            this.state = STRING;
+            this.stringKind = STRING_KINDS[ch];
+          } else if (code >= 0x20 && code <= 0x2f) {
+            // intermediate like the '(' in '\x1b(B', keep collecting
+          } else if (code >= 0x30 && code <= 0x7e) {
+            finish({
+              type: 'esc',
+              intermediates: this.raw.slice(1, -1),
+              final: ch
+            }, i + 1);
+          } else if (ch === ESC) {
+            // ESC ESC - the first one's garbage, start over from this one
+            this.raw = ESC;
+            seqStart = i;
+          } else {
+            // control char mid-escape, drop the escape and execute it
+            this.raw = '';
+            this.state = GROUND;
+            seqStart = -1;
+            if (ch === '\n') {
+              events.push({ type: 'newline', start: i, end: i + 1 });
+            } else {
+              events.push({ type: 'control', char: ch, start: i, end: i + 1 });
+            }
+          }
+          break;
+
+        case CSI:
+          if (code >= 0x40 && code <= 0x7e) {
+            this.raw += ch;
+            finish(this.parseCsi(this.raw), i + 1);
+          } else if (ch === ESC) {
+            // broken sequence, restart
+            this.raw = ESC;
+            this.state = ESCAPE;
+            seqStart = i;
+          } else if (code === 0x18 || code === 0x1a) {
+            // CAN/SUB abort the sequence
+            this.raw = '';
+            this.state = GROUND;
+            seqStart = -1;
+          } else if (code < 0x20) {
+            // terminals execute C0 controls inside a CSI and keep going
+            if (ch === '\n') {
+              events.push({ type: 'newline', start: i, end: i + 1 });
+            } else {
+              events.push({ type: 'control', char: ch, start: i, end: i + 1 });
+            }
+          } else {
+            this.raw += ch;
+          }
+          break;
+
+        case OSC:
+          if (ch === BEL) {
+            this.raw += ch;
+            finish(this.parseOsc(this.raw.slice(2, -1)), i + 1);
+          } else if (ch === ESC) {
+            this.raw += ch;
+            this.state = STRING_ESC;
+            this.stringKind = 'osc';
+          } else {
+            this.raw += ch;
+          }
+          break;
+
+        case STRING:
+          this.raw += ch;
+          if (ch === ESC) this.state = STRING_ESC;
+          break;
+
+        case STRING_ESC:
+          if (ch === '\\') {
+            this.raw += ch;
+            const data = this.raw.slice(2, -2);
+            if (this.stringKind === 'osc') {
+              finish(this.parseOsc(data), i + 1);
+            } else {
+              finish({ type: 'string', kind: this.stringKind, data }, i + 1);
+            }
+          } else {
+            // ESC that isn't ST cancels the string, that ESC starts a new escape
+            this.raw = ESC;
+            this.state = ESCAPE;
+            this.stringKind = null;
+            seqStart = Math.max(i - 1, 0);
+            i--; // run this char again as part of the new escape
+          }
+          break;
+      }
+
+      if (this.raw.length > MAX_SEQUENCE_LENGTH) {
+        // runaway sequence - give up on it
+        this.reset();
+        seqStart = -1;
+      }
+    }
+
+    if (this.state === GROUND) flushText(str.length);
+    return events;
+  }
+
+  parseCsi(raw) {
+    const body = raw.slice(2, -1);
+    const final = raw[raw.length - 1];
+    let prefix = '';
+    let rest = body;
+    if (rest && '<=>?'.includes(rest[0])) {
+      prefix = rest[0];
+      rest = rest.slice(1);
+    }
+    // intermediates (0x20-0x2f) come after the params
+    const match = /^([0-9;:]*)([\x20-\x2f]*)$/.exec(rest);
+    const paramStr = match ? match[1] : rest;
+    const intermediates = match ? match[2] : '';
+    const params = parseParams(paramStr);
+
+    if (final === 'm' && !prefix && !intermediates) {
+      return { type: 'sgr', params };
+    }
+    return { type: 'csi', params, prefix, intermediates, final };
+  }
+
+  parseOsc(data) {
+    const sep = data.indexOf(';');
+    const command = sep === -1 ? parseInt(data, 10) : parseInt(data.slice(0, sep), 10);
+    return {
+      type: 'osc',
+      command: Number.isNaN(command) ? null : command,
+      data: sep === -1 ? '' : data.slice(sep + 1)
+    };
+  }
+}
+
+/**
+ * ED 2 - erase the whole display
+ */
+function isClearScreen(event) {
+  return event.type === 'csi' && event.final === 'J' && !event.prefix && event.params[0] === 2;
+}
+
+/**
+ * ED 3 - erase scrollback
+ */
+function isClearScrollback(event) {
+  return event.type === 'csi' && event.final === 'J' && !event.prefix && event.params[0] === 3;
+}
+
+/**
+ * CUP to row 1 col 1 - '\x1b[H', '\x1b[1;1H', '\x1b[;H' all count, '\x1b[5;1H' doesn't
+ */
+function isCursorHome(event) {
+  if (event.type !== 'csi' || event.prefix || event.intermediates) return false;
+  if (event.final !== 'H' && event.final !== 'f') return false;
+  return event.params.every(p => p === null || p === 0 || p === 1);
+}
+
+/**
+ * glue the printable text of a list of events back together
+ * newlines come back as '\n' so callers can split on them
+ */
+function plainText(events) {
+  let out = '';
+  for (const ev of events) {
+    if (ev.type === 'text') out += ev.text;
+    else if (ev.type === 'newline') out += '\n';
+  }
+  return out;
+}
+
+/**
+ * strip every escape sequence out of a string, handy for archives and logs
+ */
+function stripAnsi(str) {
+  return plainText(new AnsiTokenizer().feed(str));
+}
+
+module.exports = {
+  AnsiTokenizer,
+  parseParams,
+  isClearScreen,
+  isClearScrollback,
+  isCursorHome,
+  plainText,
+  stripAnsi
+};
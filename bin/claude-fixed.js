@@ -9,34 +9,65 @@
  * scrollback clears and handle SIGWINCH debouncing.
  */
 
-const { spawn } = require('child_process');
-const path = require('path');
-const fs = require('fs');
-
-// Terminal escape codes
-const CLEAR_SCROLLBACK = '\x1b[3J';
-const CURSOR_SAVE = '\x1b[s';
-const CURSOR_RESTORE = '\x1b[u';
-const CLEAR_SCREEN = '\x1b[2J';
-const HOME_CURSOR = '\x1b[H';
-
-// Config
-const config = {
-  resizeDebounceMs: 150,
-  periodicClearMs: 60000,
-  clearAfterRenders: 500,
-  typingCooldownMs: 500,
-  maxLineCount: 120,
-  debug: process.env.CLAUDE_TERMINAL_FIX_DEBUG === '1',
-  disabled: process.env.CLAUDE_TERMINAL_FIX_DISABLED === '1'
-};
-
-// State
-let renderCount = 0;
-let lineCount = 0;
-let lastTypingTime = 0;
-let lastResizeTime = 0;
-let resizeTimeout = null;
+const { spawn, spawnSync } = require('child_process');
+const os = require('os');
+
+const { OutputEngine } = require('../output-engine.cjs');
+const { FrameDiffer } = require('../frame-diff.cjs');
+const {
+  defaultArchiveDir,
+  listSessions,
+  readSession,
+  searchArchives
+} = require('../scrollback-archive.cjs');
+
+const {
+  loadConfig,
+  watchConfig,
+  parseValue,
+  ConfigError
+} = require('../config.cjs');
+const {
+  ControlServer,
+  sendCommand,
+  socketPath,
+  findSockets
+} = require('../control-socket.cjs');
+const {
+  Recorder,
+  readRecording,
+  replayRecording,
+  formatReport
+} = require('../recording.cjs');
+const { resolveTarget, TargetError } = require('../target.cjs');
+const { MetricsCollector, createMetrics } = require('../metrics.cjs');
+const { createMultiplexer, attachMultiplexer, resizeDebounceMs } = require('../multiplexer.cjs');
+const { queryTerminal, lateReplies, profileFromReply, readTerminfo } = require('../terminal.cjs');
+const { LoadMonitor } = require('../load-monitor.cjs');
+const { Debounce } = require('../resize-debounce.cjs');
+const { detectVersion } = require('../session-events.cjs');
+const { PasteGuard } = require('../paste-guard.cjs');
+const { Hud } = require('../hud.cjs');
+
+// Config - rc files, env vars, then --fix-* flags (see config.cjs)
+// flags get pulled out here, everything else goes to claude untouched
+let loaded;
+try {
+  loaded = loadConfig({ argv: process.argv.slice(2) });
+} catch (err) {
+  if (!(err instanceof ConfigError)) throw err;
+  console.error(err.message);
+  process.exit(2);
+}
+const { detector: detectorConfig, ...config } = loaded.config;
+
+// glitch detector is optional, same as in index.cjs
+let glitchDetector = null;
+try {
+  glitchDetector = require('../glitch-detector.cjs').getDetector(detectorConfig);
+} catch (e) {
+  // not available, run without it
+}
 
 function log(...args) {
   if (config.debug) {
@@ -44,88 +75,420 @@ function log(...args) {
   }
 }
 
-function isTypingActive() {
-  return (Date.now() - lastTypingTime) < config.typingCooldownMs;
+// Frame differ when frameDiff is on in PTY mode, see frame-diff.cjs
+let differ = null;
+let ptyMode = false;
+
+// Backpressure and event loop delay, see load-monitor.cjs
+const load = new LoadMonitor({ stream: process.stdout, config, detector: glitchDetector, log });
+const stdoutWrite = load.wrap(process.stdout.write.bind(process.stdout));
+
+// Status line in PTY mode, see hud.cjs
+let hud = null;
+
+// Everything bound for the terminal goes through here so the differ knows
+// what's on screen
+function writeOut(data) {
+  if (differ) differ.write(data);
+  else toTerminal(data);
 }
 
-// Find the claude binary
-function findClaude() {
-  const possiblePaths = [
-    path.join(process.env.HOME || '', '.local/bin/claude'),
-    '/usr/local/bin/claude',
-    '/usr/bin/claude'
-  ];
+// What actually reaches the terminal, after the differ - the hud keeps an eye
+// on it for cursor saves and region resets
+function toTerminal(data) {
+  stdoutWrite(data);
+  if (hud) hud.wrote(data);
+}
 
-  for (const p of possiblePaths) {
-    if (fs.existsSync(p)) {
-      return p;
-    }
+// Start or stop diffing frames to match config.frameDiff
+function useFrameDiff() {
+  if (config.frameDiff && !differ) {
+    differ = new FrameDiffer({
+      write: toTerminal,
+      config,
+      columns: process.stdout.columns || 80,
+      // the hud's row isn't the child's to draw on
+      rows: hud ? hud.childRows() : (process.stdout.rows || 24),
+      log
+    });
+    log('frame diffing on');
+  } else if (!config.frameDiff && differ) {
+    differ.flush(true);
+    differ = null;
+    log('frame diffing off');
   }
+}
 
-  // Try which
-  try {
-    const { execSync } = require('child_process');
-    return execSync('which claude', { encoding: 'utf8' }).trim();
-  } catch (e) {
-    return null;
-  }
+// Shared with index.cjs so both modes inject clears the same way
+const engine = new OutputEngine({
+  config,
+  write: writeOut,
+  detector: glitchDetector,
+  isTTY: process.stdout.isTTY,
+  columns: process.stdout.columns,
+  rows: process.stdout.rows,
+  log
+});
+
+// What claude wrote, minus any secrets (see redact.cjs) - recordings get
+// this, never the raw pty output
+engine.on('output', (data) => {
+  if (recorder) recorder.output(data);
+});
+
+// What the terminal said to the XTVERSION/DA1 query, '' if we didn't ask
+let terminalReply = '';
+
+// Pick the escape profile (see terminal.cjs) for the engine and recovery
+function useTerminal() {
+  const terminal = profileFromReply(config, terminalReply);
+  engine.setTerminal(terminal);
+  if (glitchDetector) glitchDetector.terminal = terminal;
+  log('terminal profile ' + terminal.name + ' (from ' + terminal.source + ')');
+  return terminal;
 }
 
 // Process output chunk, injecting clears as needed
 function processOutput(chunk) {
-  if (config.disabled) return chunk;
+  return engine.process(chunk);
+}
 
-  let output = chunk;
-  const str = chunk.toString();
+// Show text through $PAGER (less by default), straight to stdout if there's no tty
+function page(text) {
+  if (process.stdout.isTTY) {
+    const [cmd, ...args] = (process.env.PAGER || 'less -R').split(/\s+/);
+    const result = spawnSync(cmd, args, { input: text, stdio: ['pipe', 'inherit', 'inherit'] });
+    if (!result.error) return;
+  }
+  process.stdout.write(text);
+}
 
-  renderCount++;
+// claude-fixed --history                  list archived sessions
+// claude-fixed --history <session|last>   page through one
+// claude-fixed --history --search <text>  grep all of em
+function historyCommand(args) {
+  const dir = config.archiveDir || defaultArchiveDir();
+
+  if (args[0] === '--search' || args[0] === '-s') {
+    const query = args.slice(1).join(' ');
+    if (!query) {
+      console.error('usage: claude-fixed --history --search <text>');
+      return 1;
+    }
+    const hits = searchArchives(query, dir);
+    hits.forEach(hit => console.log(hit.session + ':' + hit.line + ': ' + hit.text));
+    return hits.length ? 0 : 1;
+  }
 
-  // Count newlines
-  const newlines = (str.match(/\n/g) || []).length;
-  lineCount += newlines;
+  if (args[0]) {
+    const text = readSession(args[0], dir);
+    if (text === null) {
+      console.error('no archived session: ' + args[0]);
+      return 1;
+    }
+    page(text);
+    return 0;
+  }
 
-  // Line limit exceeded - force clear
-  if (lineCount > config.maxLineCount) {
-    log('line limit exceeded (' + lineCount + '), forcing clear');
-    lineCount = 0;
-    output = CURSOR_SAVE + CLEAR_SCROLLBACK + CURSOR_RESTORE + output;
+  const sessions = listSessions(dir);
+  if (sessions.length === 0) {
+    console.log('no archived sessions in ' + dir);
+    console.log('turn archiving on with CLAUDE_TERMINAL_FIX_ARCHIVE=1');
+    return 0;
   }
+  sessions.forEach(s => {
+    const kb = Math.ceil(s.size / 1024) + 'K';
+    console.log(s.id + '  ' + new Date(s.mtime).toISOString() + '  ' + kb.padStart(6));
+  });
+  return 0;
+}
 
-  // Screen clear detected - piggyback our scrollback clear
-  if (str.includes(CLEAR_SCREEN) || str.includes(HOME_CURSOR)) {
-    lineCount = 0;
-    if (config.clearAfterRenders > 0 && renderCount >= config.clearAfterRenders) {
-      if (!isTypingActive()) {
-        log('clearing after ' + renderCount + ' renders');
-        renderCount = 0;
-        output = CLEAR_SCROLLBACK + output;
+// Push changed config into the running engine and detector
+function applyConfig(changes) {
+  const { detector: detectorChanges, ...topChanges } = changes;
+  const restartClear = ('periodicClearMs' in topChanges &&
+    topChanges.periodicClearMs !== config.periodicClearMs) || 'disabled' in topChanges;
+  const restartMetrics = ['metricsFile', 'metricsPort', 'metricsIntervalMs']
+    .some(key => key in topChanges && !sameValue(topChanges[key], config[key]));
+  const restartLoad = 'loopDelaySampleMs' in topChanges && topChanges.loopDelaySampleMs !== config.loopDelaySampleMs;
+
+  Object.assign(config, topChanges);
+  if (detectorChanges) {
+    Object.assign(detectorConfig, detectorChanges);
+    if (glitchDetector) glitchDetector.setConfig(detectorChanges);
+  }
+  if (restartClear) {
+    if (config.disabled) engine.stopPeriodicClear();
+    else engine.restartPeriodicClear();
+  }
+  if (restartMetrics) startMetrics();
+  if (restartLoad && !config.disabled) load.restart();
+  if ('terminalProfile' in topChanges) useTerminal();
+  if ('frameDiff' in topChanges && ptyMode) useFrameDiff();
+  if (hud && ['hud', 'hudIntervalMs'].some(key => key in topChanges)) hud.update();
+  if (mux && 'multiplexerHistoryLimit' in topChanges && topChanges.multiplexerHistoryLimit !== null) {
+    mux.setHistoryLimit(topChanges.multiplexerHistoryLimit);
+  }
+  log('config applied:', JSON.stringify(changes));
+}
+
+// lists and profiles are fresh objects every load, compare what's in them
+function sameValue(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Only keys that changed between two loads - so a file save doesn't undo
+// something set with `ctl set` on a key the file never touched
+function diffConfig(prev, next) {
+  const changes = {};
+  for (const key of Object.keys(next)) {
+    if (key === 'detector') {
+      for (const dkey of Object.keys(next.detector)) {
+        if (!sameValue(next.detector[dkey], prev.detector[dkey])) {
+          changes.detector = changes.detector || {};
+          changes.detector[dkey] = next.detector[dkey];
+        }
       }
+    } else if (!sameValue(next[key], prev[key])) {
+      changes[key] = next[key];
     }
   }
+  return changes;
+}
 
-  // /clear command - nuke everything
-  if (str.includes('Conversation cleared') || str.includes('Chat cleared')) {
-    log('/clear detected');
-    lineCount = 0;
-    output = CLEAR_SCROLLBACK + output;
+let lastLoaded = loaded.config;
+
+function reloadConfig(result) {
+  result = result || loadConfig({ argv: process.argv.slice(2), strict: false });
+  result.problems.forEach(p => log('config: ' + p));
+  const changes = diffConfig(lastLoaded, result.config);
+  lastLoaded = result.config;
+  applyConfig(changes);
+  return { changes, problems: result.problems };
+}
+
+// What `claude-fixed ctl` can ask a running wrapper to do
+const controlHandlers = {
+  get({ key }) {
+    const all = { ...config, detector: { ...detectorConfig } };
+    if (!key) return all;
+    const value = key.startsWith('detector.') ? all.detector[key.slice('detector.'.length)] : all[key];
+    if (value === undefined) throw new Error('unknown key ' + key);
+    return { [key]: value };
+  },
+  set({ key, value }) {
+    if (!key) throw new Error('set needs a key and a value');
+    const parsed = parseValue(key, value);
+    applyConfig(parsed.detector ? { detector: { [parsed.key]: parsed.value } } : { [parsed.key]: parsed.value });
+    return { [key]: parsed.value };
+  },
+  clear() {
+    engine.clearNow('ctl');
+    return { cleared: true };
+  },
+  async recover() {
+    if (!glitchDetector) {
+      engine.clearNow('ctl-recover');
+      return { recovered: true, method: 'scrollback-clear' };
+    }
+    return { recovered: await glitchDetector.attemptRecovery({ force: true }) };
+  },
+  stats() {
+    return {
+      pid: process.pid,
+      engine: engine.getStats(),
+      frameDiff: differ ? differ.getStats() : null,
+      ...load.getStats(),
+      glitch: glitchDetector ? glitchDetector.getMetrics() : null,
+      paste: pasteGuard ? pasteGuard.getStats() : null,
+      hud: hud ? { mode: hud.mode, line: hud.line() } : null,
+      config: { ...config, detector: { ...detectorConfig } }
+    };
+  },
+  metrics() {
+    return { ...metrics.snapshot(), port: exporter ? exporter.port : null };
+  },
+  pause() {
+    engine.pause();
+    return { paused: true };
+  },
+  resume() {
+    engine.resume();
+    return { paused: false };
+  },
+  reload() {
+    return reloadConfig();
   }
+};
 
-  return output;
+let controlServer = null;
+let stopWatching = null;
+let recorder = null;
+let exporter = null;
+let metrics = null;
+let mux = null;
+let pasteGuard = null;
+
+// (Re)start the metrics exporter from config - always counting, so turning it
+// on halfway through (ctl set, rc edit) still gets the whole session
+async function startMetrics(info) {
+  if (!metrics) metrics = new MetricsCollector({ info }).attach(engine, glitchDetector);
+  if (exporter) exporter.stop();
+  exporter = createMetrics(config, engine, glitchDetector, { collector: metrics, log });
+  if (!exporter) return;
+  try {
+    await exporter.start();
+  } catch (err) {
+    log('metrics endpoint failed: ' + err.message);
+  }
+}
+
+async function startControl() {
+  if (config.controlSocket) {
+    controlServer = new ControlServer(controlHandlers, {
+      path: config.controlSocketPath || socketPath(),
+      log
+    });
+    try {
+      await controlServer.listen();
+    } catch (err) {
+      log('control socket failed: ' + err.message);
+      controlServer = null;
+    }
+  }
+  // killed instead of claude exiting - still clean up the socket
+  ['SIGTERM', 'SIGHUP'].forEach(sig => {
+    process.on(sig, () => shutdown(128 + os.constants.signals[sig]));
+  });
+
+  if (config.watchConfig) {
+    stopWatching = watchConfig({ argv: process.argv.slice(2) }, result => {
+      log('config file changed, reloading');
+      reloadConfig(result);
+    });
+  }
+}
+
+// Everything that has to happen before we exit with claude's code
+function shutdown(code) {
+  if (hud) hud.stop();
+  if (pasteGuard) pasteGuard.close();
+  engine.flushRedaction();
+  engine.limiter.flush();
+  engine.endSync();
+  if (differ) differ.flush(true);
+  load.stop();
+  engine.plugins.close();
+  engine.archiveScrollback('exit');
+  if (recorder) recorder.close();
+  if (exporter) exporter.stop();
+  if (controlServer) controlServer.close();
+  if (stopWatching) stopWatching();
+  process.exit(code);
+}
+
+// claude-fixed ctl [--pid N | --socket PATH] <command> [args]
+async function ctlCommand(args) {
+  let target = null;
+  while (args[0] === '--pid' || args[0] === '--socket') {
+    const flag = args.shift();
+    const value = args.shift();
+    target = flag === '--pid' ? socketPath(parseInt(value, 10)) : value;
+  }
+
+  const [cmd, key, value] = args;
+  if (!cmd) {
+    console.error('usage: claude-fixed ctl [--pid N] <get [key]|set key value|clear|recover|stats|metrics|pause|resume|reload>');
+    return 1;
+  }
+
+  if (!target) {
+    const sockets = findSockets();
+    if (sockets.length === 0) {
+      console.error('no running claude-fixed found');
+      return 1;
+    }
+    if (sockets.length > 1) {
+      console.error('more than one claude-fixed running, pick one with --pid: ' + sockets.map(s => s.pid).join(', '));
+      return 1;
+    }
+    target = sockets[0].path;
+  }
+
+  let reply;
+  try {
+    reply = await sendCommand(target, { cmd, key, value });
+  } catch (err) {
+    console.error('couldn\'t reach ' + target + ': ' + err.message);
+    return 1;
+  }
+  if (!reply.ok) {
+    console.error(reply.error);
+    return 1;
+  }
+  console.log(JSON.stringify(reply.result, null, 2));
+  return 0;
+}
+
+// claude-fixed replay <file.cast> [--json] [--fix-* flags to try other settings]
+async function replayCommand(args) {
+  const json = args.includes('--json');
+  const file = args.find(a => a !== '--json');
+  if (!file) {
+    console.error('usage: claude-fixed replay <file.cast> [--json]');
+    return 1;
+  }
+
+  let recording;
+  try {
+    recording = readRecording(file);
+  } catch (err) {
+    console.error(err.message);
+    return 1;
+  }
+
+  const report = await replayRecording(recording, { config, detectorConfig });
+  console.log(json ? JSON.stringify(report, null, 2) : formatReport(report));
+  return 0;
 }
 
 // Main
 async function main() {
+  const args = loaded.argv;
+  if (args[0] === '--history') {
+    process.exitCode = historyCommand(args.slice(1));
+    return;
+  }
+  if (args[0] === 'ctl') {
+    process.exitCode = await ctlCommand(args.slice(1));
+    return;
+  }
+  if (args[0] === 'replay') {
+    process.exitCode = await replayCommand(args.slice(1));
+    return;
+  }
+
   if (config.disabled) {
     log('disabled via env');
   }
 
-  const claudePath = findClaude();
-  if (!claudePath) {
-    console.error('claude not found in PATH');
+  // claude unless --cmd / CLAUDE_FIXED_TARGET / a profile says otherwise
+  let target;
+  try {
+    target = resolveTarget(config);
+  } catch (err) {
+    if (!(err instanceof TargetError)) throw err;
+    console.error(err.message);
     process.exit(1);
   }
+  const claudePath = target.path;
+  const childArgs = target.args.concat(args);
+
+  log('using ' + target.name + ' at: ' + claudePath + (config.profile ? ' (profile ' + config.profile + ')' : ''));
 
-  log('using claude at: ' + claudePath);
+  // which session matchers apply, see session-events.cjs
+  engine.sessions.setVersion(config.targetVersion || detectVersion(claudePath));
+  log('target version ' + (engine.sessions.version || 'unknown, trying every matcher'));
   log('fix enabled, config:', JSON.stringify(config));
 
   // Try to use node-pty for proper PTY support
@@ -138,9 +501,64 @@ async function main() {
     pty = null;
   }
 
+  if (!config.disabled) {
+    if (glitchDetector) {
+      // It only gets to see stdin once the hud hotkey and late query replies are out
+      glitchDetector.install({ trackInput: false });
+      glitchDetector.on('glitch-detected', (data) => {
+        log('GLITCH EVENT:', JSON.stringify(data.signals));
+      });
+      glitchDetector.on('recovery-success', (data) => {
+        log('recovery successful via', data.method);
+      });
+    }
+
+    // config.plugins, see plugins.cjs
+    engine.plugins.load(config.plugins);
+
+    // Periodic clear - same typing-aware deferral as the --require hook
+    engine.startPeriodicClear();
+    load.start();
+  }
+
+  // ask the terminal who it is before claude gets stdin, if we're allowed to
+  if (config.terminalQuery) {
+    terminalReply = await queryTerminal(process.stdin, process.stdout);
+  }
+  // Whatever answers too late for that gets thrown away, not typed into claude
+  const dropReplies = config.terminalQuery ? lateReplies(terminalReply) : (data => data);
+  // A TERM we don't know - terminfo might, it answers in the background
+  if (useTerminal().source === 'default') {
+    readTerminfo(process.env.TERM).then(caps => { if (caps && caps.E3) useTerminal(); });
+  }
+
+  // tmux/screen keep their own history - clear that too
+  mux = createMultiplexer(config, { log });
+  if (mux) {
+    attachMultiplexer(mux, engine, config);
+    log('running under ' + mux.type);
+  }
+
+  // raw output, keystrokes and resizes, for `claude-fixed replay` later
+  if (config.recordFile) {
+    recorder = new Recorder(config.recordFile, {
+      width: process.stdout.columns || 80,
+      height: process.stdout.rows || 24,
+      command: [claudePath].concat(childArgs).join(' '),
+      config
+    });
+    log('recording to', config.recordFile);
+  }
+
+  // metrics file / prometheus endpoint, off unless configured
+  await startMetrics({ pid: process.pid, target: target.name, profile: config.profile });
+
+  // ctl socket + config hot reload, works even while disabled so you can flip it back on
+  await startControl();
+
   if (pty && process.stdin.isTTY) {
     // PTY mode - full terminal emulation
-    const term = pty.spawn(claudePath, process.argv.slice(2), {
+    const term = pty.spawn(claudePath, childArgs, {
       name: process.env.TERM || 'xterm-256color',
       cols: process.stdout.columns || 80,
       rows: process.stdout.rows || 24,
@@ -148,36 +566,125 @@ async function main() {
       env: process.env
     });
 
-    // Handle resize with debounce
+    // Child and screen model always get resized together - to the rows the
+    // HUD leaves them
+    function sizeChild(columns, rows) {
+      if (recorder) recorder.resize(columns, rows);
+      engine.resize(columns, rows);
+      if (differ) differ.resize(columns, rows);
+      term.resize(columns, rows);
+    }
+
+    function resizeTo(columns, rows) {
+      sizeChild(columns, hud ? hud.resize(columns, rows) : rows);
+    }
+
+    // What the child's got of the terminal right now
+    function childRows() {
+      return hud ? hud.childRows() : (process.stdout.rows || 24);
+    }
+
+    // Under tmux/screen ask it for the pane size - after a burst of resizes
+    // that's the size we actually ended up with
+    function resizeChild() {
+      if (!mux) return resizeTo(process.stdout.columns, process.stdout.rows);
+      mux.paneSize().then(size => {
+        if (size) resizeTo(size.columns, size.rows);
+        else resizeTo(process.stdout.columns, process.stdout.rows);
+      });
+    }
+
+    // Only the PTY gives us a whole screen to diff
+    ptyMode = true;
+    useFrameDiff();
+
+    // Recovery can type into claude or make it redraw, see recovery.cjs
+    if (glitchDetector) {
+      glitchDetector.write = (data) => {
+        if (process.stdout.isTTY) writeOut(data);
+      };
+      glitchDetector.setRecoveryHooks({
+        sendInput: data => term.write(data),
+        resize: () => new Promise(resolve => {
+          const cols = process.stdout.columns || 80;
+          const rows = childRows();
+          // the same size again isn't a resize to the child, so go one column
+          // narrower and back
+          term.resize(Math.max(cols - 1, 1), rows);
+          setTimeout(() => {
+            term.resize(cols, rows);
+            resolve();
+          }, 50);
+        })
+      });
+    }
+
+    // Handle resize with debounce - resizeChild() asks tmux/screen for the
+    // pane size itself, so there's nothing extra to do once a burst settles
+    const resizeDebounce = new Debounce({
+      fire: resizeChild,
+      delay: () => resizeDebounceMs(config, mux),
+      mode: () => config.resizeDebounceMode
+    });
     process.stdout.on('resize', () => {
-      const now = Date.now();
-      if (resizeTimeout) clearTimeout(resizeTimeout);
-
-      if (now - lastResizeTime < config.resizeDebounceMs) {
-        resizeTimeout = setTimeout(() => {
-          log('debounced resize');
-          term.resize(process.stdout.columns, process.stdout.rows);
-        }, config.resizeDebounceMs);
-      } else {
-        term.resize(process.stdout.columns, process.stdout.rows);
-      }
-      lastResizeTime = now;
+      if (glitchDetector) glitchDetector.onSigwinch();
+      resizeDebounce.trigger();
+    });
+
+    // The paste guard's question goes on the bottom row, over whatever ink
+    // has there - ink draws that row again on its next frame
+    function showPrompt(text) {
+      const { saveCursor, restoreCursor } = engine.terminal;
+      const row = '\x1b[' + childRows() + ';1H\x1b[2K';
+      writeOut(saveCursor + row + (text === null ? '' : '\x1b[7m ' + text + ' \x1b[0m') + restoreCursor);
+    }
+
+    // Pastes go in a bit at a time and big ones ask first, see paste-guard.cjs
+    pasteGuard = new PasteGuard({
+      write: data => term.write(data),
+      prompt: showPrompt,
+      config,
+      log
+    });
+    if (glitchDetector) {
+      // Claude never sees the y/n, so nothing's gonna echo it
+      pasteGuard.on('paste-confirmed', () => glitchDetector.trackEcho());
+      pasteGuard.on('paste-cancelled', () => glitchDetector.trackEcho());
+    }
+
+    // Status line, drawn past the engine - ctrl-] (hudKey) shows and hides it
+    hud = new Hud({
+      config,
+      engine,
+      detector: glitchDetector,
+      write: data => stdoutWrite(data),
+      resize: sizeChild,
+      columns: process.stdout.columns || 80,
+      rows: process.stdout.rows || 24,
+      log
     });
+    hud.update();
 
-    // Track typing
+    // Track typing - pastes are tracked apart from it
     process.stdin.on('data', (data) => {
-      lastTypingTime = Date.now();
-      term.write(data);
+      data = hud.hotkey(dropReplies(data));
+      if (!data.length) return;
+      if (glitchDetector && glitchDetector.installed) glitchDetector.trackInput(data);
+      if (recorder) recorder.input(data);
+      engine.noteInput(data);
+      engine.plugins.stdin(data);
+      if (config.disabled) term.write(data);
+      else pasteGuard.input(data);
     });
 
     // Process output
     term.onData((data) => {
       const processed = processOutput(data);
-      process.stdout.write(processed);
+      writeOut(processed);
     });
 
     term.onExit(({ exitCode }) => {
-      process.exit(exitCode);
+      shutdown(exitCode);
     });
 
     // Raw mode for proper terminal handling
@@ -186,37 +693,31 @@ async function main() {
     }
     process.stdin.resume();
 
-    // Periodic clear
-    if (config.periodicClearMs > 0) {
-      setInterval(() => {
-        if (!isTypingActive()) {
-          log('periodic clear');
-          process.stdout.write(CURSOR_SAVE + CLEAR_SCROLLBACK + CURSOR_RESTORE);
-        }
-      }, config.periodicClearMs);
-    }
-
   } else {
     // Basic mode - just spawn and pipe (limited fix capability)
     log('basic mode (no PTY)');
 
-    const child = spawn(claudePath, process.argv.slice(2), {
+    const child = spawn(claudePath, childArgs, {
       stdio: ['inherit', 'pipe', 'inherit'],
       env: process.env
     });
 
     child.stdout.on('data', (data) => {
       const processed = processOutput(data);
-      process.stdout.write(processed);
+      stdoutWrite(processed);
     });
 
-    child.on('exit', (code) => {
-      process.exit(code || 0);
+    // 'close' not 'exit' - exit can land before the last of its output
+    child.on('close', (code) => {
+      shutdown(code || 0);
     });
 
     // Track typing via stdin
-    process.stdin.on('data', () => {
-      lastTypingTime = Date.now();
+    process.stdin.on('data', (data) => {
+      if (glitchDetector && glitchDetector.installed && process.stdin.isTTY) glitchDetector.trackInput(data);
+      if (recorder) recorder.input(data);
+      engine.noteInput(data);
+      engine.plugins.stdin(data);
     });
   }
 }
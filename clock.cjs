@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * clock - time and timers the engine and detector use, swappable for a fake
+ *
+ * everything that cares about time takes a clock instead of calling Date.now()
+ * and setTimeout() directly. real runs get systemClock, replays and tests get
+ * a FakeClock they can push forward by hand, so a recorded session plays back
+ * the same way every time no matter how fast the machine is
+ */
+
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (id) => clearInterval(id),
+  setImmediate: (fn) => setImmediate(fn)
+};
+
+// let promise callbacks queued by a timer run before the next timer fires
+function drainMicrotasks() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+class FakeClock {
+  constructor(start = 0) {
+    this.time = start;
+    this.timers = new Map();
+    this.nextId = 1;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  schedule(fn, ms, repeat) {
+    const id = this.nextId++;
+    const delay = Math.max(0, ms || 0);
+    this.timers.set(id, { fn, at: this.time + delay, every: repeat ? Math.max(1, delay) : 0 });
+    return id;
+  }
+
+  setTimeout(fn, ms) {
+    return this.schedule(fn, ms, false);
+  }
+
+  setInterval(fn, ms) {
+    return this.schedule(fn, ms, true);
+  }
+
+  setImmediate(fn) {
+    return this.schedule(fn, 0, false);
+  }
+
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+
+  clearInterval(id) {
+    this.timers.delete(id);
+  }
+
+  // earliest timer due at or before `limit`, ties go to whoever was scheduled first
+  nextDue(limit) {
+    let best = null;
+    for (const [id, timer] of this.timers) {
+      if (timer.at > limit) continue;
+      if (!best || timer.at < best.timer.at || (timer.at === best.timer.at && id < best.id)) {
+        best = { id, timer };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * move time forward to `target`, firing every timer that comes due on the way
+   * async because timers kick off promises (recovery sleeps) that need to settle
+   */
+  async advanceTo(target) {
+    // let anything mid-await schedule its timers first, like real time would
+    await drainMicrotasks();
+    let due;
+    while ((due = this.nextDue(target))) {
+      this.time = Math.max(this.time, due.timer.at);
+      if (due.timer.every) {
+        due.timer.at += due.timer.every;
+      } else {
+        this.timers.delete(due.id);
+      }
+      due.timer.fn();
+      await drainMicrotasks();
+    }
+    this.time = Math.max(this.time, target);
+  }
+
+  advance(ms) {
+    return this.advanceTo(this.time + ms);
+  }
+
+  /**
+   * fire anything due right now (setImmediate callbacks mostly)
+   */
+  flush() {
+    return this.advanceTo(this.time);
+  }
+}
+
+module.exports = {
+  systemClock,
+  FakeClock
+};
@@ -0,0 +1,661 @@
+'use strict';
+
+/**
+ * config loader - one place every knob comes from
+ *
+ * layers, later ones win:
+ *   1. built-in defaults (the schema below)
+ *   2. user rc       - $XDG_CONFIG_HOME/claudescreenfix/config.json or ~/.claudescreenfixrc
+ *   3. project rc    - nearest .claudescreenfixrc walking up from cwd, minus
+ *                      anything that picks code to run (plugins and such)
+ *   4. env vars      - CLAUDE_TERMINAL_FIX_<KEY>, CLAUDE_GLITCH_DETECTOR_<KEY> for detector keys
+ *   5. cli flags     - --fix-<key>=value, --fix-detector-<key>=value (wrapper only)
+ *
+ * a profile is a named bundle of settings for one target (claude, or some other
+ * ink cli with the same bug). rc files define them under "profiles", pick one
+ * with "profile" / --fix-profile, or it gets picked for you when the target's
+ * name matches. a profile's settings land between the rc files and env vars
+ *
+ * rc files are json:
+ *
+ *   {
+ *     "periodicClearMs": 30000,
+ *     "detector": { "stdinTimeoutMs": 5000 }
+ *   }
+ *
+ * every value gets checked against the schema. unknown keys and wrong types
+ * throw a ConfigError that says which file/var/flag it came from
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { DEFAULT_ORDER: DEFAULT_RECOVERY_ORDER } = require('./recovery.cjs');
+const { PROFILE_NAMES: TERMINAL_PROFILES } = require('./terminal.cjs');
+const { compileMatchers } = require('./session-events.cjs');
+const { compilePatterns, DETECTORS } = require('./redact.cjs');
+const { checkKey, MODES: HUD_MODES } = require('./hud.cjs');
+
+const RC_NAME = '.claudescreenfixrc';
+const ENV_PREFIX = 'CLAUDE_TERMINAL_FIX_';
+const DETECTOR_ENV_PREFIX = 'CLAUDE_GLITCH_DETECTOR_';
+const FLAG_PREFIX = '--fix-';
+
+// type is 'number' | 'boolean' | 'string' | 'array' (of strings) | 'object',
+// nullable lets null through, values limits a string (or a list's strings)
+// to a fixed set, validate looks inside and returns a problem or null.
+// userOnly keys pick code to run or files we write and delete, so a project
+// rc can't set them, and paths get resolved against the rc file they're in.
+// startup keys are only read once, when the wrapper starts, so `ctl set` turns
+// them down instead of saying yes and doing nothing
+const SCHEMA = {
+  resizeDebounceMs: { type: 'number', default: 150, min: 0 },
+  resizeDebounceMode: { type: 'string', default: 'both', values: ['leading', 'trailing', 'both'] },
+  periodicClearMs: { type: 'number', default: 60000, min: 0 },
+  clearAfterRenders: { type: 'number', default: 500, min: 0 },
+  typingCooldownMs: { type: 'number', default: 500, min: 0 },
+  maxLineCount: { type: 'number', default: 120, min: 1 },
+  glitchRecoveryEnabled: { type: 'boolean', default: true },
+  archiveScrollback: { type: 'boolean', default: false },
+  archiveDir: { type: 'string', default: null, nullable: true, userOnly: true },
+  archiveMaxBytes: { type: 'number', default: 5 * 1024 * 1024, min: 1024 },
+  archiveMaxFiles: { type: 'number', default: 5, min: 1 },
+  controlSocket: { type: 'boolean', default: true, startup: true },
+  controlSocketPath: { type: 'string', default: null, nullable: true, userOnly: true, startup: true },
+  watchConfig: { type: 'boolean', default: true, startup: true },
+  terminalProfile: { type: 'string', default: 'auto', values: ['auto'].concat(TERMINAL_PROFILES) },
+  terminalQuery: { type: 'boolean', default: false, startup: true },
+  syncOutput: { type: 'string', default: 'auto', values: ['auto', 'on', 'off'] },
+  syncOutputMs: { type: 'number', default: 10, min: 0 },
+  frameRateLimit: { type: 'number', default: 10, min: 0 },
+  loopDelaySampleMs: { type: 'number', default: 1000, min: 0 },
+  frameDiff: { type: 'boolean', default: false },
+  frameDiffMs: { type: 'number', default: 8, min: 0 },
+  multiplexer: { type: 'string', default: 'auto', values: ['auto', 'tmux', 'screen', 'off'], startup: true },
+  multiplexerClearHistory: { type: 'boolean', default: true },
+  multiplexerHistoryLimit: { type: 'number', default: null, nullable: true, min: 0 },
+  multiplexerResizeDebounceMs: { type: 'number', default: 300, min: 0 },
+  recordFile: { type: 'string', default: null, nullable: true, userOnly: true, startup: true },
+  metricsFile: { type: 'string', default: null, nullable: true, userOnly: true },
+  metricsIntervalMs: { type: 'number', default: 60000, min: 1000 },
+  metricsPort: { type: 'number', default: null, nullable: true, min: 0 },
+  cmd: { type: 'string', default: null, nullable: true, userOnly: true, paths: true, startup: true },
+  cmdArgs: { type: 'array', default: [], userOnly: true, startup: true },
+  searchNodeModules: { type: 'boolean', default: false, userOnly: true, startup: true },
+  clearedMarkers: { type: 'array', default: ['Conversation cleared', 'Chat cleared'] },
+  sessionEvents: { type: 'object', default: {}, validate: checkSessionEvents },
+  targetVersion: { type: 'string', default: null, nullable: true, startup: true },
+  redact: { type: 'boolean', default: false },
+  redactDetectors: { type: 'array', default: DETECTORS, values: DETECTORS },
+  redactPatterns: { type: 'array', default: [], validate: checkPatterns },
+  redactHoldMs: { type: 'number', default: 50, min: 0 },
+  pasteChunkBytes: { type: 'number', default: 1024, min: 0 },
+  pasteChunkDelayMs: { type: 'number', default: 10, min: 0 },
+  pasteConfirmLines: { type: 'number', default: 0, min: 0 },
+  pasteTimeoutMs: { type: 'number', default: 2000, min: 0 },
+  hud: { type: 'string', default: 'off', values: HUD_MODES },
+  hudKey: { type: 'string', default: 'ctrl-]', nullable: true, validate: checkKey },
+  hudIntervalMs: { type: 'number', default: 1000, min: 100 },
+  plugins: { type: 'array', default: [], userOnly: true, paths: true, startup: true },
+  pluginMaxErrors: { type: 'number', default: 5, min: 0 },
+  profile: { type: 'string', default: null, nullable: true, startup: true },
+  profiles: { type: 'object', default: {}, rcOnly: true },
+  debug: { type: 'boolean', default: false },
+  disabled: { type: 'boolean', default: false }
+};
+
+const DETECTOR_SCHEMA = {
+  stdinTimeoutMs: { type: 'number', default: 2000, min: 0 },
+  sigwinchThresholdMs: { type: 'number', default: 10, min: 0 },
+  sigwinchStormCount: { type: 'number', default: 5, min: 1 },
+  renderRateLimit: { type: 'number', default: 500, min: 1 },
+  lineLimitMax: { type: 'number', default: 120, min: 1 },
+  writeQueueBytes: { type: 'number', default: 1024 * 1024, min: 1 },
+  loopLagMs: { type: 'number', default: 500, min: 1 },
+  repeatedFrameCount: { type: 'number', default: 20, min: 1 },
+  signalWeights: {
+    type: 'object',
+    default: { unechoedInput: 0.5, writeQueue: 0.3, loopLag: 0.3, repeatedFrames: 0.25, sigwinchStorm: 0.25, renderSpike: 0.25 }
+  },
+  glitchThreshold: { type: 'number', default: 0.5, min: 0 },
+  resolveThreshold: { type: 'number', default: 0.25, min: 0 },
+  checkIntervalMs: { type: 'number', default: 500, min: 10 },
+  recoveryDelayMs: { type: 'number', default: 1000, min: 0 },
+  recoveryOrder: { type: 'array', default: DEFAULT_RECOVERY_ORDER },
+  recoveryModules: { type: 'array', default: [], userOnly: true, paths: true },
+  debug: { type: 'boolean', default: false }
+};
+
+// env vars that were around before the loader, still honored
+const ENV_ALIASES = {
+  CLAUDE_TERMINAL_FIX_ARCHIVE: 'archiveScrollback',
+  CLAUDE_FIXED_TARGET: 'cmd'
+};
+
+// flags that don't need the --fix- prefix
+const FLAG_ALIASES = {
+  '--cmd': 'cmd'
+};
+
+// what can't go inside a profile
+const PROFILE_EXCLUDED = ['profile', 'profiles'];
+
+// regexes that don't compile
+function checkPatterns(value) {
+  return compilePatterns(value).problems[0] || null;
+}
+
+// unknown events, bad policies and patterns that don't compile
+function checkSessionEvents(value) {
+  for (const event of Object.keys(value)) {
+    const settings = value[event];
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      return 'sessionEvents.' + event + ' should be an object';
+    }
+    if (settings.matchers !== undefined && !Array.isArray(settings.matchers)) {
+      return 'sessionEvents.' + event + '.matchers should be a list';
+    }
+    const bad = (settings.matchers || []).find(m => !m || typeof m.pattern !== 'string');
+    if (bad !== undefined) return 'sessionEvents.' + event + ': every matcher needs a pattern';
+  }
+  const { problems } = compileMatchers({ sessionEvents: value }, null);
+  return problems[0] || null;
+}
+
+// a project rc comes with whatever repo you start in - it doesn't get to
+// pick code for us to run
+function projectProblem(key) {
+  return key + ' can only be set in your user rc, env vars or flags, not a project rc';
+}
+
+// relative paths in an rc are from the rc, not from wherever you start.
+// a string is a command - a bare name stays a name for the PATH search
+function resolvePaths(value, dir) {
+  if (typeof value === 'string') return value.includes('/') ? path.resolve(dir, value) : value;
+  if (!Array.isArray(value)) return value;
+  return value.map(file => path.resolve(dir, file));
+}
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super('invalid claudescreenfix config:\n  ' + problems.join('\n  '));
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+function copyValue(value) {
+  if (Array.isArray(value)) return value.slice();
+  if (value && typeof value === 'object') return JSON.parse(JSON.stringify(value));
+  return value;
+}
+
+function defaultsFor(schema) {
+  const out = {};
+  for (const key of Object.keys(schema)) out[key] = copyValue(schema[key].default);
+  return out;
+}
+
+/**
+ * fresh copy of the built-in defaults
+ */
+function defaults() {
+  const config = defaultsFor(SCHEMA);
+  config.detector = defaultsFor(DETECTOR_SCHEMA);
+  return config;
+}
+
+// camelCase -> SNAKE_CASE / kebab-case
+function toSnake(key) {
+  return key.replace(/([A-Z])/g, '_$1').toUpperCase();
+}
+
+function toKebab(key) {
+  return key.replace(/([A-Z])/g, '-$1').toLowerCase();
+}
+
+/**
+ * closest known key, so a typo gets a "did you mean"
+ */
+function suggest(key, schema) {
+  const lower = key.toLowerCase();
+  return Object.keys(schema).find(k => k.toLowerCase() === lower ||
+    k.toLowerCase().includes(lower) || lower.includes(k.toLowerCase()));
+}
+
+/**
+ * check one value against its schema entry
+ * returns an error string or null
+ */
+function checkValue(key, value, spec) {
+  if (value === null) {
+    return spec.nullable ? null : key + ' can\'t be null';
+  }
+  if (spec.type === 'number') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return key + ' should be a number, got ' + JSON.stringify(value);
+    }
+    if (spec.min !== undefined && value < spec.min) {
+      return key + ' should be at least ' + spec.min + ', got ' + value;
+    }
+    return null;
+  }
+  if (spec.type === 'array') {
+    if (!Array.isArray(value) || !value.every(v => typeof v === 'string' && v !== '')) {
+      return key + ' should be a list of strings, got ' + JSON.stringify(value);
+    }
+    const unknown = spec.values ? value.filter(v => !spec.values.includes(v)) : [];
+    if (unknown.length) {
+      return key + ' can only have ' + spec.values.join(', ') + ', got ' + JSON.stringify(unknown);
+    }
+    return spec.validate ? spec.validate(value) : null;
+  }
+  if (spec.type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return key + ' should be an object, got ' + JSON.stringify(value);
+    }
+    return spec.validate ? spec.validate(value) : null;
+  }
+  if (typeof value !== spec.type) {
+    return key + ' should be a ' + spec.type + ', got ' + JSON.stringify(value);
+  }
+  if (spec.values && !spec.values.includes(value)) {
+    return key + ' should be one of ' + spec.values.join(', ') + ', got ' + JSON.stringify(value);
+  }
+  return spec.validate ? spec.validate(value) : null;
+}
+
+/**
+ * turn a string from an env var or flag into the type the schema wants
+ * anything that doesn't parse is left as a string so checkValue complains
+ */
+function coerce(raw, spec) {
+  if (spec.nullable && (raw === '' || raw === 'null')) return null;
+  if (spec.type === 'boolean') {
+    if (/^(1|true|yes|on)$/i.test(raw)) return true;
+    if (/^(0|false|no|off|)$/i.test(raw)) return false;
+    return raw;
+  }
+  if (spec.type === 'number') {
+    return raw.trim() !== '' && !Number.isNaN(Number(raw)) ? Number(raw) : raw;
+  }
+  // json if it looks like json, comma separated otherwise
+  if (spec.type === 'array') {
+    if (raw.trim().startsWith('[')) {
+      try { return JSON.parse(raw); } catch (e) { return raw; }
+    }
+    return raw.split(',').map(v => v.trim()).filter(Boolean);
+  }
+  if (spec.type === 'object') {
+    try { return JSON.parse(raw); } catch (e) { return raw; }
+  }
+  return raw;
+}
+
+/**
+ * check a partial config object (what comes out of an rc file)
+ * returns the problems plus the part of it that's fine to use
+ * source is just for the error messages, rc is { dir, project } for the rc
+ * file it came out of
+ */
+function check(obj, source, inProfile = false, rc = null) {
+  const problems = [];
+  const valid = {};
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+    return { problems: [source + ': config should be an object'], valid };
+  }
+
+  for (const key of Object.keys(obj)) {
+    if (inProfile && PROFILE_EXCLUDED.includes(key)) {
+      problems.push(source + ': ' + key + ' can\'t be set inside a profile');
+      continue;
+    }
+    if (key === 'profiles' && !inProfile) {
+      const err = checkValue(key, obj.profiles, SCHEMA.profiles);
+      if (err) {
+        problems.push(source + ': ' + err);
+        continue;
+      }
+      valid.profiles = {};
+      for (const name of Object.keys(obj.profiles)) {
+        const result = check(obj.profiles[name], source + ': profiles.' + name, true, rc);
+        problems.push(...result.problems);
+        valid.profiles[name] = result.valid;
+      }
+      continue;
+    }
+
+    if (key === 'detector') {
+      const det = obj.detector;
+      if (!det || typeof det !== 'object' || Array.isArray(det)) {
+        problems.push(source + ': detector should be an object');
+        continue;
+      }
+      for (const dkey of Object.keys(det)) {
+        const spec = DETECTOR_SCHEMA[dkey];
+        if (!spec) {
+          const hint = suggest(dkey, DETECTOR_SCHEMA);
+          problems.push(source + ': unknown key detector.' + dkey + (hint ? ' (did you mean detector.' + hint + '?)' : ''));
+          continue;
+        }
+        const err = checkValue('detector.' + dkey, det[dkey], spec);
+        if (err) {
+          problems.push(source + ': ' + err);
+        } else if (spec.userOnly && rc && rc.project) {
+          problems.push(source + ': ' + projectProblem('detector.' + dkey));
+        } else {
+          valid.detector = valid.detector || {};
+          valid.detector[dkey] = rc && spec.paths ? resolvePaths(det[dkey], rc.dir) : det[dkey];
+        }
+      }
+      continue;
+    }
+
+    const spec = SCHEMA[key];
+    if (!spec) {
+      const hint = suggest(key, SCHEMA);
+      problems.push(source + ': unknown key ' + key + (hint ? ' (did you mean ' + hint + '?)' : ''));
+      continue;
+    }
+    const err = checkValue(key, obj[key], spec);
+    if (err) problems.push(source + ': ' + err);
+    else if (spec.userOnly && rc && rc.project) problems.push(source + ': ' + projectProblem(key));
+    else valid[key] = rc && spec.paths ? resolvePaths(obj[key], rc.dir) : obj[key];
+  }
+  return { problems, valid };
+}
+
+/**
+ * validate a partial config object, returns a list of problems (empty = ok)
+ */
+function validate(obj, source = 'config') {
+  return check(obj, source).problems;
+}
+
+function readRc(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    return { layer: null };
+  }
+  try {
+    return { layer: JSON.parse(text) };
+  } catch (e) {
+    return { layer: null, problems: [file + ': not valid json (' + e.message + ')'] };
+  }
+}
+
+/**
+ * where the user-level rc lives - xdg if it's there, ~/.claudescreenfixrc if not
+ */
+function userRcPath(env = process.env, homedir = os.homedir()) {
+  const xdg = path.join(env.XDG_CONFIG_HOME || path.join(homedir, '.config'), 'claudescreenfix', 'config.json');
+  if (fs.existsSync(xdg)) return xdg;
+  return path.join(homedir, RC_NAME);
+}
+
+/**
+ * nearest .claudescreenfixrc above cwd - stops before home so the user rc
+ * doesn't get read twice
+ */
+function findProjectRc(cwd = process.cwd(), homedir = os.homedir()) {
+  let dir = path.resolve(cwd);
+  for (;;) {
+    if (dir === homedir) return null;
+    const candidate = path.join(dir, RC_NAME);
+    if (fs.existsSync(candidate)) return candidate;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * pull overrides out of env vars - every schema key has one
+ */
+function fromEnv(env) {
+  const layer = {};
+  const problems = [];
+
+  const set = (target, key, spec, name) => {
+    const value = coerce(env[name], spec);
+    const err = checkValue(key, value, spec);
+    if (err) problems.push('$' + name + ': ' + err);
+    else target[key] = value;
+  };
+
+  for (const name of Object.keys(ENV_ALIASES)) {
+    if (env[name] !== undefined) set(layer, ENV_ALIASES[name], SCHEMA[ENV_ALIASES[name]], name);
+  }
+  for (const key of Object.keys(SCHEMA)) {
+    if (SCHEMA[key].rcOnly) continue;
+    const name = ENV_PREFIX + toSnake(key);
+    if (env[name] !== undefined) set(layer, key, SCHEMA[key], name);
+  }
+  for (const key of Object.keys(DETECTOR_SCHEMA)) {
+    const name = DETECTOR_ENV_PREFIX + toSnake(key);
+    if (env[name] !== undefined) {
+      layer.detector = layer.detector || {};
+      set(layer.detector, key, DETECTOR_SCHEMA[key], name);
+    }
+  }
+
+  return { layer, problems };
+}
+
+/**
+ * pull --fix-* flags out of argv, everything else is left for the wrapped command
+ *   --fix-periodic-clear-ms=30000
+ *   --fix-periodic-clear-ms 30000
+ *   --fix-debug                   (booleans don't need a value)
+ *   --fix-detector-stdin-timeout-ms=5000
+ */
+function parseFlags(argv) {
+  const layer = {};
+  const problems = [];
+  const rest = [];
+
+  const byFlag = {};
+  for (const key of Object.keys(SCHEMA)) {
+    if (!SCHEMA[key].rcOnly) byFlag[toKebab(key)] = { key, spec: SCHEMA[key] };
+  }
+  for (const key of Object.keys(DETECTOR_SCHEMA)) {
+    byFlag['detector-' + toKebab(key)] = { key, spec: DETECTOR_SCHEMA[key], detector: true };
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      rest.push(...argv.slice(i));
+      break;
+    }
+    const eq = arg.indexOf('=');
+    const alias = FLAG_ALIASES[eq === -1 ? arg : arg.slice(0, eq)];
+    if (!arg.startsWith(FLAG_PREFIX) && !alias) {
+      rest.push(arg);
+      continue;
+    }
+
+    const name = alias ? toKebab(alias) : arg.slice(FLAG_PREFIX.length, eq === -1 ? undefined : eq);
+    const entry = byFlag[name];
+    if (!entry) {
+      const hint = Object.keys(byFlag).find(f => f.includes(name) || name.includes(f));
+      problems.push(arg + ': unknown flag' + (hint ? ' (did you mean ' + FLAG_PREFIX + hint + '?)' : ''));
+      continue;
+    }
+
+    let raw;
+    if (eq !== -1) {
+      raw = arg.slice(eq + 1);
+    } else if (entry.spec.type === 'boolean') {
+      raw = 'true';
+    } else if (i + 1 < argv.length) {
+      raw = argv[++i];
+    } else {
+      problems.push(arg + ': needs a value');
+      continue;
+    }
+
+    const value = coerce(raw, entry.spec);
+    const err = checkValue(entry.key, value, entry.spec);
+    if (err) {
+      problems.push(FLAG_PREFIX + name + ': ' + err);
+    } else if (entry.detector) {
+      layer.detector = layer.detector || {};
+      layer.detector[entry.key] = value;
+    } else {
+      layer[entry.key] = value;
+    }
+  }
+
+  return { layer, problems, rest };
+}
+
+/**
+ * parse one value for a key the way an env var would be parsed
+ * detector keys go as 'detector.stdinTimeoutMs'. used by `claude-fixed ctl set`
+ * returns { key, value, detector } or throws ConfigError
+ */
+function parseValue(key, raw) {
+  const detector = key.startsWith('detector.');
+  const name = detector ? key.slice('detector.'.length) : key;
+  const schema = detector ? DETECTOR_SCHEMA : SCHEMA;
+  const spec = schema[name];
+  if (spec && spec.rcOnly) throw new ConfigError([key + ' can only be set in an rc file']);
+  if (spec && spec.startup) throw new ConfigError([key + ' is only read at startup, restart to change it']);
+  if (!spec) {
+    const hint = suggest(name, schema);
+    throw new ConfigError(['unknown key ' + key + (hint ? ' (did you mean ' + (detector ? 'detector.' : '') + hint + '?)' : '')]);
+  }
+  const value = typeof raw === 'string' ? coerce(raw, spec) : raw;
+  const err = checkValue(key, value, spec);
+  if (err) throw new ConfigError([err]);
+  return { key: name, value, detector };
+}
+
+function merge(target, layer) {
+  for (const key of Object.keys(layer)) {
+    if (key === 'detector') Object.assign(target.detector, layer.detector);
+    // profiles add up across rc files, same name replaces
+    else if (key === 'profiles') target.profiles = { ...target.profiles, ...layer.profiles };
+    else target[key] = layer[key];
+  }
+  return target;
+}
+
+/**
+ * which profile applies - the one asked for by name, or the one named after
+ * the target command (so CLAUDE_FIXED_TARGET=gemini picks up a "gemini" profile)
+ * returns { name, settings } or { problem } or null
+ */
+function pickProfile(profiles, requested, cmd) {
+  if (requested) {
+    if (profiles[requested]) return { name: requested, settings: profiles[requested] };
+    const known = Object.keys(profiles);
+    return { problem: 'unknown profile ' + requested + (known.length ? ' (have: ' + known.join(', ') + ')' : ' (no profiles defined)') };
+  }
+  if (cmd) {
+    const name = path.basename(cmd);
+    if (profiles[name]) return { name, settings: profiles[name] };
+  }
+  return null;
+}
+
+/**
+ * build the effective config from every layer
+ *
+ * options.cwd, options.env, options.homedir - where to look (default: this process)
+ * options.argv   - args to pull --fix-* flags out of (default: none)
+ * options.strict - throw ConfigError on any problem (default true). with
+ *                  strict off bad entries are skipped and listed in .problems
+ *
+ * returns { config, problems, files, argv } - argv is what's left after flags
+ */
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const homedir = options.homedir || os.homedir();
+  const strict = options.strict !== false;
+
+  const config = defaults();
+  const problems = [];
+  const files = [];
+
+  const rcFiles = [userRcPath(env, homedir), findProjectRc(options.cwd, homedir)];
+  for (const [i, file] of rcFiles.entries()) {
+    if (!file) continue;
+    const { layer, problems: readProblems } = readRc(file);
+    if (readProblems) problems.push(...readProblems);
+    if (!layer) continue;
+    files.push(file);
+
+    const result = check(layer, file, false, { dir: path.dirname(file), project: i === 1 });
+    problems.push(...result.problems);
+    merge(config, result.valid);
+  }
+
+  const envResult = fromEnv(env);
+  problems.push(...envResult.problems);
+  const flagResult = parseFlags(options.argv || []);
+  problems.push(...flagResult.problems);
+
+  // the profile goes under env and flags, but they can be what picks it
+  const upper = [envResult.layer, flagResult.layer];
+  const pick = key => upper.reduce((value, layer) => (key in layer ? layer[key] : value), config[key]);
+  const chosen = pickProfile(config.profiles, pick('profile'), pick('cmd'));
+  if (chosen && chosen.problem) {
+    problems.push(chosen.problem);
+  } else if (chosen) {
+    merge(config, chosen.settings);
+  }
+
+  upper.forEach(layer => merge(config, layer));
+  config.profile = chosen && !chosen.problem ? chosen.name : null;
+
+  if (strict && problems.length) {
+    throw new ConfigError(problems);
+  }
+
+  return { config, problems, files, argv: flagResult.rest };
+}
+
+/**
+ * call onChange(result) whenever an rc file changes, result is a fresh
+ * loadConfig() with the same options. polls so editors that save by
+ * renaming still get picked up, and a project rc that doesn't exist yet
+ * gets noticed when it shows up. returns a function that stops watching
+ */
+function watchConfig(options, onChange, intervalMs = 1000) {
+  const env = options.env || process.env;
+  const homedir = options.homedir || os.homedir();
+  const cwd = options.cwd || process.cwd();
+  const files = [
+    userRcPath(env, homedir),
+    findProjectRc(cwd, homedir) || path.join(cwd, RC_NAME)
+  ];
+
+  const listener = (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+    onChange(loadConfig({ ...options, strict: false }));
+  };
+
+  for (const file of files) {
+    fs.watchFile(file, { interval: intervalMs, persistent: false }, listener);
+  }
+  return () => files.forEach(file => fs.unwatchFile(file, listener));
+}
+
+module.exports = {
+  loadConfig,
+  watchConfig,
+  parseValue,
+  defaults,
+  validate,
+  parseFlags,
+  userRcPath,
+  findProjectRc,
+  pickProfile,
+  ConfigError,
+  SCHEMA,
+  DETECTOR_SCHEMA
+};
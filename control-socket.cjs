@@ -0,0 +1,241 @@
+'use strict';
+
+/**
+ * control socket - talk to a running claude-fixed without restarting claude
+ *
+ * the wrapper listens on a unix socket, one per wrapper process:
+ *   $XDG_RUNTIME_DIR/claudescreenfix/<pid>.sock
+ *   (or /tmp/claudescreenfix-<uid>/<pid>.sock when there's no runtime dir)
+ *
+ * protocol is newline-delimited json, one request one response:
+ *   -> {"cmd":"set","key":"periodicClearMs","value":"30000"}
+ *   <- {"ok":true,"result":{"periodicClearMs":30000}}
+ *   <- {"ok":false,"error":"unknown key periodicClearMS"}
+ *
+ * the default dir has to be ours and nobody else's (0700), and we only ever
+ * delete a socket there - never whatever else turns up at the path
+ *
+ * the server doesn't know what the commands do - the wrapper hands it a
+ * handler per command name. `claude-fixed ctl` is the client side
+ */
+
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const SOCKET_EXT = '.sock';
+const MAX_REQUEST_BYTES = 64 * 1024;
+
+function socketDir(env = process.env) {
+  if (env.XDG_RUNTIME_DIR) {
+    return path.join(env.XDG_RUNTIME_DIR, 'claudescreenfix');
+  }
+  const uid = typeof process.getuid === 'function' ? process.getuid() : 'user';
+  return path.join(os.tmpdir(), 'claudescreenfix-' + uid);
+}
+
+function socketPath(pid = process.pid, env = process.env) {
+  return path.join(socketDir(env), pid + SOCKET_EXT);
+}
+
+// the uid we'd own things as, null where there's no such thing
+function ownUid() {
+  return typeof process.getuid === 'function' ? process.getuid() : null;
+}
+
+/**
+ * throw unless dir is a real directory, ours, that only we can get into
+ */
+function checkSocketDir(dir) {
+  const stat = fs.lstatSync(dir);
+  if (!stat.isDirectory()) throw new Error(dir + ' isn\'t a directory');
+  const uid = ownUid();
+  if (uid !== null && stat.uid !== uid) throw new Error(dir + ' belongs to someone else');
+  if (stat.mode & 0o077) throw new Error(dir + ' is open to other users, it should be 0700');
+}
+
+/**
+ * unlink file if it's a socket. missing is fine, anything else is an error -
+ * it isn't ours to delete
+ */
+function removeSocket(file) {
+  let stat;
+  try {
+    stat = fs.lstatSync(file);
+  } catch (e) {
+    if (e.code === 'ENOENT') return;
+    throw e;
+  }
+  if (!stat.isSocket()) throw new Error(file + ' is there and isn\'t a socket, not touching it');
+  fs.unlinkSync(file);
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+/**
+ * sockets of wrappers that are still running, stale ones get cleaned up
+ */
+function findSockets(env = process.env) {
+  const dir = socketDir(env);
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch (e) {
+    return [];
+  }
+
+  const live = [];
+  for (const name of names) {
+    if (!name.endsWith(SOCKET_EXT)) continue;
+    const pid = parseInt(name, 10);
+    const file = path.join(dir, name);
+    if (pid && isAlive(pid)) {
+      live.push({ pid, path: file });
+    } else {
+      try { fs.unlinkSync(file); } catch (e) {}
+    }
+  }
+  return live;
+}
+
+class ControlServer {
+  /**
+   * handlers maps command name -> function(request), can return a promise
+   * whatever it returns goes back as result, a throw goes back as error
+   */
+  constructor(handlers, options = {}) {
+    this.handlers = handlers;
+    this.env = options.env || process.env;
+    this.path = options.path || socketPath(process.pid, this.env);
+    this.log = options.log || (() => {});
+    this.server = null;
+  }
+
+  listen() {
+    return new Promise((resolve, reject) => {
+      const dir = path.dirname(this.path);
+      fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+      if (dir === socketDir(this.env)) checkSocketDir(dir);
+      // a socket file left behind by a crash blocks listen()
+      removeSocket(this.path);
+
+      this.server = net.createServer(conn => this.handleConnection(conn));
+      this.server.on('error', reject);
+      // the socket's 0600 from the moment it's there, not after a chmod
+      const umask = process.umask(0o177);
+      try {
+        this.server.listen(this.path, () => {
+          // don't keep the wrapper alive just for this
+          this.server.unref();
+          this.log('control socket listening on', this.path);
+          resolve(this.path);
+        });
+      } finally {
+        process.umask(umask);
+      }
+    });
+  }
+
+  handleConnection(conn) {
+    let buffer = '';
+    conn.setEncoding('utf8');
+    conn.on('error', () => {});
+    conn.on('data', (data) => {
+      buffer += data;
+      if (buffer.length > MAX_REQUEST_BYTES) {
+        conn.end(JSON.stringify({ ok: false, error: 'request too large' }) + '\n');
+        return;
+      }
+      let nl;
+      while ((nl = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, nl);
+        buffer = buffer.slice(nl + 1);
+        if (line.trim()) this.handleLine(line).then(reply => conn.write(reply + '\n'));
+      }
+    });
+  }
+
+  async handleLine(line) {
+    let request;
+    try {
+      request = JSON.parse(line);
+    } catch (e) {
+      return JSON.stringify({ ok: false, error: 'bad json: ' + e.message });
+    }
+
+    const handler = request && this.handlers[request.cmd];
+    if (!handler) {
+      const known = Object.keys(this.handlers).join(', ');
+      return JSON.stringify({ ok: false, error: 'unknown command ' + (request && request.cmd) + ' (try: ' + known + ')' });
+    }
+
+    try {
+      const result = await handler(request);
+      return JSON.stringify({ ok: true, result: result === undefined ? null : result });
+    } catch (e) {
+      return JSON.stringify({ ok: false, error: e.message });
+    }
+  }
+
+  close() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+    try {
+      removeSocket(this.path);
+    } catch (e) {
+      this.log('control socket: ' + e.message);
+    }
+  }
+}
+
+/**
+ * send one request, resolves with the parsed response
+ */
+function sendCommand(file, request, timeoutMs = 5000) {
+  return new Promise((resolve, reject) => {
+    const conn = net.createConnection(file);
+    let buffer = '';
+    const timer = setTimeout(() => {
+      conn.destroy();
+      reject(new Error('no answer from ' + file + ' after ' + timeoutMs + 'ms'));
+    }, timeoutMs);
+
+    conn.setEncoding('utf8');
+    conn.on('connect', () => conn.write(JSON.stringify(request) + '\n'));
+    conn.on('data', (data) => {
+      buffer += data;
+      const nl = buffer.indexOf('\n');
+      if (nl === -1) return;
+      clearTimeout(timer);
+      conn.end();
+      try {
+        resolve(JSON.parse(buffer.slice(0, nl)));
+      } catch (e) {
+        reject(new Error('bad reply: ' + e.message));
+      }
+    });
+    conn.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+  });
+}
+
+module.exports = {
+  ControlServer,
+  sendCommand,
+  socketDir,
+  socketPath,
+  findSockets,
+  checkSocketDir
+};
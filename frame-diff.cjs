@@ -0,0 +1,575 @@
+'use strict';
+
+/**
+ * frame diff - send the terminal what changed, not the whole frame again
+ *
+ * every ink re-render is a clear screen, home, and the entire frame. over a
+ * slow ssh link that's most of the bytes and most of the lag, and the rows
+ * that didn't change get repainted anyway. with frameDiff on the wrapper
+ * keeps two copies of the screen:
+ *
+ *   screen - what the child's output says the screen looks like
+ *   shown  - what we last told the real terminal it looks like
+ *
+ * a frame (anything starting with a clear or a home) gets held for
+ * frameDiffMs so the rest of it can arrive, then we write the changed cells
+ * of each row plus a cursor move, or the raw bytes if that's shorter
+ *
+ * the model only does what ink does - text, cursor moves, erases, colors. the
+ * moment it sees something it can't follow (a scroll, the alt screen, scroll
+ * regions, insert/delete line) the screen isn't known anymore and frames go
+ * out raw until the next clear screen + home puts us back in sync. output
+ * that scrolls also goes out raw, so it still lands in the real scrollback
+ *
+ * sequences that don't touch the grid (titles, scrollback clears, cursor
+ * shape, synchronized output markers) go out with the frame - the ones from
+ * before it started drawing in front of the diff, the rest after it, so a
+ * cursor hidden for the frame is still hidden while it paints
+ */
+
+const { AnsiTokenizer, isClearScreen, isCursorHome } = require('./ansi-parser.cjs');
+const { charWidth } = require('./screen-model.cjs');
+const { systemClock } = require('./clock.cjs');
+
+const DEFAULT_COLS = 80;
+const DEFAULT_ROWS = 24;
+const TAB_WIDTH = 8;
+
+// a frame never waits longer than this, however fast the child keeps writing
+const MAX_HOLD_MS = 50;
+
+const SGR_RESET = '\x1b[0m';
+const ERASE_LINE_RIGHT = '\x1b[K';
+
+// cells are never mutated, so snapshots can share them
+const BLANK = Object.freeze({ ch: ' ', style: '', width: 1 });
+
+function blankCell(style) {
+  return style ? { ch: ' ', style, width: 1 } : BLANK;
+}
+
+function blankRow(cols, style) {
+  return new Array(cols).fill(blankCell(style));
+}
+
+function cursorTo(row, col) {
+  return '\x1b[' + (row + 1) + ';' + (col + 1) + 'H';
+}
+
+// csi finals that only move the cursor or erase, all of which we follow
+const MODELED_FINALS = 'ABeCaDEFG`dHfJKXsu';
+
+// csi finals that don't touch the grid - reports, window ops, cursor shape
+const HARMLESS_FINALS = 'cntq';
+
+class ScreenBuffer {
+  constructor(cols = DEFAULT_COLS, rows = DEFAULT_ROWS) {
+    this.cols = cols;
+    this.rows = rows;
+    this.known = false;     // do we really know what's on screen
+    this.cleared = false;   // saw a clear screen, waiting for the home
+    this.reset();
+  }
+
+  reset() {
+    this.cells = [];
+    for (let r = 0; r < this.rows; r++) this.cells.push(blankRow(this.cols));
+    this.row = 0;
+    this.col = 0;
+    this.wrapPending = false;
+    this.style = '';
+    this.saved = null;
+  }
+
+  /**
+   * new size - we've no idea how the terminal reflowed, so nothing's known
+   */
+  resize(cols, rows) {
+    if (!cols || !rows) return;
+    this.cols = cols;
+    this.rows = rows;
+    this.reset();
+    this.lose();
+  }
+
+  lose() {
+    this.known = false;
+    this.cleared = false;
+  }
+
+  /**
+   * run tokenizer events through the buffer
+   * returns the raw sequences that don't touch the grid, in order
+   */
+  apply(events) {
+    const extras = [];
+    for (const ev of events) {
+      switch (ev.type) {
+        case 'text': this.text(ev.text); break;
+        case 'newline': this.col = 0; this.lineFeed(); break;
+        case 'control': this.control(ev.char, extras); break;
+        case 'sgr': this.sgr(ev); break;
+        case 'csi': this.csi(ev, extras); break;
+        case 'esc': this.esc(ev, extras); break;
+        default: extras.push(ev.raw); // osc, dcs and friends
+      }
+    }
+    return extras;
+  }
+
+  text(str) {
+    for (const ch of str) {
+      const w = charWidth(ch.codePointAt(0));
+      if (w === 0) {
+        this.combine(ch);
+        continue;
+      }
+      if (this.wrapPending || (w === 2 && this.col + w > this.cols)) {
+        this.col = 0;
+        this.lineFeed();
+      }
+      this.put(ch, w);
+      this.col += w;
+      if (this.col >= this.cols) {
+        this.col = this.cols - 1;
+        this.wrapPending = true;
+      } else {
+        this.wrapPending = false;
+      }
+    }
+  }
+
+  // a combining mark sticks to whatever's left of the cursor
+  combine(ch) {
+    let col = this.wrapPending ? this.col : this.col - 1;
+    const line = this.cells[this.row];
+    while (col > 0 && line[col].width === 0) col--;
+    if (col < 0 || line[col] === BLANK) return;
+    line[col] = { ...line[col], ch: line[col].ch + ch };
+  }
+
+  put(ch, width) {
+    const line = this.cells[this.row];
+    this.split(line, this.col);
+    if (width === 2) this.split(line, this.col + 1);
+    line[this.col] = { ch, style: this.style, width };
+    if (width === 2) line[this.col + 1] = { ch: '', style: this.style, width: 0 };
+  }
+
+  // overwriting half a wide char blanks the other half, like terminals do
+  split(line, col) {
+    const cell = line[col];
+    if (!cell) return;
+    if (cell.width === 0 && col > 0) line[col - 1] = blankCell(line[col - 1].style);
+    if (cell.width === 2 && col + 1 < this.cols) line[col + 1] = blankCell(line[col + 1].style);
+  }
+
+  lineFeed() {
+    this.wrapPending = false;
+    if (this.row < this.rows - 1) {
+      this.row++;
+      return;
+    }
+    // scrolled - the top row went to scrollback and the real terminal needs
+    // the raw bytes to put it there
+    this.cells.shift();
+    this.cells.push(blankRow(this.cols));
+    this.lose();
+  }
+
+  control(ch, extras) {
+    switch (ch) {
+      case '\r':
+        this.col = 0;
+        this.wrapPending = false;
+        break;
+      case '\b':
+        this.col = Math.max(0, this.col - 1);
+        this.wrapPending = false;
+        break;
+      case '\t':
+        this.col = Math.min(this.cols - 1, (Math.floor(this.col / TAB_WIDTH) + 1) * TAB_WIDTH);
+        break;
+      case '\x0b':
+      case '\x0c':
+        this.lineFeed();
+        break;
+      case '\x07':
+        extras.push(ch);
+        break;
+    }
+  }
+
+  /**
+   * styles are kept as the sgr sequences since the last reset - two cells
+   * with the same string look the same, which is all the diff needs
+   */
+  sgr(ev) {
+    const p = ev.params;
+    if (p.length === 0 || p[0] === null || p[0] === 0) {
+      this.style = p.length <= 1 ? '' : ev.raw;
+    } else {
+      this.style += ev.raw;
+    }
+  }
+
+  csi(ev, extras) {
+    const p = ev.params;
+    if (ev.prefix === '?') {
+      // autowrap and the alt screen change what text does - can't follow those
+      if (p.some(mode => mode === 7 || mode === 47 || mode === 1047 || mode === 1049)) this.lose();
+      extras.push(ev.raw);
+      return;
+    }
+    if (ev.prefix || ev.intermediates || HARMLESS_FINALS.includes(ev.final)) {
+      extras.push(ev.raw);
+      return;
+    }
+    if (!MODELED_FINALS.includes(ev.final)) {
+      // scroll regions, insert/delete line, scrolling - out of our depth
+      this.lose();
+      return;
+    }
+
+    const n = (p[0] === null || p[0] === undefined || p[0] === 0) ? 1 : p[0];
+    switch (ev.final) {
+      case 'A': this.moveTo(this.row - n, this.col); break;
+      case 'B':
+      case 'e': this.moveTo(this.row + n, this.col); break;
+      case 'C':
+      case 'a': this.moveTo(this.row, this.col + n); break;
+      case 'D': this.moveTo(this.row, this.col - n); break;
+      case 'E': this.moveTo(this.row + n, 0); break;
+      case 'F': this.moveTo(this.row - n, 0); break;
+      case 'G':
+      case '`': this.moveTo(this.row, n - 1); break;
+      case 'd': this.moveTo(n - 1, this.col); break;
+      case 'H':
+      case 'f':
+        this.moveTo((p[0] || 1) - 1, (p[1] || 1) - 1);
+        if (this.cleared) this.known = true;
+        break;
+      case 'J': this.eraseDisplay(p[0] || 0, ev, extras); break;
+      case 'K': this.eraseLine(p[0] || 0); break;
+      case 'X': this.erase(this.row, this.col, Math.min(this.cols, this.col + n)); break;
+      case 's': this.saved = { row: this.row, col: this.col, wrapPending: this.wrapPending }; break;
+      case 'u': this.restore(); break;
+    }
+  }
+
+  esc(ev, extras) {
+    if (ev.intermediates) {
+      extras.push(ev.raw);
+      return;
+    }
+    switch (ev.final) {
+      case 'D': this.lineFeed(); break;
+      case 'E': this.col = 0; this.lineFeed(); break;
+      case 'M':
+        if (this.row === 0) this.lose(); // scrolls the screen down
+        else this.moveTo(this.row - 1, this.col);
+        break;
+      case '7': this.saved = { row: this.row, col: this.col, wrapPending: this.wrapPending }; break;
+      case '8': this.restore(); break;
+      case 'c':
+        this.reset();
+        this.lose();
+        break;
+      default: extras.push(ev.raw);
+    }
+  }
+
+  moveTo(row, col) {
+    this.row = Math.max(0, Math.min(this.rows - 1, row));
+    this.col = Math.max(0, Math.min(this.cols - 1, col));
+    this.wrapPending = false;
+  }
+
+  restore() {
+    if (!this.saved) return;
+    this.moveTo(this.saved.row, this.saved.col);
+    this.wrapPending = this.saved.wrapPending;
+  }
+
+  // erased cells keep the current background, same as the terminal
+  erase(row, from, to) {
+    const line = this.cells[row];
+    this.split(line, from);
+    this.split(line, to - 1);
+    for (let c = from; c < to; c++) line[c] = blankCell(this.style);
+  }
+
+  eraseLine(mode) {
+    if (mode === 0) this.erase(this.row, this.col, this.cols);
+    else if (mode === 1) this.erase(this.row, 0, this.col + 1);
+    else if (mode === 2) this.erase(this.row, 0, this.cols);
+  }
+
+  eraseDisplay(mode, ev, extras) {
+    if (mode === 3) {
+      extras.push(ev.raw);
+      return;
+    }
+    if (mode === 0) {
+      this.eraseLine(0);
+      for (let r = this.row + 1; r < this.rows; r++) this.erase(r, 0, this.cols);
+    } else if (mode === 1) {
+      for (let r = 0; r < this.row; r++) this.erase(r, 0, this.cols);
+      this.eraseLine(1);
+    } else if (mode === 2) {
+      for (let r = 0; r < this.rows; r++) this.erase(r, 0, this.cols);
+      this.cleared = true;
+    }
+  }
+
+  /**
+   * frozen copy of the screen for diffing against later
+   */
+  snapshot() {
+    return {
+      cols: this.cols,
+      rows: this.rows,
+      cells: this.cells.map(line => line.slice()),
+      row: this.row,
+      col: this.col,
+      wrapPending: this.wrapPending,
+      style: this.style
+    };
+  }
+}
+
+// what an erase with no colors set leaves behind
+function isBlank(cell) {
+  return cell.ch === ' ' && !cell.style;
+}
+
+function sameCell(a, b) {
+  return a === b || (a.ch === b.ch && a.style === b.style && a.width === b.width);
+}
+
+/**
+ * escape sequences that turn the screen `from` into `to`
+ * both are snapshots or buffers of the same size
+ */
+function diffBuffers(from, to) {
+  let out = '';
+  let style = from.style;
+  // where the terminal's cursor is after what we've written so far
+  let at = { row: from.row, col: from.col, wrapPending: from.wrapPending };
+
+  const setStyle = (next) => {
+    if (next === style) return;
+    out += SGR_RESET + next;
+    style = next;
+  };
+
+  for (let r = 0; r < to.rows; r++) {
+    const before = from.cells[r];
+    const after = to.cells[r];
+    let first = 0;
+    while (first < to.cols && sameCell(before[first], after[first])) first++;
+    if (first === to.cols) continue;
+    let last = to.cols - 1;
+    while (last > first && sameCell(before[last], after[last])) last--;
+
+    // never start or stop halfway through a wide char
+    while (first > 0 && after[first].width === 0) first--;
+    while (last + 1 < to.cols && after[last + 1].width === 0) last++;
+
+    // a blank tail is one erase instead of a run of spaces
+    let tail = to.cols;
+    while (tail > 0 && isBlank(after[tail - 1])) tail--;
+    const eraseFrom = Math.max(first, tail);
+    const eraseTail = tail <= last && last + 1 - eraseFrom > ERASE_LINE_RIGHT.length;
+
+    out += cursorTo(r, first);
+    const end = eraseTail ? eraseFrom - 1 : last;
+    for (let c = first; c <= end; c++) {
+      const cell = after[c];
+      if (cell.width === 0) continue;
+      setStyle(cell.style);
+      out += cell.ch;
+    }
+    if (eraseTail) {
+      setStyle('');
+      out += ERASE_LINE_RIGHT;
+      at = { row: r, col: eraseFrom, wrapPending: false };
+    } else if (end === to.cols - 1) {
+      at = { row: r, col: end, wrapPending: true };
+    } else {
+      at = { row: r, col: end + 1, wrapPending: false };
+    }
+  }
+
+  if (at.row !== to.row || at.col !== to.col || at.wrapPending !== to.wrapPending) {
+    if (to.wrapPending) {
+      // the only way to get a pending wrap back is to write that last cell again
+      const cell = to.cells[to.row][to.cols - 1];
+      out += cursorTo(to.row, to.cols - 1);
+      setStyle(cell.style);
+      out += cell.width === 0 ? ' ' : cell.ch;
+    } else {
+      out += cursorTo(to.row, to.col);
+    }
+  }
+  setStyle(to.style);
+  return out;
+}
+
+class FrameDiffer {
+  /**
+   * options.write   - writes to the real terminal
+   * options.config  - live config, frameDiffMs is how long a frame waits
+   * options.columns - terminal size, update with resize()
+   * options.rows
+   * options.clock   - see clock.cjs
+   * options.log     - debug logger
+   */
+  constructor(options = {}) {
+    this.writeOut = options.write;
+    this.config = options.config;
+    this.clock = options.clock || systemClock;
+    this.log = options.log || (() => {});
+    this.tokenizer = new AnsiTokenizer();
+    this.screen = new ScreenBuffer(options.columns || DEFAULT_COLS, options.rows || DEFAULT_ROWS);
+    this.shown = this.screen.snapshot();
+    this.shownKnown = false;
+    this.frame = null;      // { raw, before, after, drawn, startedAt } while a frame's held
+    this.timer = null;
+
+    this.stats = {
+      frames: 0,
+      diffed: 0,
+      raw: 0,
+      bytesIn: 0,
+      bytesOut: 0,
+      latency: { lastMs: 0, maxMs: 0, totalMs: 0 }
+    };
+  }
+
+  /**
+   * output on its way to the terminal - frames get held and diffed,
+   * everything else goes straight through
+   */
+  write(data) {
+    const text = typeof data === 'string' ? data : data.toString();
+    this.stats.bytesIn += Buffer.byteLength(text);
+    const events = this.tokenizer.feed(text);
+    const startsFrame = events.some(ev => isClearScreen(ev) || isCursorHome(ev));
+
+    if (!this.frame && !startsFrame) {
+      this.screen.apply(events);
+      this.send(text);
+      this.markShown();
+      return;
+    }
+    if (!this.frame) this.frame = { raw: '', before: [], after: [], drawn: false, startedAt: this.clock.now() };
+    const frame = this.frame;
+    frame.raw += text;
+    // the grid goes out as one diff, so the rest goes in front of it or after
+    for (const ev of events) {
+      const extras = this.screen.apply([ev]);
+      (frame.drawn ? frame.after : frame.before).push(...extras);
+      if (ev.type === 'text') frame.drawn = true;
+    }
+    this.hold();
+  }
+
+  hold() {
+    if (this.timer) this.clock.clearTimeout(this.timer);
+    const left = this.frame.startedAt + MAX_HOLD_MS - this.clock.now();
+    const wait = Math.min(this.config.frameDiffMs, left);
+    this.timer = this.clock.setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, Math.max(0, wait));
+  }
+
+  /**
+   * write out the held frame now
+   * not while a sequence is half in - wait for the rest of it, unless this is
+   * the final flush (shutdown, diffing turned off), then it all goes out raw
+   */
+  flush(final = false) {
+    if (!this.frame) return;
+    if (this.tokenizer.pending && !final) {
+      this.hold();
+      return;
+    }
+    if (this.timer) {
+      this.clock.clearTimeout(this.timer);
+      this.timer = null;
+    }
+    const frame = this.frame;
+    this.frame = null;
+
+    let out = frame.raw;
+    if (this.tokenizer.pending) {
+      // the half sequence is in raw and nowhere else, and we can't say what
+      // it did to the screen
+      this.tokenizer.reset();
+      this.screen.known = false;
+    } else if (this.shownKnown && this.screen.known) {
+      const diff = frame.before.join('') + diffBuffers(this.shown, this.screen) + frame.after.join('');
+      if (diff.length < out.length) out = diff;
+    }
+
+    this.stats.frames++;
+    if (out === frame.raw) this.stats.raw++;
+    else this.stats.diffed++;
+    this.send(out);
+    this.markShown();
+
+    const latency = this.stats.latency;
+    latency.lastMs = this.clock.now() - frame.startedAt;
+    latency.maxMs = Math.max(latency.maxMs, latency.lastMs);
+    latency.totalMs += latency.lastMs;
+  }
+
+  send(text) {
+    if (!text) return;
+    this.stats.bytesOut += Buffer.byteLength(text);
+    this.writeOut(text);
+  }
+
+  markShown() {
+    this.shown = this.screen.snapshot();
+    this.shownKnown = this.screen.known;
+  }
+
+  /**
+   * terminal changed size - whatever's held goes out, then we're blind until
+   * the child redraws from scratch
+   */
+  resize(columns, rows) {
+    this.flush();
+    this.screen.resize(columns, rows);
+    this.markShown();
+  }
+
+  getStats() {
+    const { frames, diffed, raw, bytesIn, bytesOut, latency } = this.stats;
+    return {
+      frames,
+      diffed,
+      raw,
+      bytesIn,
+      bytesOut,
+      bytesSaved: bytesIn - bytesOut,
+      columns: this.screen.cols,
+      rows: this.screen.rows,
+      latency: {
+        lastMs: latency.lastMs,
+        maxMs: latency.maxMs,
+        avgMs: frames ? Math.round(latency.totalMs / frames) : 0
+      },
+      inSync: this.shownKnown
+    };
+  }
+}
+
+module.exports = {
+  ScreenBuffer,
+  FrameDiffer,
+  diffBuffers
+};
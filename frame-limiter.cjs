@@ -0,0 +1,176 @@
+'use strict';
+
+/**
+ * frame limiter - slow the output down when the render rate goes through the roof
+ *
+ * the glitch detector notices a render spike (more than renderRateLimit
+ * renders a minute) but all it could do was vote. the terminal was still
+ * getting every single frame, which is what cooks it. now once there's a
+ * spike and frames are coming faster than frameRateLimit a second:
+ *
+ *   - frames get held and go out at most frameRateLimit times a second
+ *   - a newer full redraw replaces the one that's waiting, only the latest
+ *     gets painted. clears we injected into the dropped one still go out
+ *   - output that follows a held frame waits with it, so nothing gets
+ *     reordered
+ *   - a keystroke echo sends whatever's held and goes straight through
+ *   - the latest frame always makes it out, on a timer if nothing else comes
+ *
+ * once frames drop back to frameRateLimit a second it's passthrough again
+ *
+ * the engine owns one of these (see output-engine.cjs) so the --require hook
+ * and the wrapper both get it
+ */
+
+const EventEmitter = require('events');
+const { systemClock } = require('./clock.cjs');
+const { defaults } = require('./config.cjs');
+
+// spike threshold when there's no detector to ask
+const SPIKE_RENDERS_PER_MIN = defaults().detector.renderRateLimit;
+
+// drop timestamps that fell out of the window, oldest first
+function prune(times, cutoff) {
+  let i = 0;
+  while (i < times.length && times[i] <= cutoff) i++;
+  if (i) times.splice(0, i);
+}
+
+class FrameLimiter extends EventEmitter {
+  /**
+   * options.config  - live config, frameRateLimit is frames/sec while limiting
+   * options.write   - writes held frames out when their turn comes
+   * options.busy    - true while the output's stopped mid-sequence
+   * options.spiking - the detector's say on a spike, null to count our own
+   * options.clock   - see clock.cjs
+   * options.log     - debug logger
+   */
+  constructor(options = {}) {
+    super();
+    this.config = options.config;
+    this.writeOut = options.write;
+    this.busy = options.busy || (() => false);
+    this.spiking = options.spiking || (() => null);
+    this.clock = options.clock || systemClock;
+    this.log = options.log || (() => {});
+
+    this.second = [];        // frame times in the last second
+    this.minute = [];        // and the last minute, for when there's no detector
+    this.limiting = false;
+    this.held = null;        // { keep, injected, out } waiting for its turn
+    this.timer = null;
+    this.lastOut = -Infinity;
+    this.stats = { engaged: 0, held: 0, coalesced: 0 };
+  }
+
+  interval() {
+    return 1000 / this.config.frameRateLimit;
+  }
+
+  isSpike() {
+    const spike = this.spiking();
+    return spike === null || spike === undefined ? this.minute.length > SPIKE_RENDERS_PER_MIN : spike;
+  }
+
+  /**
+   * a frame showed up - update the rates and switch limiting on or off
+   */
+  noteFrame() {
+    const now = this.clock.now();
+    this.second.push(now);
+    this.minute.push(now);
+    prune(this.second, now - 1000);
+    prune(this.minute, now - 60000);
+
+    const rate = this.second.length;
+    const limit = this.config.frameRateLimit;
+    if (!this.limiting && limit > 0 && rate > limit && this.isSpike()) {
+      this.setLimiting(true, rate);
+    } else if (this.limiting && (!(limit > 0) || rate <= limit)) {
+      this.setLimiting(false, rate);
+    }
+  }
+
+  setLimiting(on, rate) {
+    this.limiting = on;
+    if (on) this.stats.engaged++;
+    this.log((on ? 'render storm, limiting to ' + this.config.frameRateLimit : 'render rate back down, passthrough') +
+      ' (' + rate + ' frames/s)');
+    this.emit('rate-limit', { limiting: on, rate });
+    // calmed down - whatever's waiting can go now
+    if (!on) this.flush();
+  }
+
+  /**
+   * does this chunk have to wait? anything behind a held frame does, and so
+   * does a frame that's come too soon after the last one went out
+   */
+  shouldHold(frame) {
+    if (this.held) return true;
+    if (!frame) return false;
+    const now = this.clock.now();
+    if (!this.limiting || now - this.lastOut >= this.interval()) {
+      this.lastOut = now;
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * hold output back
+   * out        - the chunk as it'd be written, our injections included
+   * injected   - just our injections, kept if a newer frame replaces this one
+   * fullRedraw - starts with a clear screen, so it can stand in for the last one
+   */
+  hold(out, injected, fullRedraw) {
+    if (!this.held) {
+      this.held = { keep: '', injected, out };
+      this.stats.held++;
+    } else if (fullRedraw) {
+      this.held = { keep: this.held.keep + this.held.injected, injected, out };
+      this.stats.coalesced++;
+    } else {
+      this.held.out += out;
+      this.held.injected += injected;
+    }
+    this.schedule(Math.max(0, this.lastOut + this.interval() - this.clock.now()));
+  }
+
+  schedule(delay) {
+    if (this.timer) return;
+    this.timer = this.clock.setTimeout(() => {
+      this.timer = null;
+      // not halfway through a sequence - give the rest a moment to arrive
+      if (this.busy()) this.schedule(this.interval());
+      else this.flush();
+    }, delay);
+  }
+
+  /**
+   * send whatever's held right now
+   */
+  flush() {
+    if (this.timer) {
+      this.clock.clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (!this.held) return;
+    const data = this.held.keep + this.held.out;
+    this.held = null;
+    this.lastOut = this.clock.now();
+    this.writeOut(data);
+  }
+
+  getStats() {
+    return {
+      limiting: this.limiting,
+      frameRate: this.second.length,
+      holding: Boolean(this.held),
+      ...this.stats
+    };
+  }
+}
+
+module.exports = {
+  FrameLimiter
+};
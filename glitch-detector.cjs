@@ -3,56 +3,118 @@
 /**
  * glitch detector - catches when the terminal's cooked
  *
- * watches for these signals:
- * - stdin goes quiet while stdout's still busy (input blocked)
- * - too many resize events too fast (sigwinch spam)
- * - render rate going crazy (ink thrashing)
+ * watches for these signals, each one scored 0..1 for how sure it is:
+ * - unechoedInput:  stdin got read but nothing came back (input swallowed),
+ *                   keystrokes only - pastes are tracked on their own
+ * - writeQueue:     stdout's write queue backing up (terminal can't keep up)
+ * - loopLag:        the event loop's running late (process is wedged)
+ * - repeatedFrames: the same frame drawn over and over (ink stuck in a loop)
+ * - sigwinchStorm:  too many resize events too fast (sigwinch spam)
+ * - renderSpike:    render rate going crazy (ink thrashing)
  *
- * when 2+ signals fire we know shit's broken and try to recover
+ * every check adds up weight * score. over glitchThreshold and we're cooked,
+ * and we stay cooked till it drops to resolveThreshold so it doesn't flap.
+ * the glitch-detected event says which signals got it there and why
  */
 
 const EventEmitter = require('events');
-const { execSync, spawn } = require('child_process');
-const path = require('path');
-const os = require('os');
-
-// Default configuration
-const DEFAULT_CONFIG = {
-  stdinTimeoutMs: 2000,       // stdin silence threshold
-  sigwinchThresholdMs: 10,    // minimum ms between resize events
-  sigwinchStormCount: 5,      // resize events/sec to trigger storm alert
-  renderRateLimit: 500,       // max renders per minute before alert
-  lineLimitMax: 120,          // max terminal lines before trim
-  checkIntervalMs: 500,       // how often to check for glitch state
-  recoveryDelayMs: 1000,      // delay before recovery actions
-  debug: process.env.CLAUDE_GLITCH_DETECTOR_DEBUG === '1'
-};
+const { execFile } = require('child_process');
+const { defaults, loadConfig } = require('./config.cjs');
+const { systemClock } = require('./clock.cjs');
+const { buildRegistry, checkStrategy } = require('./recovery.cjs');
+const { PROFILES } = require('./terminal.cjs');
+const { PatchSet, interceptEvent, addListener } = require('./patches.cjs');
+const { PasteParser } = require('./paste-guard.cjs');
+
+// Default configuration - lives in config.cjs with everything else
+// stdinTimeoutMs, sigwinchThresholdMs, sigwinchStormCount, renderRateLimit,
+// lineLimitMax, writeQueueBytes, loopLagMs, repeatedFrameCount, signalWeights,
+// glitchThreshold, resolveThreshold, checkIntervalMs, recoveryDelayMs,
+// recoveryOrder, recoveryModules, debug
+const DEFAULT_CONFIG = defaults().detector;
+
+// Signals in the order they're reported
+const SIGNALS = ['unechoedInput', 'writeQueue', 'loopLag', 'repeatedFrames', 'sigwinchStorm', 'renderSpike'];
+
+// Repeated frames get counted over this window
+const REPEAT_WINDOW_MS = 10000;
+
+// Anything shorter is a newline or a cursor move, not a frame
+const MIN_FRAME_BYTES = 16;
+
+// 0 at lo, 1 at hi and up, straight line in between
+function ramp(value, lo, hi) {
+  if (value <= lo) return 0;
+  if (value >= hi) return 1;
+  return (value - lo) / (hi - lo);
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
 
 class GlitchDetector extends EventEmitter {
-  constructor(config = {}) {
+  /**
+   * options.clock - time source, swap in a FakeClock for replays and tests
+   * options.write - where recovery writes go (default: stdout if it's a tty)
+   * options.env   - env to look for $TMUX / $STY in (default: process.env)
+   * options.execFile - how tmux/screen get run (default: child_process.execFile)
+   * options.terminal - escape profile for recovery writes, see terminal.cjs
+   */
+  constructor(config = {}, options = {}) {
     super();
     this.config = { ...DEFAULT_CONFIG, ...config };
+    // A partial weights object only overrides the signals it names
+    this.config.signalWeights = { ...DEFAULT_CONFIG.signalWeights, ...config.signalWeights };
+    this.clock = options.clock || systemClock;
+    this.env = options.env || process.env;
+    this.write = options.write || (data => {
+      if (process.stdout.isTTY) process.stdout.write(data);
+    });
+    this.execFile = options.execFile || execFile;
+    this.terminal = options.terminal || PROFILES.generic;
+
+    // Recovery - hooks from whoever owns the terminal, strategies added in code
+    this.hooks = {};
+    this.strategies = [];
 
     // State tracking
-    this.lastStdinTime = Date.now();
+    this.lastStdinTime = this.clock.now();
     this.lastStdoutTime = 0;
     this.lastSigwinchTime = 0;
     this.sigwinchCount = 0;
     this.renderTimes = [];
+    this.pendingInputSince = null;
+    this.lastPasteTime = null;
+    this.pasteParser = new PasteParser();
+    this.writeQueue = 0;
+    this.loopLag = 0;
+    this.intervalLag = 0;
+    this.lastTick = null;
+    this.lastFrame = null;
+    this.repeatTimes = [];
     this.isGlitched = false;
     this.glitchStartTime = null;
+    this.lastScore = 0;
 
     // Metrics
     this.metrics = {
       glitchesDetected: 0,
       recoveriesAttempted: 0,
-      stdinSilenceEvents: 0,
+      unechoedInputEvents: 0,
+      pastes: 0,
+      pasteBytes: 0,
+      writeQueueBackups: 0,
+      loopLagEvents: 0,
+      repeatedFrameEvents: 0,
       sigwinchStorms: 0,
       renderSpikes: 0
     };
 
     // Check interval handle
     this.checkInterval = null;
+    this.stdout = null;
+    this.patches = null;
     this.installed = false;
   }
 
@@ -64,58 +126,178 @@ class GlitchDetector extends EventEmitter {
 
   /**
    * Install the glitch detector - it hooks into process events
+   * Tests can hand it a fake { process, stdin, stdout, clock } to hook instead
+   * trackInput: false leaves stdin alone, for when the caller takes some of it
+   * out first (the wrapper's hud hotkey) and calls trackInput() with the rest
    */
-  install() {
+  install(target = {}) {
     if (this.installed) return;
 
+    const proc = target.process || process;
+    const stdin = target.stdin || proc.stdin;
+    // Its writableLength is the write queue, when nobody tracks it for us
+    this.stdout = target.stdout || proc.stdout || null;
+    if (target.clock) {
+      // timestamps from the old clock mean nothing on the new one
+      this.clock = target.clock;
+      this.lastStdinTime = this.clock.now();
+    }
+
+    this.patches = new PatchSet();
+
     // Track stdin activity
-    if (process.stdin.isTTY) {
-      process.stdin.on('data', () => {
-        this.lastStdinTime = Date.now();
+    if (stdin.isTTY && target.trackInput !== false) {
+      this.patches.listen(stdin, 'data', (data) => {
+        this.trackInput(data);
       });
     }
 
-    // Track SIGWINCH events
-    const originalOn = process.on.bind(process);
-    process.on = (event, handler) => {
-      if (event === 'SIGWINCH') {
-        return originalOn(event, (...args) => {
+    // Track SIGWINCH events - every handler gets wrapped, however it's added,
+    // and removing the handler takes the wrapper off
+    const wrapped = [];
+    const real = interceptEvent(this.patches, proc, 'SIGWINCH', {
+      add: (handler, how) => {
+        const entry = { handler, once: how.once };
+        entry.wrapper = (...args) => {
+          if (entry.once) wrapped.splice(wrapped.indexOf(entry), 1);
           this.onSigwinch();
           handler(...args);
-        });
+        };
+        wrapped.push(entry);
+        entry.listener = addListener(real, proc, 'SIGWINCH', entry.wrapper, how);
+      },
+      remove: (handler) => {
+        for (let i = wrapped.length - 1; i >= 0; i--) {
+          if (wrapped[i].handler === handler) {
+            real.removeListener.call(proc, 'SIGWINCH', wrapped.splice(i, 1)[0].listener);
+            return;
+          }
+        }
+        real.removeListener.call(proc, 'SIGWINCH', handler);
       }
-      return originalOn(event, handler);
-    };
+    });
+
+    // Coming back out, the plain handlers take the wrappers' places
+    this.patches.add(() => {
+      wrapped.forEach(entry => {
+        real.removeListener.call(proc, 'SIGWINCH', entry.listener);
+        addListener(real, proc, 'SIGWINCH', entry.handler, { once: entry.once });
+      });
+      wrapped.length = 0;
+    });
 
     // Start periodic glitch check
-    this.checkInterval = setInterval(() => {
-      this.checkGlitchState();
-    }, this.config.checkIntervalMs);
+    this.startChecks();
+    this.patches.add(() => {
+      if (this.checkInterval) this.clock.clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    });
 
     this.installed = true;
     this.log('installed successfully');
   }
 
+  startChecks() {
+    this.lastTick = null;
+    this.checkInterval = this.clock.setInterval(() => this.tick(), this.config.checkIntervalMs);
+  }
+
+  /**
+   * One round of the check loop - a tick that shows up late means the
+   * event loop was busy, that's the loop lag when nobody measures it for us
+   */
+  tick() {
+    const now = this.clock.now();
+    if (this.lastTick !== null) {
+      this.intervalLag = Math.max(0, now - this.lastTick - this.config.checkIntervalMs);
+    }
+    this.lastTick = now;
+    this.checkGlitchState();
+  }
+
+  /**
+   * Track stdin activity - install() does this for you on a tty, the
+   * wrapper and replays call it themselves
+   */
+  trackStdin() {
+    this.lastStdinTime = this.clock.now();
+    // The oldest keystroke still waiting on an answer is the one that counts
+    if (this.pendingInputSince === null) this.pendingInputSince = this.lastStdinTime;
+  }
+
+  /**
+   * Sort what came in on stdin into keystrokes and bracketed pastes - a paste
+   * isn't waiting on an echo per character, so it doesn't count as unanswered
+   * input (see paste-guard.cjs)
+   */
+  trackInput(data) {
+    for (const part of this.pasteParser.feed(data)) {
+      if (part.type === 'typed') this.trackStdin();
+      else this.trackPaste(part.data.length, part.done);
+    }
+  }
+
+  /**
+   * Track a paste, or a piece of one - done says it's the last piece
+   */
+  trackPaste(bytes = 0, done = true) {
+    this.lastPasteTime = this.clock.now();
+    this.metrics.pasteBytes += bytes;
+    if (done) this.metrics.pastes++;
+  }
+
+  /**
+   * A keystroke came back - the output engine calls this for echoes
+   */
+  trackEcho() {
+    this.pendingInputSince = null;
+  }
+
   /**
    * Track stdout write for activity monitoring
    * Call this from the stdout.write hook in index.cjs, it won't slow anything down
+   * Pass the chunk and identical frames get counted too
    */
-  trackStdout() {
-    this.lastStdoutTime = Date.now();
+  trackStdout(data) {
+    const now = this.clock.now();
+    this.lastStdoutTime = now;
+    // Something came back, so the input got through
+    this.pendingInputSince = null;
 
     // Track render times for rate limiting
-    const now = Date.now();
     this.renderTimes.push(now);
 
     // Keep only last minute of renders
     this.renderTimes = this.renderTimes.filter(t => now - t < 60000);
+
+    if (typeof data === 'string' && data.length >= MIN_FRAME_BYTES) {
+      if (data === this.lastFrame) this.repeatTimes.push(now);
+      this.lastFrame = data;
+    }
+    this.repeatTimes = this.repeatTimes.filter(t => now - t < REPEAT_WINDOW_MS);
+  }
+
+  /**
+   * Bytes waiting in stdout's write queue, for whoever's watching writes
+   * (the stdout hook and the wrapper). Without it we read stdout.writableLength
+   */
+  trackWriteQueue(bytes) {
+    this.writeQueue = bytes;
+  }
+
+  /**
+   * Event loop lag in ms from a proper measurement - the check loop's own
+   * drift still counts when it's worse
+   */
+  trackLoopLag(ms) {
+    this.loopLag = ms;
   }
 
   /**
    * Handle SIGWINCH (resize) events
    */
   onSigwinch() {
-    const now = Date.now();
+    const now = this.clock.now();
     const interval = now - this.lastSigwinchTime;
     this.lastSigwinchTime = now;
 
@@ -126,96 +308,135 @@ class GlitchDetector extends EventEmitter {
     }
 
     // Decay counter over time
-    setTimeout(() => {
+    this.clock.setTimeout(() => {
       if (this.sigwinchCount > 0) this.sigwinchCount--;
     }, 1000);
   }
 
   /**
-   * SIGNAL 1: Check for stdin silence during output activity
-   * This is the main glitch signal - if stdin's dead but stdout's busy, we're cooked
+   * SIGNAL: Input that's been waiting on an answer past stdinTimeoutMs
    */
-  checkStdinSilence() {
-    const now = Date.now();
-    const stdinSilence = now - this.lastStdinTime;
-    const outputActive = (now - this.lastStdoutTime) < 5000; // output in last 5s
-
-    // stdin's been quiet for 2+ sec while output's still going = we're glitched
-    if (stdinSilence > this.config.stdinTimeoutMs && outputActive) {
-      this.log('stdin silence detected:', stdinSilence, 'ms');
-      this.metrics.stdinSilenceEvents++;
-      return true;
-    }
-    return false;
+  checkUnechoedInput() {
+    return this.scoreSignals().unechoedInput.score >= 0.5;
   }
 
   /**
-   * SIGNAL 2: Check for SIGWINCH storm
+   * SIGNAL: Check for SIGWINCH storm
    */
   checkSigwinchStorm() {
-    const isStorm = this.sigwinchCount >= this.config.sigwinchStormCount;
-    if (isStorm) {
-      this.log('SIGWINCH storm detected, count:', this.sigwinchCount);
-      this.metrics.sigwinchStorms++;
-    }
-    return isStorm;
+    return this.sigwinchCount >= this.config.sigwinchStormCount;
   }
 
   /**
-   * SIGNAL 3: Check for render rate spike
+   * SIGNAL: Check for render rate spike
    */
   checkRenderSpike() {
-    const rendersPerMinute = this.renderTimes.length;
-    const isSpike = rendersPerMinute > this.config.renderRateLimit;
-    if (isSpike) {
-      this.log('render spike detected:', rendersPerMinute, '/min');
-      this.metrics.renderSpikes++;
-    }
-    return isSpike;
+    return this.isRenderSpike();
   }
 
   /**
-   * Main glitch detection - it combines all signals
-   * Uses 2-of-3 voting so we don't get false positives
+   * Over renderRateLimit in the last minute? For the output engine's frame limiter
    */
-  checkGlitchState() {
-    const stdinBlocked = this.checkStdinSilence();
-    const sigwinchStorm = this.checkSigwinchStorm();
-    const renderSpike = this.checkRenderSpike();
-
-    const signals = [stdinBlocked, sigwinchStorm, renderSpike];
-    const activeSignals = signals.filter(Boolean).length;
+  isRenderSpike() {
+    return this.renderTimes.length > this.config.renderRateLimit;
+  }
 
-    // 2 of 3 signals = we're definitely glitched
-    // OR stdin blocked alone (that's the most reliable one)
-    const glitched = activeSignals >= 2 || stdinBlocked;
+  /**
+   * Score every signal 0..1 - each one starts counting at half its limit
+   * (or at stdinTimeoutMs for input) and is sure once it's all the way there
+   */
+  scoreSignals() {
+    const now = this.clock.now();
+    const config = this.config;
+    const waiting = this.pendingInputSince === null ? 0 : now - this.pendingInputSince;
+    const queued = Math.max(this.writeQueue, (this.stdout && this.stdout.writableLength) || 0);
+    const lag = Math.max(this.loopLag, this.intervalLag);
+    const repeats = this.repeatTimes.filter(t => now - t < REPEAT_WINDOW_MS).length;
+    const renders = this.renderTimes.length;
+
+    const signal = (score, value, detail) => ({ score: round(score), value, detail });
+    return {
+      unechoedInput: signal(ramp(waiting, config.stdinTimeoutMs, config.stdinTimeoutMs * 2),
+        waiting, 'input unanswered for ' + waiting + 'ms'),
+      writeQueue: signal(ramp(queued, config.writeQueueBytes / 2, config.writeQueueBytes),
+        queued, queued + ' bytes queued'),
+      loopLag: signal(ramp(lag, config.loopLagMs / 2, config.loopLagMs),
+        lag, 'event loop ' + lag + 'ms late'),
+      repeatedFrames: signal(ramp(repeats, config.repeatedFrameCount / 2, config.repeatedFrameCount),
+        repeats, repeats + ' repeated frames in ' + REPEAT_WINDOW_MS / 1000 + 's'),
+      sigwinchStorm: signal(ramp(this.sigwinchCount, config.sigwinchStormCount / 2, config.sigwinchStormCount),
+        this.sigwinchCount, this.sigwinchCount + ' rapid resizes'),
+      renderSpike: signal(ramp(renders, config.renderRateLimit / 2, config.renderRateLimit),
+        renders, renders + ' renders/min')
+    };
+  }
 
-    if (glitched && !this.isGlitched) {
+  /**
+   * Main glitch detection - it adds up the weighted signal scores
+   * Goes glitched at glitchThreshold, only clears at resolveThreshold
+   */
+  checkGlitchState() {
+    const signals = this.scoreSignals();
+    const weights = this.config.signalWeights;
+    const scores = {};
+    const active = {};
+    let score = 0;
+
+    for (const name of SIGNALS) {
+      const weight = Number(weights[name]) || 0;
+      scores[name] = { ...signals[name], weight };
+      active[name] = signals[name].score >= 0.5;
+      score += weight * signals[name].score;
+    }
+    score = round(score);
+    this.lastScore = score;
+
+    // Count every check a signal was up, like a sample
+    if (active.unechoedInput) this.metrics.unechoedInputEvents++;
+    if (active.writeQueue) this.metrics.writeQueueBackups++;
+    if (active.loopLag) this.metrics.loopLagEvents++;
+    if (active.repeatedFrames) this.metrics.repeatedFrameEvents++;
+    if (active.sigwinchStorm) this.metrics.sigwinchStorms++;
+    if (active.renderSpike) this.metrics.renderSpikes++;
+
+    if (!this.isGlitched && score >= this.config.glitchThreshold) {
       this.isGlitched = true;
-      this.glitchStartTime = Date.now();
+      this.glitchStartTime = this.clock.now();
       this.metrics.glitchesDetected++;
 
-      this.log('GLITCH DETECTED!', {
-        stdinBlocked,
-        sigwinchStorm,
-        renderSpike
-      });
+      const explanation = this.explain(score, scores);
+      this.log('GLITCH DETECTED!', explanation);
 
       this.emit('glitch-detected', {
-        timestamp: Date.now(),
-        signals: { stdinBlocked, sigwinchStorm, renderSpike },
+        timestamp: this.clock.now(),
+        score,
+        threshold: this.config.glitchThreshold,
+        signals: active,
+        scores,
+        explanation,
         metrics: { ...this.metrics }
       });
-    } else if (!glitched && this.isGlitched) {
-      const duration = Date.now() - this.glitchStartTime;
-      this.log('glitch resolved after', duration, 'ms');
+    } else if (this.isGlitched && score <= this.config.resolveThreshold) {
+      const duration = this.clock.now() - this.glitchStartTime;
+      this.log('glitch resolved after', duration, 'ms, score', score);
       this.isGlitched = false;
       this.glitchStartTime = null;
 
-      this.emit('glitch-resolved', { duration });
+      this.emit('glitch-resolved', { duration, score });
     }
 
-    return glitched;
+    return this.isGlitched;
+  }
+
+  /**
+   * One line on why - the total, then whatever contributed, biggest first
+   */
+  explain(score, scores) {
+    const parts = SIGNALS
+      .filter(name => scores[name].score > 0 && scores[name].weight > 0)
+      .sort((a, b) => scores[b].score * scores[b].weight - scores[a].score * scores[a].weight)
+      .map(name => name + ' ' + round(scores[name].score * scores[name].weight) + ' (' + scores[name].detail + ')');
+    return 'score ' + score + ' >= ' + this.config.glitchThreshold + ' - ' + (parts.join(', ') || 'no signals');
   }
 
   /**
@@ -230,79 +451,127 @@ class GlitchDetector extends EventEmitter {
    */
   getGlitchDuration() {
     if (!this.isGlitched || !this.glitchStartTime) return 0;
-    return Date.now() - this.glitchStartTime;
+    return this.clock.now() - this.glitchStartTime;
   }
 
   /**
-   * Force recovery attempt - it'll try screen commands and scrollback clears
+   * Hand over ways to poke the terminal for recovery strategies:
+   *   hooks.sendInput(data) - type into the target (the wrapper's pty)
+   *   hooks.resize()        - make the target re-render like on SIGWINCH
    */
-  async attemptRecovery() {
-    if (!this.isGlitched) return false;
+  setRecoveryHooks(hooks) {
+    Object.assign(this.hooks, hooks);
+  }
+
+  /**
+   * Add a recovery strategy from code - see recovery.cjs for the shape
+   * It only runs if its name is in recoveryOrder
+   */
+  addStrategy(strategy) {
+    this.strategies.push(checkStrategy(strategy, 'addStrategy'));
+    return this;
+  }
+
+  /**
+   * Force recovery attempt - walks recoveryOrder and stops at the first
+   * strategy whose check says we're good. Strategies that can't run here
+   * get skipped, ones that throw or don't help move on to the next
+   * Pass { force: true } to run it even when we don't think we're glitched
+   */
+  async attemptRecovery(options = {}) {
+    if (!this.isGlitched && !options.force) return false;
 
     this.log('attempting recovery...');
     this.metrics.recoveriesAttempted++;
 
     this.emit('recovery-started');
 
+    let registry;
     try {
-      // Method 1: Send Enter via screen (if we've got a session)
-      const screenSession = process.env.STY || process.env.SPECMEM_SCREEN_SESSION;
-      if (screenSession) {
-        this.log('sending Enter via screen session:', screenSession);
-        execSync(`screen -S "${screenSession}" -X stuff $'\\r'`, {
-          stdio: 'ignore',
-          timeout: 5000
-        });
-
-        await this.sleep(this.config.recoveryDelayMs);
-
-        // Check if recovered
-        if (!this.checkGlitchState()) {
-          this.log('recovery successful via screen');
-          this.emit('recovery-success', { method: 'screen' });
-          return true;
-        }
-      }
+      registry = buildRegistry(this.config.recoveryModules, this.strategies);
+    } catch (err) {
+      // A broken user module - say so, recovery can't run without knowing the order
+      this.log('recovery error:', err.message);
+      this.emit('recovery-error', { error: err });
+      return false;
+    }
 
-      // Method 2: Force scrollback clear
-      this.log('forcing scrollback clear');
-      if (process.stdout.isTTY) {
-        process.stdout.write('\x1b[3J'); // CLEAR_SCROLLBACK
+    const ctx = {
+      detector: this,
+      env: this.env,
+      write: this.write,
+      hooks: this.hooks,
+      execFile: this.execFile,
+      terminal: this.terminal,
+      clock: this.clock,
+      log: (...args) => this.log(...args)
+    };
+    const tried = [];
+
+    for (const name of this.config.recoveryOrder) {
+      const strategy = registry.get(name);
+      if (!strategy) {
+        this.log('unknown recovery strategy:', name);
+        continue;
+      }
+      if (strategy.available && !strategy.available(ctx)) continue;
+
+      const attempt = { method: name, startedAt: this.clock.now() };
+      tried.push(name);
+      this.log('trying recovery via', name);
+      this.emit('recovery-attempt', { method: name });
+
+      try {
+        await strategy.run(ctx);
+      } catch (err) {
+        this.log('recovery via', name, 'failed:', err.message);
+        this.emit('recovery-attempt-failed', { method: name, error: err });
+        continue;
       }
 
       await this.sleep(this.config.recoveryDelayMs);
 
-      if (!this.checkGlitchState()) {
-        this.log('recovery successful via scrollback clear');
-        this.emit('recovery-success', { method: 'scrollback-clear' });
+      let recovered;
+      try {
+        recovered = strategy.check ? strategy.check(ctx, attempt) : !this.checkGlitchState();
+      } catch (err) {
+        this.log('recovery check for', name, 'threw:', err.message);
+        recovered = false;
+      }
+      if (recovered) {
+        this.log('recovery successful via', name);
+        this.emit('recovery-success', { method: name, tried });
         return true;
       }
-
-      this.log('recovery failed');
-      this.emit('recovery-failed');
-      return false;
-
-    } catch (err) {
-      this.log('recovery error:', err.message);
-      this.emit('recovery-error', { error: err });
-      return false;
+      this.emit('recovery-attempt-failed', { method: name });
     }
+
+    this.log('recovery failed');
+    this.emit('recovery-failed', { tried });
+    return false;
   }
 
   sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    return new Promise(resolve => this.clock.setTimeout(resolve, ms));
   }
 
   /**
    * Reset all state (call after recovery)
    */
   reset() {
-    this.lastStdinTime = Date.now();
-    this.lastStdoutTime = Date.now();
+    this.lastStdinTime = this.clock.now();
+    this.lastStdoutTime = this.clock.now();
     this.sigwinchCount = 0;
     this.renderTimes = [];
+    this.pendingInputSince = null;
+    this.writeQueue = 0;
+    this.loopLag = 0;
+    this.intervalLag = 0;
+    this.lastFrame = null;
+    this.repeatTimes = [];
     this.isGlitched = false;
     this.glitchStartTime = null;
+    this.lastScore = 0;
     this.log('state reset');
   }
 
@@ -314,32 +583,70 @@ class GlitchDetector extends EventEmitter {
       ...this.metrics,
       isGlitched: this.isGlitched,
       glitchDuration: this.getGlitchDuration(),
+      score: this.lastScore,
       renderRate: this.renderTimes.length,
       sigwinchRate: this.sigwinchCount,
-      lastStdinAgo: Date.now() - this.lastStdinTime,
-      lastStdoutAgo: Date.now() - this.lastStdoutTime
+      pendingInputAgo: this.pendingInputSince === null ? null : this.clock.now() - this.pendingInputSince,
+      lastStdinAgo: this.clock.now() - this.lastStdinTime,
+      lastPasteAgo: this.lastPasteTime === null ? null : this.clock.now() - this.lastPasteTime,
+      lastStdoutAgo: this.clock.now() - this.lastStdoutTime
     };
   }
 
   /**
-   * Disable the detector
+   * Update config on a running detector - restarts the check loop if the
+   * interval changed
    */
-  disable() {
+  setConfig(changes) {
+    const oldInterval = this.config.checkIntervalMs;
+    Object.assign(this.config, changes);
+    if (changes.signalWeights) {
+      this.config.signalWeights = { ...DEFAULT_CONFIG.signalWeights, ...changes.signalWeights };
+    }
+
+    if (this.checkInterval && this.config.checkIntervalMs !== oldInterval) {
+      this.clock.clearInterval(this.checkInterval);
+      this.startChecks();
+    }
+    this.log('config updated:', JSON.stringify(changes));
+  }
+
+  /**
+   * Undo everything install() hooked, newest first - the check loop, the
+   * SIGWINCH wrappers and the stdin listener. install() works again after
+   */
+  uninstall() {
+    if (this.patches) {
+      this.patches.restore().forEach(err => this.log('uninstall:', err.message));
+      this.patches = null;
+    }
     if (this.checkInterval) {
-      clearInterval(this.checkInterval);
+      this.clock.clearInterval(this.checkInterval);
       this.checkInterval = null;
     }
+    this.stdout = null;
     this.installed = false;
-    this.log('disabled');
+    this.log('uninstalled');
+  }
+
+  /**
+   * Disable the detector - same as uninstall()
+   */
+  disable() {
+    this.uninstall();
   }
 }
 
 // Singleton instance
 let instance = null;
 
+/**
+ * Get the shared detector - without a config it reads the rc files and
+ * CLAUDE_GLITCH_DETECTOR_* env vars itself
+ */
 function getDetector(config) {
   if (!instance) {
-    instance = new GlitchDetector(config);
+    instance = new GlitchDetector(config || loadConfig({ strict: false }).config.detector);
   }
   return instance;
 }
@@ -347,5 +654,6 @@ function getDetector(config) {
 module.exports = {
   GlitchDetector,
   getDetector,
-  DEFAULT_CONFIG
+  DEFAULT_CONFIG,
+  SIGNALS
 };
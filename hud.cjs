@@ -0,0 +1,352 @@
+'use strict';
+
+/**
+ * hud - a status line, so you can see what the fix is up to without debug
+ * output scribbling over claude
+ *
+ *   fix on | 14/s | clear in 42s | ok 0.05 | recovered: redraw
+ *
+ * renders a second, time to the next periodic clear, the glitch detector's
+ * state and score, and how the last recovery went. config.hud says where:
+ *
+ *   row   - the bottom row. the child gets a row less and a scroll region
+ *           keeps its output off ours
+ *   title - the terminal's title (OSC 2), the old one comes back after
+ *   off   - nowhere, the hotkey goes to claude like any other key
+ *
+ * config.hudKey (ctrl-] unless you say otherwise) shows and hides it. the
+ * wrapper owns the terminal, so this only works there, not in the --require hook
+ *
+ * the row gets drawn between a cursor save and restore. the terminal only
+ * has the one saved cursor though, so while the child has one saved our row
+ * writes wait for it to be done. and nothing of ours - row or title - goes
+ * out while a child's write has stopped halfway through a sequence
+ */
+
+const { AnsiTokenizer } = require('./ansi-parser.cjs');
+const { systemClock } = require('./clock.cjs');
+
+const MODES = ['off', 'row', 'title'];
+
+// screen switches - they knock out the scroll region
+const ALT_SCREEN = [1049, 1047, 47];
+
+const TITLE_PUSH = '\x1b[22;2t';
+const TITLE_POP = '\x1b[23;2t';
+
+/**
+ * 'ctrl-]' -> '\x1d', null if it isn't a ctrl key we know
+ */
+function parseKey(name) {
+  const m = /^ctrl-(.)$/i.exec(String(name));
+  if (!m) return null;
+  const ch = m[1].toUpperCase();
+  const code = ch.charCodeAt(0);
+  if (code < 0x40 || code > 0x5f) return null;
+  return String.fromCharCode(code ^ 0x40);
+}
+
+/**
+ * config check for hudKey
+ */
+function checkKey(name) {
+  return parseKey(name) ? null : 'hudKey should look like ctrl-], got ' + JSON.stringify(name);
+}
+
+function seconds(ms) {
+  return ms >= 60000 ? Math.round(ms / 60000) + 'm' : Math.ceil(ms / 1000) + 's';
+}
+
+class Hud {
+  /**
+   * options.config   - live config: hud, hudKey, hudIntervalMs, periodicClearMs
+   * options.engine   - the OutputEngine, for clears, pause and the escape profile
+   * options.detector - glitch detector, optional
+   * options.write    - straight to the terminal - past the engine and the differ
+   * options.resize   - (columns, rows) the child should be now, when our row
+   *                    comes or goes
+   * options.columns, options.rows - the terminal's size
+   * options.clock
+   * options.log
+   */
+  constructor(options = {}) {
+    this.config = options.config || {};
+    this.engine = options.engine;
+    this.detector = options.detector || null;
+    this.write = options.write;
+    this.resizeChild = options.resize || (() => {});
+    this.columns = options.columns || 80;
+    this.rows = options.rows || 24;
+    this.clock = options.clock || systemClock;
+    this.log = options.log || (() => {});
+
+    this.visible = true;
+    this.mode = 'off';          // where it's drawn right now
+    this.timer = null;
+    this.chunks = 0;            // output since the last tick
+    this.lastTick = this.clock.now();
+    this.rate = 0;
+    this.recovery = null;       // { method, ok }
+    this.listeners = [];
+    this.tokenizer = new AnsiTokenizer();
+    this.childSaved = false;    // the child's got a cursor saved, it's not ours to touch
+    this.held = [];             // { kind, seq, cursor } waiting for that to be over
+
+    this.onOutput = () => this.chunks++;
+    if (this.engine) this.engine.on('output', this.onOutput);
+    if (this.detector && typeof this.detector.on === 'function') {
+      const on = (type, fn) => {
+        this.detector.on(type, fn);
+        this.listeners.push([type, fn]);
+      };
+      on('recovery-success', ({ method }) => { this.recovery = { method, ok: true }; });
+      on('recovery-failed', () => { this.recovery = { method: null, ok: false }; });
+    }
+  }
+
+  /**
+   * rows the child gets - one less while we've got the bottom one
+   */
+  childRows() {
+    return this.mode === 'row' ? Math.max(this.rows - 1, 1) : this.rows;
+  }
+
+  // where we should be drawn, going by config and the hotkey
+  wanted() {
+    const mode = MODES.includes(this.config.hud) ? this.config.hud : 'off';
+    // one row is all the child would have left
+    if (mode === 'row' && this.rows < 3) return 'off';
+    return this.visible ? mode : 'off';
+  }
+
+  /**
+   * catch up with config.hud / hudIntervalMs and the hotkey - call it after a
+   * config change. the child gets resized when our row comes or goes, unless
+   * resizeChild is false
+   */
+  update(resizeChild = true) {
+    const next = this.wanted();
+    if (next !== this.mode) {
+      const prev = this.mode;
+      this.leave(prev);
+      this.mode = next;
+      this.enter(next);
+      if (resizeChild && (prev === 'row' || next === 'row')) this.resizeChild(this.columns, this.childRows());
+      this.log('hud ' + (next === 'off' ? 'hidden' : 'in the ' + next));
+    }
+
+    if (this.timer) this.clock.clearInterval(this.timer);
+    this.timer = null;
+    if (this.mode !== 'off') {
+      this.timer = this.clock.setInterval(() => this.tick(), Math.max(this.config.hudIntervalMs, 100));
+      this.draw();
+    }
+  }
+
+  enter(mode) {
+    if (mode === 'title') {
+      this.out('enter', TITLE_PUSH, false, false);
+    } else if (mode === 'row') {
+      // make room - at the bottom a newline scrolls everything up one, then
+      // back up to the line we were on
+      this.out('enter', '\n\x1b[A', false, false);
+      this.setRegion();
+    }
+  }
+
+  leave(mode, force = false) {
+    if (mode === 'title') {
+      this.out('leave', TITLE_POP, force, false);
+    } else if (mode === 'row') {
+      this.out('leave', '\x1b[r\x1b[' + this.rows + ';1H\x1b[2K', force);
+    }
+  }
+
+  terminal() {
+    return this.engine && this.engine.terminal ? this.engine.terminal : { saveCursor: '\x1b7', restoreCursor: '\x1b8' };
+  }
+
+  // keep the child's output above our row. setting it homes the cursor, so
+  // it goes back where it was
+  setRegion() {
+    this.out('region', '\x1b[1;' + this.childRows() + 'r');
+  }
+
+  /**
+   * write seq - between a cursor save and restore if cursor is set - or hold
+   * it till the child's done with its sequence or its saved cursor. a newer
+   * one of the same kind replaces it. force is for when the child's gone
+   */
+  out(kind, seq, force = false, cursor = true) {
+    this.held = this.held.filter(h => h.kind !== kind);
+    if (kind === 'leave') {
+      // never got on screen, so there's nothing to take off
+      const shown = !this.held.some(h => h.kind === 'enter');
+      this.held = [];
+      if (!shown) return;
+    }
+    this.held.push({ kind, seq, cursor });
+    this.release(force);
+  }
+
+  release(force = false) {
+    if (this.tokenizer.pending && !force) return;
+    const ready = force || !this.childSaved ? this.held : this.held.filter(h => !h.cursor);
+    if (!ready.length) return;
+    this.held = this.held.filter(h => !ready.includes(h));
+    const { saveCursor, restoreCursor } = this.terminal();
+    const bare = ready.filter(h => !h.cursor).map(h => h.seq).join('');
+    const saved = ready.filter(h => h.cursor).map(h => h.seq).join('');
+    this.write(bare + (saved ? saveCursor + saved + restoreCursor : ''));
+  }
+
+  tick() {
+    const now = this.clock.now();
+    const elapsed = now - this.lastTick;
+    this.rate = elapsed > 0 ? Math.round(this.chunks * 1000 / elapsed) : 0;
+    this.chunks = 0;
+    this.lastTick = now;
+    this.draw();
+  }
+
+  /**
+   * the status text
+   */
+  line() {
+    const config = this.config;
+    const engine = this.engine;
+    const parts = [];
+    if (config.disabled) parts.push('fix off');
+    else if (engine && engine.paused) parts.push('fix paused');
+    else parts.push('fix on');
+
+    parts.push(this.rate + '/s');
+
+    const next = engine ? engine.nextPeriodicClear() : null;
+    parts.push(next === null ? 'no periodic clear' : 'clear in ' + seconds(next));
+
+    const detector = this.detector;
+    if (detector) {
+      parts.push((detector.isGlitched ? 'GLITCH ' : 'ok ') + detector.lastScore.toFixed(2));
+    }
+    if (this.recovery) {
+      parts.push(this.recovery.ok ? 'recovered: ' + this.recovery.method : 'recovery failed');
+    }
+    return parts.join(' | ');
+  }
+
+  draw() {
+    if (this.mode === 'title') {
+      this.out('draw', '\x1b]2;' + this.line() + '\x07', false, false);
+    } else if (this.mode === 'row') {
+      // short of the last column, some terminals scroll when it's written
+      const width = Math.max(this.columns - 1, 1);
+      const text = (' ' + this.line()).slice(0, width).padEnd(width);
+      this.out('draw', '\x1b[' + this.rows + ';1H\x1b[2K\x1b[7m' + text + '\x1b[0m');
+    }
+  }
+
+  /**
+   * something went to the terminal - if it could've undone the scroll region
+   * or wiped our row, put them back. call it with what actually got written,
+   * after the differ, so we know when the child's saved cursor is in use
+   */
+  wrote(data) {
+    if (typeof data !== 'string') data = String(data);
+    let regionReset = false;
+    let erased = false;
+    for (const ev of this.tokenizer.feed(data)) {
+      const csi = ev.type === 'csi' && !ev.intermediates;
+      if (ev.type === 'esc' && !ev.intermediates && (ev.final === '7' || ev.final === '8')) {
+        this.childSaved = ev.final === '7';
+      } else if (ev.type === 'esc' && !ev.intermediates && ev.final === 'c') {
+        regionReset = true;
+      } else if (csi && !ev.prefix && (ev.final === 's' || ev.final === 'u')) {
+        if (ev.final === 'u' || ev.params.length === 0) this.childSaved = ev.final === 's';
+      } else if (csi && !ev.prefix && ev.final === 'r') {
+        regionReset = true;
+      } else if (csi && !ev.prefix && ev.final === 'J') {
+        erased = true;
+      } else if (csi && ev.prefix === '?' && (ev.final === 'h' || ev.final === 'l') &&
+          ev.params.some(p => ALT_SCREEN.includes(p))) {
+        regionReset = true;
+        // 1049 saves and restores with the same slot
+        if (ev.params.includes(1049)) this.childSaved = ev.final === 'h';
+      }
+    }
+    if (this.mode === 'row' && regionReset) {
+      this.setRegion();
+      this.draw();
+    } else if (this.mode === 'row' && erased) {
+      this.draw();
+    }
+    this.release();
+  }
+
+  /**
+   * the terminal changed size - terminals drop the scroll region when that
+   * happens. returns the rows the child should get, resizing it is up to you
+   */
+  resize(columns, rows) {
+    this.columns = columns || this.columns;
+    this.rows = rows || this.rows;
+    const before = this.mode;
+    this.update(false);
+    if (this.mode === 'row' && before === 'row') {
+      this.setRegion();
+      this.draw();
+    }
+    return this.childRows();
+  }
+
+  toggle() {
+    this.visible = !this.visible;
+    this.update();
+  }
+
+  /**
+   * take hotkey presses out of stdin data, toggling for each. hands back
+   * what's left for the child
+   */
+  hotkey(data) {
+    if (this.config.hud === 'off' || !MODES.includes(this.config.hud)) return data;
+    const key = parseKey(this.config.hudKey);
+    if (!key || !data.includes(key)) return data;
+
+    let presses = 0;
+    let rest;
+    if (typeof data === 'string') {
+      presses = data.split(key).length - 1;
+      rest = data.split(key).join('');
+    } else {
+      // a control byte never turns up inside a utf-8 character
+      const code = key.charCodeAt(0);
+      const bytes = Array.from(data);
+      presses = bytes.filter(b => b === code).length;
+      rest = Buffer.from(bytes.filter(b => b !== code));
+    }
+    for (let i = 0; i < presses; i++) this.toggle();
+    return rest;
+  }
+
+  /**
+   * take everything down, for when we're exiting - the child's gone, so it
+   * doesn't get resized
+   */
+  stop() {
+    if (this.timer) this.clock.clearInterval(this.timer);
+    this.timer = null;
+    this.leave(this.mode, true);
+    this.mode = 'off';
+    if (this.engine) this.engine.removeListener('output', this.onOutput);
+    this.listeners.forEach(([type, fn]) => this.detector.removeListener(type, fn));
+    this.listeners = [];
+  }
+}
+
+module.exports = {
+  Hud,
+  parseKey,
+  checkKey,
+  MODES
+};
@@ -24,11 +24,27 @@
  *   - can force send enter key to break out of frozen state
  */
 
-const CLEAR_SCROLLBACK = '\x1b[3J';
-const CURSOR_SAVE = '\x1b[s';
-const CURSOR_RESTORE = '\x1b[u';
-const CLEAR_SCREEN = '\x1b[2J';
-const HOME_CURSOR = '\x1b[H';
+const {
+  OutputEngine,
+  CLEAR_SCROLLBACK
+} = require('./output-engine.cjs');
+
+const { loadConfig } = require('./config.cjs');
+const { systemClock } = require('./clock.cjs');
+const { createMetrics } = require('./metrics.cjs');
+const { createMultiplexer, attachMultiplexer, resizeDebounceMs } = require('./multiplexer.cjs');
+const { resolveTerminal, readTerminfo } = require('./terminal.cjs');
+const { LoadMonitor } = require('./load-monitor.cjs');
+const { PatchSet } = require('./patches.cjs');
+const { debounceEvent } = require('./resize-debounce.cjs');
+const { detectVersion } = require('./session-events.cjs');
+
+// config - defaults < ~/.claudescreenfixrc < project .claudescreenfixrc < env vars
+// see config.cjs for every key. we're running inside claude so a bad rc file
+// shouldn't kill it - bad entries get skipped and we say so on stderr
+const loaded = loadConfig({ strict: false });
+loaded.problems.forEach(p => process.stderr.write('[terminal-fix] config: ' + p + '\n'));
+const { detector: detectorConfig, ...config } = loaded.config;
 
 // Try to load glitch detector (optional dependency)
 let GlitchDetector = null;
@@ -36,34 +52,22 @@ let glitchDetector = null;
 try {
   const detector = require('./glitch-detector.cjs');
   GlitchDetector = detector.GlitchDetector;
-  glitchDetector = detector.getDetector();
+  glitchDetector = detector.getDetector(detectorConfig);
 } catch (e) {
   // Glitch detector not available, continue without it
 }
 
-// config - tweak these if needed
-const config = {
-  resizeDebounceMs: 150,        // how long to wait before firing resize
-  periodicClearMs: 60000,       // clear scrollback every 60s
-  clearAfterRenders: 500,       // or after 500 render cycles
-  typingCooldownMs: 500,        // wait this long after typing to clear
-  maxLineCount: 120,            // NEW: max terminal lines before forced trim
-  glitchRecoveryEnabled: true,  // NEW: enable automatic glitch recovery
-  debug: process.env.CLAUDE_TERMINAL_FIX_DEBUG === '1',
-  disabled: process.env.CLAUDE_TERMINAL_FIX_DISABLED === '1'
-};
-
 // state tracking
-let renderCount = 0;
 let lastResizeTime = 0;
-let resizeTimeout = null;
+let resizeDebounces = [];         // SIGWINCH + stdout resize, see resize-debounce.cjs
 let originalWrite = null;
 let installed = false;
-let lastTypingTime = 0;           // track when user last typed
-let pendingClear = false;         // defer clear if typing active
-let clearIntervalId = null;
-let lineCount = 0;                // NEW: track output line count for 120-line limit
-let glitchRecoveryInProgress = false;  // NEW: prevent recovery loops
+let engine = null;                // shared output engine, see output-engine.cjs
+let target = null;                // the process we hooked, see install()
+let exporter = null;              // metrics exporter when metricsFile/metricsPort are set
+let mux = null;                   // tmux/screen we're running under, see multiplexer.cjs
+let load = null;                  // stdout backpressure + event loop delay, see load-monitor.cjs
+let patches = null;               // everything install() hooked, undone by uninstall()
 
 function log(...args) {
   if (config.debug) {
@@ -71,243 +75,216 @@ function log(...args) {
   }
 }
 
-/**
- * check if user's actively typing (within cooldown window)
- */
-function isTypingActive() {
-  return (Date.now() - lastTypingTime) < config.typingCooldownMs;
-}
-
-/**
- * detect if this looks like a stdin echo (single printable char or short sequence)
- * stdin echoes are typically: single chars, backspace seqs, arrow key echoes
- * we don't wanna mess with these or typing gets wonky
- */
-function isStdinEcho(chunk) {
-  // single printable character (including space)
-  if (chunk.length === 1 && chunk.charCodeAt(0) >= 32 && chunk.charCodeAt(0) <= 126) {
-    return true;
-  }
-  // backspace/delete echo (usually 1-3 chars with control codes)
-  if (chunk.length <= 4 && (chunk.includes('\b') || chunk.includes('\x7f'))) {
-    return true;
-  }
-  // arrow key echo or cursor movement (short escape sequences)
-  if (chunk.length <= 6 && chunk.startsWith('\x1b[') && !chunk.includes('J') && !chunk.includes('H')) {
-    return true;
-  }
-  // enter/newline
-  if (chunk === '\n' || chunk === '\r' || chunk === '\r\n') {
-    return true;
-  }
-  return false;
-}
-
-/**
- * safe clear - defers if typing's active so we don't eat keystrokes
- */
-function safeClearScrollback() {
-  if (isTypingActive()) {
-    if (!pendingClear) {
-      pendingClear = true;
-      log('deferring clear - typing active');
-      setTimeout(() => {
-        pendingClear = false;
-        if (!isTypingActive()) {
-          safeClearScrollback();
-        }
-      }, config.typingCooldownMs);
-    }
-    return;
-  }
-
-  if (originalWrite && process.stdout.isTTY) {
-    // use setImmediate to not block the event loop
-    setImmediate(() => {
-      log('executing deferred scrollback clear');
-      originalWrite(CURSOR_SAVE + CLEAR_SCROLLBACK + CURSOR_RESTORE);
-    });
-  }
-}
-
 /**
  * installs the fix - hooks into stdout and sigwinch
- * call this once at startup, calling again won't do anything
+ * call this once at startup, calling again won't do anything till you
+ * uninstall() (or use reinstall())
+ *
+ * options are for tests - hand it a fake process and clock:
+ *   options.process - what to hook (default: the real process)
+ *   options.stdout  - default: options.process.stdout
+ *   options.stdin   - default: options.process.stdin
+ *   options.clock   - see clock.cjs
+ *   options.execFile - how tmux/screen get run
+ *   options.main    - the script we're preloaded into, for its version
+ *                     (default: options.process.argv[1])
  */
-function install() {
+function install(options = {}) {
   if (installed || config.disabled) {
     if (config.disabled) log('disabled via env var');
     return;
   }
 
-  originalWrite = process.stdout.write.bind(process.stdout);
+  const proc = options.process || process;
+  const stdout = options.stdout || proc.stdout;
+  const stdin = options.stdin || proc.stdin;
+  const clock = options.clock || systemClock;
+  target = { process: proc, stdout, clock };
+  patches = new PatchSet();
+
+  originalWrite = stdout.write.bind(stdout);
+
+  // count what stdout can't keep up with, and how late the loop is running
+  load = new LoadMonitor({ stream: stdout, config, detector: glitchDetector, clock, log });
+  const trackedWrite = load.wrap(originalWrite);
+
+  // which clear and cursor save/restore this terminal wants, see terminal.cjs
+  const terminal = resolveTerminal(config, { env: proc.env });
+  log('terminal profile ' + terminal.name + ' (from ' + terminal.source + ')');
+
+  // which session matchers apply, see session-events.cjs
+  const targetVersion = config.targetVersion || detectVersion(options.main || (proc.argv && proc.argv[1]));
+  log('target version ' + (targetVersion || 'unknown, trying every matcher'));
+
+  engine = new OutputEngine({
+    config,
+    write: trackedWrite,
+    detector: glitchDetector,
+    isTTY: stdout.isTTY,
+    columns: stdout.columns,
+    rows: stdout.rows,
+    log,
+    clock,
+    terminal,
+    targetVersion
+  });
+
+  // config.plugins, see plugins.cjs - torn down with everything else
+  engine.plugins.load(config.plugins);
+  patches.add(() => engine.plugins.close());
+
+  // under tmux/screen their history needs clearing too, not just the terminal's
+  mux = createMultiplexer(config, { env: proc.env, execFile: options.execFile, log });
+  if (mux) {
+    attachMultiplexer(mux, engine, config);
+    log('running under ' + mux.type);
+  }
+
+  // keep the screen model's idea of the terminal size honest
+  if (stdout.isTTY) {
+    patches.listen(stdout, 'resize', () => {
+      engine.resize(stdout.columns, stdout.rows);
+    });
+  }
 
-  // track stdin to know when user is typing
-  if (process.stdin.isTTY) {
-    process.stdin.on('data', () => {
-      lastTypingTime = Date.now();
+  // track stdin to know when user is typing - pastes don't count
+  if (stdin.isTTY) {
+    patches.listen(stdin, 'data', (data) => {
+      engine.noteInput(data);
+      engine.plugins.stdin(data);
     });
   }
 
   // hook stdout.write - this is where the magic happens
-  process.stdout.write = function(chunk, encoding, callback) {
-    // CRITICAL FIX: pass stdin echoes through unmodified
-    // this prevents the typing issue where keystrokes get lost
+  // every string chunk goes through the engine's rule pipeline
+  patches.replace(stdout, 'write', function(chunk, encoding, callback) {
     if (typeof chunk === 'string') {
-      // check if this is a stdin echo - if so, pass through immediately
-      if (isStdinEcho(chunk)) {
-        lastTypingTime = Date.now();  // update typing time
-        return originalWrite(chunk, encoding, callback);
-      }
-
-      renderCount++;
-
-      // track output for glitch detection
-      if (glitchDetector) {
-        glitchDetector.trackStdout();
-      }
-
-      // count lines so we can cap at 120
-      const newlineCount = (chunk.match(/\n/g) || []).length;
-      lineCount += newlineCount;
-
-      // hit the limit? force a trim
-      if (lineCount > config.maxLineCount) {
-        log('line limit exceeded (' + lineCount + '/' + config.maxLineCount + '), forcing trim');
-        lineCount = 0;
-        chunk = CURSOR_SAVE + CLEAR_SCROLLBACK + CURSOR_RESTORE + chunk;
-      }
-
-      // ink clears screen before re-render, we piggyback on that
-      // but only if not actively typing
-      if (chunk.includes(CLEAR_SCREEN) || chunk.includes(HOME_CURSOR)) {
-        lineCount = 0;  // Reset line count on screen clear
-        if (config.clearAfterRenders > 0 && renderCount >= config.clearAfterRenders) {
-          if (!isTypingActive()) {
-            log('clearing scrollback after ' + renderCount + ' renders');
-            renderCount = 0;
-            chunk = CLEAR_SCROLLBACK + chunk;
-          } else {
-            log('skipping render-based clear - typing active');
-          }
-        }
-      }
-
-      // /clear should actually clear everything (it's user-requested so do it now)
-      if (chunk.includes('Conversation cleared') || chunk.includes('Chat cleared')) {
-        log('/clear detected, nuking scrollback');
-        lineCount = 0;
-        chunk = CLEAR_SCROLLBACK + chunk;
-      }
-
-      // glitched? try to recover
-      if (glitchDetector && config.glitchRecoveryEnabled && !glitchRecoveryInProgress) {
-        if (glitchDetector.isInGlitchState()) {
-          glitchRecoveryInProgress = true;
-          log('GLITCH DETECTED - initiating recovery');
-
-          // Force clear scrollback immediately
-          chunk = CURSOR_SAVE + CLEAR_SCROLLBACK + CURSOR_RESTORE + chunk;
-          lineCount = 0;
-          renderCount = 0;
-
-          // Attempt full recovery asynchronously
-          setImmediate(async () => {
-            try {
-              await glitchDetector.attemptRecovery();
-            } catch (e) {
-              log('recovery error:', e.message);
-            }
-            glitchRecoveryInProgress = false;
-          });
-        }
-      }
+      chunk = engine.process(chunk);
     }
-
-    return originalWrite(chunk, encoding, callback);
-  };
+    return trackedWrite(chunk, encoding, callback);
+  });
 
   // debounce resize events - tmux users know the pain
-  installResizeDebounce();
+  installResizeDebounce(proc, stdout, clock);
 
   // periodic cleanup so long sessions dont get cooked
-  // uses safeClearScrollback which respects typing activity
-  if (config.periodicClearMs > 0) {
-    clearIntervalId = setInterval(() => {
-      log('periodic clear check');
-      safeClearScrollback();
-    }, config.periodicClearMs);
-  }
+  engine.startPeriodicClear();
+  patches.add(() => engine.stopPeriodicClear());
+  load.start();
+  patches.add(() => load.stop());
+
+  // whatever's left on screen when claude quits goes in the archive too,
+  // once everything we were holding is out
+  patches.listen(proc, 'exit', () => {
+    flushOutput();
+    engine.archiveScrollback('exit');
+  });
 
   // hook up the glitch detector
   if (glitchDetector) {
-    glitchDetector.install();
+    glitchDetector.install({ process: proc, stdin, stdout, clock });
+    patches.add(() => glitchDetector.uninstall());
+    glitchDetector.terminal = terminal;
+
+    // we're inside claude - a 'resize' on stdout is what makes ink redraw
+    glitchDetector.setRecoveryHooks({
+      resize: () => { stdout.emit('resize'); }
+    });
 
     // Listen for glitch events
-    glitchDetector.on('glitch-detected', (data) => {
+    patches.listen(glitchDetector, 'glitch-detected', (data) => {
       log('GLITCH EVENT:', JSON.stringify(data.signals));
     });
 
-    glitchDetector.on('recovery-success', (data) => {
+    patches.listen(glitchDetector, 'recovery-success', (data) => {
       log('recovery successful via', data.method);
     });
 
-    glitchDetector.on('recovery-failed', () => {
+    patches.listen(glitchDetector, 'recovery-failed', () => {
       log('recovery failed - may need manual intervention');
     });
 
     log('glitch detector installed');
   }
 
+  // a TERM we don't know - ask terminfo without holding claude up, and
+  // switch over if it's got something better
+  if (terminal.source === 'default' && proc.env && proc.env.TERM) {
+    const current = engine;
+    readTerminfo(proc.env.TERM).then(() => {
+      if (engine !== current) return;
+      const better = resolveTerminal(config, { env: proc.env });
+      if (better.source !== 'terminfo') return;
+      engine.setTerminal(better);
+      if (glitchDetector) glitchDetector.terminal = better;
+      log('terminal profile ' + better.name + ' (from terminfo)');
+    });
+  }
+
+  // metrics file / prometheus endpoint, off unless configured
+  exporter = createMetrics(config, engine, glitchDetector, {
+    clock,
+    info: { pid: proc.pid },
+    log
+  });
+  if (exporter) {
+    exporter.start().catch(e => log('metrics endpoint failed:', e.message));
+    const collector = exporter.collector;
+    patches.add(() => {
+      exporter.stop();
+      exporter = null;
+      collector.detach();
+    });
+  }
+
   installed = true;
   log('installed successfully - v2.0.0 with glitch detection & 120-line limit');
 }
 
-function installResizeDebounce() {
-  const originalOn = process.on.bind(process);
-  let sigwinchHandlers = [];
-
-  function debouncedSigwinch() {
-    const now = Date.now();
-    const timeSince = now - lastResizeTime;
-    lastResizeTime = now;
-
-    if (resizeTimeout) clearTimeout(resizeTimeout);
-
-    // if events coming too fast, batch em
-    if (timeSince < config.resizeDebounceMs) {
-      resizeTimeout = setTimeout(() => {
-        log('firing debounced resize');
-        sigwinchHandlers.forEach(h => { try { h(); } catch(e) {} });
-      }, config.resizeDebounceMs);
-    } else {
-      sigwinchHandlers.forEach(h => { try { h(); } catch(e) {} });
-    }
-  }
-
-  process.on = function(event, handler) {
-    if (event === 'SIGWINCH') {
-      sigwinchHandlers.push(handler);
-      if (sigwinchHandlers.length === 1) {
-        originalOn('SIGWINCH', debouncedSigwinch);
-      }
-      return this;
-    }
-    return originalOn(event, handler);
+function installResizeDebounce(proc = process, stdout = proc.stdout, clock = systemClock) {
+  const options = {
+    clock,
+    // tmux/screen get a longer window
+    delay: () => resizeDebounceMs(config, mux),
+    mode: () => config.resizeDebounceMode,
+    settle: syncPaneSize,
+    onEvent: () => { lastResizeTime = clock.now(); }
   };
 
-  log('resize debounce installed');
+  // ink listens on stdout, other stuff on the process - both get debounced,
+  // however the handler got added
+  resizeDebounces = [
+    debounceEvent(patches, proc, 'SIGWINCH', options),
+    debounceEvent(patches, stdout, 'resize', options)
+  ];
+
+  log('resize debounce installed (' + config.resizeDebounceMode + ')');
+}
+
+// once a resize storm settles, ask the multiplexer what size we ended up -
+// the last stdout resize in a burst isn't always the final one
+function syncPaneSize() {
+  if (!mux || !engine) return;
+  mux.paneSize().then(size => {
+    if (size) engine.resize(size.columns, size.rows);
+  });
 }
 
 /**
  * manually clear scrollback - call this whenever you want, it won't break anything
  */
 function clearScrollback() {
+  const seq = engine ? engine.clearSequence() : CLEAR_SCROLLBACK;
+  if (engine) {
+    engine.archiveScrollback('manual');
+    engine.screen.clearScrollback();
+  }
   if (originalWrite) {
-    originalWrite(CLEAR_SCROLLBACK);
+    originalWrite(seq);
   } else {
-    process.stdout.write(CLEAR_SCROLLBACK);
+    (target ? target.stdout : process.stdout).write(seq);
   }
+  if (mux && config.multiplexerClearHistory) mux.clearHistory();
   log('manual scrollback clear');
 }
 
@@ -316,13 +293,27 @@ function clearScrollback() {
  */
 function getStats() {
   const stats = {
-    renderCount,
-    lineCount,
+    renderCount: engine ? engine.renderCount : 0,
+    lineCount: engine ? engine.lineCount : 0,
     lastResizeTime,
+    resize: {
+      mode: config.resizeDebounceMode,
+      events: resizeDebounces.reduce((n, d) => n + d.stats.events, 0),
+      fired: resizeDebounces.reduce((n, d) => n + d.stats.fired, 0)
+    },
     installed,
     config
   };
 
+  // clears, compacts etc. we've seen, and for which version
+  if (engine) stats.sessions = engine.sessions.getStats();
+  if (engine) stats.plugins = engine.plugins.getStats();
+  if (engine) stats.redaction = engine.redactor.getStats();
+  if (engine) stats.input = { ...engine.input };
+
+  // is stdout keeping up, is the loop on time
+  if (load) Object.assign(stats, load.getStats());
+
   // add glitch stats if available
   if (glitchDetector) {
     stats.glitch = glitchDetector.getMetrics();
@@ -361,14 +352,46 @@ function setConfig(key, value) {
   }
 }
 
+// held text and frames still have to go out, and an open synchronized
+// update would leave the terminal not painting - for exit and uninstall()
+function flushOutput() {
+  engine.flushRedaction();
+  engine.limiter.flush();
+  engine.endSync();
+}
+
+/**
+ * take the fix back out - every patch, listener and timer install() set up
+ * gets undone, newest first, so the process is how we found it. SIGWINCH
+ * handlers claude added while we were in go back on as plain listeners
+ */
+function uninstall() {
+  if (!installed) return;
+  flushOutput();
+
+  const errors = patches.restore();
+  errors.forEach(err => log('uninstall:', err.message));
+
+  originalWrite = null;
+  patches = null;
+  installed = false;
+  log('uninstalled');
+}
+
+/**
+ * uninstall() and install() again, options like install()'s - for moving
+ * onto a different process/stdout or picking up a new clock
+ */
+function reinstall(options = {}) {
+  uninstall();
+  install(options);
+}
+
 /**
- * disable the fix (it's mostly for testing)
+ * disable the fix (it's mostly for testing) - same as uninstall()
  */
 function disable() {
-  if (originalWrite) {
-    process.stdout.write = originalWrite;
-    log('disabled');
-  }
+  uninstall();
 }
 
 module.exports = {
@@ -376,10 +399,16 @@ module.exports = {
   clearScrollback,
   getStats,
   setConfig,
+  uninstall,
+  reinstall,
   disable,
   config,
   // NEW v2.0 exports
   forceRecovery,
   isGlitched,
-  getDetector: () => glitchDetector
+  getDetector: () => glitchDetector,
+  getEngine: () => engine,
+  getPlugins: () => (engine ? engine.plugins : null),
+  getExporter: () => exporter,
+  getMultiplexer: () => mux
 };
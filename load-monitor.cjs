@@ -0,0 +1,210 @@
+'use strict';
+
+/**
+ * load monitor - is stdout keeping up, and is the event loop?
+ *
+ * when the terminal can't eat output fast enough stdout.write() starts
+ * returning false and the bytes pile up in node's write queue. when the
+ * process itself is wedged the event loop runs late. either way the terminal
+ * feels cooked, and neither shows up anywhere else. this watches both:
+ *
+ *   - every write: did it return false, how many bytes are queued, and how
+ *     long till 'drain' says the queue's empty again
+ *   - event loop delay from perf_hooks.monitorEventLoopDelay, sampled every
+ *     loopDelaySampleMs
+ *
+ * the queue size and the worst delay each sample go to the glitch detector as
+ * its writeQueue and loopLag signals. the --require hook and the wrapper each
+ * run one on their stdout
+ */
+
+const { monitorEventLoopDelay } = require('perf_hooks');
+const { systemClock } = require('./clock.cjs');
+
+// how finely the histogram samples the loop, in ms
+const LOOP_RESOLUTION_MS = 20;
+
+function chunkBytes(chunk, encoding) {
+  if (typeof chunk === 'string') {
+    return Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+  }
+  return chunk && chunk.length ? chunk.length : 0;
+}
+
+// histogram values are nanoseconds
+function toMs(ns) {
+  return Number.isFinite(ns) ? Math.round(ns / 1e4) / 100 : 0;
+}
+
+class LoadMonitor {
+  /**
+   * options.stream   - the stdout being written to, for writableLength and 'drain'
+   * options.config   - live config, loopDelaySampleMs (0 leaves the loop alone)
+   * options.detector - optional GlitchDetector to feed
+   * options.clock    - see clock.cjs
+   * options.createHistogram - default perf_hooks.monitorEventLoopDelay
+   * options.log      - debug logger
+   */
+  constructor(options = {}) {
+    this.stream = options.stream;
+    this.config = options.config || {};
+    this.detector = options.detector || null;
+    this.clock = options.clock || systemClock;
+    this.createHistogram = options.createHistogram || monitorEventLoopDelay;
+    this.log = options.log || (() => {});
+
+    this.histogram = null;
+    this.timer = null;
+    this.waitingSince = null;   // when a write last came back false, till 'drain'
+    this.onDrain = () => this.drained();
+
+    this.write = {
+      writes: 0,
+      bytes: 0,
+      blocked: 0,               // writes that came back false
+      queuedBytes: 0,
+      maxQueuedBytes: 0,
+      drains: 0,
+      lastDrainMs: 0,
+      maxDrainMs: 0,
+      totalDrainMs: 0
+    };
+    this.loop = { meanMs: 0, p99Ms: 0, maxMs: 0, worstMs: 0, samples: 0 };
+  }
+
+  /**
+   * wrap a write function so every call through it gets counted
+   */
+  wrap(write) {
+    return (chunk, encoding, callback) => {
+      const ok = write(chunk, encoding, callback);
+      this.noteWrite(ok, chunkBytes(chunk, encoding));
+      return ok;
+    };
+  }
+
+  /**
+   * a write went out - ok is what stream.write() returned
+   */
+  noteWrite(ok, bytes) {
+    const w = this.write;
+    w.writes++;
+    w.bytes += bytes;
+    if (ok === false) {
+      w.blocked++;
+      if (this.waitingSince === null) {
+        this.waitingSince = this.clock.now();
+        if (this.stream && this.stream.once) this.stream.once('drain', this.onDrain);
+      }
+    }
+    this.noteQueue();
+  }
+
+  noteQueue() {
+    const queued = (this.stream && this.stream.writableLength) || 0;
+    this.write.queuedBytes = queued;
+    if (queued > this.write.maxQueuedBytes) this.write.maxQueuedBytes = queued;
+    if (this.detector) this.detector.trackWriteQueue(queued);
+  }
+
+  drained() {
+    if (this.waitingSince === null) return;
+    const ms = this.clock.now() - this.waitingSince;
+    this.waitingSince = null;
+    const w = this.write;
+    w.drains++;
+    w.lastDrainMs = ms;
+    w.totalDrainMs += ms;
+    if (ms > w.maxDrainMs) w.maxDrainMs = ms;
+    if (ms >= 100) this.log('stdout took ' + ms + 'ms to drain');
+    this.noteQueue();
+  }
+
+  /**
+   * start sampling event loop delay
+   */
+  start() {
+    if (this.timer || !(this.config.loopDelaySampleMs > 0)) return;
+    try {
+      this.histogram = this.createHistogram({ resolution: LOOP_RESOLUTION_MS });
+      this.histogram.enable();
+    } catch (e) {
+      // no perf_hooks histogram here, writes still get watched
+      this.histogram = null;
+      return;
+    }
+    this.timer = this.clock.setInterval(() => this.sample(), this.config.loopDelaySampleMs);
+    if (this.timer && this.timer.unref) this.timer.unref();
+  }
+
+  sample() {
+    const h = this.histogram;
+    if (!h) return;
+    const loop = this.loop;
+    // delay past the resolution is what we were late by
+    loop.meanMs = h.count ? Math.max(0, toMs(h.mean) - LOOP_RESOLUTION_MS) : 0;
+    loop.p99Ms = h.count ? Math.max(0, toMs(h.percentile(99)) - LOOP_RESOLUTION_MS) : 0;
+    loop.maxMs = h.count ? Math.max(0, toMs(h.max) - LOOP_RESOLUTION_MS) : 0;
+    if (loop.maxMs > loop.worstMs) loop.worstMs = loop.maxMs;
+    loop.samples++;
+    h.reset();
+    if (this.detector) this.detector.trackLoopLag(loop.maxMs);
+  }
+
+  /**
+   * pick up a new loopDelaySampleMs
+   */
+  restart() {
+    this.stopSampling();
+    this.start();
+  }
+
+  stopSampling() {
+    if (this.timer) {
+      this.clock.clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.histogram) {
+      this.histogram.disable();
+      this.histogram = null;
+    }
+  }
+
+  stop() {
+    this.stopSampling();
+    if (this.stream && this.stream.removeListener) this.stream.removeListener('drain', this.onDrain);
+    this.waitingSince = null;
+  }
+
+  getStats() {
+    const w = this.write;
+    return {
+      backpressure: {
+        writes: w.writes,
+        bytes: w.bytes,
+        blocked: w.blocked,
+        waiting: this.waitingSince !== null,
+        queuedBytes: w.queuedBytes,
+        maxQueuedBytes: w.maxQueuedBytes,
+        drain: {
+          count: w.drains,
+          lastMs: w.lastDrainMs,
+          maxMs: w.maxDrainMs,
+          avgMs: w.drains ? Math.round(w.totalDrainMs / w.drains) : 0
+        }
+      },
+      eventLoop: {
+        sampling: Boolean(this.histogram),
+        meanMs: this.loop.meanMs,
+        p99Ms: this.loop.p99Ms,
+        maxMs: this.loop.maxMs,
+        worstMs: this.loop.worstMs,
+        samples: this.loop.samples
+      }
+    };
+  }
+}
+
+module.exports = {
+  LoadMonitor
+};
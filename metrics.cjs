@@ -0,0 +1,345 @@
+'use strict';
+
+/**
+ * metrics - counters and histograms you can ship somewhere
+ *
+ * getStats() and the detector's getMetrics() only live inside the process.
+ * this collects the stuff worth graphing across a lot of machines and exports
+ * it two ways, both optional:
+ *
+ *   - metricsFile: a json line appended every metricsIntervalMs
+ *   - metricsPort: prometheus text format on http://127.0.0.1:<port>/metrics
+ *
+ * what's in there:
+ *   claudescreenfix_clears_total{reason}          every clear we injected
+ *   claudescreenfix_renders_total                 chunks that went through the rules
+ *   claudescreenfix_output_bytes_total
+ *   claudescreenfix_render_rate                   renders per second, per busy second
+ *   claudescreenfix_glitches_total
+ *   claudescreenfix_glitch_signals_total{signal}  which signals tripped it
+ *   claudescreenfix_glitch_duration_seconds       how long glitches lasted
+ *   claudescreenfix_recoveries_total{outcome,method}
+ *   claudescreenfix_sigwinch_storms_total, claudescreenfix_render_spikes_total,
+ *   claudescreenfix_unechoed_input_total, claudescreenfix_write_queue_backups_total,
+ *   claudescreenfix_loop_lag_total, claudescreenfix_repeated_frames_total
+ *                                                 straight from the detector
+ *   claudescreenfix_scrollback_rows, claudescreenfix_glitched, claudescreenfix_uptime_seconds
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { systemClock } = require('./clock.cjs');
+
+const PREFIX = 'claudescreenfix_';
+const RENDER_RATE_BUCKETS = [1, 5, 10, 25, 50, 100, 250];
+const GLITCH_DURATION_BUCKETS = [0.5, 1, 2, 5, 10, 30, 60, 300];
+const RATE_WINDOW_MS = 1000;
+
+class Histogram {
+  constructor(buckets) {
+    this.buckets = buckets;
+    this.counts = buckets.map(() => 0);
+    this.sum = 0;
+    this.count = 0;
+  }
+
+  observe(value) {
+    this.buckets.forEach((le, i) => {
+      if (value <= le) this.counts[i]++;
+    });
+    this.sum += value;
+    this.count++;
+  }
+
+  toJSON() {
+    const buckets = {};
+    this.buckets.forEach((le, i) => { buckets[le] = this.counts[i]; });
+    buckets['+Inf'] = this.count;
+    return { buckets, sum: this.sum, count: this.count };
+  }
+}
+
+// label values can't have raw quotes, backslashes or newlines
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labelString(labels) {
+  const keys = Object.keys(labels);
+  if (keys.length === 0) return '';
+  return '{' + keys.map(k => k + '="' + escapeLabel(labels[k]) + '"').join(',') + '}';
+}
+
+class MetricsCollector {
+  /**
+   * options.clock - time source, see clock.cjs
+   * options.info  - extra fields for every json line (pid, target, profile...)
+   */
+  constructor(options = {}) {
+    this.clock = options.clock || systemClock;
+    this.info = options.info || {};
+    this.startTime = this.clock.now();
+    this.engine = null;
+    this.detector = null;
+    this.listeners = [];       // [emitter, event, fn] for detach()
+
+    this.clears = {};          // reason -> count
+    this.recoveries = {};      // 'outcome|method' -> count
+    this.signals = {};         // signal -> count
+    this.glitches = 0;
+    this.renders = 0;
+    this.outputBytes = 0;
+    this.renderRate = new Histogram(RENDER_RATE_BUCKETS);
+    this.glitchDuration = new Histogram(GLITCH_DURATION_BUCKETS);
+
+    this.window = null;        // the second we're counting renders in
+    this.windowRenders = 0;
+  }
+
+  /**
+   * start counting what an engine and (optionally) a detector do
+   */
+  attach(engine, detector) {
+    this.engine = engine;
+    const on = (emitter, event, fn) => {
+      emitter.on(event, fn);
+      this.listeners.push([emitter, event, fn]);
+    };
+    on(engine, 'inject', ({ reason }) => {
+      this.clears[reason] = (this.clears[reason] || 0) + 1;
+    });
+    // last in the pipeline so echoes that passed through early don't count
+    engine.use({
+      name: 'metrics',
+      apply: (ctx) => this.noteRender(Buffer.byteLength(ctx.text))
+    });
+
+    if (!detector) return this;
+    this.detector = detector;
+    on(detector, 'glitch-detected', ({ signals }) => {
+      this.glitches++;
+      Object.keys(signals || {}).forEach(name => {
+        if (signals[name]) this.signals[name] = (this.signals[name] || 0) + 1;
+      });
+    });
+    on(detector, 'glitch-resolved', ({ duration }) => {
+      this.glitchDuration.observe(duration / 1000);
+    });
+    on(detector, 'recovery-success', ({ method }) => this.noteRecovery('success', method));
+    on(detector, 'recovery-attempt-failed', ({ method }) => this.noteRecovery('attempt-failed', method));
+    on(detector, 'recovery-failed', () => this.noteRecovery('failed', 'none'));
+    on(detector, 'recovery-error', () => this.noteRecovery('error', 'none'));
+    return this;
+  }
+
+  /**
+   * stop counting - the detector's a singleton, it outlives us
+   */
+  detach() {
+    this.listeners.forEach(([emitter, event, fn]) => emitter.removeListener(event, fn));
+    this.listeners = [];
+    if (this.engine) this.engine.removeRule('metrics');
+    this.engine = null;
+    this.detector = null;
+    return this;
+  }
+
+  noteRender(bytes) {
+    this.renders++;
+    this.outputBytes += bytes;
+
+    const window = Math.floor(this.clock.now() / RATE_WINDOW_MS);
+    if (window !== this.window) {
+      if (this.windowRenders > 0) this.renderRate.observe(this.windowRenders * 1000 / RATE_WINDOW_MS);
+      this.window = window;
+      this.windowRenders = 0;
+    }
+    this.windowRenders++;
+  }
+
+  noteRecovery(outcome, method) {
+    const key = outcome + '|' + method;
+    this.recoveries[key] = (this.recoveries[key] || 0) + 1;
+  }
+
+  /**
+   * everything as one plain object - what goes in the json lines file
+   */
+  snapshot() {
+    const detector = this.detector ? this.detector.getMetrics() : null;
+    return {
+      time: new Date(this.clock.now()).toISOString(),
+      ...this.info,
+      uptimeSeconds: (this.clock.now() - this.startTime) / 1000,
+      clears: { ...this.clears },
+      renders: this.renders,
+      outputBytes: this.outputBytes,
+      renderRate: this.renderRate.toJSON(),
+      scrollbackRows: this.engine ? this.engine.lineCount : 0,
+      glitches: this.glitches,
+      glitchSignals: { ...this.signals },
+      glitchDuration: this.glitchDuration.toJSON(),
+      glitched: detector ? detector.isGlitched : false,
+      recoveries: Object.keys(this.recoveries).map(key => {
+        const [outcome, method] = key.split('|');
+        return { outcome, method, count: this.recoveries[key] };
+      }),
+      sigwinchStorms: detector ? detector.sigwinchStorms : 0,
+      renderSpikes: detector ? detector.renderSpikes : 0,
+      unechoedInputEvents: detector ? detector.unechoedInputEvents : 0,
+      writeQueueBackups: detector ? detector.writeQueueBackups : 0,
+      loopLagEvents: detector ? detector.loopLagEvents : 0,
+      repeatedFrameEvents: detector ? detector.repeatedFrameEvents : 0
+    };
+  }
+
+  /**
+   * prometheus text exposition format
+   */
+  toPrometheus() {
+    const snap = this.snapshot();
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+      lines.push('# HELP ' + PREFIX + name + ' ' + help);
+      lines.push('# TYPE ' + PREFIX + name + ' ' + type);
+      samples.forEach(([labels, value, suffix]) => {
+        lines.push(PREFIX + name + (suffix || '') + labelString(labels) + ' ' + value);
+      });
+    };
+    const histogram = (name, help, h) => {
+      const samples = h.buckets.map((le, i) => [{ le }, h.counts[i], '_bucket']);
+      samples.push([{ le: '+Inf' }, h.count, '_bucket'], [{}, h.sum, '_sum'], [{}, h.count, '_count']);
+      metric(name, 'histogram', help, samples);
+    };
+
+    metric('clears_total', 'counter', 'Scrollback clears injected, by reason',
+      Object.keys(snap.clears).map(reason => [{ reason }, snap.clears[reason]]));
+    metric('renders_total', 'counter', 'Output chunks run through the rules', [[{}, snap.renders]]);
+    metric('output_bytes_total', 'counter', 'Output bytes run through the rules', [[{}, snap.outputBytes]]);
+    histogram('render_rate', 'Renders per second, one sample per busy second', this.renderRate);
+    metric('glitches_total', 'counter', 'Glitches the detector caught', [[{}, snap.glitches]]);
+    metric('glitch_signals_total', 'counter', 'Signals active when a glitch was caught',
+      Object.keys(snap.glitchSignals).map(signal => [{ signal }, snap.glitchSignals[signal]]));
+    histogram('glitch_duration_seconds', 'How long glitches lasted', this.glitchDuration);
+    metric('recoveries_total', 'counter', 'Recovery attempts by outcome',
+      snap.recoveries.map(r => [{ outcome: r.outcome, method: r.method }, r.count]));
+    metric('sigwinch_storms_total', 'counter', 'Detector checks that saw a resize storm', [[{}, snap.sigwinchStorms]]);
+    metric('render_spikes_total', 'counter', 'Detector checks that saw a render spike', [[{}, snap.renderSpikes]]);
+    metric('unechoed_input_total', 'counter', 'Detector checks that saw input go unanswered', [[{}, snap.unechoedInputEvents]]);
+    metric('write_queue_backups_total', 'counter', 'Detector checks that saw stdout backed up', [[{}, snap.writeQueueBackups]]);
+    metric('loop_lag_total', 'counter', 'Detector checks that saw the event loop running late', [[{}, snap.loopLagEvents]]);
+    metric('repeated_frames_total', 'counter', 'Detector checks that saw the same frame over and over', [[{}, snap.repeatedFrameEvents]]);
+    metric('scrollback_rows', 'gauge', 'Rows in scrollback since the last clear', [[{}, snap.scrollbackRows]]);
+    metric('glitched', 'gauge', '1 while the detector thinks the terminal is stuck', [[{}, snap.glitched ? 1 : 0]]);
+    metric('uptime_seconds', 'gauge', 'Seconds since the collector started', [[{}, snap.uptimeSeconds]]);
+    return lines.join('\n') + '\n';
+  }
+}
+
+/**
+ * the exporters - json lines on a timer and/or a localhost http endpoint
+ */
+class MetricsExporter {
+  /**
+   * options.file       - json lines go here
+   * options.intervalMs - how often
+   * options.port       - prometheus endpoint port, 0 picks a free one
+   * options.log        - debug logger
+   */
+  constructor(collector, options = {}) {
+    this.collector = collector;
+    this.clock = collector.clock;
+    this.file = options.file || null;
+    this.intervalMs = options.intervalMs || 60000;
+    this.port = options.port !== undefined ? options.port : null;
+    this.log = options.log || (() => {});
+    this.intervalId = null;
+    this.server = null;
+  }
+
+  async start() {
+    if (this.file && !this.intervalId) {
+      this.intervalId = this.clock.setInterval(() => this.writeLine(), this.intervalMs);
+      // metrics alone shouldn't keep anything alive
+      if (this.intervalId && this.intervalId.unref) this.intervalId.unref();
+    }
+    if (this.port !== null && !this.server) {
+      await this.listen();
+    }
+    return this;
+  }
+
+  writeLine() {
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.appendFileSync(this.file, JSON.stringify(this.collector.snapshot()) + '\n', { mode: 0o600 });
+    } catch (e) {
+      this.log('metrics write failed:', e.message);
+    }
+  }
+
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => {
+        if (req.method !== 'GET' || (req.url !== '/metrics' && req.url !== '/')) {
+          res.writeHead(404, { 'Content-Type': 'text/plain' });
+          res.end('try /metrics\n');
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+        res.end(this.collector.toPrometheus());
+      });
+      this.server.on('error', reject);
+      // localhost only - this isn't something to put on the network
+      this.server.listen(this.port, '127.0.0.1', () => {
+        this.server.unref();
+        this.port = this.server.address().port;
+        this.log('metrics on http://127.0.0.1:' + this.port + '/metrics');
+        resolve(this.port);
+      });
+    });
+  }
+
+  /**
+   * stop both, writing one last line so short sessions still show up
+   */
+  stop() {
+    if (this.intervalId) {
+      this.clock.clearInterval(this.intervalId);
+      this.intervalId = null;
+      this.writeLine();
+    }
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+}
+
+/**
+ * collector + exporter from config, null when metrics are off
+ * config.metricsFile, config.metricsPort, config.metricsIntervalMs
+ *
+ * options.collector - keep counting into this one (config reloads), otherwise
+ *                     a new one gets attached to engine + detector
+ * options.clock, options.info, options.log
+ */
+function createMetrics(config, engine, detector, options = {}) {
+  if (!config.metricsFile && config.metricsPort === null) return null;
+  const collector = options.collector ||
+    new MetricsCollector({ clock: options.clock, info: options.info }).attach(engine, detector);
+  return new MetricsExporter(collector, {
+    file: config.metricsFile,
+    intervalMs: config.metricsIntervalMs,
+    port: config.metricsPort,
+    log: options.log
+  });
+}
+
+module.exports = {
+  MetricsCollector,
+  MetricsExporter,
+  Histogram,
+  createMetrics
+};
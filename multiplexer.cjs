@@ -0,0 +1,173 @@
+'use strict';
+
+/**
+ * multiplexer - tmux and screen keep their own history
+ *
+ * \x1b[3J clears the terminal's scrollback, but inside tmux or screen the
+ * terminal isn't the one holding it - the multiplexer is. so when we find
+ * $TMUX or $STY we also ask it directly:
+ *
+ *   tmux    clear-history -t $TMUX_PANE, set-option history-limit,
+ *           display-message for the pane size
+ *   screen  scrollback 0 then back (that's its clear), scrollback N,
+ *           -Q info for the window size
+ *
+ * everything goes through execFile with plain args, no shell, so a session
+ * name with quotes in it is just a session name
+ *
+ * multiplexers also fire resizes in bursts (attach, split, zoom), so there's a
+ * separate, longer resize debounce for them, and the size we settle on comes
+ * from asking the multiplexer, not from whichever resize in the storm won
+ */
+
+const { execFile } = require('child_process');
+
+const EXEC_TIMEOUT_MS = 2000;
+
+/**
+ * which multiplexer we're under, if any
+ * setting is the `multiplexer` config key - auto, tmux, screen or off
+ * tmux wins when both are set, it's the one that's usually inside
+ */
+function detectMultiplexer(env = process.env, setting = 'auto') {
+  if (setting === 'off') return null;
+  if (env.TMUX && setting !== 'screen') {
+    return { type: 'tmux', pane: env.TMUX_PANE || null };
+  }
+  if (env.STY && setting !== 'tmux') {
+    return { type: 'screen', session: env.STY, window: env.WINDOW || null };
+  }
+  return null;
+}
+
+class Multiplexer {
+  /**
+   * info            - from detectMultiplexer()
+   * options.execFile - default: child_process.execFile
+   * options.log      - debug logger
+   */
+  constructor(info, options = {}) {
+    this.type = info.type;
+    this.pane = info.pane || null;
+    this.session = info.session || null;
+    this.window = info.window || null;
+    this.execFile = options.execFile || execFile;
+    this.log = options.log || (() => {});
+    this.clearing = null;
+  }
+
+  // tmux <args> or screen -S <session> [-p <window>] <args>, resolves with stdout
+  run(args) {
+    const cmd = this.type;
+    const full = this.type === 'screen'
+      ? ['-S', this.session].concat(this.window ? ['-p', this.window] : [], args)
+      : args;
+    return new Promise((resolve, reject) => {
+      this.execFile(cmd, full, { timeout: EXEC_TIMEOUT_MS }, (err, stdout) => {
+        if (err) reject(err);
+        else resolve(String(stdout || ''));
+      });
+    });
+  }
+
+  target() {
+    return this.pane ? ['-t', this.pane] : [];
+  }
+
+  /**
+   * drop the multiplexer's history for our pane/window
+   * one at a time - a clear that lands while another's running is a no-op
+   */
+  clearHistory() {
+    if (this.clearing) return this.clearing;
+    const work = this.type === 'tmux'
+      ? this.run(['clear-history'].concat(this.target()))
+      : this.screenInfo().then(info => this.run(['-X', 'scrollback', '0'])
+        .then(() => this.run(['-X', 'scrollback', String(info ? info.history : 100)])));
+
+    this.clearing = work
+      .then(() => true, err => {
+        this.log(this.type + ' clear-history failed: ' + err.message);
+        return false;
+      })
+      .then(result => {
+        this.clearing = null;
+        return result;
+      });
+    return this.clearing;
+  }
+
+  /**
+   * how many lines of history the multiplexer keeps
+   * tmux only applies it to panes made after this, screen applies it now
+   */
+  setHistoryLimit(lines) {
+    const args = this.type === 'tmux'
+      ? ['set-option'].concat(this.target(), ['history-limit', String(lines)])
+      : ['-X', 'scrollback', String(lines)];
+    return this.run(args).then(() => true, err => {
+      this.log(this.type + ' history-limit failed: ' + err.message);
+      return false;
+    });
+  }
+
+  // screen's `info` looks like "(1,24)/(120,40)+1024 +flow UTF-8 0(bash)"
+  screenInfo() {
+    return this.run(['-Q', 'info']).then(out => {
+      const m = out.match(/\/\((\d+),(\d+)\)\+(\d+)/);
+      return m ? { columns: Number(m[1]), rows: Number(m[2]), history: Number(m[3]) } : null;
+    }, () => null);
+  }
+
+  /**
+   * { columns, rows } of our pane straight from the multiplexer, null if it
+   * won't say
+   */
+  paneSize() {
+    if (this.type === 'screen') {
+      return this.screenInfo().then(info => (info ? { columns: info.columns, rows: info.rows } : null));
+    }
+    return this.run(['display-message', '-p'].concat(this.target(), ['#{pane_width} #{pane_height}']))
+      .then(out => {
+        const [columns, rows] = out.trim().split(' ').map(Number);
+        return columns > 0 && rows > 0 ? { columns, rows } : null;
+      }, () => null);
+  }
+}
+
+/**
+ * the multiplexer we're under per config, null if none or turned off
+ * options.env, options.execFile, options.log
+ */
+function createMultiplexer(config, options = {}) {
+  const info = detectMultiplexer(options.env || process.env, config.multiplexer);
+  return info ? new Multiplexer(info, options) : null;
+}
+
+/**
+ * hook a multiplexer up to an engine: every scrollback clear the engine
+ * injects clears the multiplexer's history too (multiplexerClearHistory),
+ * and multiplexerHistoryLimit gets applied straight away
+ */
+function attachMultiplexer(mux, engine, config) {
+  engine.on('inject', ({ seq }) => {
+    if (config.multiplexerClearHistory && seq.includes(engine.clearSequence())) mux.clearHistory();
+  });
+  if (config.multiplexerHistoryLimit !== null) mux.setHistoryLimit(config.multiplexerHistoryLimit);
+  return mux;
+}
+
+/**
+ * resize debounce to use - multiplexers get their own
+ */
+function resizeDebounceMs(config, mux) {
+  return mux ? config.multiplexerResizeDebounceMs : config.resizeDebounceMs;
+}
+
+module.exports = {
+  detectMultiplexer,
+  Multiplexer,
+  createMultiplexer,
+  attachMultiplexer,
+  resizeDebounceMs
+};
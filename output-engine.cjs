@@ -0,0 +1,849 @@
+'use strict';
+
+/**
+ * output engine - the one place that decides what gets injected into the output
+ *
+ * both the --require hook (index.cjs) and the pty wrapper (bin/claude-fixed.js)
+ * push every chunk through here, so a fix or a new rule lands once and behaves
+ * the same in both modes. before this they were two copies that kept drifting
+ *
+ * the engine runs a pipeline of rules. a rule is just:
+ *
+ *   { name: 'my-rule', apply(ctx, engine) { ... } }
+ *
+ * ctx.text          - the chunk as a string
+ * ctx.events        - typed events from the ansi tokenizer (see ansi-parser.cjs)
+ * ctx.plain         - printable text of the chunk, escapes stripped
+ * ctx.scrolled      - rows this chunk pushed into scrollback (see screen-model.cjs)
+ * ctx.sessionEvents - clears, compacts, exits etc. it drew (see session-events.cjs)
+ * ctx.inject(seq)   - put an escape sequence in front of the chunk
+ * ctx.passthrough() - stop here, write the chunk untouched
+ *
+ * scrollback clears come from engine.clearSequence() / engine.trimSequence()
+ * so they match the terminal (see terminal.cjs), don't hard-code \x1b[3J
+ *
+ * on terminals that do synchronized output (DEC mode 2026) every frame, and
+ * whatever the rules injected in front of it, goes out between begin and end
+ * markers. frames that land within syncOutputMs of each other share one
+ * update, so the terminal only ever paints the last of em
+ *
+ * during a render storm frames get held back and coalesced to
+ * frameRateLimit a second (see frame-limiter.cjs), echoes still go right out
+ *
+ * rules run in order, add your own with engine.use(rule)
+ *
+ * with config.redact on, secrets get masked before anything else sees the
+ * chunk (see redact.cjs) - 'output' events carry what's left, that's what
+ * recordings get
+ *
+ * plugins (see plugins.cjs) see every chunk before the rules do and can
+ * change it, drop it or inject in front of it. they also hear about stdin,
+ * resizes, session events and the detector through engine.plugins
+ */
+
+const EventEmitter = require('events');
+const {
+  AnsiTokenizer,
+  isClearScreen,
+  isCursorHome,
+  plainText
+} = require('./ansi-parser.cjs');
+const { ScrollbackArchive } = require('./scrollback-archive.cjs');
+const { ScreenModel } = require('./screen-model.cjs');
+const { systemClock } = require('./clock.cjs');
+const { PROFILES } = require('./terminal.cjs');
+const { FrameLimiter } = require('./frame-limiter.cjs');
+const { SessionMatcher } = require('./session-events.cjs');
+const { PluginHost } = require('./plugins.cjs');
+const { Redactor } = require('./redact.cjs');
+const { PasteParser } = require('./paste-guard.cjs');
+
+// terminal escape codes - the generic profile's, the engine uses its own profile
+const CLEAR_SCROLLBACK = PROFILES.generic.clearScrollback;
+const CURSOR_SAVE = PROFILES.generic.saveCursor;
+const CURSOR_RESTORE = PROFILES.generic.restoreCursor;
+const CLEAR_SCREEN = '\x1b[2J';
+const HOME_CURSOR = '\x1b[H';
+const SYNC_BEGIN = '\x1b[?2026h';
+const SYNC_END = '\x1b[?2026l';
+
+// an update never stays open longer than this, however fast frames come
+// (terminals give up on their own eventually, but later than we'd like)
+const SYNC_MAX_MS = 100;
+
+// how much text matchText() sees from before the chunk
+const TEXT_TAIL_LENGTH = 64;
+
+// cursor moves and line erases - what arrow keys and editing echo back
+const ECHO_CSI_FINALS = 'ABCDEFGK';
+
+/**
+ * how much of buf is whole utf-8 characters - a read can stop partway
+ * through one, and decoding each half on its own mangles it
+ */
+function wholeLength(buf) {
+  for (let i = buf.length - 1, n = 1; i >= 0 && n <= 4; i--, n++) {
+    const b = buf[i];
+    if ((b & 0xc0) === 0x80) continue;
+    const need = b >= 0xf0 ? 4 : b >= 0xe0 ? 3 : b >= 0xc0 ? 2 : 1;
+    return need > n ? i : buf.length;
+  }
+  return buf.length;
+}
+
+/**
+ * detect if this looks like a stdin echo (single printable char or short sequence)
+ * stdin echoes are typically: single chars, backspace seqs, arrow key echoes
+ * we don't wanna mess with these or typing gets wonky
+ *
+ * works off tokenizer events so a half-sequence from a split read doesn't look
+ * like a keystroke. pass events in if you've got em, otherwise we tokenize here
+ */
+function isStdinEcho(chunk, events) {
+  if (!events) events = new AnsiTokenizer().feed(chunk);
+  if (events.length === 0) return false;
+
+  // single printable character (including space)
+  if (events.length === 1 && events[0].type === 'text') {
+    return Array.from(events[0].text).length === 1;
+  }
+
+  // arrow key echo or cursor movement - one cursor sequence, no clears or homes
+  if (events.length === 1 && events[0].type === 'csi') {
+    return !events[0].prefix && ECHO_CSI_FINALS.includes(events[0].final);
+  }
+
+  // enter/newline
+  if (events.every(e => e.type === 'newline' || (e.type === 'control' && e.char === '\r'))) {
+    return chunk.length <= 2;
+  }
+
+  // backspace/delete echo (usually 1-3 chars with control codes)
+  const hasBackspace = events.some(e => e.type === 'control' && (e.char === '\b' || e.char === '\x7f'));
+  if (hasBackspace && chunk.length <= 4) {
+    return events.every(e => e.type === 'text' || e.type === 'control');
+  }
+
+  return false;
+}
+
+// built-in rules, in the order they run by default
+const rules = {
+  // CRITICAL: pass stdin echoes through unmodified or keystrokes get lost
+  stdinEcho: {
+    name: 'stdin-echo',
+    apply(ctx, engine) {
+      // a chunk that finishes a sequence from the last read ain't a keystroke
+      if (!ctx.carried && isStdinEcho(ctx.text, ctx.events)) {
+        engine.noteTyping();
+        if (engine.detector) engine.detector.trackEcho();
+        ctx.passthrough();
+      }
+    }
+  },
+
+  // count renders and feed the glitch detector
+  renderTracking: {
+    name: 'render-tracking',
+    apply(ctx, engine) {
+      engine.renderCount++;
+      if (engine.detector) {
+        engine.detector.trackStdout(ctx.text);
+      }
+    }
+  },
+
+  // cap how many rows pile up in scrollback - counts rows that really
+  // scrolled off the screen, wrapped lines included, redraws not
+  lineLimit: {
+    name: 'line-limit',
+    apply(ctx, engine) {
+      if (engine.lineCount > engine.config.maxLineCount) {
+        engine.log('line limit exceeded (' + engine.lineCount + '/' + engine.config.maxLineCount + '), forcing trim');
+        ctx.inject(engine.trimSequence(), 'line-limit');
+      }
+    }
+  },
+
+  // ink clears screen before re-render, we piggyback on that
+  // but only if not actively typing
+  renderClear: {
+    name: 'render-clear',
+    apply(ctx, engine) {
+      if (!ctx.events.some(ev => isClearScreen(ev) || isCursorHome(ev))) return;
+
+      const { clearAfterRenders } = engine.config;
+      if (clearAfterRenders > 0 && engine.renderCount >= clearAfterRenders) {
+        if (!engine.isTypingActive()) {
+          engine.log('clearing scrollback after ' + engine.renderCount + ' renders');
+          engine.renderCount = 0;
+          ctx.inject(engine.clearSequence(), 'render-count');
+        } else {
+          engine.log('skipping render-based clear - typing active');
+        }
+      }
+    }
+  },
+
+  // /clear, /compact, a new session, exit, permission prompts - see
+  // session-events.cjs. a clear is user-requested so it happens now
+  sessionEvents: {
+    name: 'session-events',
+    apply(ctx, engine) {
+      for (const ev of ctx.sessionEvents) {
+        engine.log('session event:', ev.event, '(' + ev.region + ': ' + ev.line + ') scrollback', ev.scrollback);
+        engine.emit('session-event', ev);
+        if (ev.scrollback === 'clear') {
+          ctx.inject(engine.clearSequence(), ev.reason);
+        } else if (ev.scrollback === 'archive') {
+          engine.archiveScrollback(ev.reason);
+        }
+      }
+    }
+  },
+
+  // glitched? try to recover
+  glitchRecovery: {
+    name: 'glitch-recovery',
+    apply(ctx, engine) {
+      const detector = engine.detector;
+      if (!detector || !engine.config.glitchRecoveryEnabled || engine.glitchRecoveryInProgress) return;
+      if (!detector.isInGlitchState()) return;
+
+      engine.glitchRecoveryInProgress = true;
+      engine.log('GLITCH DETECTED - initiating recovery');
+
+      // force clear scrollback immediately
+      ctx.inject(engine.trimSequence(), 'glitch');
+      engine.renderCount = 0;
+
+      // attempt full recovery asynchronously
+      engine.clock.setImmediate(async () => {
+        try {
+          await detector.attemptRecovery();
+        } catch (e) {
+          engine.log('recovery error:', e.message);
+        }
+        engine.glitchRecoveryInProgress = false;
+      });
+    }
+  }
+};
+
+function defaultRules() {
+  return [
+    rules.stdinEcho,
+    rules.renderTracking,
+    rules.lineLimit,
+    rules.renderClear,
+    rules.sessionEvents,
+    rules.glitchRecovery
+  ];
+}
+
+class OutputEngine extends EventEmitter {
+  /**
+   * options.config   - live config object (setConfig changes show up right away)
+   * options.write    - raw writer that bypasses the engine, used for async clears
+   * options.detector - optional GlitchDetector
+   * options.isTTY    - whether the real output is a terminal
+   * options.columns  - terminal size for the screen model, update with resize()
+   * options.rows
+   * options.log      - debug logger
+   * options.clock    - time source, see clock.cjs
+   * options.terminal - escape profile from terminal.cjs (default: generic)
+   * options.targetVersion - version of what we're fixing, picks session matchers
+   */
+  constructor(options = {}) {
+    super();
+    this.config = options.config;
+    this.write = options.write || null;
+    this.detector = options.detector || null;
+    this.isTTY = options.isTTY !== undefined ? options.isTTY : true;
+    this.log = options.log || (() => {});
+    this.clock = options.clock || systemClock;
+    this.terminal = options.terminal || PROFILES.generic;
+    this.rules = defaultRules();
+    this.tokenizer = new AnsiTokenizer();
+    this.textTail = '';          // end of the last chunk's text, for matchText()
+    this.deferredPrefix = '';    // injections waiting for a sequence to finish
+    this.partial = Buffer.alloc(0);  // a utf-8 character cut off by the end of a read
+    this.screen = new ScreenModel({ cols: options.columns, rows: options.rows });
+    this.sessions = new SessionMatcher({
+      config: this.config,
+      version: options.targetVersion,
+      clock: this.clock,
+      log: this.log
+    });
+    this.redactor = new Redactor({
+      config: this.config,
+      clock: this.clock,
+      log: this.log,
+      onHold: () => this.flushRedaction()
+    });
+    this.plugins = new PluginHost({ engine: this, config: this.config, clock: this.clock, log: this.log });
+    this.on('session-event', ev => this.plugins.session(ev));
+    // a detector's anything with the right methods, not always an emitter
+    if (this.detector && typeof this.detector.on === 'function') this.plugins.attachDetector(this.detector);
+
+    // state tracking
+    this.renderCount = 0;
+    this.lastTypingTime = -Infinity;  // never typed, even on a clock that starts at 0
+    this.lastPasteTime = -Infinity;
+    this.pasteParser = new PasteParser();
+    this.input = { pastes: 0, pasteBytes: 0 };
+    this.pendingClear = false;
+    this.clearTimer = null;      // a periodic clear waiting out typing, or its turn
+    this.glitchRecoveryInProgress = false;
+    this.clearIntervalId = null;
+    this.nextClearAt = null;
+    this.archive = null;
+    this.paused = false;
+
+    // synchronized output - is an update open, since when, and its end timer
+    this.syncOpen = false;
+    this.syncOpenedAt = 0;
+    this.syncTimer = null;
+    this.syncUpdates = 0;
+
+    // render storms - frames wait their turn, see frame-limiter.cjs
+    this.limiter = new FrameLimiter({
+      config: this.config,
+      clock: this.clock,
+      log: this.log,
+      write: data => this.writeHeld(data),
+      busy: () => Boolean(this.tokenizer.pending),
+      spiking: () => (this.detector ? this.detector.isRenderSpike() : null)
+    });
+    this.limiter.on('rate-limit', ev => this.emit('rate-limit', ev));
+  }
+
+  /**
+   * rows sitting in scrollback since our last clear - what maxLineCount caps
+   */
+  get lineCount() {
+    return this.screen.scrolledOff;
+  }
+
+  /**
+   * terminal got resized, keep the screen model in step
+   */
+  resize(columns, rows) {
+    const changed = columns !== this.screen.cols || rows !== this.screen.rows;
+    this.screen.resize(columns, rows);
+    if (changed) this.plugins.resize(this.screen.cols, this.screen.rows);
+  }
+
+  /**
+   * switch escape profiles, e.g. once the wrapper's heard back from the terminal
+   */
+  setTerminal(terminal) {
+    this.terminal = terminal;
+  }
+
+  /**
+   * what clears scrollback on this terminal
+   */
+  clearSequence() {
+    return this.terminal.clearScrollback;
+  }
+
+  /**
+   * a scrollback clear that leaves the cursor where it was
+   */
+  trimSequence() {
+    return this.terminal.saveCursor + this.terminal.clearScrollback + this.terminal.restoreCursor;
+  }
+
+  /**
+   * wrap frames in synchronized updates? syncOutput 'auto' goes by the
+   * terminal profile. needs a writer for the end marker
+   */
+  syncEnabled() {
+    const setting = this.config.syncOutput || 'auto';
+    if (setting === 'off' || !this.write || !this.isTTY) return false;
+    return setting === 'on' || Boolean(this.terminal.syncOutput);
+  }
+
+  /**
+   * keep the open update open a little longer - another frame or the rest of
+   * this one might be on the way. never past SYNC_MAX_MS from when it opened
+   */
+  holdSync() {
+    if (this.syncTimer) this.clock.clearTimeout(this.syncTimer);
+    const left = this.syncOpenedAt + SYNC_MAX_MS - this.clock.now();
+    this.syncTimer = this.clock.setTimeout(() => {
+      this.syncTimer = null;
+      this.endSync();
+    }, Math.max(0, Math.min(this.config.syncOutputMs, left)));
+  }
+
+  /**
+   * close the open update so the terminal paints
+   * not while the output's stopped halfway through a sequence - the marker
+   * would land inside it, so wait for the rest
+   */
+  endSync() {
+    if (!this.syncOpen) return;
+    if (this.tokenizer.pending) {
+      this.holdSync();
+      return;
+    }
+    if (this.syncTimer) {
+      this.clock.clearTimeout(this.syncTimer);
+      this.syncTimer = null;
+    }
+    this.syncOpen = false;
+    // a clear of ours that waited for the update goes in just before it ends
+    this.write(this.deferredPrefix + SYNC_END);
+    this.deferredPrefix = '';
+  }
+
+  /**
+   * write a sequence of our own, outside of process(). while the output's
+   * stopped halfway through a sequence, or an update's open, it waits for
+   * the next chunk's safe spot instead (or endSync(), whichever's first)
+   */
+  writeOwn(seq) {
+    if (this.tokenizer.pending || this.syncOpen) {
+      this.deferredPrefix += seq;
+      return;
+    }
+    this.write(seq);
+  }
+
+  /**
+   * a held frame's turn came up - it goes out as one update of its own
+   */
+  writeHeld(data) {
+    if (this.syncEnabled()) {
+      this.endSync();
+      data = SYNC_BEGIN + data + SYNC_END;
+    }
+    this.write(data);
+  }
+
+  /**
+   * add a rule to the pipeline - goes last unless you give it an index
+   */
+  use(rule, index) {
+    if (!rule || typeof rule.apply !== 'function') {
+      throw new TypeError('rule needs an apply(ctx, engine) function');
+    }
+    if (index === undefined) {
+      this.rules.push(rule);
+    } else {
+      this.rules.splice(index, 0, rule);
+    }
+    return this;
+  }
+
+  /**
+   * pull a rule out of the pipeline by name
+   */
+  removeRule(name) {
+    this.rules = this.rules.filter(r => r.name !== name);
+    return this;
+  }
+
+  /**
+   * call this whenever the user types
+   */
+  noteTyping() {
+    this.lastTypingTime = this.clock.now();
+  }
+
+  /**
+   * check if user's actively typing (within cooldown window)
+   * pastes don't count, see noteInput()
+   */
+  isTypingActive() {
+    return (this.clock.now() - this.lastTypingTime) < this.config.typingCooldownMs;
+  }
+
+  /**
+   * call this with what came in on stdin - keys count as typing, a bracketed
+   * paste doesn't (a 500 line paste ain't 500 keystrokes, see paste-guard.cjs)
+   */
+  noteInput(data) {
+    for (const part of this.pasteParser.feed(data)) {
+      if (part.type === 'typed') {
+        this.noteTyping();
+      } else {
+        this.notePaste();
+        this.input.pasteBytes += part.data.length;
+        if (part.done) this.input.pastes++;
+      }
+    }
+  }
+
+  notePaste() {
+    this.lastPasteTime = this.clock.now();
+  }
+
+  /**
+   * a paste came in within the typing cooldown
+   */
+  isPasteActive() {
+    return (this.clock.now() - this.lastPasteTime) < this.config.typingCooldownMs;
+  }
+
+  /**
+   * run a chunk through the rule pipeline, returns what should get written
+   * strings come back as strings, buffers get decoded - a character split
+   * across two buffers comes out with the second
+   * options.final - let out anything redaction's holding back
+   */
+  process(chunk, options = {}) {
+    if (this.config.disabled) {
+      // the fix is off, secrets staying off the screen and out of
+      // recordings isn't part of it
+      if (this.config.redact || this.redactor.held) {
+        chunk = this.redactor.filter(this.decode(chunk), options.final);
+        if (!chunk) return '';
+      } else if (typeof chunk !== 'string' && this.partial.length) {
+        chunk = Buffer.concat([this.partial, chunk]);
+        this.partial = Buffer.alloc(0);
+      }
+      this.emit('output', chunk);
+      return chunk;
+    }
+
+    chunk = this.decode(chunk);
+    let text = chunk;
+
+    // secrets off first, nothing after this sees them
+    if (this.config.redact || this.redactor.held) {
+      chunk = text = this.redactor.filter(text, options.final);
+      if (!text) return '';
+    }
+    this.emit('output', text);
+
+    // plugins go first, what they leave is what the rules see
+    let pluginPrefix = '';
+    if (this.plugins.size) {
+      const out = this.plugins.output(text);
+      if (out.dropped) return '';
+      if (out.text !== text) chunk = text = out.text;
+      pluginPrefix = out.prefix;
+    }
+
+    const carried = this.tokenizer.pending;
+    const events = this.tokenizer.feed(text);
+    const plain = plainText(events);
+    const tail = this.textTail;
+    const scrolled = this.screen.apply(events);
+    // fed every chunk, even ones a rule passes through, so lines stay whole
+    const sessionEvents = this.sessions.feed(events);
+
+    // paused - keep tracking so we're in sync on resume, but touch nothing
+    if (this.paused) {
+      this.textTail = (tail + plain).slice(-TEXT_TAIL_LENGTH);
+      if (this.config.archiveScrollback) this.getArchive().capture(events);
+      // plugins still run while we're paused, their injections still go out
+      if (!pluginPrefix) return chunk;
+      const offset = this.safeOffset(carried, events, text);
+      if (offset === -1) {
+        this.deferredPrefix += pluginPrefix;
+        return chunk;
+      }
+      return text.slice(0, offset) + pluginPrefix + text.slice(offset);
+    }
+
+    let prefix = pluginPrefix;
+    let stopped = false;
+    const engine = this;
+    const ctx = {
+      text,
+      events,
+      plain,
+      carried,
+      scrolled,
+      sessionEvents,
+      inject(seq, reason) {
+        if (seq.includes(engine.clearSequence())) {
+          engine.archiveScrollback(reason);
+          // the clear goes in front of this chunk, so its rows still count
+          engine.screen.clearScrollback(scrolled);
+        }
+        prefix = seq + prefix;
+        engine.emit('inject', { seq, reason });
+      },
+      passthrough() {
+        stopped = true;
+      },
+      // true if needle shows up in the text, even split across the last read
+      // a match that sat entirely in the last chunk doesn't count twice
+      matchText(needle) {
+        const idx = (tail + plain).lastIndexOf(needle);
+        return idx !== -1 && idx + needle.length > tail.length;
+      }
+    };
+
+    for (const rule of this.rules) {
+      rule.apply(ctx, this);
+      if (stopped) break;
+    }
+
+    this.textTail = (tail + plain).slice(-TEXT_TAIL_LENGTH);
+
+    // capture after the rules - any clear they injected lands before this chunk,
+    // so this chunk belongs to the next archive flush not the one that just ran
+    if (this.config.archiveScrollback) {
+      this.getArchive().capture(events);
+    }
+
+    if (this.deferredPrefix) {
+      prefix = this.deferredPrefix + prefix;
+      this.deferredPrefix = '';
+    }
+
+    // never inject into the middle of a sequence a previous read left open
+    const offset = this.safeOffset(carried, events, text);
+
+    // render storm - a frame that's early, and anything behind it, waits
+    // a chunk finishing the last one's sequence isn't a new frame
+    if (stopped) {
+      this.limiter.flush();
+    } else if (this.write) {
+      const frame = !carried && events.some(ev => isClearScreen(ev) || isCursorHome(ev));
+      if (frame) this.limiter.noteFrame();
+      if (this.limiter.shouldHold(frame)) {
+        let out = text;
+        if (prefix && offset === -1) {
+          this.deferredPrefix = prefix;
+          prefix = '';
+        } else if (prefix) {
+          out = text.slice(0, offset) + prefix + text.slice(offset);
+        }
+        this.limiter.hold(out, prefix, frame && events.some(isClearScreen));
+        return '';
+      }
+    }
+
+    if (this.syncEnabled()) {
+      if (stopped) {
+        // a keystroke echo doesn't wait on a frame - close up so it shows now
+        if (this.syncOpen && offset === 0) {
+          if (this.syncTimer) this.clock.clearTimeout(this.syncTimer);
+          this.syncTimer = null;
+          this.syncOpen = false;
+          prefix = SYNC_END + prefix;
+        }
+      } else if (offset !== -1 && (prefix || events.some(ev => isClearScreen(ev) || isCursorHome(ev)))) {
+        // a new frame, or a clear of ours - both go in one update with the frame
+        if (!this.syncOpen) {
+          this.syncOpen = true;
+          this.syncOpenedAt = this.clock.now();
+          this.syncUpdates++;
+          prefix = SYNC_BEGIN + prefix;
+        }
+        this.holdSync();
+      } else if (this.syncOpen) {
+        this.holdSync();
+      }
+    }
+
+    if (!prefix) return stopped ? chunk : text;
+    if (offset === -1) {
+      this.deferredPrefix = prefix;
+      return text;
+    }
+    return text.slice(0, offset) + prefix + text.slice(offset);
+  }
+
+  /**
+   * first spot in the chunk where it's safe to splice in our own sequences
+   * -1 means the whole chunk is still inside somebody else's sequence
+   */
+  safeOffset(carried, events, text) {
+    if (!carried) return 0;
+    const finished = events.find(ev => ev.carried);
+    if (finished) return finished.end;
+    if (this.tokenizer.pending && events.length === 0) return -1;
+    return events.length ? events[0].start : text.length;
+  }
+
+  /**
+   * buffers to text, holding back a character that's cut off at the end
+   * till the next one
+   */
+  decode(chunk) {
+    if (typeof chunk === 'string') return chunk;
+    const buf = this.partial.length ? Buffer.concat([this.partial, chunk]) : chunk;
+    const end = wholeLength(buf);
+    this.partial = Buffer.from(buf.subarray(end));
+    return buf.toString('utf8', 0, end);
+  }
+
+  /**
+   * text redaction held back to see how it ends - out it goes, masked
+   */
+  flushRedaction() {
+    if (!this.redactor.held) return;
+    const out = this.process('', { final: true });
+    if (out && this.write) this.write(out);
+  }
+
+  /**
+   * stop injecting anything until resume() - output passes straight through
+   */
+  pause() {
+    this.limiter.flush();
+    this.endSync();
+    this.paused = true;
+    this.log('paused');
+  }
+
+  resume() {
+    this.paused = false;
+    this.log('resumed');
+  }
+
+  /**
+   * clear scrollback right now, no typing check - for when the user asks for it
+   */
+  clearNow(reason = 'manual') {
+    if (!this.write) return;
+    this.archiveScrollback(reason);
+    this.screen.clearScrollback();
+    this.writeOwn(this.trimSequence());
+    this.emit('inject', { seq: this.trimSequence(), reason });
+  }
+
+  /**
+   * safe clear - defers if typing's active so we don't eat keystrokes
+   */
+  safeClearScrollback() {
+    if (this.clearTimer) return;
+    if (this.isTypingActive()) {
+      this.pendingClear = true;
+      this.log('deferring clear - typing active');
+      this.clearTimer = this.clock.setTimeout(() => {
+        this.clearTimer = null;
+        this.pendingClear = false;
+        if (!this.isTypingActive()) {
+          this.safeClearScrollback();
+        }
+      }, this.config.typingCooldownMs);
+      return;
+    }
+
+    if (this.write && this.isTTY) {
+      // next tick, not to block the event loop
+      this.clearTimer = this.clock.setTimeout(() => {
+        this.clearTimer = null;
+        this.log('executing deferred scrollback clear');
+        this.archiveScrollback('periodic');
+        this.screen.clearScrollback();
+        this.writeOwn(this.trimSequence());
+        this.emit('inject', { seq: this.trimSequence(), reason: 'periodic' });
+      }, 0);
+    }
+  }
+
+  /**
+   * scrollback archive, created the first time archiving's needed
+   */
+  getArchive() {
+    if (!this.archive) {
+      this.archive = new ScrollbackArchive({
+        dir: this.config.archiveDir || undefined,
+        maxBytes: this.config.archiveMaxBytes,
+        maxFiles: this.config.archiveMaxFiles,
+        log: this.log
+      });
+      this.log('archiving scrollback to', this.archive.file);
+    }
+    return this.archive;
+  }
+
+  /**
+   * save what's about to get wiped - call this right before clearing scrollback
+   */
+  archiveScrollback(reason) {
+    if (!this.config.archiveScrollback) return;
+    this.getArchive().flush(reason);
+  }
+
+  /**
+   * periodic cleanup so long sessions dont get cooked
+   * uses safeClearScrollback which respects typing activity
+   */
+  startPeriodicClear() {
+    if (this.clearIntervalId || !(this.config.periodicClearMs > 0)) return;
+    this.nextClearAt = this.clock.now() + this.config.periodicClearMs;
+    this.clearIntervalId = this.clock.setInterval(() => {
+      this.nextClearAt = this.clock.now() + this.config.periodicClearMs;
+      if (this.paused) return;
+      this.log('periodic clear check');
+      this.safeClearScrollback();
+    }, this.config.periodicClearMs);
+  }
+
+  stopPeriodicClear() {
+    if (this.clearIntervalId) {
+      this.clock.clearInterval(this.clearIntervalId);
+      this.clearIntervalId = null;
+    }
+    // and one that's waiting to go out, it doesn't get to after this
+    if (this.clearTimer) {
+      this.clock.clearTimeout(this.clearTimer);
+      this.clearTimer = null;
+      this.pendingClear = false;
+    }
+    this.nextClearAt = null;
+  }
+
+  /**
+   * ms till the periodic clear's due, null when there isn't one
+   */
+  nextPeriodicClear() {
+    if (this.nextClearAt === null) return null;
+    return Math.max(0, this.nextClearAt - this.clock.now());
+  }
+
+  /**
+   * pick up a new periodicClearMs
+   */
+  restartPeriodicClear() {
+    this.stopPeriodicClear();
+    this.startPeriodicClear();
+  }
+
+  getStats() {
+    const stats = {
+      renderCount: this.renderCount,
+      lineCount: this.lineCount,
+      paused: this.paused,
+      screen: this.screen.getState(),
+      rules: this.rules.map(r => r.name),
+      terminal: this.terminal.name,
+      syncOutput: this.syncEnabled(),
+      syncUpdates: this.syncUpdates,
+      rateLimit: this.limiter.getStats(),
+      sessions: this.sessions.getStats(),
+      redaction: this.redactor.getStats(),
+      plugins: this.plugins.getStats(),
+      input: { ...this.input }
+    };
+    if (this.archive) {
+      stats.archive = this.archive.getStats();
+    }
+    return stats;
+  }
+}
+
+module.exports = {
+  OutputEngine,
+  rules,
+  defaultRules,
+  isStdinEcho,
+  CLEAR_SCROLLBACK,
+  CURSOR_SAVE,
+  CURSOR_RESTORE,
+  CLEAR_SCREEN,
+  HOME_CURSOR,
+  SYNC_BEGIN,
+  SYNC_END
+};
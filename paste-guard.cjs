@@ -0,0 +1,335 @@
+'use strict';
+
+/**
+ * paste guard - pastes go into claude a bit at a time, big ones ask first
+ *
+ * claude turns on bracketed paste, so the terminal wraps whatever you paste in
+ * \x1b[200~ ... \x1b[201~. without this, a 2MB log dump lands on claude in one
+ * write, and to the glitch detector it looks like you typed all of it in a
+ * blink. so stdin gets split into typed and pasted:
+ *
+ *   - typing goes straight through, same as before
+ *   - a paste goes in pasteChunkBytes at a time, pasteChunkDelayMs apart, and
+ *     anything typed meanwhile waits behind it
+ *   - a paste over pasteConfirmLines lines waits for y/n first, and pastes
+ *     that come in meanwhile wait behind it
+ *   - ctrl-c while a paste is going in drops the rest of it
+ *   - a paste whose end marker doesn't turn up within pasteTimeoutMs of the
+ *     last of it goes in as it is - otherwise everything typed after it would
+ *     be more paste, forever
+ *
+ * PasteParser only does the splitting, for anything that just needs to know
+ * which is which (the engine, the glitch detector)
+ */
+
+const EventEmitter = require('events');
+const { systemClock } = require('./clock.cjs');
+
+const PASTE_START = '\x1b[200~';
+const PASTE_END = '\x1b[201~';
+
+const CTRL_C = '\x03';
+const ESC = '\x1b';
+
+// a marker cut in half at the end of a read. a lone \x1b is the escape key,
+// so typing only holds back from \x1b[2 on
+const TYPED_HOLD_MIN = 3;
+
+// how many characters at the end of str could be the start of marker
+function partialMarker(str, marker, min) {
+  for (let n = Math.min(marker.length - 1, str.length); n >= min; n--) {
+    if (str.endsWith(marker.slice(0, n))) return n;
+  }
+  return 0;
+}
+
+function countLines(text) {
+  const breaks = text.match(/\r\n|\r|\n/g);
+  return 1 + (breaks ? breaks.length : 0);
+}
+
+class PasteParser {
+  constructor() {
+    this.inPaste = false;
+    this.pending = '';          // what might be half a marker
+  }
+
+  /**
+   * split stdin data into [{ type: 'typed' | 'paste', data, done }]
+   * paste data comes without the markers, done is set on the piece that
+   * ends the paste. a paste split over reads comes out in pieces
+   */
+  feed(data) {
+    let str = this.pending + (typeof data === 'string' ? data : data.toString());
+    this.pending = '';
+    const parts = [];
+
+    while (str) {
+      const marker = this.inPaste ? PASTE_END : PASTE_START;
+      const at = str.indexOf(marker);
+      let text;
+      if (at === -1) {
+        const held = partialMarker(str, marker, this.inPaste ? 1 : TYPED_HOLD_MIN);
+        this.pending = str.slice(str.length - held);
+        text = str.slice(0, str.length - held);
+        str = '';
+      } else {
+        text = str.slice(0, at);
+        str = str.slice(at + marker.length);
+      }
+
+      if (this.inPaste) {
+        if (text || at !== -1) parts.push({ type: 'paste', data: text, done: at !== -1 });
+        if (at !== -1) this.inPaste = false;
+      } else {
+        if (text) parts.push({ type: 'typed', data: text, done: false });
+        if (at !== -1) this.inPaste = true;
+      }
+    }
+    return parts;
+  }
+
+  reset() {
+    this.inPaste = false;
+    this.pending = '';
+  }
+}
+
+class PasteGuard extends EventEmitter {
+  /**
+   * options.write  - where input for claude goes (the pty)
+   * options.prompt - shows the confirm question, called with null to hide it
+   * options.config - live config: pasteChunkBytes, pasteChunkDelayMs, pasteConfirmLines,
+   *                  pasteTimeoutMs
+   * options.clock
+   * options.log
+   */
+  constructor(options = {}) {
+    super();
+    this.write = options.write;
+    this.prompt = options.prompt || (() => {});
+    this.config = options.config || {};
+    this.clock = options.clock || systemClock;
+    this.log = options.log || (() => {});
+    this.parser = new PasteParser();
+    this.paste = '';            // the paste coming in, till its end marker shows
+    this.asking = null;         // { text, lines } waiting on y/n
+    this.waiting = [];          // pastes that came in while we were asking
+    this.queue = [];            // { data, chunk } waiting to go to claude
+    this.sending = false;       // a paste's start marker went out, its end hasn't
+    this.timer = null;
+    this.endTimer = null;       // gives up on the paste coming in's end marker
+    this.stats = { pastes: 0, pasteBytes: 0, chunks: 0, confirmed: 0, cancelled: 0 };
+  }
+
+  /**
+   * everything from stdin comes through here
+   */
+  input(data) {
+    for (const part of this.parser.feed(data)) {
+      if (part.type === 'paste') {
+        this.paste += part.data;
+        if (part.done) {
+          const text = this.paste;
+          this.paste = '';
+          this.pasted(text);
+        }
+      } else if (this.asking) {
+        this.answer(part.data);
+      } else {
+        if (this.busy() && part.data.includes(CTRL_C)) this.cancel('ctrl-c');
+        this.send(part.data);
+      }
+    }
+    this.waitForEnd();
+  }
+
+  // (re)start the wait for the end of the paste coming in, if there is one
+  waitForEnd() {
+    if (this.endTimer) this.clock.clearTimeout(this.endTimer);
+    this.endTimer = null;
+    const limit = this.config.pasteTimeoutMs;
+    if (!this.parser.inPaste || !(limit > 0)) return;
+    this.endTimer = this.clock.setTimeout(() => {
+      this.endTimer = null;
+      // half an end marker is just more of it now
+      const text = this.paste + this.parser.pending;
+      this.paste = '';
+      this.parser.reset();
+      this.log('paste never ended, letting ' + Buffer.byteLength(text) + ' bytes in after ' + limit + 'ms');
+      this.pasted(text);
+    }, limit);
+  }
+
+  /**
+   * is a paste still going in
+   */
+  busy() {
+    return this.queue.length > 0 || this.timer !== null;
+  }
+
+  pasted(text) {
+    const bytes = Buffer.byteLength(text);
+    this.stats.pastes++;
+    this.stats.pasteBytes += bytes;
+    this.emit('paste', { bytes, lines: countLines(text) });
+
+    if (this.asking) {
+      this.log('paste waiting, still asking about the last one');
+      this.waiting.push(text);
+      return;
+    }
+    this.check(text);
+  }
+
+  // ask about it if it's long, otherwise in it goes
+  check(text) {
+    const lines = countLines(text);
+    const limit = this.config.pasteConfirmLines;
+    if (limit > 0 && lines > limit) {
+      this.asking = { text, lines };
+      this.prompt('paste ' + lines + ' lines (' + Math.ceil(Buffer.byteLength(text) / 1024) + 'K)? y/n');
+      return;
+    }
+    this.queuePaste(text);
+  }
+
+  // y pastes it, n / esc / ctrl-c don't, anything else gets ignored
+  answer(data) {
+    const { text, lines } = this.asking;
+    let yes;
+    if (data === ESC) {
+      yes = false;
+    } else {
+      const key = Array.from(data).find(ch => /[yYnN]/.test(ch) || ch === CTRL_C);
+      if (!key) return;
+      yes = key === 'y' || key === 'Y';
+    }
+    this.asking = null;
+    this.prompt(null);
+    const bytes = Buffer.byteLength(text);
+    if (yes) {
+      this.stats.confirmed++;
+      this.emit('paste-confirmed', { bytes, lines });
+      this.queuePaste(text);
+    } else {
+      this.stats.cancelled++;
+      this.emit('paste-cancelled', { bytes, lines, reason: 'declined' });
+    }
+    // the next one that came in meanwhile, it might want asking about too
+    while (!this.asking && this.waiting.length) this.check(this.waiting.shift());
+  }
+
+  // split it up, the markers go on the first and last pieces. pieces are
+  // pasteChunkBytes of utf-8, whole characters only - a piece gets at least
+  // one, however big it is
+  queuePaste(text) {
+    const size = this.config.pasteChunkBytes;
+    const pieces = [];
+    if (size > 0 && Buffer.byteLength(text) > size) {
+      let piece = '';
+      let bytes = 0;
+      for (const ch of text) {
+        const n = Buffer.byteLength(ch);
+        if (piece && bytes + n > size) {
+          pieces.push(piece);
+          piece = '';
+          bytes = 0;
+        }
+        piece += ch;
+        bytes += n;
+      }
+      if (piece) pieces.push(piece);
+    }
+    if (!pieces.length) pieces.push(text);
+
+    pieces.forEach((piece, i) => {
+      const first = i === 0;
+      const last = i === pieces.length - 1;
+      this.queue.push({
+        data: (first ? PASTE_START : '') + piece + (last ? PASTE_END : ''),
+        chunk: true,
+        first,
+        last
+      });
+    });
+    this.pump();
+  }
+
+  // typing, behind any paste still going in
+  send(data) {
+    this.queue.push({ data, chunk: false });
+    this.pump();
+  }
+
+  // write what's queued, waiting pasteChunkDelayMs between paste pieces
+  pump() {
+    if (this.timer) return;
+    while (this.queue.length) {
+      const entry = this.queue.shift();
+      if (entry.chunk) {
+        this.stats.chunks++;
+        if (entry.first) this.sending = true;
+        if (entry.last) this.sending = false;
+      }
+      this.write(entry.data);
+      const delay = this.config.pasteChunkDelayMs;
+      if (entry.chunk && delay > 0 && this.queue.length && this.queue[0].chunk) {
+        this.timer = this.clock.setTimeout(() => {
+          this.timer = null;
+          this.pump();
+        }, delay);
+        return;
+      }
+    }
+  }
+
+  /**
+   * drop whatever's left of the pastes going in - claude still gets the end
+   * marker for the one it's halfway through
+   */
+  cancel(reason) {
+    const dropped = this.queue.filter(e => e.chunk);
+    if (!dropped.length) return;
+    this.queue = this.queue.filter(e => !e.chunk);
+    if (this.sending) {
+      this.queue.unshift({ data: PASTE_END, chunk: false });
+      this.sending = false;
+    }
+    const bytes = dropped.reduce((n, e) => n + Buffer.byteLength(e.data), 0);
+    this.stats.cancelled++;
+    this.log('paste cancelled (' + reason + '), dropped ' + bytes + ' bytes');
+    this.emit('paste-cancelled', { bytes, reason });
+  }
+
+  /**
+   * stop writing, forget what's waiting
+   */
+  close() {
+    if (this.timer) this.clock.clearTimeout(this.timer);
+    this.timer = null;
+    if (this.endTimer) this.clock.clearTimeout(this.endTimer);
+    this.endTimer = null;
+    this.queue = [];
+    if (this.asking) this.prompt(null);
+    this.asking = null;
+    this.waiting = [];
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      asking: Boolean(this.asking),
+      waiting: this.waiting.length,
+      queued: this.queue.reduce((n, e) => n + Buffer.byteLength(e.data), 0)
+    };
+  }
+}
+
+module.exports = {
+  PasteParser,
+  PasteGuard,
+  countLines,
+  PASTE_START,
+  PASTE_END
+};
@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * patches - remember everything we hooked so it can all be put back
+ *
+ * install() swaps out stdout.write, wraps process.on for SIGWINCH, adds
+ * listeners and starts timers. anything that embeds us and wants to take us
+ * back out needs every one of those undone, newest first, so a patch on top of
+ * a patch comes off in the right order. a PatchSet is that list
+ */
+
+// every way to add a listener, and what it does differently
+const ADD_METHODS = {
+  on: { prepend: false, once: false },
+  addListener: { prepend: false, once: false },
+  prependListener: { prepend: true, once: false },
+  once: { prepend: false, once: true },
+  prependOnceListener: { prepend: true, once: true }
+};
+const REMOVE_METHODS = ['removeListener', 'off'];
+
+class PatchSet {
+  constructor() {
+    this.undos = [];
+  }
+
+  get size() {
+    return this.undos.length;
+  }
+
+  /**
+   * run fn when we're restored
+   */
+  add(fn) {
+    this.undos.push(fn);
+    return fn;
+  }
+
+  /**
+   * obj[key] = value, and put the old one back later. a method that only
+   * lived on the prototype gets deleted again instead of copied onto obj
+   */
+  replace(obj, key, value) {
+    const own = Object.prototype.hasOwnProperty.call(obj, key);
+    const original = obj[key];
+    obj[key] = value;
+    this.add(() => {
+      if (own) obj[key] = original;
+      else delete obj[key];
+    });
+    return original;
+  }
+
+  /**
+   * emitter.on(event, handler) till we're restored
+   */
+  listen(emitter, event, handler) {
+    emitter.on(event, handler);
+    this.add(() => emitter.removeListener(event, handler));
+    return handler;
+  }
+
+  /**
+   * undo everything, newest first. one undo throwing doesn't stop the rest,
+   * the errors come back so the caller can say something
+   */
+  restore() {
+    const errors = [];
+    while (this.undos.length) {
+      const undo = this.undos.pop();
+      try {
+        undo();
+      } catch (err) {
+        errors.push(err);
+      }
+    }
+    return errors;
+  }
+}
+
+/**
+ * take over how listeners for one event get added and removed on an emitter,
+ * whichever method they come in through:
+ *
+ *   hooks.add(handler, { prepend, once, method }) - a listener showed up
+ *   hooks.remove(handler)                         - somebody took it off
+ *
+ * other events go straight through. the patches come off with the set
+ */
+function interceptEvent(patches, emitter, event, hooks) {
+  const originals = {};
+
+  for (const method of Object.keys(ADD_METHODS)) {
+    if (typeof emitter[method] !== 'function') continue;
+    const original = emitter[method];
+    originals[method] = original;
+    patches.replace(emitter, method, function(name, handler) {
+      if (name !== event) return original.apply(this, arguments);
+      hooks.add(handler, { ...ADD_METHODS[method], method });
+      return this;
+    });
+  }
+
+  for (const method of REMOVE_METHODS) {
+    if (typeof emitter[method] !== 'function') continue;
+    const original = emitter[method];
+    originals[method] = original;
+    patches.replace(emitter, method, function(name, handler) {
+      if (name !== event) return original.apply(this, arguments);
+      hooks.remove(handler);
+      return this;
+    });
+  }
+
+  // the real methods, for registering things without going through ourselves
+  return originals;
+}
+
+/**
+ * add a listener with the real methods interceptEvent() handed back. the
+ * real once() calls this.on() and that's still ours, so once gets done by
+ * hand - with .listener set, like node's, so removeListener(handler) finds it
+ */
+function addListener(real, emitter, event, handler, how = {}) {
+  let listener = handler;
+  if (how.once) {
+    listener = function(...args) {
+      real.removeListener.call(emitter, event, listener);
+      return handler.apply(this, args);
+    };
+    listener.listener = handler;
+  }
+  const add = how.prepend && real.prependListener ? real.prependListener : real.on;
+  add.call(emitter, event, listener);
+  return listener;
+}
+
+module.exports = {
+  PatchSet,
+  interceptEvent,
+  addListener,
+  ADD_METHODS
+};
@@ -0,0 +1,299 @@
+'use strict';
+
+/**
+ * plugins - team-specific behavior without forking us
+ *
+ * a plugin is a module (config.plugins lists their paths) exporting one of
+ * these, an array of em, or { plugins: [...] }:
+ *
+ *   {
+ *     name: 'beep-on-done',
+ *     order: 0,                 lower runs first, ties go in load order
+ *     setup(api)                once when it's loaded, can return a teardown fn
+ *     output(ctx, api)          every chunk on its way to the terminal
+ *     stdin(ev, api)            { data } - what the user typed
+ *     resize(ev, api)           { columns, rows } - the terminal changed size
+ *     detector(ev, api)         { type, ...payload } - glitch-detected,
+ *                               glitch-resolved, recovery-started, ...
+ *     session(ev, api)          /clear, compact etc, see session-events.cjs
+ *     teardown(api)             when we're uninstalled
+ *   }
+ *
+ * every hook is optional. output's ctx:
+ *
+ *   ctx.text          - the chunk, with whatever plugins before this one did to it
+ *   ctx.events        - tokenizer events for the chunk as the target wrote it
+ *   ctx.plain         - printable text of that, escapes stripped
+ *   ctx.replace(text) - write this instead
+ *   ctx.drop()        - write nothing, later plugins don't see it
+ *   ctx.inject(seq)   - put something in front of the chunk (where it's safe)
+ *
+ * api is { config, clock, log(...), write(data), clearScrollback(reason), getStats() }
+ * - write goes straight to the terminal, past the rules and the plugins
+ *
+ * one bad plugin can't take the terminal down: a hook that throws (or
+ * rejects) gets logged and reported as 'plugin-error', an output hook's changes
+ * to that chunk are thrown away, and after pluginMaxErrors errors the plugin's
+ * switched off. a module that won't load is skipped the same way
+ */
+
+const EventEmitter = require('events');
+const path = require('path');
+const { AnsiTokenizer, plainText } = require('./ansi-parser.cjs');
+
+// call() hands this back when a hook threw
+const FAILED = Symbol('failed');
+
+const HOOKS = ['setup', 'output', 'stdin', 'resize', 'detector', 'session', 'teardown'];
+
+// what a detector says that plugins get to hear
+const DETECTOR_EVENTS = [
+  'glitch-detected',
+  'glitch-resolved',
+  'recovery-started',
+  'recovery-success',
+  'recovery-failed'
+];
+
+function checkPlugin(plugin, source) {
+  if (!plugin || typeof plugin.name !== 'string' || !plugin.name) {
+    throw new TypeError(source + ': a plugin needs a name');
+  }
+  const hooks = HOOKS.filter(h => typeof plugin[h] === 'function');
+  if (!hooks.length) {
+    throw new TypeError(source + ': plugin ' + plugin.name + ' has none of ' + HOOKS.join(', '));
+  }
+  if (plugin.order !== undefined && typeof plugin.order !== 'number') {
+    throw new TypeError(source + ': plugin ' + plugin.name + ' order should be a number');
+  }
+  return plugin;
+}
+
+/**
+ * plugins a module exports - one, an array, or { plugins: [...] }
+ */
+function loadPluginModule(file, cwd = process.cwd()) {
+  const exported = require(path.resolve(cwd, file));
+  const list = Array.isArray(exported) ? exported
+    : exported && Array.isArray(exported.plugins) ? exported.plugins
+      : [exported];
+  return list.map(p => checkPlugin(p, file));
+}
+
+class PluginHost extends EventEmitter {
+  /**
+   * options.engine - the OutputEngine we're part of, for write/clear/stats
+   * options.config - live config, pluginMaxErrors
+   * options.clock
+   * options.log
+   */
+  constructor(options = {}) {
+    super();
+    this.engine = options.engine;
+    this.config = options.config || {};
+    this.clock = options.clock;
+    this.log = options.log || (() => {});
+    this.entries = [];        // { plugin, order, seq, errors, disabled, teardown }
+    this.seq = 0;
+    this.tokenizer = new AnsiTokenizer();
+    this.detachDetector = null;
+
+    const engine = this.engine;
+    this.api = {
+      config: this.config,
+      clock: this.clock,
+      log: (...args) => this.log('[plugin]', ...args),
+      write: data => { if (engine && engine.write) engine.write(data); },
+      clearScrollback: reason => { if (engine) engine.clearNow(reason || 'plugin'); },
+      getStats: () => (engine ? engine.getStats() : {})
+    };
+  }
+
+  get size() {
+    return this.entries.filter(e => !e.disabled).length;
+  }
+
+  /**
+   * load every module in files, skipping (and reporting) the ones that break
+   */
+  load(files = [], cwd) {
+    for (const file of files) {
+      let list;
+      try {
+        list = loadPluginModule(file, cwd);
+      } catch (err) {
+        this.log('plugin', file, 'failed to load:', err.message);
+        this.emit('plugin-error', { plugin: file, hook: 'load', error: err });
+        continue;
+      }
+      list.forEach(plugin => this.add(plugin));
+    }
+    return this;
+  }
+
+  /**
+   * add a plugin object, runs its setup()
+   */
+  add(plugin) {
+    checkPlugin(plugin, 'plugin');
+    const entry = {
+      plugin,
+      order: plugin.order || 0,
+      seq: this.seq++,
+      errors: 0,
+      disabled: false,
+      teardown: null
+    };
+    this.entries.push(entry);
+    this.entries.sort((a, b) => a.order - b.order || a.seq - b.seq);
+
+    const teardown = this.call(entry, 'setup', this.api);
+    if (teardown === FAILED) {
+      // half set up is worse than not at all
+      entry.disabled = true;
+      return this;
+    }
+    if (typeof teardown === 'function') entry.teardown = teardown;
+    this.log('plugin loaded:', plugin.name);
+    return this;
+  }
+
+  /**
+   * run one hook, catching whatever it throws or rejects with
+   * returns what the hook returned, FAILED if it threw
+   */
+  call(entry, hook, ...args) {
+    const fn = entry.plugin[hook];
+    if (entry.disabled || typeof fn !== 'function') return undefined;
+    try {
+      const result = fn.apply(entry.plugin, args);
+      if (result && typeof result.then === 'function') {
+        result.then(null, err => this.fail(entry, hook, err));
+      }
+      return result;
+    } catch (err) {
+      this.fail(entry, hook, err);
+      return FAILED;
+    }
+  }
+
+  fail(entry, hook, err) {
+    entry.errors++;
+    const name = entry.plugin.name;
+    this.log('plugin', name, hook + '() failed:', err && err.message);
+    this.emit('plugin-error', { plugin: name, hook, error: err });
+
+    const max = this.config.pluginMaxErrors;
+    if (!entry.disabled && max > 0 && entry.errors >= max) {
+      entry.disabled = true;
+      this.log('plugin', name, 'switched off after', entry.errors, 'errors');
+      this.emit('plugin-disabled', { plugin: name, errors: entry.errors });
+    }
+  }
+
+  // a hook that only gets told something
+  notify(hook, ev) {
+    for (const entry of this.entries) this.call(entry, hook, ev, this.api);
+  }
+
+  /**
+   * run a chunk through every output hook
+   * returns { text, prefix, dropped } - prefix is what they injected
+   */
+  output(text) {
+    const events = this.tokenizer.feed(text);
+    const plain = plainText(events);
+    let current = text;
+    let prefix = '';
+    let dropped = false;
+
+    for (const entry of this.entries) {
+      if (entry.disabled || typeof entry.plugin.output !== 'function') continue;
+      // what this plugin did, kept only if it didn't throw
+      let next = current;
+      let injected = '';
+      let drop = false;
+      const ctx = {
+        text: current,
+        events,
+        plain,
+        replace(replacement) { next = String(replacement); },
+        drop() { drop = true; },
+        inject(seq) { injected += seq; }
+      };
+      if (this.call(entry, 'output', ctx, this.api) === FAILED) continue;
+      current = next;
+      prefix += injected;
+      if (drop) {
+        dropped = true;
+        break;
+      }
+    }
+    return { text: current, prefix, dropped };
+  }
+
+  stdin(data) {
+    this.notify('stdin', { data: typeof data === 'string' ? data : data.toString() });
+  }
+
+  resize(columns, rows) {
+    this.notify('resize', { columns, rows });
+  }
+
+  session(ev) {
+    this.notify('session', ev);
+  }
+
+  /**
+   * pass a detector's events on to the detector hooks
+   */
+  attachDetector(detector) {
+    if (this.detachDetector) this.detachDetector();
+    const listeners = DETECTOR_EVENTS.map(type => {
+      const listener = payload => this.notify('detector', { type, ...payload });
+      detector.on(type, listener);
+      return [type, listener];
+    });
+    this.detachDetector = () => {
+      listeners.forEach(([type, listener]) => detector.removeListener(type, listener));
+      this.detachDetector = null;
+    };
+  }
+
+  /**
+   * teardown every plugin and forget them
+   */
+  close() {
+    if (this.detachDetector) this.detachDetector();
+    // switched off or not, they all get to clean up - newest first
+    for (const entry of this.entries.slice().reverse()) {
+      const teardowns = [entry.teardown, entry.plugin.teardown].filter(fn => typeof fn === 'function');
+      for (const fn of teardowns) {
+        try {
+          fn.call(entry.plugin, this.api);
+        } catch (err) {
+          this.log('plugin', entry.plugin.name, 'teardown failed:', err.message);
+        }
+      }
+    }
+    this.entries = [];
+    this.tokenizer.reset();
+  }
+
+  getStats() {
+    return this.entries.map(e => ({
+      name: e.plugin.name,
+      order: e.order,
+      errors: e.errors,
+      disabled: e.disabled
+    }));
+  }
+}
+
+module.exports = {
+  PluginHost,
+  loadPluginModule,
+  checkPlugin,
+  HOOKS,
+  DETECTOR_EVENTS
+};
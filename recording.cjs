@@ -0,0 +1,297 @@
+'use strict';
+
+/**
+ * session recording + replay - so "it glitched on me" turns into a test case
+ *
+ * the wrapper can record a session in asciicast v2, the format asciinema uses:
+ *
+ *   {"version": 2, "width": 120, "height": 40, "timestamp": 1760000000, ...}
+ *   [0.248, "o", "raw output from claude"]
+ *   [1.502, "i", "what the user typed"]
+ *   [3.110, "r", "100x40"]
+ *
+ * output is recorded as claude wrote it - before the rules touch it - so a
+ * replay can push it back through the engine and the glitch detector with
+ * different settings. with config.redact on, secrets are masked in both
+ * directions: the output by the engine (see redact.cjs) before it gets here,
+ * what you typed or pasted by the recorder itself
+ * replay runs on a fake clock so a 2 hour session replays in seconds and the
+ * timers (periodic clears, typing cooldown, detector checks) fire exactly when
+ * they did in the recording
+ *
+ * `asciinema play` works on these files too
+ */
+
+const fs = require('fs');
+const { OutputEngine } = require('./output-engine.cjs');
+const { GlitchDetector } = require('./glitch-detector.cjs');
+const { FakeClock, systemClock } = require('./clock.cjs');
+const { defaults } = require('./config.cjs');
+const { Redactor } = require('./redact.cjs');
+
+// is file a recording we made before - a plain file (not a link) that starts
+// with an asciicast v2 header. those are fine to write over, nothing else is
+function isRecording(file) {
+  let fd;
+  try {
+    if (!fs.lstatSync(file).isFile()) return false;
+    fd = fs.openSync(file, 'r');
+    const buf = Buffer.alloc(4096);
+    const text = buf.toString('utf8', 0, fs.readSync(fd, buf, 0, buf.length, 0));
+    const header = JSON.parse(text.split('\n')[0]);
+    return Boolean(header) && header.version === 2 && 'width' in header;
+  } catch (e) {
+    return false;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+// a new file, 0600 - an old recording gets replaced rather than truncated,
+// so it doesn't keep whatever mode it had
+function openNew(file) {
+  try {
+    return fs.openSync(file, 'wx', 0o600);
+  } catch (e) {
+    if (e.code !== 'EEXIST') throw e;
+    if (!isRecording(file)) throw new Error(file + ' is already there and isn\'t a recording, not overwriting it');
+    fs.unlinkSync(file);
+    return fs.openSync(file, 'wx', 0o600);
+  }
+}
+
+class Recorder {
+  /**
+   * options.width/height - starting terminal size
+   * options.command      - what got wrapped, goes in the header
+   * options.clock        - time source
+   * options.config       - live config, for redact and the redact* settings
+   */
+  constructor(file, options = {}) {
+    this.file = file;
+    this.clock = options.clock || systemClock;
+    this.config = options.config || {};
+    this.redactor = new Redactor({
+      config: this.config,
+      clock: this.clock,
+      onHold: () => this.flushInput()
+    });
+    this.start = this.clock.now();
+    // sync writes so a crash or process.exit() doesn't lose the tail
+    // 0600 because stdin is in here, passwords and all
+    this.fd = openNew(file);
+    this.events = 0;
+
+    const header = {
+      version: 2,
+      width: options.width || 80,
+      height: options.height || 24,
+      timestamp: Math.floor(this.start / 1000),
+      env: { TERM: process.env.TERM || '', SHELL: process.env.SHELL || '' }
+    };
+    if (options.command) header.command = options.command;
+    this.writeLine(header);
+  }
+
+  writeLine(value) {
+    if (this.fd === null) return;
+    fs.writeSync(this.fd, JSON.stringify(value) + '\n');
+  }
+
+  event(type, data) {
+    if (this.fd === null) return;
+    const t = (this.clock.now() - this.start) / 1000;
+    this.writeLine([Number(t.toFixed(6)), type, data]);
+    this.events++;
+  }
+
+  output(data) {
+    this.event('o', typeof data === 'string' ? data : data.toString());
+  }
+
+  input(data) {
+    let text = typeof data === 'string' ? data : data.toString();
+    // a token you pasted is as secret as one claude printed
+    if (this.config.redact || this.redactor.held) text = this.redactor.filter(text);
+    if (text) this.event('i', text);
+  }
+
+  // input redaction held back to see how it ends
+  flushInput() {
+    const text = this.redactor.release();
+    if (text) this.event('i', text);
+  }
+
+  resize(cols, rows) {
+    this.event('r', cols + 'x' + rows);
+  }
+
+  close() {
+    this.flushInput();
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+/**
+ * parse an asciicast v2 file into { header, events }
+ * events are { time (seconds), type, data }
+ */
+function readRecording(file) {
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter(l => l.trim());
+  if (lines.length === 0) throw new Error(file + ': empty recording');
+
+  const header = JSON.parse(lines[0]);
+  if (header.version !== 2) {
+    throw new Error(file + ': only asciicast v2 is supported, got version ' + header.version);
+  }
+
+  const events = lines.slice(1).map((line, i) => {
+    let ev;
+    try {
+      ev = JSON.parse(line);
+    } catch (e) {
+      throw new Error(file + ':' + (i + 2) + ': bad event line');
+    }
+    return { time: ev[0], type: ev[1], data: ev[2] };
+  });
+  return { header, events };
+}
+
+/**
+ * push a recording through the engine and the glitch detector on a fake clock
+ *
+ * options.config         - engine config overrides (defaults from config.cjs)
+ * options.detectorConfig - detector config overrides
+ * options.rules          - extra engine rules to test
+ *
+ * resolves with a report: every clear the engine would've injected, every
+ * glitch verdict the detector reached, and the final stats
+ */
+async function replayRecording(recording, options = {}) {
+  const base = defaults();
+  const config = { ...base, ...options.config, debug: false, disabled: false };
+  delete config.detector;
+  const detectorConfig = { ...base.detector, ...options.detectorConfig, debug: false };
+
+  const clock = new FakeClock(recording.header.timestamp ? recording.header.timestamp * 1000 : 0);
+  const start = clock.now();
+  const at = () => Math.round(clock.now() - start) / 1000;
+
+  const injections = [];
+  const verdicts = [];
+  let bytesIn = 0;
+  let bytesOut = 0;
+
+  const detector = new GlitchDetector(detectorConfig, {
+    clock,
+    env: {},
+    write: () => {}
+  });
+  const engine = new OutputEngine({
+    config,
+    detector,
+    clock,
+    isTTY: true,
+    write: (data) => { bytesOut += data.length; },
+    columns: recording.header.width,
+    rows: recording.header.height
+  });
+  (options.rules || []).forEach(rule => engine.use(rule));
+
+  engine.on('inject', ({ reason }) => {
+    injections.push({ time: at(), reason });
+  });
+  detector.on('glitch-detected', (data) => {
+    verdicts.push({
+      time: at(),
+      verdict: 'glitch-detected',
+      signals: data.signals,
+      score: data.score,
+      explanation: data.explanation
+    });
+  });
+  detector.on('glitch-resolved', (data) => {
+    verdicts.push({ time: at(), verdict: 'glitch-resolved', duration: data.duration });
+  });
+  detector.on('recovery-success', (data) => {
+    verdicts.push({ time: at(), verdict: 'recovery-success', method: data.method });
+  });
+  detector.on('recovery-failed', () => {
+    verdicts.push({ time: at(), verdict: 'recovery-failed' });
+  });
+
+  // what install() would set up, minus touching the real process
+  detector.checkInterval = clock.setInterval(() => detector.checkGlitchState(), detectorConfig.checkIntervalMs);
+  engine.startPeriodicClear();
+
+  for (const ev of recording.events) {
+    await clock.advanceTo(start + ev.time * 1000);
+
+    if (ev.type === 'o') {
+      bytesIn += ev.data.length;
+      bytesOut += engine.process(ev.data).length;
+    } else if (ev.type === 'i') {
+      engine.noteInput(ev.data);
+      detector.trackInput(ev.data);
+    } else if (ev.type === 'r') {
+      const [cols, rows] = String(ev.data).split('x').map(Number);
+      engine.resize(cols, rows);
+      detector.onSigwinch();
+    }
+    await clock.flush();
+  }
+
+  // let the last check and any recovery in flight finish
+  await clock.advance(detectorConfig.checkIntervalMs + detectorConfig.recoveryDelayMs * 2);
+  engine.stopPeriodicClear();
+  clock.clearInterval(detector.checkInterval);
+
+  const last = recording.events.length ? recording.events[recording.events.length - 1].time : 0;
+  return {
+    duration: last,
+    events: recording.events.length,
+    bytesIn,
+    bytesOut,
+    injections,
+    verdicts,
+    stats: engine.getStats(),
+    glitch: detector.getMetrics()
+  };
+}
+
+/**
+ * human readable version of a replay report
+ */
+function formatReport(report) {
+  const lines = [];
+  const timeline = []
+    .concat(report.injections.map(i => ({ time: i.time, text: 'clear    ' + i.reason })))
+    .concat(report.verdicts.map(v => ({
+      time: v.time,
+      // the detector's own explanation when there is one, older reports only have signals
+      text: v.verdict.padEnd(17) + (v.explanation ? ' ' + v.explanation : v.signals ? ' ' + JSON.stringify(v.signals) : '') +
+        (v.method ? ' via ' + v.method : '') + (v.duration !== undefined ? ' after ' + v.duration + 'ms' : '')
+    })))
+    .sort((a, b) => a.time - b.time);
+
+  timeline.forEach(e => lines.push((e.time.toFixed(3).padStart(10) + 's  ' + e.text).trimEnd()));
+
+  const byReason = {};
+  report.injections.forEach(i => { byReason[i.reason] = (byReason[i.reason] || 0) + 1; });
+  lines.push('');
+  lines.push(report.events + ' events over ' + report.duration.toFixed(1) + 's, ' +
+    report.bytesIn + ' bytes in, ' + report.bytesOut + ' bytes out');
+  lines.push('clears: ' + (Object.keys(byReason).map(r => r + '=' + byReason[r]).join(' ') || 'none'));
+  lines.push('glitches: ' + report.glitch.glitchesDetected + ', recoveries: ' + report.glitch.recoveriesAttempted);
+  return lines.join('\n');
+}
+
+module.exports = {
+  Recorder,
+  readRecording,
+  replayRecording,
+  formatReport
+};
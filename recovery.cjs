@@ -0,0 +1,134 @@
+'use strict';
+
+/**
+ * recovery strategies - ways to kick a stuck terminal, tried in order
+ *
+ * used to be one hard-coded `screen -X stuff` through a shell, then a
+ * scrollback clear. most people are in tmux or the wrapper, not screen. now
+ * every way of kicking it is a strategy:
+ *
+ *   {
+ *     name: 'tmux',
+ *     available(ctx) -> bool    can it even run here ($TMUX set, got a pty...)
+ *     async run(ctx)            do the thing, throw if it didn't work
+ *     check(ctx, attempt)       optional - did it work? default: the detector
+ *                               doesn't think we're glitched anymore
+ *   }
+ *
+ * ctx is { detector, env, write, hooks, execFile, terminal, clock, log }. hooks come from
+ * whoever owns the terminal - the wrapper hands over sendInput (write to the
+ * child's pty) and resize (wiggle the pty so the child gets a SIGWINCH), the
+ * --require hook hands over resize (fire a 'resize' on stdout)
+ *
+ * built in, in the default order:
+ *   tmux             send-keys Enter to $TMUX_PANE
+ *   screen           stuff a carriage return into $STY
+ *   pty-keystroke    write Enter straight to the child's pty (wrapper only)
+ *   sigwinch         force a resize so ink re-renders
+ *   repaint          wipe screen + scrollback, then force the re-render
+ *   scrollback-clear just the terminal's scrollback clear, the old fallback
+ *
+ * your own go in detector.recoveryModules - a module path exporting one
+ * strategy or an array of em. list their names in detector.recoveryOrder
+ */
+
+const path = require('path');
+
+const CLEAR_SCREEN = '\x1b[2J';
+const HOME_CURSOR = '\x1b[H';
+const EXEC_TIMEOUT_MS = 5000;
+
+const DEFAULT_ORDER = ['tmux', 'screen', 'pty-keystroke', 'sigwinch', 'repaint', 'scrollback-clear'];
+
+// no shell - the session name goes in as an argument, not into a command line
+function runCommand(ctx, cmd, args) {
+  return new Promise((resolve, reject) => {
+    ctx.execFile(cmd, args, { timeout: EXEC_TIMEOUT_MS }, err => (err ? reject(err) : resolve()));
+  });
+}
+
+// the redraw strategies only count if the target actually drew something
+function rendered(ctx, attempt) {
+  return ctx.detector.lastStdoutTime >= attempt.startedAt && !ctx.detector.checkGlitchState();
+}
+
+const BUILTIN = {
+  tmux: {
+    name: 'tmux',
+    available: ctx => Boolean(ctx.env.TMUX && ctx.env.TMUX_PANE),
+    run: ctx => runCommand(ctx, 'tmux', ['send-keys', '-t', ctx.env.TMUX_PANE, 'Enter'])
+  },
+
+  screen: {
+    name: 'screen',
+    available: ctx => Boolean(ctx.env.STY || ctx.env.SPECMEM_SCREEN_SESSION),
+    run: ctx => runCommand(ctx, 'screen', ['-S', ctx.env.STY || ctx.env.SPECMEM_SCREEN_SESSION, '-X', 'stuff', '\r'])
+  },
+
+  'pty-keystroke': {
+    name: 'pty-keystroke',
+    available: ctx => typeof ctx.hooks.sendInput === 'function',
+    run: ctx => ctx.hooks.sendInput('\r')
+  },
+
+  sigwinch: {
+    name: 'sigwinch',
+    available: ctx => typeof ctx.hooks.resize === 'function',
+    run: ctx => ctx.hooks.resize(),
+    check: rendered
+  },
+
+  repaint: {
+    name: 'repaint',
+    available: ctx => typeof ctx.hooks.resize === 'function',
+    run: ctx => {
+      ctx.write(CLEAR_SCREEN + ctx.terminal.clearScrollback + HOME_CURSOR);
+      return ctx.hooks.resize();
+    },
+    check: rendered
+  },
+
+  'scrollback-clear': {
+    name: 'scrollback-clear',
+    available: () => true,
+    run: ctx => ctx.write(ctx.terminal.clearScrollback)
+  }
+};
+
+function checkStrategy(strategy, source) {
+  if (!strategy || typeof strategy.name !== 'string' || !strategy.name ||
+      typeof strategy.run !== 'function') {
+    throw new TypeError(source + ': a recovery strategy needs a name and a run(ctx) function');
+  }
+  return strategy;
+}
+
+/**
+ * strategies a module exports - one, an array, or { strategies: [...] }
+ */
+function loadStrategyModule(file, cwd = process.cwd()) {
+  const exported = require(path.resolve(cwd, file));
+  const list = Array.isArray(exported) ? exported
+    : Array.isArray(exported.strategies) ? exported.strategies
+      : [exported];
+  return list.map(s => checkStrategy(s, file));
+}
+
+/**
+ * name -> strategy for the built-ins plus whatever the modules add
+ * a module can replace a built-in by reusing its name
+ */
+function buildRegistry(modules = [], extra = []) {
+  const registry = new Map(Object.keys(BUILTIN).map(name => [name, BUILTIN[name]]));
+  modules.forEach(file => loadStrategyModule(file).forEach(s => registry.set(s.name, s)));
+  extra.forEach(s => registry.set(s.name, checkStrategy(s, s.name || 'strategy')));
+  return registry;
+}
+
+module.exports = {
+  BUILTIN,
+  DEFAULT_ORDER,
+  buildRegistry,
+  loadStrategyModule,
+  checkStrategy
+};
@@ -0,0 +1,342 @@
+'use strict';
+
+/**
+ * redaction - keep secrets claude prints off the screen
+ *
+ * claude cats .env files and echoes tokens like it's nothing, and whatever's
+ * on screen ends up in recordings, screen shares and shared tmux sessions.
+ * with config.redact on, every chunk gets checked before anything else sees
+ * it and secrets get masked with * - same length, so ink's layout still adds
+ * up. built-in detectors (config.redactDetectors):
+ *
+ *   aws         - access key ids (AKIA...) and aws_secret_access_key values
+ *   github      - ghp_/gho_/ghu_/ghs_/ghr_ tokens and github_pat_ ones
+ *   jwt         - eyJ... . eyJ... . signature
+ *   private-key - everything between -----BEGIN ... PRIVATE KEY----- and END
+ *   env         - the value in SOMETHING_TOKEN=..., API_KEY: ..., PASSWORD=...
+ *   entropy     - long random-looking strings with letters and digits
+ *
+ * plus config.redactPatterns, your own regexes. a pattern with a capture
+ * group only masks the group, so 'password: (\S+)' leaves "password:" alone
+ *
+ * matching runs on the text you'd see, so a token ink styled halfway through
+ * (\x1b[1m in the middle) still matches, and only the text gets masked, the
+ * escapes stay. a secret can get split across two reads, so a chunk that ends
+ * in the middle of something token-shaped holds that bit back till the next
+ * read, or redactHoldMs, whichever comes first. the text from earlier on the
+ * line is kept around too, so "API_KEY=" in one read and the value in the next
+ * still gets caught
+ */
+
+const { AnsiTokenizer } = require('./ansi-parser.cjs');
+const { systemClock } = require('./clock.cjs');
+
+const DETECTORS = ['aws', 'github', 'jwt', 'private-key', 'env', 'entropy'];
+
+const PATTERNS = {
+  aws: [
+    /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[A-Z0-9]{16}\b/g,
+    /aws_secret_access_key\s*[=:]\s*["']?([A-Za-z0-9/+=]{40})/gi
+  ],
+  github: [
+    /\bgh[pousr]_[A-Za-z0-9]{36,255}\b/g,
+    /\bgithub_pat_[A-Za-z0-9_]{22,255}\b/g
+  ],
+  jwt: [
+    /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}/g
+  ],
+  env: [
+    // upper case like a .env, so `token: string` in code isn't one
+    /\b[A-Z0-9_]*(?:SECRET|TOKEN|PASSWORD|PASSWD|API_KEY|APIKEY|PRIVATE_KEY|ACCESS_KEY)[A-Z0-9_]*["']?\s*[=:]\s*["']?([^\s"'`]{6,})/g
+  ]
+};
+
+const KEY_BEGIN = /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----/g;
+const KEY_END = /-----END (?:[A-Z0-9]+ )*PRIVATE KEY-----/g;
+// a key that never ends stops being one after this much
+const KEY_MAX_CHARS = 16384;
+
+// random-looking: this long, letters and digits, more bits a character than hex
+// (= only as base64 padding, so NAME=value is two words)
+const ENTROPY_TOKEN = /[A-Za-z0-9+/_-]{24,}={0,2}/g;
+const ENTROPY_BITS = 4;
+
+// what a secret's made of - a chunk ending in these might be half of one
+const TOKEN_CHAR = /[A-Za-z0-9+/=_.:-]/;
+const HOLD_MIN = 4;
+const HOLD_MAX = 4096;
+
+// plain text from earlier that later matches can start in
+const CONTEXT_LENGTH = 256;
+
+const MASK = '*';
+
+function entropy(str) {
+  const counts = {};
+  for (const ch of str) counts[ch] = (counts[ch] || 0) + 1;
+  let bits = 0;
+  for (const ch of Object.keys(counts)) {
+    const p = counts[ch] / str.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
+
+/**
+ * compile config.redactPatterns, problems come back as strings
+ */
+function compilePatterns(patterns = []) {
+  const compiled = [];
+  const problems = [];
+  for (const source of patterns) {
+    try {
+      compiled.push(new RegExp(source, 'g'));
+    } catch (e) {
+      problems.push('redactPatterns: bad pattern ' + source + ' - ' + e.message);
+    }
+  }
+  return { compiled, problems };
+}
+
+/**
+ * [start, end, detector] ranges to mask in str
+ */
+function findSecrets(str, detectors, custom) {
+  const ranges = [];
+  const add = (re, name) => {
+    re.lastIndex = 0;
+    let m;
+    while ((m = re.exec(str)) !== null) {
+      if (m[0] === '') {
+        re.lastIndex++;
+        continue;
+      }
+      if (m[1] !== undefined) {
+        const at = m.index + m[0].indexOf(m[1]);
+        ranges.push([at, at + m[1].length, name]);
+      } else {
+        ranges.push([m.index, m.index + m[0].length, name]);
+      }
+    }
+  };
+
+  for (const name of detectors) {
+    (PATTERNS[name] || []).forEach(re => add(re, name));
+  }
+  custom.forEach(re => add(re, 'custom'));
+
+  if (detectors.includes('entropy')) {
+    ENTROPY_TOKEN.lastIndex = 0;
+    let m;
+    while ((m = ENTROPY_TOKEN.exec(str)) !== null) {
+      const token = m[0];
+      // hex and uuids are hashes and ids, not secrets
+      if (/^[0-9a-fA-F-]+$/.test(token)) continue;
+      // a named detector already has it
+      const end = m.index + token.length;
+      if (ranges.some(([s, e]) => s < end && e > m.index)) continue;
+      if (/[0-9]/.test(token) && /[A-Za-z]/.test(token) && entropy(token) > ENTROPY_BITS) {
+        ranges.push([m.index, end, 'entropy']);
+      }
+    }
+  }
+  return ranges;
+}
+
+// the first match of re that ends after at - a marker can start in the text
+// that already went out
+function nextMatch(re, str, at) {
+  re.lastIndex = Math.max(0, at - 64);
+  let m;
+  while ((m = re.exec(str)) !== null) {
+    if (m.index + m[0].length > at) return m;
+  }
+  return null;
+}
+
+class Redactor {
+  /**
+   * options.config - live config: redactDetectors, redactPatterns, redactHoldMs
+   * options.clock
+   * options.log
+   * options.onHold - called when held text has waited redactHoldMs
+   */
+  constructor(options = {}) {
+    this.config = options.config || {};
+    this.clock = options.clock || systemClock;
+    this.log = options.log || (() => {});
+    this.onHold = options.onHold || (() => {});
+    this.tokenizer = new AnsiTokenizer();
+    this.held = '';             // raw text waiting to see how it ends
+    this.holdTimer = null;
+    this.context = '';          // plain text already let through
+    this.inKey = false;         // inside a private key block
+    this.keyChars = 0;
+    this.compiled = null;
+    this.stats = { chunks: 0, redactions: 0, held: 0, byDetector: {} };
+  }
+
+  // recompile when config.redactPatterns gets swapped for a new list
+  patterns() {
+    const list = this.config.redactPatterns || [];
+    if (!this.compiled || this.compiled.list !== list) {
+      const { compiled, problems } = compilePatterns(list);
+      problems.forEach(p => this.log(p));
+      this.compiled = { list, compiled };
+    }
+    return this.compiled.compiled;
+  }
+
+  /**
+   * mask the secrets in text. some of the end can get held back for the next
+   * call - final lets everything out
+   */
+  filter(text, final = false) {
+    if (this.holdTimer) {
+      this.clock.clearTimeout(this.holdTimer);
+      this.holdTimer = null;
+    }
+    const raw = this.held + text;
+    this.held = '';
+    if (!raw) return '';
+    this.stats.chunks++;
+
+    const events = this.tokenizer.feed(raw);
+
+    // the visible text, and where each character of it sits in raw.
+    // anything that moves the cursor breaks it up
+    let plain = '';
+    const offsets = [];
+    for (const ev of events) {
+      if (ev.type === 'text') {
+        for (let i = 0; i < ev.text.length; i++) {
+          plain += ev.text[i];
+          offsets.push(ev.start + i);
+        }
+      } else if (ev.type !== 'sgr' && ev.type !== 'osc') {
+        plain += '\n';
+        offsets.push(-1);
+      }
+    }
+
+    // a token-shaped tail might be half a secret, wait for the rest
+    let cut = raw.length;
+    let keep = plain.length;
+    if (!final && this.config.redactHoldMs > 0 && !this.tokenizer.pending) {
+      let start = plain.length;
+      while (start > 0 && TOKEN_CHAR.test(plain[start - 1]) && plain.length - start < HOLD_MAX) start--;
+      const last = events[events.length - 1];
+      const endsInText = last && (last.type === 'text' || last.type === 'sgr');
+      if (endsInText && plain.length - start >= HOLD_MIN && plain.length - start < HOLD_MAX) {
+        keep = start;
+        cut = offsets[start];
+      }
+    }
+    if (cut < raw.length) {
+      this.held = raw.slice(cut);
+      // the tokenizer saw the held part, it'll see it again next time
+      this.tokenizer.reset();
+      this.stats.held++;
+      this.holdTimer = this.clock.setTimeout(() => {
+        this.holdTimer = null;
+        this.onHold();
+      }, this.config.redactHoldMs);
+    }
+
+    const visible = plain.slice(0, keep);
+    const masked = this.mask(visible);
+    const context = this.context;
+    this.context = (context + visible).slice(-CONTEXT_LENGTH);
+    if (!masked.length) return raw.slice(0, cut);
+
+    // mask in raw, escapes untouched
+    const chars = raw.slice(0, cut).split('');
+    for (const i of masked) {
+      const at = offsets[i];
+      if (at >= 0 && at < cut) chars[at] = MASK;
+    }
+    return chars.join('');
+  }
+
+  /**
+   * indexes into plain that need masking
+   * matching runs over what came before too, but only this part gets masked
+   */
+  mask(plain) {
+    const context = this.context;
+    const str = context + plain;
+    const masked = new Set();
+    const maskRange = (start, end, name) => {
+      let any = false;
+      for (let i = Math.max(start, context.length); i < end; i++) {
+        const ch = str[i];
+        if (ch === '\n' || ch === ' ' || ch === '\t') continue;
+        masked.add(i - context.length);
+        any = true;
+      }
+      if (any) {
+        this.stats.redactions++;
+        this.stats.byDetector[name] = (this.stats.byDetector[name] || 0) + 1;
+      }
+    };
+
+    const detectors = this.config.redactDetectors || DETECTORS;
+    findSecrets(str, detectors, this.patterns()).forEach(([start, end, name]) => {
+      if (end > context.length) maskRange(start, end, name);
+    });
+
+    if (detectors.includes('private-key')) this.maskKeys(str, context.length, maskRange);
+
+    return Array.from(masked).sort((a, b) => a - b);
+  }
+
+  // BEGIN ... END, carrying over between chunks, the markers stay visible
+  // from is where the new text starts in str
+  maskKeys(str, from, maskRange) {
+    let at = from;
+    for (;;) {
+      if (this.inKey) {
+        const end = nextMatch(KEY_END, str, at);
+        const stop = end ? end.index : str.length;
+        maskRange(at, stop, 'private-key');
+        this.keyChars += Math.max(0, stop - at);
+        if (!end) {
+          if (this.keyChars > KEY_MAX_CHARS) this.inKey = false;
+          return;
+        }
+        this.inKey = false;
+        at = end.index + end[0].length;
+      } else {
+        const begin = nextMatch(KEY_BEGIN, str, at);
+        if (!begin) return;
+        this.inKey = true;
+        this.keyChars = 0;
+        at = begin.index + begin[0].length;
+      }
+    }
+  }
+
+  /**
+   * whatever's held, masked, nothing kept back
+   */
+  release() {
+    return this.filter('', true);
+  }
+
+  getStats() {
+    return {
+      chunks: this.stats.chunks,
+      redactions: this.stats.redactions,
+      held: this.stats.held,
+      byDetector: { ...this.stats.byDetector }
+    };
+  }
+}
+
+module.exports = {
+  Redactor,
+  findSecrets,
+  compilePatterns,
+  entropy,
+  DETECTORS
+};
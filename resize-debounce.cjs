@@ -0,0 +1,154 @@
+'use strict';
+
+/**
+ * resize debounce - one resize per burst instead of fifty
+ *
+ * tmux attaches, window drags and splits fire resizes in bursts and ink
+ * redraws the whole screen for every one of em. there are two ways in:
+ * SIGWINCH on the process and 'resize' on stdout (which is what ink actually
+ * listens to), and a handler can show up through on, addListener, once,
+ * prependListener or prependOnceListener on either. we take over all of them
+ * for that one event, so every handler runs off a single debounced listener.
+ * once handlers still run once and removeListener/off still take em off
+ *
+ * resizeDebounceMode says when a burst fires:
+ *   leading  - right away on the first one, the rest of the burst is dropped
+ *   trailing - once it's been quiet for the debounce window
+ *   both     - right away, and again at the end if more came in (default)
+ *
+ * Debounce is the timing on its own, the wrapper uses it for the child pty
+ */
+
+const { systemClock } = require('./clock.cjs');
+const { interceptEvent, addListener } = require('./patches.cjs');
+
+const MODES = ['leading', 'trailing', 'both'];
+
+class Debounce {
+  /**
+   * options.fire   - called with the event's args when it's time
+   * options.delay  - () => ms, read every event so config changes stick
+   * options.mode   - () => 'leading' | 'trailing' | 'both'
+   * options.settle - called once a burst is over, if any of it got held back
+   * options.clock  - see clock.cjs
+   */
+  constructor(options) {
+    this.fire = options.fire;
+    this.delay = options.delay;
+    this.mode = options.mode || (() => 'both');
+    this.settle = options.settle || (() => {});
+    this.clock = options.clock || systemClock;
+    this.timer = null;
+    this.missed = null;       // args of the last event we didn't fire for
+    this.stats = { events: 0, fired: 0 };
+  }
+
+  trigger(...args) {
+    const mode = MODES.includes(this.mode()) ? this.mode() : 'both';
+    const burst = this.timer !== null;
+    this.stats.events++;
+
+    if (burst) this.clock.clearTimeout(this.timer);
+    if (!burst && mode !== 'trailing') {
+      this.run(args);
+    } else {
+      this.missed = args;
+    }
+
+    this.timer = this.clock.setTimeout(() => {
+      this.timer = null;
+      const missed = this.missed;
+      this.missed = null;
+      if (!missed) return;
+      if (mode !== 'leading') this.run(missed);
+      this.settle();
+    }, this.delay());
+  }
+
+  run(args) {
+    this.stats.fired++;
+    this.fire(...args);
+  }
+
+  /**
+   * drop whatever's waiting without firing it
+   */
+  cancel() {
+    if (this.timer) this.clock.clearTimeout(this.timer);
+    this.timer = null;
+    this.missed = null;
+  }
+}
+
+/**
+ * debounce every handler for one event on an emitter - see the top of the
+ * file. the patches come off with the set, and handlers that were added
+ * while we were in go back on as plain listeners
+ *
+ * options are Debounce's minus fire, plus options.onEvent for every raw
+ * event (before debouncing)
+ */
+function debounceEvent(patches, emitter, event, options = {}) {
+  // { handler, once } in the order they'd have run
+  let handlers = [];
+  const onEvent = options.onEvent || (() => {});
+
+  const debounce = new Debounce({
+    ...options,
+    fire: (...args) => {
+      const current = handlers;
+      handlers = current.filter(h => !h.once);
+      if (!handlers.length) detach();
+      current.forEach(h => {
+        try { h.handler.apply(emitter, args); } catch (e) {}
+      });
+    }
+  });
+
+  function listener(...args) {
+    onEvent(...args);
+    debounce.trigger(...args);
+  }
+
+  function attach() {
+    real.on.call(emitter, event, listener);
+  }
+
+  function detach() {
+    real.removeListener.call(emitter, event, listener);
+  }
+
+  const real = interceptEvent(patches, emitter, event, {
+    add(handler, how) {
+      const entry = { handler, once: how.once };
+      if (how.prepend) handlers.unshift(entry);
+      else handlers.push(entry);
+      if (handlers.length === 1) attach();
+    },
+    remove(handler) {
+      // like removeListener - the most recently added match goes
+      for (let i = handlers.length - 1; i >= 0; i--) {
+        if (handlers[i].handler === handler) {
+          handlers.splice(i, 1);
+          if (!handlers.length) detach();
+          return;
+        }
+      }
+    }
+  });
+
+  patches.add(() => {
+    debounce.cancel();
+    detach();
+    handlers.forEach(h => addListener(real, emitter, event, h.handler, { once: h.once }));
+    handlers = [];
+  });
+
+  return debounce;
+}
+
+module.exports = {
+  Debounce,
+  debounceEvent,
+  MODES
+};
@@ -0,0 +1,285 @@
+'use strict';
+
+/**
+ * screen model - headless terminal state so we know what actually scrolled off
+ *
+ * counting '\n' in chunks was a bad proxy for scrollback growth:
+ * - a 300 char line on an 80 col terminal wraps to 4 rows but has no newline
+ * - ink's redraws move the cursor up and rewrite the same rows, those
+ *   newlines never push anything into scrollback
+ * - '\r' overwrites don't add rows at all
+ *
+ * so this tracks the cursor the way the terminal does (wrapping, scroll
+ * regions, cursor moves, alt screen) and counts rows that scroll off the top
+ * of the main screen. that number is what grows the scrollback buffer
+ *
+ * feed it tokenizer events from ansi-parser.cjs, it doesn't keep cell contents
+ */
+
+const DEFAULT_COLS = 80;
+const DEFAULT_ROWS = 24;
+const TAB_WIDTH = 8;
+
+/**
+ * how many columns a code point takes - 0 for combining marks, 2 for wide
+ * east asian and emoji. not a full wcwidth but covers what claude prints
+ */
+function charWidth(cp) {
+  if (cp < 0x300) return 1;
+  // combining marks, zero width joiner/space, variation selectors
+  if ((cp >= 0x300 && cp <= 0x36f) || (cp >= 0x200b && cp <= 0x200f) ||
+      (cp >= 0xfe00 && cp <= 0xfe0f) || (cp >= 0x20d0 && cp <= 0x20ff)) {
+    return 0;
+  }
+  if ((cp >= 0x1100 && cp <= 0x115f) ||   // hangul jamo
+      (cp >= 0x2e80 && cp <= 0x303e) ||   // cjk radicals, punctuation
+      (cp >= 0x3041 && cp <= 0x33ff) ||   // kana, cjk compat
+      (cp >= 0x3400 && cp <= 0x4dbf) ||   // cjk ext a
+      (cp >= 0x4e00 && cp <= 0x9fff) ||   // cjk unified
+      (cp >= 0xa000 && cp <= 0xa4cf) ||   // yi
+      (cp >= 0xac00 && cp <= 0xd7a3) ||   // hangul syllables
+      (cp >= 0xf900 && cp <= 0xfaff) ||   // cjk compat ideographs
+      (cp >= 0xfe30 && cp <= 0xfe4f) ||   // cjk compat forms
+      (cp >= 0xff00 && cp <= 0xff60) ||   // fullwidth forms
+      (cp >= 0xffe0 && cp <= 0xffe6) ||
+      (cp >= 0x1f300 && cp <= 0x1f64f) || // emoji
+      (cp >= 0x1f900 && cp <= 0x1f9ff) ||
+      (cp >= 0x20000 && cp <= 0x3fffd)) {
+    return 2;
+  }
+  return 1;
+}
+
+class ScreenModel {
+  constructor(options = {}) {
+    this.cols = options.cols || DEFAULT_COLS;
+    this.rows = options.rows || DEFAULT_ROWS;
+    this.reset();
+  }
+
+  reset() {
+    this.row = 0;
+    this.col = 0;
+    this.wrapPending = false;  // wrote the last column, next char wraps
+    this.autowrap = true;
+    this.top = 0;              // scroll region, 0-based inclusive
+    this.bottom = this.rows - 1;
+    this.altScreen = false;
+    this.saved = null;
+    this.scrolledOff = 0;      // rows pushed into scrollback since the last clear
+  }
+
+  resize(cols, rows) {
+    if (!cols || !rows) return;
+    this.cols = cols;
+    this.rows = rows;
+    this.top = 0;
+    this.bottom = rows - 1;
+    this.row = Math.min(this.row, rows - 1);
+    this.col = Math.min(this.col, cols - 1);
+    this.wrapPending = false;
+  }
+
+  /**
+   * scrollback just got wiped - start counting again
+   * rows is for output that lands after the clear in the same write
+   */
+  clearScrollback(rows = 0) {
+    this.scrolledOff = rows;
+  }
+
+  /**
+   * run a batch of events through the model
+   * returns how many rows scrolled off into scrollback
+   */
+  apply(events) {
+    const before = this.scrolledOff;
+    for (const ev of events) {
+      switch (ev.type) {
+        case 'text': this.text(ev.text); break;
+        case 'newline': this.carriageReturn(); this.lineFeed(); break;
+        case 'control': this.control(ev.char); break;
+        case 'csi': this.csi(ev); break;
+        case 'esc': this.esc(ev); break;
+      }
+    }
+    return Math.max(0, this.scrolledOff - before);
+  }
+
+  text(str) {
+    for (const ch of str) {
+      const w = charWidth(ch.codePointAt(0));
+      if (w === 0) continue;
+
+      if (this.wrapPending || (w === 2 && this.col + w > this.cols)) {
+        if (this.autowrap) {
+          this.carriageReturn();
+          this.lineFeed();
+        } else {
+          this.col = this.cols - w;
+        }
+        this.wrapPending = false;
+      }
+
+      this.col += w;
+      if (this.col >= this.cols) {
+        // cursor sticks on the last column until the next char shows up
+        this.col = this.cols - 1;
+        this.wrapPending = true;
+      }
+    }
+  }
+
+  control(ch) {
+    switch (ch) {
+      case '\r': this.carriageReturn(); break;
+      case '\b':
+        this.col = Math.max(0, this.col - 1);
+        this.wrapPending = false;
+        break;
+      case '\t':
+        this.col = Math.min(this.cols - 1, (Math.floor(this.col / TAB_WIDTH) + 1) * TAB_WIDTH);
+        break;
+      case '\x0b':
+      case '\x0c':
+        this.lineFeed();
+        break;
+    }
+  }
+
+  carriageReturn() {
+    this.col = 0;
+    this.wrapPending = false;
+  }
+
+  /**
+   * move down a row, scrolling the region if we're on its bottom line
+   * only scrolls of a region that starts at the top feed the scrollback
+   */
+  lineFeed() {
+    this.wrapPending = false;
+    if (this.row === this.bottom) {
+      this.scrollUp(1);
+    } else if (this.row < this.rows - 1) {
+      this.row++;
+    }
+  }
+
+  reverseIndex() {
+    this.wrapPending = false;
+    if (this.row === this.top) return; // scrolls the region down, nothing leaves
+    if (this.row > 0) this.row--;
+  }
+
+  scrollUp(n) {
+    if (this.top === 0 && !this.altScreen) {
+      this.scrolledOff += n;
+    }
+  }
+
+  moveTo(row, col) {
+    this.row = Math.max(0, Math.min(this.rows - 1, row));
+    this.col = Math.max(0, Math.min(this.cols - 1, col));
+    this.wrapPending = false;
+  }
+
+  csi(ev) {
+    const p = ev.params;
+    const n = (p[0] === null || p[0] === undefined || p[0] === 0) ? 1 : p[0];
+
+    if (ev.prefix === '?') {
+      this.privateMode(p, ev.final === 'h');
+      return;
+    }
+    if (ev.prefix || ev.intermediates) return;
+
+    switch (ev.final) {
+      case 'A': this.moveTo(Math.max(this.top, this.row - n), this.col); break;
+      case 'B':
+      case 'e': this.moveTo(Math.min(this.bottom, this.row + n), this.col); break;
+      case 'C':
+      case 'a': this.moveTo(this.row, this.col + n); break;
+      case 'D': this.moveTo(this.row, this.col - n); break;
+      case 'E': this.moveTo(Math.min(this.bottom, this.row + n), 0); break;
+      case 'F': this.moveTo(Math.max(this.top, this.row - n), 0); break;
+      case 'G':
+      case '`': this.moveTo(this.row, n - 1); break;
+      case 'd': this.moveTo(n - 1, this.col); break;
+      case 'H':
+      case 'f': this.moveTo((p[0] || 1) - 1, (p[1] || 1) - 1); break;
+      case 'S': this.scrollUp(n); break;
+      case 'J':
+        if (p[0] === 3) this.clearScrollback();
+        break;
+      case 'r': {
+        const top = (p[0] || 1) - 1;
+        const bottom = (p[1] || this.rows) - 1;
+        if (top < bottom && bottom < this.rows) {
+          this.top = top;
+          this.bottom = bottom;
+          this.moveTo(0, 0);
+        }
+        break;
+      }
+      case 's':
+        if (p.length === 0) this.saveCursor();
+        break;
+      case 'u': this.restoreCursor(); break;
+    }
+  }
+
+  privateMode(params, on) {
+    for (const mode of params) {
+      if (mode === 7) {
+        this.autowrap = on;
+      } else if (mode === 1049 || mode === 1047 || mode === 47) {
+        if (mode === 1049 && on) this.saveCursor();
+        this.altScreen = on;
+        if (mode === 1049 && !on) this.restoreCursor();
+      }
+    }
+  }
+
+  esc(ev) {
+    if (ev.intermediates) return;
+    switch (ev.final) {
+      case 'D': this.lineFeed(); break;
+      case 'E': this.carriageReturn(); this.lineFeed(); break;
+      case 'M': this.reverseIndex(); break;
+      case '7': this.saveCursor(); break;
+      case '8': this.restoreCursor(); break;
+      case 'c': {
+        const scrolled = this.scrolledOff;
+        this.reset();
+        this.scrolledOff = scrolled; // RIS leaves scrollback alone in most terminals
+        break;
+      }
+    }
+  }
+
+  saveCursor() {
+    this.saved = { row: this.row, col: this.col, wrapPending: this.wrapPending };
+  }
+
+  restoreCursor() {
+    if (!this.saved) return;
+    this.row = Math.min(this.saved.row, this.rows - 1);
+    this.col = Math.min(this.saved.col, this.cols - 1);
+    this.wrapPending = this.saved.wrapPending;
+  }
+
+  getState() {
+    return {
+      cols: this.cols,
+      rows: this.rows,
+      cursor: { row: this.row, col: this.col },
+      scrolledOff: this.scrolledOff,
+      altScreen: this.altScreen
+    };
+  }
+}
+
+module.exports = {
+  ScreenModel,
+  charWidth
+};
@@ -0,0 +1,234 @@
+'use strict';
+
+/**
+ * scrollback archive - saves what's on screen before we nuke the scrollback
+ *
+ * every \x1b[3J we inject throws away whatever claude printed above the fold.
+ * with archiving on, the engine hands us the rendered text as it goes by and
+ * calls flush() right before each clear, so the transcript lands on disk first
+ *
+ * one transcript per session, rotated when it gets big:
+ *   ~/.claudescreenfix/history/<session>.log
+ *   ~/.claudescreenfix/history/<session>.log.1   (older)
+ *
+ * we don't have a real screen here so "rendered" is best effort - ink redraws
+ * its live region by moving the cursor up and erasing, so cursor-up drops the
+ * lines it's about to overwrite and \r / erase-line restart the current line.
+ * that keeps spinners and redraws from filling the file with copies
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const LOG_EXT = '.log';
+
+function defaultArchiveDir() {
+  return path.join(os.homedir(), '.claudescreenfix', 'history');
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * session ids sort by start time - 20261019-031500-4242
+ */
+function makeSessionId(date = new Date(), pid = process.pid) {
+  return date.getFullYear() + pad(date.getMonth() + 1) + pad(date.getDate()) + '-' +
+    pad(date.getHours()) + pad(date.getMinutes()) + pad(date.getSeconds()) + '-' + pid;
+}
+
+class ScrollbackArchive {
+  /**
+   * options.dir       - where transcripts go (default ~/.claudescreenfix/history)
+   * options.sessionId - file name for this session
+   * options.maxBytes  - rotate once the transcript gets this big
+   * options.maxFiles  - how many rotated files to keep
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || defaultArchiveDir();
+    this.sessionId = options.sessionId || makeSessionId();
+    this.maxBytes = options.maxBytes || 5 * 1024 * 1024;
+    this.maxFiles = options.maxFiles || 5;
+    this.log = options.log || (() => {});
+
+    this.lines = [];       // finished lines waiting for the next flush
+    this.current = '';     // line the cursor's on right now
+    this.overwrite = false; // saw \r, next text replaces the current line
+    this.bytesWritten = 0;
+    this.flushes = 0;
+  }
+
+  get file() {
+    return path.join(this.dir, this.sessionId + LOG_EXT);
+  }
+
+  /**
+   * feed tokenizer events (see ansi-parser.cjs) for a chunk that's been written
+   */
+  capture(events) {
+    for (const ev of events) {
+      switch (ev.type) {
+        case 'text':
+          if (this.overwrite) {
+            this.current = '';
+            this.overwrite = false;
+          }
+          this.current += ev.text;
+          break;
+        case 'newline':
+          this.lines.push(this.current);
+          this.current = '';
+          this.overwrite = false;
+          break;
+        case 'control':
+          if (ev.char === '\r') this.overwrite = true;
+          break;
+        case 'csi':
+          if (ev.final === 'A' && !ev.prefix) {
+            // cursor up - those lines are about to get redrawn
+            const n = ev.params[0] || 1;
+            this.lines.splice(Math.max(0, this.lines.length - n), n);
+            this.current = '';
+          } else if (ev.final === 'K' && !ev.prefix) {
+            this.current = '';
+          }
+          break;
+      }
+    }
+  }
+
+  /**
+   * anything waiting to be written?
+   */
+  hasPending() {
+    return this.lines.length > 0 || this.current.length > 0;
+  }
+
+  /**
+   * append everything captured so far to the transcript
+   * sync on purpose - this runs right before a clear and has to land first
+   */
+  flush(reason) {
+    if (!this.hasPending()) return false;
+
+    const body = this.lines.concat(this.current ? [this.current] : []);
+    const header = '--- ' + new Date().toISOString() + (reason ? ' (' + reason + ')' : '') + ' ---';
+    const text = header + '\n' + body.join('\n') + '\n';
+
+    try {
+      fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+      this.rotateIfNeeded(Buffer.byteLength(text));
+      fs.appendFileSync(this.file, text, { mode: 0o600 });
+    } catch (e) {
+      // never let a full disk take the terminal down with it
+      this.log('archive write failed:', e.message);
+      return false;
+    }
+
+    this.bytesWritten += Buffer.byteLength(text);
+    this.flushes++;
+    this.lines = [];
+    this.current = '';
+    return true;
+  }
+
+  rotateIfNeeded(incoming) {
+    let size = 0;
+    try {
+      size = fs.statSync(this.file).size;
+    } catch (e) {
+      return;
+    }
+    if (size + incoming <= this.maxBytes) return;
+
+    // shift .log.N up by one, dropping whatever falls off the end
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      const from = this.file + (i === 1 ? '' : '.' + (i - 1));
+      const to = this.file + '.' + i;
+      if (fs.existsSync(from)) fs.renameSync(from, to);
+    }
+    if (this.maxFiles <= 1) fs.unlinkSync(this.file);
+    this.log('rotated archive', this.file);
+  }
+
+  getStats() {
+    return {
+      file: this.file,
+      flushes: this.flushes,
+      bytesWritten: this.bytesWritten
+    };
+  }
+}
+
+/**
+ * every archived session, newest first
+ * rotated pieces get grouped under their session
+ */
+function listSessions(dir = defaultArchiveDir()) {
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch (e) {
+    return [];
+  }
+
+  const sessions = new Map();
+  for (const name of names) {
+    const match = /^(.+)\.log(?:\.(\d+))?$/.exec(name);
+    if (!match) continue;
+    const id = match[1];
+    const stat = fs.statSync(path.join(dir, name));
+    const entry = sessions.get(id) || { id, files: [], size: 0, mtime: 0 };
+    entry.files.push({ name, part: match[2] ? parseInt(match[2], 10) : 0 });
+    entry.size += stat.size;
+    entry.mtime = Math.max(entry.mtime, stat.mtimeMs);
+    sessions.set(id, entry);
+  }
+
+  return Array.from(sessions.values())
+    .map(s => {
+      // oldest rotated part first so reading it back is in order
+      s.files = s.files.sort((a, b) => b.part - a.part).map(f => path.join(dir, f.name));
+      return s;
+    })
+    .sort((a, b) => b.mtime - a.mtime);
+}
+
+/**
+ * full transcript for a session, rotated parts glued back together
+ * 'last' gets you the newest one
+ */
+function readSession(id, dir = defaultArchiveDir()) {
+  const sessions = listSessions(dir);
+  const session = id === 'last' ? sessions[0] : sessions.find(s => s.id === id);
+  if (!session) return null;
+  return session.files.map(f => fs.readFileSync(f, 'utf8')).join('');
+}
+
+/**
+ * grep through every archive - returns { session, line, text } per hit
+ */
+function searchArchives(query, dir = defaultArchiveDir()) {
+  const needle = query.toLowerCase();
+  const hits = [];
+  for (const session of listSessions(dir)) {
+    const lines = readSession(session.id, dir).split('\n');
+    lines.forEach((text, i) => {
+      if (text.toLowerCase().includes(needle)) {
+        hits.push({ session: session.id, line: i + 1, text });
+      }
+    });
+  }
+  return hits;
+}
+
+module.exports = {
+  ScrollbackArchive,
+  defaultArchiveDir,
+  makeSessionId,
+  listSessions,
+  readSession,
+  searchArchives
+};
@@ -0,0 +1,345 @@
+'use strict';
+
+/**
+ * session events - noticing when claude clears, compacts, starts over, quits
+ * or asks for permission, from what it draws
+ *
+ * the old way looked for "Conversation cleared" anywhere in a chunk, so claude
+ * saying those words in an answer wiped your scrollback. now we follow the
+ * output line by line and sort each line into the part of ink's UI it's in,
+ * by what it starts with:
+ *
+ *   message - "⏺ ..." / "● ..."   claude talking, and everything after it -
+ *                                 wrapped lines, more paragraphs, tables - till
+ *                                 the next bit of chrome. never matched by default
+ *   result  - "⎿ ..."             what a command or tool printed
+ *   box     - "│ ... │", "╭───╮"  a bordered box (the prompt, banners)
+ *   line    - anything else
+ *
+ * a matcher's pattern is anchored to the start of the line's content (the
+ * chrome trimmed off), so it has to be what the line *is*, not something the
+ * line mentions. a pattern ending in $ waits for the whole line
+ *
+ * every match emits a session event with its scrollback policy:
+ *   clear   - archive and clear it (clear, compact, new session)
+ *   archive - archive it, leave it on screen (exit)
+ *   keep    - nothing, just the event (permission prompts)
+ *
+ * matchers can be limited to target versions (versions: ">=1.0.0 <2") and
+ * config.sessionEvents adds your own or changes the policy per event:
+ *
+ *   "sessionEvents": {
+ *     "compact": { "scrollback": "keep" },
+ *     "clear": { "matchers": [{ "pattern": "History wiped", "regions": ["result"] }] },
+ *     "exit": { "builtin": false }
+ *   }
+ *
+ * config.clearedMarkers are the clear texts, as before
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const EVENTS = ['clear', 'compact', 'new-session', 'exit', 'permission'];
+const POLICIES = ['clear', 'archive', 'keep'];
+const REGIONS = ['message', 'result', 'box', 'line'];
+
+// what each event does to scrollback, and the reason the clear gets
+const EVENT_DEFAULTS = {
+  clear: { scrollback: 'clear', reason: 'slash-clear' },
+  compact: { scrollback: 'clear', reason: 'compact' },
+  'new-session': { scrollback: 'clear', reason: 'new-session' },
+  exit: { scrollback: 'archive', reason: 'exit' },
+  permission: { scrollback: 'keep', reason: 'permission' }
+};
+
+// what claude draws for each - clear is built from clearedMarkers
+const BUILTIN_MATCHERS = [
+  // the whole line - tool output's full of lines that start with "Compacted"
+  { event: 'compact', pattern: 'Conversation compacted\\.?$', regions: ['line', 'result'] },
+  { event: 'compact', pattern: 'Compacted\\.? \\(?ctrl\\+\\w to see full summary\\)?$', regions: ['line', 'result'] },
+  { event: 'new-session', pattern: '✻ Welcome to Claude', regions: ['box', 'line'] },
+  { event: 'exit', pattern: '(?:Goodbye|Bye)!?$', regions: ['line', 'result'] },
+  {
+    event: 'permission',
+    pattern: 'Do you want to (?:proceed|make this edit|create|allow|run)',
+    regions: ['box', 'line']
+  }
+];
+
+// ink's chrome at the start of a line, and what region it puts the line in
+const MESSAGE_GLYPHS = /^[⏺●]\s*/;
+const RESULT_GLYPH = /^⎿\s*/;
+const BOX_LINE = /^[│┃]\s?(.*?)\s*[│┃]?$/;
+const BOX_EDGE = /^[╭╰┌└┏┗]/;
+
+// the same line drawn again (ink redraws) isn't a new event
+const REPEAT_MS = 1000;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * the region a line is in and its content without the chrome
+ * inMessage - claude's still talking, so a line without any chrome of its
+ * own (a wrapped line, the next paragraph) is more of it
+ */
+function classifyLine(line, inMessage = false) {
+  const trimmed = line.trim();
+  if (MESSAGE_GLYPHS.test(trimmed)) return { region: 'message', content: trimmed.replace(MESSAGE_GLYPHS, '') };
+  if (RESULT_GLYPH.test(trimmed)) return { region: 'result', content: trimmed.replace(RESULT_GLYPH, '') };
+  if (BOX_EDGE.test(trimmed)) return { region: 'box', content: '' };
+  const box = trimmed.match(BOX_LINE);
+  if (box && trimmed.length > 1) return { region: 'box', content: box[1].trim() };
+  if (inMessage) return { region: 'message', content: trimmed };
+  return { region: 'line', content: trimmed };
+}
+
+// "1.2.3" -> [1, 2, 3], anything after - or + ignored
+function parseVersion(version) {
+  const match = String(version).trim().replace(/^v/, '').match(/^(\d+)(?:\.(\d+))?(?:\.(\d+))?/);
+  return match ? [Number(match[1]), Number(match[2] || 0), Number(match[3] || 0)] : null;
+}
+
+function compareVersions(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+/**
+ * does version fit the range? a range is comparators split by spaces, all of
+ * them have to hold: ">=1.0.0 <2", "=0.2.9", "1.0" (same as =)
+ * no version or no range means yes
+ */
+function satisfies(version, range) {
+  if (!range || !version) return true;
+  const v = parseVersion(version);
+  if (!v) return true;
+  return range.trim().split(/\s+/).every(part => {
+    const match = part.match(/^(>=|<=|>|<|=)?(.+)$/);
+    const want = parseVersion(match[2]);
+    if (!want) return false;
+    const cmp = compareVersions(v, want);
+    switch (match[1]) {
+      case '>=': return cmp >= 0;
+      case '<=': return cmp <= 0;
+      case '>': return cmp > 0;
+      case '<': return cmp < 0;
+      default: return cmp === 0;
+    }
+  });
+}
+
+/**
+ * the version of whatever's at file - a package.json up the tree (npm
+ * installs) or a version-named file (claude's native installer keeps
+ * versions/<version>). null if there's no telling
+ */
+function detectVersion(file) {
+  if (!file) return null;
+  let real;
+  try {
+    real = fs.realpathSync(file);
+  } catch (e) {
+    return null;
+  }
+  const base = path.basename(real);
+  if (/^\d+\.\d+\.\d+/.test(base)) return base.match(/^\d+\.\d+\.\d+/)[0];
+
+  let dir = path.dirname(real);
+  for (let i = 0; i < 5; i++) {
+    try {
+      const pkg = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+      if (pkg.version) return pkg.version;
+    } catch (e) {
+      // no package.json here, keep going up
+    }
+    const up = path.dirname(dir);
+    if (up === dir) break;
+    dir = up;
+  }
+  return null;
+}
+
+/**
+ * builtins + clearedMarkers + config.sessionEvents, minus what doesn't apply
+ * to this version, as compiled matchers. problems come back as strings
+ */
+function compileMatchers(config, version) {
+  const problems = [];
+  const custom = config.sessionEvents || {};
+  const specs = [];
+
+  for (const marker of config.clearedMarkers || []) {
+    specs.push({ event: 'clear', pattern: escapeRegExp(marker), regions: ['line', 'result', 'box'] });
+  }
+  BUILTIN_MATCHERS.forEach(spec => specs.push(spec));
+
+  for (const event of Object.keys(custom)) {
+    const settings = custom[event] || {};
+    if (!EVENTS.includes(event)) {
+      problems.push('sessionEvents: unknown event ' + event + ' (' + EVENTS.join(', ') + ')');
+      continue;
+    }
+    if (settings.scrollback !== undefined && !POLICIES.includes(settings.scrollback)) {
+      problems.push('sessionEvents.' + event + '.scrollback should be one of ' + POLICIES.join(', '));
+    }
+    (settings.matchers || []).forEach(spec => specs.push({ ...spec, event, custom: true }));
+  }
+
+  const matchers = [];
+  for (const spec of specs) {
+    const settings = custom[spec.event] || {};
+    if (!spec.custom && settings.builtin === false) continue;
+    if (!satisfies(version, spec.versions)) continue;
+    const regions = spec.regions || ['line', 'result', 'box'];
+    const bad = regions.filter(r => !REGIONS.includes(r));
+    if (bad.length) {
+      problems.push('sessionEvents.' + spec.event + ': unknown region ' + bad.join(', '));
+      continue;
+    }
+    let regex;
+    try {
+      regex = new RegExp('^(?:' + spec.pattern + ')', spec.ignoreCase ? 'i' : '');
+    } catch (e) {
+      problems.push('sessionEvents.' + spec.event + ': bad pattern ' + spec.pattern + ' - ' + e.message);
+      continue;
+    }
+    const policy = POLICIES.includes(settings.scrollback) ? settings.scrollback : EVENT_DEFAULTS[spec.event].scrollback;
+    matchers.push({
+      event: spec.event,
+      pattern: spec.pattern,
+      regex,
+      regions,
+      // a pattern that wants the end of the line has to wait for it
+      wholeLine: /\$\)?$/.test(spec.pattern),
+      scrollback: policy,
+      reason: EVENT_DEFAULTS[spec.event].reason
+    });
+  }
+  return { matchers, problems };
+}
+
+/**
+ * follows output line by line and says when a line is a session event
+ */
+class SessionMatcher {
+  /**
+   * options.config  - live config, clearedMarkers + sessionEvents
+   * options.version - the target's version, null if we don't know
+   * options.clock   - for telling a redraw from a new event
+   * options.log     - debug logger
+   */
+  constructor(options = {}) {
+    this.config = options.config || {};
+    this.version = options.version || null;
+    this.clock = options.clock;
+    this.log = options.log || (() => {});
+    this.line = '';
+    this.matched = false;       // this line already fired
+    this.inMessage = false;     // claude's talking, till the next chrome
+    this.last = null;           // { event, content, at } of the last match
+    this.compiled = null;
+    this.counts = {};           // event -> how many
+  }
+
+  setVersion(version) {
+    this.version = version || null;
+    this.compiled = null;
+  }
+
+  // recompile when the config's lists get swapped for new ones
+  matchers() {
+    const key = [this.config.clearedMarkers, this.config.sessionEvents, this.version];
+    const c = this.compiled;
+    if (!c || c.key.some((k, i) => k !== key[i])) {
+      const { matchers, problems } = compileMatchers(this.config, this.version);
+      problems.forEach(p => this.log(p));
+      this.compiled = { key, matchers };
+    }
+    return this.compiled.matchers;
+  }
+
+  /**
+   * feed a chunk's tokenizer events, get back the session events in it
+   */
+  feed(events) {
+    const found = [];
+    for (const ev of events) {
+      if (ev.type === 'text') {
+        this.line += ev.text;
+        this.check(false, found);
+      } else if (ev.type === 'sgr' || ev.type === 'osc' || ev.type === 'string') {
+        // styling and titles don't move anything
+      } else if (ev.type === 'control' && ev.char !== '\r' && ev.char !== '\b') {
+        // bells and tabs
+      } else if (ev.type === 'csi' && ev.final === 'J' && !ev.prefix && (ev.params[0] === 2 || ev.params[0] === 3)) {
+        // the screen got wiped, whatever claude was saying is gone with it
+        this.endLine(found);
+        this.inMessage = false;
+      } else {
+        // newline, carriage return, a cursor move - whatever's next is a new line
+        this.endLine(found);
+      }
+    }
+    return found;
+  }
+
+  // a blank line between paragraphs doesn't end a message, chrome does
+  endLine(found) {
+    if (this.line.trim()) {
+      this.check(true, found);
+      this.inMessage = classifyLine(this.line, this.inMessage).region === 'message';
+    }
+    this.line = '';
+    this.matched = false;
+  }
+
+  check(complete, found) {
+    if (this.matched) return;
+    const { region, content } = classifyLine(this.line, this.inMessage);
+    if (!content) return;
+    for (const m of this.matchers()) {
+      if (!m.regions.includes(region)) continue;
+      if (m.wholeLine && !complete) continue;
+      if (!m.regex.test(content)) continue;
+
+      this.matched = true;
+      const now = this.clock ? this.clock.now() : Date.now();
+      const last = this.last;
+      this.last = { event: m.event, content, at: now };
+      // ink drew the same line again
+      if (last && last.event === m.event && last.content.startsWith(content.slice(0, 16)) && now - last.at < REPEAT_MS) return;
+
+      this.counts[m.event] = (this.counts[m.event] || 0) + 1;
+      found.push({
+        event: m.event,
+        region,
+        line: content,
+        pattern: m.pattern,
+        scrollback: m.scrollback,
+        reason: m.reason,
+        version: this.version
+      });
+      return;
+    }
+  }
+
+  getStats() {
+    return { version: this.version, events: { ...this.counts } };
+  }
+}
+
+module.exports = {
+  SessionMatcher,
+  compileMatchers,
+  classifyLine,
+  satisfies,
+  detectVersion,
+  EVENTS,
+  POLICIES,
+  BUILTIN_MATCHERS
+};
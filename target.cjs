@@ -0,0 +1,144 @@
+'use strict';
+
+/**
+ * target - figure out what the wrapper should actually run
+ *
+ * used to be claude and only claude, found in three hard-coded spots or via
+ * `which`. now it's whatever `cmd` says (--cmd, CLAUDE_FIXED_TARGET, the user
+ * rc or a profile in it), falling back to looking for claude:
+ *
+ *   - a path (has a slash in it) is used as-is, relative to cwd
+ *   - a bare name gets looked up in, in order:
+ *       every dir on $PATH
+ *       ~/.local/bin                           (claude's own installer)
+ *       /usr/local/bin, /usr/bin
+ *       $NVM_BIN, then ~/.nvm/versions/node/<newest first>/bin
+ *       node_modules/.bin walking up from cwd  (only with searchNodeModules)
+ *
+ * node_modules/.bin comes last and only when you ask - it's whatever repo you
+ * happen to be in, and a claude in there shouldn't beat the one you installed
+ *
+ * when nothing turns up the error lists every path it tried
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const DEFAULT_TARGET = 'claude';
+const SYSTEM_DIRS = ['/usr/local/bin', '/usr/bin'];
+
+class TargetError extends Error {
+  constructor(name, tried) {
+    super(name + ' not found, tried:\n  ' + (tried.length ? tried.join('\n  ') : '(nowhere to look)') +
+      '\nset the target with --cmd <path>, CLAUDE_FIXED_TARGET or "cmd" in your user rc');
+    this.name = 'TargetError';
+    this.target = name;
+    this.tried = tried;
+  }
+}
+
+function isExecutable(file) {
+  try {
+    if (!fs.statSync(file).isFile()) return false;
+    fs.accessSync(file, fs.constants.X_OK);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// v20.11.0 > v18.19.1 > v9.0.0 - plain string sort gets that wrong
+function compareVersionsDesc(a, b) {
+  const pa = a.replace(/^v/, '').split('.').map(Number);
+  const pb = b.replace(/^v/, '').split('.').map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pb[i] || 0) - (pa[i] || 0);
+    if (diff) return diff;
+  }
+  return 0;
+}
+
+function nvmDirs(env, homedir) {
+  const dirs = [];
+  if (env.NVM_BIN) dirs.push(env.NVM_BIN);
+  const root = path.join(env.NVM_DIR || path.join(homedir, '.nvm'), 'versions', 'node');
+  try {
+    fs.readdirSync(root)
+      .sort(compareVersionsDesc)
+      .forEach(version => dirs.push(path.join(root, version, 'bin')));
+  } catch (e) {
+    // no nvm
+  }
+  return dirs;
+}
+
+function projectBinDirs(cwd) {
+  const dirs = [];
+  let dir = path.resolve(cwd);
+  for (;;) {
+    dirs.push(path.join(dir, 'node_modules', '.bin'));
+    const parent = path.dirname(dir);
+    if (parent === dir) return dirs;
+    dir = parent;
+  }
+}
+
+/**
+ * every dir a bare command name gets looked for in, in order, no dupes
+ * options.systemDirs swaps out /usr/local/bin and /usr/bin
+ * options.nodeModules adds node_modules/.bin walking up from cwd, last
+ */
+function searchDirs(options = {}) {
+  const env = options.env || process.env;
+  const homedir = options.homedir || os.homedir();
+  const cwd = options.cwd || process.cwd();
+
+  const dirs = [].concat(
+    (env.PATH || '').split(path.delimiter).filter(Boolean),
+    [path.join(homedir, '.local', 'bin')],
+    options.systemDirs || SYSTEM_DIRS,
+    nvmDirs(env, homedir),
+    options.nodeModules ? projectBinDirs(cwd) : []
+  );
+  return Array.from(new Set(dirs.map(d => path.resolve(d))));
+}
+
+/**
+ * resolve the command to run
+ *
+ * config.cmd     - path or name, null means claude. a relative path from an rc
+ *                  comes in already resolved against the rc, see config.cjs
+ * config.cmdArgs - args that go in front of the user's
+ * config.searchNodeModules - look in node_modules/.bin too, see searchDirs()
+ * options.env, options.cwd, options.homedir - where to look (default: this process)
+ *
+ * returns { name, path, args, tried } or throws TargetError
+ */
+function resolveTarget(config = {}, options = {}) {
+  const name = config.cmd || DEFAULT_TARGET;
+  const args = config.cmdArgs || [];
+  const cwd = options.cwd || process.cwd();
+
+  if (name.includes('/')) {
+    const file = path.resolve(cwd, name);
+    if (!isExecutable(file)) throw new TargetError(name, [file]);
+    return { name, path: file, args, tried: [file] };
+  }
+
+  const tried = [];
+  for (const dir of searchDirs({ ...options, nodeModules: config.searchNodeModules })) {
+    const file = path.join(dir, name);
+    tried.push(file);
+    if (isExecutable(file)) return { name, path: file, args, tried };
+  }
+  throw new TargetError(name, tried);
+}
+
+module.exports = {
+  resolveTarget,
+  searchDirs,
+  isExecutable,
+  TargetError,
+  DEFAULT_TARGET
+};
@@ -0,0 +1,287 @@
+'use strict';
+
+/**
+ * terminal - which escape sequences this terminal actually wants
+ *
+ * we used to send \x1b[3J and SCO save/restore (\x1b[s / \x1b[u) to everyone.
+ * most terminals take those, but DECSC/DECRC (\x1b7 / \x1b8) is the save/restore
+ * everything gets right, and iTerm2 has its own scrollback clear that works
+ * where 3J gets ignored. so every clear we inject comes from a profile:
+ *
+ *   { name, clearScrollback, saveCursor, restoreCursor, syncOutput }
+ *
+ * syncOutput says whether it does synchronized output (DEC mode 2026) - the
+ * engine wraps each frame in begin/end so the terminal draws it in one go
+ *
+ * picked in this order:
+ *   1. terminalProfile in config, if it isn't 'auto'
+ *   2. the environment - TERM_PROGRAM, KITTY_WINDOW_ID, WT_SESSION, VTE_VERSION,
+ *      TERM and friends
+ *   3. terminfo (infocmp) for E3/sc/rc when TERM is something we don't know
+ *   4. the generic profile
+ *
+ * infocmp runs in the background - readTerminfo() fills a cache and
+ * resolveTerminal() only ever reads it, so install() never waits on a child
+ * process. until it answers you get the generic profile, resolve again after
+ *
+ * the wrapper can also ask the terminal itself (terminalQuery) - XTVERSION
+ * gets a name out of kitty, WezTerm, xterm, iTerm2 and others, DA1 gives away
+ * the linux console, and DECRQM 2026 says for sure whether synchronized
+ * output works. that works over ssh where TERM_PROGRAM doesn't make it
+ */
+
+const { execFile } = require('child_process');
+
+const DECSC = '\x1b7';
+const DECRC = '\x1b8';
+const ED3 = '\x1b[3J';
+
+// XTVERSION, DECRQM for mode 2026, then DA1 - every terminal answers DA1,
+// so its reply ends the wait
+const QUERY = '\x1b[>0q\x1b[?2026$p\x1b[c';
+const QUERY_TIMEOUT_MS = 300;
+// how long replies that missed QUERY_TIMEOUT_MS still get thrown away for
+const LATE_REPLY_MS = 2000;
+
+// what the terminal sends back to QUERY - these never go to the child
+const REPLIES = /\x1bP>\|[^\x1b]*\x1b\\|\x1b\[\?2026;\d\$y|\x1b\[\?[\d;]*c/g;
+const DA1_REPLY = /\x1b\[\?[\d;]*c/;
+
+function profile(name, overrides = {}) {
+  return { name, clearScrollback: ED3, saveCursor: DECSC, restoreCursor: DECRC, syncOutput: false, ...overrides };
+}
+
+const PROFILES = {
+  generic: profile('generic'),
+  xterm: profile('xterm'),
+  vte: profile('vte'),
+  kitty: profile('kitty', { syncOutput: true }),
+  wezterm: profile('wezterm', { syncOutput: true }),
+  // 3J works in new versions, the proprietary one works in all of em
+  iterm2: profile('iterm2', { clearScrollback: '\x1b]1337;ClearScrollback\x07', syncOutput: true }),
+  // over ssh there's conpty in the middle, and it doesn't pass SCO save/restore on
+  'windows-terminal': profile('windows-terminal', { syncOutput: true }),
+  alacritty: profile('alacritty', { syncOutput: true }),
+  // the console's had 3J since kernel 3.0
+  linux: profile('linux')
+};
+
+const PROFILE_NAMES = Object.keys(PROFILES);
+
+/**
+ * profile name from the environment, null if nothing gives it away
+ * over ssh most of these aren't forwarded - WT_SESSION needs SendEnv, or
+ * set terminalProfile / terminalQuery
+ */
+function fromEnv(env) {
+  const term = env.TERM || '';
+  const program = env.TERM_PROGRAM || '';
+  if (program === 'iTerm.app' || env.ITERM_SESSION_ID) return 'iterm2';
+  if (program === 'WezTerm' || env.WEZTERM_EXECUTABLE) return 'wezterm';
+  if (term === 'xterm-kitty' || env.KITTY_WINDOW_ID) return 'kitty';
+  if (term === 'alacritty' || env.ALACRITTY_WINDOW_ID || env.ALACRITTY_SOCKET) return 'alacritty';
+  if (env.WT_SESSION) return 'windows-terminal';
+  if (env.VTE_VERSION) return 'vte';
+  if (term === 'linux') return 'linux';
+  if (/^xterm/.test(term)) return 'xterm';
+  return null;
+}
+
+// terminfo strings come escaped - \E, ^X, \\ and friends
+function decodeTerminfo(value) {
+  return value
+    .replace(/\\(E|e)/g, '\x1b')
+    .replace(/\^([@-_?])/g, (m, c) => (c === '?' ? '\x7f' : String.fromCharCode(c.charCodeAt(0) - 64)))
+    .replace(/\\([0-7]{3})/g, (m, oct) => String.fromCharCode(parseInt(oct, 8)))
+    .replace(/\\([\\,:^])/g, '$1');
+}
+
+// TERM -> caps (or null), once infocmp has answered
+const terminfoCache = new Map();
+// TERM -> the infocmp that's still running
+const terminfoRunning = new Map();
+
+function parseTerminfo(out) {
+  const caps = {};
+  out.split('\n').forEach(line => {
+    const m = line.trim().match(/^(E3|sc|rc|Sync)=(.*),$/);
+    if (m) caps[m[1]] = decodeTerminfo(m[2]);
+  });
+  return caps;
+}
+
+/**
+ * E3 / sc / rc / Sync out of terminfo for a TERM - resolves with null if
+ * infocmp can't say. runs infocmp once per TERM, after that it's the cache
+ */
+function readTerminfo(term) {
+  if (!term) return Promise.resolve(null);
+  if (terminfoCache.has(term)) return Promise.resolve(terminfoCache.get(term));
+  if (terminfoRunning.has(term)) return terminfoRunning.get(term);
+  const running = new Promise(resolve => {
+    execFile('infocmp', ['-1x', term], { encoding: 'utf8', timeout: 1000 }, (err, out) => {
+      const caps = err ? null : parseTerminfo(out);
+      terminfoCache.set(term, caps);
+      terminfoRunning.delete(term);
+      resolve(caps);
+    });
+  });
+  terminfoRunning.set(term, running);
+  return running;
+}
+
+/**
+ * what readTerminfo() found for a TERM, null if it hasn't answered (yet)
+ */
+function cachedTerminfo(term) {
+  return terminfoCache.get(term) || null;
+}
+
+/**
+ * profile name from what the terminal said to QUERY, null if it didn't help
+ *   XTVERSION: \x1bP>|kitty(0.31.0)\x1b\\
+ *   DA1:       \x1b[?6c  (linux console)
+ */
+function fromQueryReply(reply) {
+  const version = reply.match(/\x1bP>\|([^\x1b]*)\x1b\\/);
+  if (version) {
+    const text = version[1];
+    if (/^kitty/i.test(text)) return 'kitty';
+    if (/^wezterm/i.test(text)) return 'wezterm';
+    if (/^iterm2/i.test(text)) return 'iterm2';
+    if (/^alacritty/i.test(text)) return 'alacritty';
+    if (/^vte/i.test(text)) return 'vte';
+    if (/^xterm/i.test(text)) return 'xterm';
+  }
+  const da1 = reply.match(/\x1b\[\?([\d;]*)c/);
+  if (da1 && da1[1] === '6') return 'linux';
+  return null;
+}
+
+/**
+ * what DECRQM said about mode 2026 - true, false, or null if it didn't answer
+ * 1 set / 2 reset are both supported, 0 unknown / 4 permanently reset aren't
+ */
+function syncFromReply(reply) {
+  const m = reply.match(/\x1b\[\?2026;(\d)\$y/);
+  return m ? m[1] === '1' || m[1] === '2' : null;
+}
+
+/**
+ * the profile to use
+ *
+ * config.terminalProfile - a profile name or 'auto'
+ * options.env            - default: process.env
+ * options.terminfo       - E3/sc/rc lookup, default: cachedTerminfo
+ *
+ * the result has a source field - config, env, terminfo or default
+ */
+function resolveTerminal(config = {}, options = {}) {
+  const env = options.env || process.env;
+  const setting = config.terminalProfile || 'auto';
+  if (setting !== 'auto' && PROFILES[setting]) return { ...PROFILES[setting], source: 'config' };
+
+  const name = fromEnv(env);
+  if (name) return { ...PROFILES[name], source: 'env' };
+
+  const caps = (options.terminfo || cachedTerminfo)(env.TERM);
+  if (caps && caps.E3) {
+    return {
+      ...PROFILES.generic,
+      name: 'terminfo:' + env.TERM,
+      clearScrollback: caps.E3,
+      saveCursor: caps.sc || DECSC,
+      restoreCursor: caps.rc || DECRC,
+      syncOutput: Boolean(caps.Sync),
+      source: 'terminfo'
+    };
+  }
+  return { ...PROFILES.generic, source: 'default' };
+}
+
+/**
+ * ask the terminal who it is - resolves with whatever came back (maybe '')
+ * stdin has to be a tty we can put in raw mode, and nothing else can be
+ * reading it yet
+ */
+function queryTerminal(stdin, stdout, timeoutMs = QUERY_TIMEOUT_MS) {
+  if (!stdin.isTTY || !stdout.isTTY || !stdin.setRawMode) return Promise.resolve('');
+  return new Promise(resolve => {
+    let reply = '';
+    const wasRaw = stdin.isRaw;
+    const finish = () => {
+      clearTimeout(timer);
+      stdin.removeListener('data', onData);
+      stdin.pause();
+      stdin.setRawMode(wasRaw);
+      resolve(reply);
+    };
+    const onData = (data) => {
+      reply += data.toString('latin1');
+      if (DA1_REPLY.test(reply)) finish();
+    };
+    const timer = setTimeout(finish, timeoutMs);
+    stdin.setRawMode(true);
+    stdin.on('data', onData);
+    stdin.resume();
+    stdout.write(QUERY);
+  });
+}
+
+/**
+ * a terminal that's slow to answer (over ssh, say) has its replies turn up
+ * after queryTerminal() gave up, in with the keystrokes. this makes a filter
+ * for stdin data that takes them out, till DA1 - always the last - comes
+ * through or LATE_REPLY_MS is up. reply is what queryTerminal() got, the
+ * filter hands back what's left of each chunk, a Buffer if it got one
+ *
+ * options.graceMs - default: LATE_REPLY_MS
+ * options.now     - default: Date.now
+ */
+function lateReplies(reply = '', options = {}) {
+  const now = options.now || Date.now;
+  const until = now() + (options.graceMs === undefined ? LATE_REPLY_MS : options.graceMs);
+  let done = DA1_REPLY.test(reply);
+  return (data) => {
+    if (done || now() > until) {
+      done = true;
+      return data;
+    }
+    // latin1 keeps every byte as it was, utf-8 or not
+    const text = typeof data === 'string' ? data : data.toString('latin1');
+    if (DA1_REPLY.test(text)) done = true;
+    const rest = text.replace(REPLIES, '');
+    if (rest === text) return data;
+    return typeof data === 'string' ? rest : Buffer.from(rest, 'latin1');
+  };
+}
+
+/**
+ * resolveTerminal(), but a query reply that names the terminal wins over
+ * the environment (not over an explicit terminalProfile), and a DECRQM answer
+ * beats whatever the profile thought about synchronized output
+ */
+function profileFromReply(config, reply, options = {}) {
+  const name = fromQueryReply(reply);
+  const terminal = name && (config.terminalProfile || 'auto') === 'auto'
+    ? { ...PROFILES[name], source: 'query' }
+    : resolveTerminal(config, options);
+  const sync = syncFromReply(reply);
+  return sync === null ? terminal : { ...terminal, syncOutput: sync };
+}
+
+module.exports = {
+  PROFILES,
+  PROFILE_NAMES,
+  resolveTerminal,
+  readTerminfo,
+  cachedTerminfo,
+  decodeTerminfo,
+  fromEnv,
+  fromQueryReply,
+  syncFromReply,
+  queryTerminal,
+  lateReplies,
+  profileFromReply,
+  QUERY
+};
@@ -0,0 +1,94 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  AnsiTokenizer,
+  parseParams,
+  isClearScreen,
+  isClearScrollback,
+  isCursorHome,
+  plainText,
+  stripAnsi
+} = require('../ansi-parser.cjs');
+
+const types = events => events.map(e => e.type);
+
+test('parseParams() keeps empty params as null', () => {
+  assert.deepStrictEqual(parseParams(''), []);
+  assert.deepStrictEqual(parseParams('5;1'), [5, 1]);
+  assert.deepStrictEqual(parseParams(';5'), [null, 5]);
+  assert.deepStrictEqual(parseParams('38:2:1'), [38]);
+});
+
+test('feed() splits text, newlines, controls and sequences', () => {
+  const events = new AnsiTokenizer().feed('hi\r\n\x1b[1mbold\x1b[0m\x07');
+  assert.deepStrictEqual(types(events), ['text', 'control', 'newline', 'sgr', 'text', 'sgr', 'control']);
+  assert.deepStrictEqual(events[3].params, [1]);
+  assert.strictEqual(events[4].text, 'bold');
+  assert.deepStrictEqual([events[4].start, events[4].end], [8, 12]);
+});
+
+test('csi events carry params, prefix and final', () => {
+  const [ev] = new AnsiTokenizer().feed('\x1b[?25l');
+  assert.strictEqual(ev.type, 'csi');
+  assert.strictEqual(ev.prefix, '?');
+  assert.deepStrictEqual(ev.params, [25]);
+  assert.strictEqual(ev.final, 'l');
+  assert.strictEqual(ev.raw, '\x1b[?25l');
+});
+
+test('osc, esc and string sequences', () => {
+  const events = new AnsiTokenizer().feed('\x1b]0;title\x07\x1b]8;;http://x\x1b\\\x1b7\x1b(B\x1bPq#0\x1b\\');
+  assert.deepStrictEqual(types(events), ['osc', 'osc', 'esc', 'esc', 'string']);
+  assert.strictEqual(events[0].command, 0);
+  assert.strictEqual(events[0].data, 'title');
+  assert.strictEqual(events[1].command, 8);
+  assert.strictEqual(events[2].final, '7');
+  assert.strictEqual(events[3].intermediates, '(');
+  assert.strictEqual(events[4].kind, 'dcs');
+});
+
+test('a sequence split across reads comes out whole and carried', () => {
+  const tok = new AnsiTokenizer();
+  assert.deepStrictEqual(tok.feed('abc\x1b[5;'), [{ type: 'text', text: 'abc', start: 0, end: 3 }]);
+  assert.strictEqual(tok.pending, true);
+  const [ev, text] = tok.feed('1Hxy');
+  assert.strictEqual(ev.raw, '\x1b[5;1H');
+  assert.strictEqual(ev.carried, true);
+  assert.deepStrictEqual([ev.start, ev.end], [0, 2]);
+  assert.strictEqual(text.text, 'xy');
+  assert.strictEqual(tok.pending, false);
+});
+
+test('reset() drops a half-read sequence', () => {
+  const tok = new AnsiTokenizer();
+  tok.feed('\x1b]0;never fin');
+  tok.reset();
+  assert.strictEqual(tok.pending, false);
+  assert.deepStrictEqual(types(tok.feed('ok')), ['text']);
+});
+
+test('ESC inside a string that isn\'t ST starts a new sequence', () => {
+  const events = new AnsiTokenizer().feed('\x1bPdata\x1b[2J');
+  assert.ok(events.some(isClearScreen));
+});
+
+test('clear and home predicates', () => {
+  const ev = str => new AnsiTokenizer().feed(str)[0];
+  assert.strictEqual(isClearScreen(ev('\x1b[2J')), true);
+  assert.strictEqual(isClearScreen(ev('\x1b[J')), false);
+  assert.strictEqual(isClearScrollback(ev('\x1b[3J')), true);
+  assert.strictEqual(isClearScrollback(ev('\x1b[2J')), false);
+  for (const home of ['\x1b[H', '\x1b[1;1H', '\x1b[;H', '\x1b[f']) {
+    assert.strictEqual(isCursorHome(ev(home)), true, JSON.stringify(home));
+  }
+  assert.strictEqual(isCursorHome(ev('\x1b[5;1H')), false);
+  assert.strictEqual(isCursorHome(ev('\x1b[?1H')), false);
+});
+
+test('plainText() and stripAnsi() keep only what you\'d see', () => {
+  const events = new AnsiTokenizer().feed('\x1b[31mred\x1b[0m\r\nnext');
+  assert.strictEqual(plainText(events), 'red\nnext');
+  assert.strictEqual(stripAnsi('\x1b]0;t\x07\x1b[1ma\x1b[0mb'), 'ab');
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { systemClock, FakeClock } = require('../clock.cjs');
+
+test('systemClock is the real thing', async () => {
+  const before = Date.now();
+  assert.ok(systemClock.now() >= before);
+  await new Promise(resolve => systemClock.setImmediate(resolve));
+  const id = systemClock.setTimeout(() => assert.fail('cleared timers don\'t fire'), 1);
+  systemClock.clearTimeout(id);
+  const every = systemClock.setInterval(() => {}, 1000);
+  systemClock.clearInterval(every);
+});
+
+test('timers fire in order as time moves', async () => {
+  const clock = new FakeClock(100);
+  const fired = [];
+  clock.setTimeout(() => fired.push('b@' + clock.now()), 50);
+  clock.setTimeout(() => fired.push('a@' + clock.now()), 10);
+  clock.setImmediate(() => fired.push('now@' + clock.now()));
+  await clock.advance(20);
+  assert.deepStrictEqual(fired, ['now@100', 'a@110']);
+  assert.strictEqual(clock.now(), 120);
+  await clock.advance(100);
+  assert.deepStrictEqual(fired, ['now@100', 'a@110', 'b@150']);
+});
+
+test('intervals repeat until cleared', async () => {
+  const clock = new FakeClock();
+  let ticks = 0;
+  const id = clock.setInterval(() => ticks++, 100);
+  await clock.advance(350);
+  assert.strictEqual(ticks, 3);
+  clock.clearInterval(id);
+  await clock.advance(1000);
+  assert.strictEqual(ticks, 3);
+});
+
+test('timers scheduled from timers and promises settle inside advance()', async () => {
+  const clock = new FakeClock();
+  const sleep = ms => new Promise(resolve => clock.setTimeout(resolve, ms));
+  let done = false;
+  (async () => {
+    await sleep(100);
+    await sleep(100);
+    done = true;
+  })();
+  await clock.advance(200);
+  assert.strictEqual(done, true);
+});
+
+test('flush() only runs what is due now', async () => {
+  const clock = new FakeClock();
+  const fired = [];
+  clock.setImmediate(() => fired.push('now'));
+  clock.setTimeout(() => fired.push('later'), 1);
+  assert.ok(clock.nextDue(0));
+  await clock.flush();
+  assert.deepStrictEqual(fired, ['now']);
+  clock.clearTimeout(clock.nextDue(1).id);
+  assert.strictEqual(clock.nextDue(Infinity), null);
+});
@@ -0,0 +1,297 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tmpDir } = require('./helpers.js');
+const {
+  loadConfig,
+  watchConfig,
+  parseValue,
+  defaults,
+  validate,
+  parseFlags,
+  userRcPath,
+  findProjectRc,
+  pickProfile,
+  ConfigError,
+  SCHEMA,
+  DETECTOR_SCHEMA
+} = require('../config.cjs');
+
+// a home dir with a project under it, both empty to start
+function setup(t) {
+  const home = tmpDir();
+  const project = path.join(home, 'work', 'project');
+  fs.mkdirSync(project, { recursive: true });
+  t.after(() => fs.rmSync(home, { recursive: true, force: true }));
+  const load = (options = {}) => loadConfig({ homedir: home, cwd: project, env: {}, ...options });
+  return { home, project, load };
+}
+
+test('defaults() matches the schema and hands out copies', () => {
+  const config = defaults();
+  for (const key of Object.keys(SCHEMA)) assert.deepStrictEqual(config[key], SCHEMA[key].default);
+  for (const key of Object.keys(DETECTOR_SCHEMA)) assert.deepStrictEqual(config.detector[key], DETECTOR_SCHEMA[key].default);
+  config.detector.debug = true;
+  config.clearedMarkers.push('mine');
+  assert.strictEqual(defaults().detector.debug, false);
+  assert.ok(!defaults().clearedMarkers.includes('mine'));
+});
+
+test('validate() explains what\'s wrong', () => {
+  assert.deepStrictEqual(validate({ periodicClearMs: 5 }), []);
+  const problems = validate({ periodicClearMS: 5, maxLineCount: 0, debug: 'yes', detector: { nope: 1 } }, 'rc');
+  assert.strictEqual(problems.length, 4);
+  assert.ok(problems.some(p => /did you mean periodicClearMs/.test(p)));
+});
+
+test('strings with a fixed set of values reject anything else', () => {
+  assert.deepStrictEqual(validate({ multiplexer: 'tmux' }), []);
+  const problems = validate({ multiplexer: 'zellij' }, 'rc');
+  assert.match(problems[0], /multiplexer should be one of auto, tmux, screen, off, got "zellij"/);
+});
+
+test('sessionEvents gets checked inside', () => {
+  assert.deepStrictEqual(validate({ sessionEvents: { clear: { matchers: [{ pattern: 'Wiped' }] } }, targetVersion: '1.0.0' }), []);
+  assert.match(validate({ sessionEvents: { clear: { matchers: [{ pattern: '[' }] } } })[0], /bad pattern/);
+  assert.match(validate({ sessionEvents: { clear: { matchers: [{}] } } })[0], /every matcher needs a pattern/);
+  assert.match(validate({ sessionEvents: { nap: {} } })[0], /unknown event nap/);
+});
+
+test('layers stack: defaults < user rc < project rc < env < flags', (t) => {
+  const { home, project, load } = setup(t);
+  fs.writeFileSync(path.join(home, '.claudescreenfixrc'), JSON.stringify({ periodicClearMs: 1, maxLineCount: 50, clearAfterRenders: 7 }));
+  fs.writeFileSync(path.join(project, '..', '.claudescreenfixrc'), JSON.stringify({ periodicClearMs: 2, maxLineCount: 60 }));
+
+  const { config, files, argv } = load({
+    env: { CLAUDE_TERMINAL_FIX_PERIODIC_CLEAR_MS: '3', CLAUDE_GLITCH_DETECTOR_DEBUG: 'on' },
+    argv: ['--fix-periodic-clear-ms=4', '--resume', '--fix-detector-stdin-timeout-ms', '9', 'prompt']
+  });
+  assert.strictEqual(config.periodicClearMs, 4);
+  assert.strictEqual(config.maxLineCount, 60);
+  assert.strictEqual(config.clearAfterRenders, 7);
+  assert.strictEqual(config.detector.debug, true);
+  assert.strictEqual(config.detector.stdinTimeoutMs, 9);
+  assert.strictEqual(files.length, 2);
+  assert.deepStrictEqual(argv, ['--resume', 'prompt']);
+});
+
+test('plugins only come from the user rc, env or flags, rc paths are from the rc', (t) => {
+  const { home, project, load } = setup(t);
+  fs.writeFileSync(path.join(home, '.claudescreenfixrc'), JSON.stringify({ plugins: ['./tools/beep.js', '/abs/mask.js'] }));
+  assert.deepStrictEqual(load().config.plugins, [path.join(home, 'tools', 'beep.js'), '/abs/mask.js']);
+
+  fs.writeFileSync(path.join(project, '.claudescreenfixrc'), JSON.stringify({
+    plugins: ['./evil.js'],
+    profiles: { claude: { plugins: ['./evil.js'] } }
+  }));
+  assert.throws(() => load(), /plugins can only be set in your user rc, env vars or flags, not a project rc/);
+  const { config, problems } = load({ strict: false, argv: ['--fix-profile=claude'] });
+  assert.strictEqual(problems.length, 2, 'a profile in the project rc can\'t either');
+  assert.deepStrictEqual(config.plugins, [path.join(home, 'tools', 'beep.js'), '/abs/mask.js']);
+
+  const env = load({ strict: false, env: { CLAUDE_TERMINAL_FIX_PLUGINS: './mine.js' } });
+  assert.deepStrictEqual(env.config.plugins, ['./mine.js'], 'env and flags are from where you are');
+});
+
+test('a project rc can\'t pick the target either', (t) => {
+  const { project, load } = setup(t);
+  fs.writeFileSync(path.join(project, '.claudescreenfixrc'), JSON.stringify({ cmd: './claude', cmdArgs: ['-x'], searchNodeModules: true }));
+  const { config, problems } = load({ strict: false });
+  assert.strictEqual(problems.length, 3);
+  assert.strictEqual(config.cmd, null);
+  assert.deepStrictEqual(config.cmdArgs, []);
+  assert.strictEqual(config.searchNodeModules, false);
+  const upper = load({ strict: false, env: { CLAUDE_FIXED_TARGET: 'gemini' }, argv: ['--fix-search-node-modules'] }).config;
+  assert.deepStrictEqual([upper.cmd, upper.searchNodeModules], ['gemini', true], 'env and flags still can');
+});
+
+test('a relative cmd in the user rc is from the rc, a bare name stays a name', (t) => {
+  const { home, load } = setup(t);
+  const rc = path.join(home, '.claudescreenfixrc');
+  fs.writeFileSync(rc, JSON.stringify({ cmd: './bin/my-cli' }));
+  assert.strictEqual(load().config.cmd, path.join(home, 'bin', 'my-cli'));
+  fs.writeFileSync(rc, JSON.stringify({ cmd: 'gemini' }));
+  assert.strictEqual(load().config.cmd, 'gemini', 'still searched for on PATH');
+  assert.strictEqual(load({ env: { CLAUDE_FIXED_TARGET: './bin/my-cli' } }).config.cmd, './bin/my-cli', 'env is from where you are');
+});
+
+test('a project rc can\'t move the control socket', (t) => {
+  const { home, project, load } = setup(t);
+  fs.writeFileSync(path.join(project, '.claudescreenfixrc'), JSON.stringify({ controlSocketPath: path.join(home, 'notes.txt') }));
+  const { config, problems } = load({ strict: false });
+  assert.match(problems[0], /controlSocketPath can only be set in your user rc/);
+  assert.strictEqual(config.controlSocketPath, null);
+});
+
+test('or say where recordings, metrics and archives get written', (t) => {
+  const { home, project, load } = setup(t);
+  const target = path.join(home, 'notes.txt');
+  fs.writeFileSync(path.join(project, '.claudescreenfixrc'), JSON.stringify({ recordFile: target, metricsFile: target, archiveDir: home }));
+  const { config, problems } = load({ strict: false });
+  assert.strictEqual(problems.length, 3);
+  assert.deepStrictEqual([config.recordFile, config.metricsFile, config.archiveDir], [null, null, null]);
+});
+
+test('recovery modules follow the same rules as plugins', (t) => {
+  const { home, project, load } = setup(t);
+  fs.writeFileSync(path.join(home, '.claudescreenfixrc'), JSON.stringify({ detector: { recoveryModules: ['recovery/mine.js'] } }));
+  assert.deepStrictEqual(load().config.detector.recoveryModules, [path.join(home, 'recovery', 'mine.js')]);
+
+  fs.writeFileSync(path.join(project, '.claudescreenfixrc'), JSON.stringify({ detector: { recoveryModules: ['./evil.js'], debug: true } }));
+  const { config, problems } = load({ strict: false });
+  assert.match(problems[0], /detector\.recoveryModules can only be set in your user rc/);
+  assert.deepStrictEqual(config.detector.recoveryModules, [path.join(home, 'recovery', 'mine.js')]);
+  assert.strictEqual(config.detector.debug, true, 'the rest of the project rc still counts');
+});
+
+test('the old CLAUDE_TERMINAL_FIX_ARCHIVE switch still works', (t) => {
+  const { load } = setup(t);
+  assert.strictEqual(load({ env: { CLAUDE_TERMINAL_FIX_ARCHIVE: '1' } }).config.archiveScrollback, true);
+});
+
+test('strict mode throws, non-strict skips the bad bits', (t) => {
+  const { home, load } = setup(t);
+  fs.writeFileSync(path.join(home, '.claudescreenfixrc'), JSON.stringify({ maxLineCount: -1, periodicClearMs: 10 }));
+  assert.throws(() => load(), err => err instanceof ConfigError && err.problems.length === 1);
+
+  const { config, problems } = load({ strict: false, env: { CLAUDE_TERMINAL_FIX_DEBUG: 'maybe' } });
+  assert.strictEqual(config.periodicClearMs, 10);
+  assert.strictEqual(config.maxLineCount, SCHEMA.maxLineCount.default);
+  assert.strictEqual(problems.length, 2);
+});
+
+test('broken json is a problem, not a crash', (t) => {
+  const { home, load } = setup(t);
+  fs.writeFileSync(path.join(home, '.claudescreenfixrc'), '{ nope');
+  assert.match(load({ strict: false }).problems[0], /not valid json/);
+});
+
+test('userRcPath() prefers the xdg location when it exists', (t) => {
+  const { home } = setup(t);
+  assert.strictEqual(userRcPath({}, home), path.join(home, '.claudescreenfixrc'));
+  const xdg = path.join(home, 'xdg');
+  fs.mkdirSync(path.join(xdg, 'claudescreenfix'), { recursive: true });
+  fs.writeFileSync(path.join(xdg, 'claudescreenfix', 'config.json'), '{}');
+  assert.strictEqual(userRcPath({ XDG_CONFIG_HOME: xdg }, home), path.join(xdg, 'claudescreenfix', 'config.json'));
+});
+
+test('findProjectRc() walks up but stops at home', (t) => {
+  const { home, project } = setup(t);
+  assert.strictEqual(findProjectRc(project, home), null);
+  fs.writeFileSync(path.join(home, '.claudescreenfixrc'), '{}');
+  assert.strictEqual(findProjectRc(project, home), null, 'the user rc isn\'t a project rc');
+  const rc = path.join(home, 'work', '.claudescreenfixrc');
+  fs.writeFileSync(rc, '{}');
+  assert.strictEqual(findProjectRc(project, home), rc);
+});
+
+test('parseFlags() handles every flag shape', () => {
+  const { layer, problems, rest } = parseFlags(['--fix-debug', '--fix-max-line-count', '80', '--fix-period', '-p', '--', '--fix-debug']);
+  assert.deepStrictEqual(layer, { debug: true, maxLineCount: 80 });
+  assert.match(problems[0], /unknown flag \(did you mean --fix-periodic-clear-ms\?\)/);
+  assert.deepStrictEqual(rest, ['-p', '--', '--fix-debug']);
+  assert.match(parseFlags(['--fix-max-line-count']).problems[0], /needs a value/);
+});
+
+test('profiles sit between the rc files and env vars', (t) => {
+  const { home, load } = setup(t);
+  fs.writeFileSync(path.join(home, '.claudescreenfixrc'), JSON.stringify({
+    maxLineCount: 50,
+    profiles: {
+      gemini: { cmd: 'gemini', cmdArgs: ['--no-color'], clearedMarkers: ['History cleared'], maxLineCount: 200 }
+    }
+  }));
+
+  let { config } = load({ argv: ['--fix-profile', 'gemini'] });
+  assert.strictEqual(config.profile, 'gemini');
+  assert.strictEqual(config.cmd, 'gemini');
+  assert.deepStrictEqual(config.cmdArgs, ['--no-color']);
+  assert.deepStrictEqual(config.clearedMarkers, ['History cleared']);
+  assert.strictEqual(config.maxLineCount, 200);
+
+  ({ config } = load({ env: { CLAUDE_TERMINAL_FIX_PROFILE: 'gemini', CLAUDE_TERMINAL_FIX_MAX_LINE_COUNT: '80' } }));
+  assert.strictEqual(config.maxLineCount, 80, 'env beats the profile');
+
+  ({ config } = load());
+  assert.strictEqual(config.profile, null);
+  assert.strictEqual(config.maxLineCount, 50);
+});
+
+test('a profile gets picked by the target\'s name', (t) => {
+  const { home, project, load } = setup(t);
+  fs.writeFileSync(path.join(home, '.claudescreenfixrc'), JSON.stringify({ profiles: { gemini: { maxLineCount: 200 } } }));
+  fs.writeFileSync(path.join(project, '.claudescreenfixrc'), JSON.stringify({ profiles: { other: {} } }));
+
+  const { config, argv } = load({ env: { CLAUDE_FIXED_TARGET: '/opt/gemini/bin/gemini' }, argv: ['--cmd=./bin/mine', 'hi'] });
+  assert.strictEqual(config.cmd, './bin/mine', '--cmd beats the env var');
+  assert.strictEqual(config.profile, null);
+  assert.deepStrictEqual(argv, ['hi']);
+  assert.deepStrictEqual(Object.keys(config.profiles).sort(), ['gemini', 'other'], 'profiles add up across rc files');
+
+  const picked = load({ env: { CLAUDE_FIXED_TARGET: '/opt/gemini/bin/gemini' } }).config;
+  assert.strictEqual(picked.profile, 'gemini');
+  assert.strictEqual(picked.maxLineCount, 200);
+});
+
+test('bad profiles get reported', (t) => {
+  const { home, load } = setup(t);
+  fs.writeFileSync(path.join(home, '.claudescreenfixrc'), JSON.stringify({
+    profiles: { broken: { profile: 'x', maxLineCount: 'lots', clearedMarkers: 'not a list' } }
+  }));
+  const { problems, config } = load({ strict: false, argv: ['--fix-profile=missing'] });
+  assert.ok(problems.some(p => /profiles\.broken: profile can't be set inside a profile/.test(p)));
+  assert.ok(problems.some(p => /maxLineCount should be a number/.test(p)));
+  assert.ok(problems.some(p => /clearedMarkers should be a list of strings/.test(p)));
+  assert.ok(problems.some(p => /unknown profile missing \(have: broken\)/.test(p)));
+  assert.strictEqual(config.profile, null);
+  assert.match(pickProfile({}, 'x', null).problem, /no profiles defined/);
+  assert.strictEqual(pickProfile({ a: {} }, null, null), null);
+});
+
+test('lists come from env vars as json or comma separated', (t) => {
+  const { load } = setup(t);
+  const env = { CLAUDE_TERMINAL_FIX_CLEARED_MARKERS: 'Cleared!, Fresh start', CLAUDE_TERMINAL_FIX_CMD_ARGS: '["--a", "b c"]' };
+  const { config } = load({ env });
+  assert.deepStrictEqual(config.clearedMarkers, ['Cleared!', 'Fresh start']);
+  assert.deepStrictEqual(config.cmdArgs, ['--a', 'b c']);
+  assert.throws(() => parseValue('profiles', '{}'), /only be set in an rc file/);
+});
+
+test('parseValue() coerces like an env var would', () => {
+  assert.deepStrictEqual(parseValue('periodicClearMs', '30000'), { key: 'periodicClearMs', value: 30000, detector: false });
+  assert.deepStrictEqual(parseValue('detector.debug', 'yes'), { key: 'debug', value: true, detector: true });
+  assert.deepStrictEqual(parseValue('archiveDir', null), { key: 'archiveDir', value: null, detector: false });
+  assert.throws(() => parseValue('periodicClearMS', '1'), /did you mean periodicClearMs/);
+  assert.throws(() => parseValue('maxLineCount', 'lots'), ConfigError);
+});
+
+test('parseValue() turns down keys that are only read at startup', () => {
+  for (const key of ['plugins', 'recordFile', 'cmd', 'cmdArgs', 'controlSocketPath', 'watchConfig']) {
+    assert.throws(() => parseValue(key, 'x'), /only read at startup/, key);
+  }
+  assert.strictEqual(parseValue('metricsFile', '/tmp/m.json').value, '/tmp/m.json', 'the exporter restarts for this one');
+});
+
+test('watchConfig() reloads when an rc file changes', async (t) => {
+  const { home, project } = setup(t);
+  const rc = path.join(home, '.claudescreenfixrc');
+  fs.writeFileSync(rc, '{}');
+
+  const changed = new Promise(resolve => {
+    const stop = watchConfig({ homedir: home, cwd: project, env: {} }, result => {
+      stop();
+      resolve(result);
+    }, 20);
+  });
+  await new Promise(resolve => setTimeout(resolve, 50));
+  fs.writeFileSync(rc, JSON.stringify({ periodicClearMs: 1234 }));
+
+  // the watcher doesn't hold the process open, so something has to
+  const keepAlive = setInterval(() => {}, 10);
+  const result = await changed;
+  clearInterval(keepAlive);
+  assert.strictEqual(result.config.periodicClearMs, 1234);
+});
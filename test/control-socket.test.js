@@ -0,0 +1,121 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { tmpDir } = require('./helpers.js');
+const {
+  ControlServer,
+  sendCommand,
+  socketDir,
+  socketPath,
+  findSockets
+} = require('../control-socket.cjs');
+
+function setup(t) {
+  const runtime = tmpDir();
+  const env = { XDG_RUNTIME_DIR: runtime };
+  t.after(() => fs.rmSync(runtime, { recursive: true, force: true }));
+  return { runtime, env };
+}
+
+test('socket paths live under the runtime dir', (t) => {
+  const { runtime, env } = setup(t);
+  assert.strictEqual(socketDir(env), path.join(runtime, 'claudescreenfix'));
+  assert.strictEqual(socketPath(42, env), path.join(runtime, 'claudescreenfix', '42.sock'));
+  assert.match(socketDir({}), /claudescreenfix-/);
+});
+
+test('requests get routed to handlers and answered', async (t) => {
+  const { env } = setup(t);
+  const server = new ControlServer({
+    echo: req => ({ key: req.key, value: req.value }),
+    later: async () => 'done',
+    boom: () => { throw new Error('nope'); }
+  }, { path: socketPath(process.pid, env) });
+  t.after(() => server.close());
+  const file = await server.listen();
+  assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+
+  assert.deepStrictEqual(await sendCommand(file, { cmd: 'echo', key: 'k', value: 1 }), { ok: true, result: { key: 'k', value: 1 } });
+  assert.deepStrictEqual(await sendCommand(file, { cmd: 'later' }), { ok: true, result: 'done' });
+  assert.deepStrictEqual(await sendCommand(file, { cmd: 'boom' }), { ok: false, error: 'nope' });
+  const unknown = await sendCommand(file, { cmd: 'what' });
+  assert.strictEqual(unknown.ok, false);
+  assert.match(unknown.error, /unknown command what \(try: echo, later, boom\)/);
+});
+
+test('bad json gets an error back, not a hangup', async (t) => {
+  const { env } = setup(t);
+  const server = new ControlServer({}, { path: socketPath(process.pid, env) });
+  t.after(() => server.close());
+  const file = await server.listen();
+
+  const reply = await new Promise((resolve, reject) => {
+    const conn = net.createConnection(file, () => conn.write('{oops\n'));
+    conn.setEncoding('utf8');
+    conn.on('data', data => { conn.end(); resolve(JSON.parse(data)); });
+    conn.on('error', reject);
+  });
+  assert.strictEqual(reply.ok, false);
+  assert.match(reply.error, /bad json/);
+});
+
+test('findSockets() lists live wrappers and cleans up dead ones', async (t) => {
+  const { env } = setup(t);
+  const server = new ControlServer({}, { path: socketPath(process.pid, env) });
+  t.after(() => server.close());
+  await server.listen();
+
+  // pid 2^22 + 1 is past pid_max on linux, nobody's home
+  const stale = socketPath(4194305, env);
+  fs.writeFileSync(stale, '');
+
+  assert.deepStrictEqual(findSockets(env), [{ pid: process.pid, path: socketPath(process.pid, env) }]);
+  assert.strictEqual(fs.existsSync(stale), false);
+  assert.deepStrictEqual(findSockets({ XDG_RUNTIME_DIR: path.join(env.XDG_RUNTIME_DIR, 'missing') }), []);
+});
+
+test('close() removes the socket file', async (t) => {
+  const { env } = setup(t);
+  const server = new ControlServer({}, { path: socketPath(process.pid, env) });
+  const file = await server.listen();
+  server.close();
+  assert.strictEqual(fs.existsSync(file), false);
+  await assert.rejects(sendCommand(file, { cmd: 'stats' }));
+});
+
+test('only ever deletes a socket, whatever the path says', async (t) => {
+  const { runtime } = setup(t);
+  const notes = path.join(runtime, 'notes.txt');
+  fs.writeFileSync(notes, 'keep me');
+  const server = new ControlServer({}, { path: notes });
+  await assert.rejects(server.listen(), /isn't a socket, not touching it/);
+  server.close();
+  assert.strictEqual(fs.readFileSync(notes, 'utf8'), 'keep me');
+});
+
+test('the default dir has to be ours and closed to everyone else', async (t) => {
+  const { env } = setup(t);
+  fs.mkdirSync(socketDir(env), { mode: 0o755 });
+  fs.chmodSync(socketDir(env), 0o755);
+  const open = new ControlServer({}, { env });
+  await assert.rejects(open.listen(), /open to other users, it should be 0700/);
+
+  fs.chmodSync(socketDir(env), 0o700);
+  const server = new ControlServer({}, { env });
+  t.after(() => server.close());
+  assert.strictEqual(await server.listen(), socketPath(process.pid, env));
+});
+
+test('sendCommand() gives up on a server that never answers', async (t) => {
+  const { runtime } = setup(t);
+  const file = path.join(runtime, 'silent.sock');
+  const silent = net.createServer(() => {});
+  await new Promise(resolve => silent.listen(file, resolve));
+  t.after(() => silent.close());
+
+  await assert.rejects(sendCommand(file, { cmd: 'stats' }, 50), /no answer/);
+});
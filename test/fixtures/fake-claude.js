@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+'use strict';
+
+// stands in for the real claude in the wrapper tests
+//   c - print what /clear prints
+//   l - print a pile of lines
+//   f - redraw the whole screen the way ink does, with a frame counter
+//   s - print a github token, split across two writes
+//   w - print the size the pty says we are
+//   q - exit with code 3
+// anything else gets echoed back like a keystroke would
+// FAKE_CLAUDE_EXIT=N exits with N right after starting up
+
+process.stdout.write('fake claude ready ' + JSON.stringify(process.argv.slice(2)) + '\r\n');
+if (process.env.FAKE_CLAUDE_EXIT) {
+  process.stdout.write('Conversation cleared\r\n', () => process.exit(Number(process.env.FAKE_CLAUDE_EXIT)));
+  return;
+}
+
+if (process.stdin.isTTY) process.stdin.setRawMode(true);
+let quitting = false;
+let frames = 0;
+process.stdin.setEncoding('utf8');
+process.stdin.on('data', (data) => {
+  for (const ch of data) {
+    if (ch === 'c') {
+      process.stdout.write('\x1b[2J\x1b[H' + 'Conversation cleared\r\n');
+    } else if (ch === 'l') {
+      for (let i = 0; i < 50; i++) process.stdout.write('line ' + i + '\r\n');
+      process.stdout.write('lines done\r\n');
+    } else if (ch === 'f') {
+      frames++;
+      let frame = '\x1b[2J\x1b[H' + '\x1b[1mstatus\x1b[0m frame ' + frames + '\r\n';
+      for (let i = 0; i < 10; i++) frame += 'the same line every frame ' + i + '\r\n';
+      process.stdout.write(frame + 'frame ' + frames + ' done');
+    } else if (ch === 's') {
+      process.stdout.write('token ghp_' + 'a1B2c3D4e5F6'.repeat(2));
+      process.stdout.write('g7H8i9J0k1L2' + 'a1B2c3D4e5F6' + ' end\r\n');
+    } else if (ch === 'w') {
+      process.stdout.write('size ' + process.stdout.columns + 'x' + process.stdout.rows + '\r\n');
+    } else if (ch === 'q') {
+      quitting = true;
+      process.stdout.write('bye\r\n', () => process.exit(3));
+    } else {
+      process.stdout.write(ch);
+    }
+  }
+});
+process.stdin.on('end', () => {
+  if (!quitting) process.exit(0);
+});
@@ -0,0 +1,25 @@
+'use strict';
+
+// a team plugin - masks a token, counts keystrokes and notes resizes
+const seen = { stdin: [], resize: [], tornDown: 0 };
+
+module.exports = {
+  plugins: [
+    {
+      name: 'fixture-mask',
+      output(ctx) {
+        if (ctx.text.includes('sk-fixture')) ctx.replace(ctx.text.split('sk-fixture').join('[masked]'));
+      },
+      stdin(ev) {
+        seen.stdin.push(ev.data);
+      },
+      resize(ev) {
+        seen.resize.push([ev.columns, ev.rows]);
+      },
+      teardown() {
+        seen.tornDown++;
+      }
+    }
+  ],
+  seen
+};
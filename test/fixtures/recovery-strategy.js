@@ -0,0 +1,11 @@
+'use strict';
+
+// a user recovery module - exports an array so both shapes get exercised
+module.exports = [
+  {
+    name: 'fixture-nudge',
+    available: ctx => ctx.env.FIXTURE_NUDGE === '1',
+    run: ctx => ctx.write('nudge'),
+    check: () => true
+  }
+];
@@ -0,0 +1,203 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { FakeClock } = require('../clock.cjs');
+const { AnsiTokenizer } = require('../ansi-parser.cjs');
+const { ScreenBuffer, FrameDiffer, diffBuffers } = require('../frame-diff.cjs');
+
+const HOME = '\x1b[2J\x1b[H';
+
+function screen(text, cols = 20, rows = 5) {
+  const buf = new ScreenBuffer(cols, rows);
+  buf.apply(new AnsiTokenizer().feed(text));
+  return buf;
+}
+
+function rowText(buf, row) {
+  return buf.cells[row].map(c => c.ch).join('');
+}
+
+function setup(options = {}) {
+  const clock = new FakeClock(1000000);
+  const written = [];
+  const differ = new FrameDiffer({
+    write: data => written.push(data),
+    config: { frameDiffMs: 8 },
+    clock,
+    columns: 20,
+    rows: 5,
+    ...options
+  });
+  return { differ, clock, written };
+}
+
+test('ScreenBuffer follows text, moves and erases', () => {
+  const buf = screen(HOME + 'hello\r\nworld\x1b[1;3Hyy\x1b[2;4H\x1b[K');
+  assert.strictEqual(rowText(buf, 0).trimEnd(), 'heyyo');
+  assert.strictEqual(rowText(buf, 1).trimEnd(), 'wor');
+  assert.deepStrictEqual([buf.row, buf.col], [1, 3]);
+  assert.strictEqual(buf.known, true);
+
+  const wide = screen(HOME + 'a日b');
+  assert.deepStrictEqual(buf.cells[0].length, 20);
+  assert.deepStrictEqual(wide.cells[0].slice(0, 4).map(c => c.width), [1, 2, 0, 1]);
+});
+
+test('ScreenBuffer gives up on what it cannot follow', () => {
+  assert.strictEqual(screen('hello').known, false, 'never saw a clear');
+  assert.strictEqual(screen(HOME + 'x\x1b[2;4r').known, false, 'scroll region');
+  assert.strictEqual(screen(HOME + 'x\x1b[?1049h').known, false, 'alt screen');
+  assert.strictEqual(screen(HOME + '1\r\n2\r\n3\r\n4\r\n5\r\n6').known, false, 'scrolled');
+  assert.strictEqual(screen(HOME + '\x1b]0;title\x07\x1b[?25lx').known, true, 'titles and cursor hiding are fine');
+});
+
+test('diffBuffers() writes only the changed cells', () => {
+  const a = screen(HOME + 'status 1\r\nsame line\r\nfooter');
+  const b = screen(HOME + 'status 2\r\nsame line\r\nfooter');
+  assert.strictEqual(diffBuffers(a.snapshot(), b), '\x1b[1;8H2\x1b[3;7H');
+
+  // identical screens, nothing to say
+  assert.strictEqual(diffBuffers(a.snapshot(), screen(HOME + 'status 1\r\nsame line\r\nfooter')), '');
+});
+
+test('diffBuffers() keeps colors and erases blank tails', () => {
+  const a = screen(HOME + 'a long line of text');
+  const b = screen(HOME + '\x1b[31ma\x1b[0m');
+  const out = diffBuffers(a.snapshot(), b);
+  assert.strictEqual(out, '\x1b[1;1H\x1b[0m\x1b[31ma\x1b[0m\x1b[K');
+
+  // applying the diff to the old screen gives the new one
+  const check = screen(HOME + 'a long line of text');
+  check.apply(new AnsiTokenizer().feed(out));
+  assert.deepStrictEqual(check.snapshot(), b.snapshot());
+});
+
+test('diffBuffers() output rebuilds the new screen', () => {
+  const frames = [
+    HOME + '\x1b[1mtitle\x1b[0m\r\n日本語 text\r\nbody one',
+    HOME + '\x1b[1mtitle!\x1b[0m\r\nab本語 text\r\nbody',
+    HOME + '\x1b[32mgreen\x1b[0m\r\n\r\n\r\nlast row'
+  ];
+  for (let i = 1; i < frames.length; i++) {
+    const before = screen(frames[i - 1]);
+    const after = screen(frames[i]);
+    const replay = screen(frames[i - 1]);
+    replay.apply(new AnsiTokenizer().feed(diffBuffers(before.snapshot(), after)));
+    assert.deepStrictEqual(replay.cells.map(r => r.map(c => c.ch + c.style).join('|')),
+      after.cells.map(r => r.map(c => c.ch + c.style).join('|')), 'frame ' + i);
+    assert.deepStrictEqual([replay.row, replay.col], [after.row, after.col]);
+  }
+});
+
+test('FrameDiffer holds a frame, then sends the diff', async () => {
+  const { differ, clock, written } = setup();
+  differ.write(HOME + 'frame 1\r\nsame');
+  assert.deepStrictEqual(written, [], 'held');
+  await clock.advance(8);
+  assert.deepStrictEqual(written, [HOME + 'frame 1\r\nsame'], 'first frame goes out raw');
+
+  differ.write(HOME + 'frame 2');
+  differ.write('\r\nsame');
+  await clock.advance(8);
+  assert.deepStrictEqual(written.slice(1), ['\x1b[1;7H2\x1b[2;5H']);
+
+  const stats = differ.getStats();
+  assert.strictEqual(stats.frames, 2);
+  assert.strictEqual(stats.diffed, 1);
+  assert.strictEqual(stats.raw, 1);
+  assert.strictEqual(stats.bytesSaved, stats.bytesIn - stats.bytesOut);
+  assert.ok(stats.bytesSaved > 0);
+  assert.strictEqual(stats.latency.maxMs, 8);
+});
+
+test('FrameDiffer passes output that is not a frame straight through', () => {
+  const { differ, written } = setup();
+  differ.write('a');
+  differ.write('\x1b[D');
+  assert.deepStrictEqual(written, ['a', '\x1b[D']);
+});
+
+test('FrameDiffer keeps the sequences around a frame', async () => {
+  const { differ, clock, written } = setup();
+  differ.write(HOME + 'a row of twenty 1\r\n');
+  await clock.advance(8);
+  differ.write('\x1b[?2026h\x1b[3J' + HOME + 'a row of twenty 2\r\n\x1b]0;title\x07');
+  differ.write('\x1b[?2026l');
+  await clock.advance(8);
+  assert.strictEqual(written[1], '\x1b[?2026h\x1b[3J\x1b[1;17H2\x1b[2;1H\x1b]0;title\x07\x1b[?2026l', 'in front of the rows or after, like they came');
+});
+
+test('FrameDiffer keeps the cursor hidden while a diffed frame paints', async () => {
+  const { differ, clock, written } = setup();
+  differ.write('\x1b[?25l' + HOME + 'a row of twenty 1\x1b[?25h');
+  await clock.advance(8);
+  differ.write('\x1b[?25l' + HOME + 'a row of twenty 2\x1b[?25h');
+  await clock.advance(8);
+  assert.strictEqual(written[1], '\x1b[?25l\x1b[1;17H2\x1b[?25h');
+  assert.deepStrictEqual([differ.getStats().columns, differ.getStats().rows], [20, 5]);
+});
+
+test('FrameDiffer goes raw when it loses track, and back once a frame redraws', async () => {
+  const { differ, clock, written } = setup();
+  differ.write(HOME + 'one');
+  await clock.advance(8);
+  differ.write('\x1b[2;4r');
+  assert.strictEqual(differ.getStats().inSync, false);
+
+  differ.write(HOME + 'two\x1b[?1049h');
+  await clock.advance(8);
+  assert.strictEqual(written[2], HOME + 'two\x1b[?1049h', 'raw');
+
+  differ.write('\x1b[?1049l' + HOME + 'three');
+  await clock.advance(8);
+  assert.strictEqual(written[3], '\x1b[?1049l' + HOME + 'three');
+  assert.strictEqual(differ.getStats().inSync, true);
+
+  differ.write(HOME + 'three and more');
+  await clock.advance(8);
+  assert.strictEqual(written[4], '\x1b[1;7Hand more', 'the space was already there');
+});
+
+test('FrameDiffer never holds a frame past 50ms, nor mid-sequence', async () => {
+  const { differ, clock, written } = setup();
+  differ.write(HOME + 'x');
+  for (let i = 0; i < 10; i++) {
+    await clock.advance(6);
+    differ.write(HOME + 'x' + i);
+  }
+  assert.strictEqual(written.length, 1, 'flushed once the cap hit');
+
+  const { differ: split, clock: clock2, written: out2 } = setup();
+  split.write(HOME + 'y\x1b[3');
+  await clock2.advance(20);
+  assert.deepStrictEqual(out2, []);
+  split.write('1mz');
+  await clock2.advance(8);
+  assert.strictEqual(out2.length, 1);
+});
+
+test('FrameDiffer lets a held frame out on the final flush, half sequence and all', async () => {
+  const { differ, clock, written } = setup();
+  differ.write(HOME + 'one');
+  await clock.advance(8);
+  differ.write(HOME + 'two\x1b[3');
+  differ.flush();
+  assert.strictEqual(written.length, 1, 'still waiting on the sequence');
+
+  differ.flush(true);
+  assert.deepStrictEqual(written, [HOME + 'one', HOME + 'two\x1b[3']);
+  assert.strictEqual(differ.tokenizer.pending, false);
+  assert.strictEqual(differ.getStats().inSync, false);
+  await clock.advance(100);
+  assert.strictEqual(written.length, 2, 'nothing left held');
+});
+
+test('FrameDiffer flushes and starts over on resize', async () => {
+  const { differ, written } = setup();
+  differ.write(HOME + 'one');
+  differ.resize(40, 10);
+  assert.deepStrictEqual(written, [HOME + 'one']);
+  assert.strictEqual(differ.getStats().inSync, false);
+  assert.strictEqual(differ.screen.cols, 40);
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { FakeClock } = require('../clock.cjs');
+const { defaults } = require('../config.cjs');
+const { OutputEngine } = require('../output-engine.cjs');
+const { FrameLimiter } = require('../frame-limiter.cjs');
+
+const FULL = '\x1b[2J\x1b[H';
+
+// an engine whose detector always says there's a spike (or never, with spiking false)
+function setup(overrides = {}, spiking = true) {
+  const config = { ...defaults(), clearAfterRenders: 0, ...overrides };
+  delete config.detector;
+  const clock = new FakeClock(1000000);
+  const written = [];
+  const detector = {
+    trackStdout() {},
+    trackEcho() {},
+    isInGlitchState: () => false,
+    isRenderSpike: () => spiking
+  };
+  const engine = new OutputEngine({ config, clock, detector, write: data => written.push(data) });
+  const events = [];
+  engine.on('rate-limit', ev => events.push(ev));
+  return { engine, clock, written, events };
+}
+
+// n frames, stepMs apart, returns what process() handed back for each
+async function storm(engine, clock, n, stepMs, label = 'frame') {
+  const out = [];
+  for (let i = 0; i < n; i++) {
+    out.push(engine.process(FULL + label + ' ' + i));
+    await clock.advance(stepMs);
+  }
+  return out;
+}
+
+test('frames pass straight through without a spike', async () => {
+  const { engine, clock, written } = setup({}, false);
+  const out = await storm(engine, clock, 30, 10);
+  assert.ok(out.every((o, i) => o === FULL + 'frame ' + i));
+  assert.deepStrictEqual(written, []);
+  assert.strictEqual(engine.getStats().rateLimit.limiting, false);
+});
+
+test('a spike holds frames back to frameRateLimit a second', async () => {
+  const { engine, clock, written, events } = setup({ frameRateLimit: 10 });
+  // 100 frames a second for a second
+  const out = await storm(engine, clock, 100, 10);
+  await clock.advance(200);
+
+  assert.strictEqual(events[0].limiting, true);
+  const passed = out.filter(Boolean).length;
+  const total = passed + written.length;
+  assert.ok(total <= 20, 'about 10/s once limiting kicked in, got ' + total);
+  // the very last frame made it out
+  assert.ok((written[written.length - 1] || out[out.length - 1]).endsWith('frame 99'));
+
+  const stats = engine.getStats().rateLimit;
+  assert.ok(stats.coalesced > 50);
+  assert.strictEqual(stats.engaged, 1);
+});
+
+test('back to passthrough once the rate calms down', async () => {
+  const { engine, clock, events } = setup({ frameRateLimit: 10 });
+  await storm(engine, clock, 50, 10);
+  await clock.advance(1000);
+  const out = await storm(engine, clock, 5, 200, 'calm');
+  assert.deepStrictEqual(events.map(e => e.limiting), [true, false]);
+  assert.ok(out.every((o, i) => o === FULL + 'calm ' + i));
+});
+
+test('keystroke echoes get through mid-storm, after what was held', async () => {
+  const { engine, clock, written } = setup({ frameRateLimit: 10 });
+  await storm(engine, clock, 30, 5);
+  assert.ok(engine.limiter.held, 'something waiting');
+  const held = engine.limiter.held.out;
+  assert.strictEqual(engine.process('x'), 'x');
+  assert.strictEqual(written[written.length - 1], held, 'held frame went first');
+  assert.strictEqual(engine.limiter.held, null);
+});
+
+test('output behind a held frame waits with it, and dropped frames keep our clears', async () => {
+  const { engine, clock, written } = setup({ frameRateLimit: 10, clearAfterRenders: 1000000 });
+  await storm(engine, clock, 30, 5);
+  assert.strictEqual(engine.process(FULL + 'one'), '');
+  assert.strictEqual(engine.process('\r\nmore of one'), '');
+
+  engine.renderCount = 1000000; // next frame gets a render-count clear
+  assert.strictEqual(engine.process(FULL + 'two'), '');
+  assert.strictEqual(engine.process(FULL + 'three'), '');
+  await clock.advance(200);
+  assert.strictEqual(written[written.length - 1], '\x1b[3J' + FULL + 'three');
+});
+
+test('held frames go out as one synchronized update', async () => {
+  const { engine, clock, written } = setup({ frameRateLimit: 10, syncOutput: 'on' });
+  await storm(engine, clock, 30, 5);
+  await clock.advance(200);
+  const last = written[written.length - 1];
+  assert.ok(last.startsWith('\x1b[?2026h'));
+  assert.ok(last.endsWith('frame 29\x1b[?2026l'));
+});
+
+test('frameRateLimit 0 never limits', async () => {
+  const { engine, clock, written } = setup({ frameRateLimit: 0 });
+  const out = await storm(engine, clock, 50, 5);
+  assert.ok(out.every(Boolean));
+  assert.deepStrictEqual(written, []);
+});
+
+test('FrameLimiter counts its own spike without a detector', () => {
+  const clock = new FakeClock(0);
+  const limiter = new FrameLimiter({ config: { frameRateLimit: 10 }, clock, write: () => {} });
+  for (let i = 0; i < 20; i++) limiter.noteFrame();
+  assert.strictEqual(limiter.limiting, false, '20 frames is fast but not a spike');
+  for (let i = 0; i < 500; i++) limiter.noteFrame();
+  assert.strictEqual(limiter.limiting, true);
+});
@@ -0,0 +1,425 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { fakeProcess, freshRequire } = require('./helpers.js');
+const { FakeClock } = require('../clock.cjs');
+const { defaults } = require('../config.cjs');
+const { GlitchDetector, DEFAULT_CONFIG } = require('../glitch-detector.cjs');
+
+// detector on a fake clock that records what recovery wrote
+function setup(config = {}) {
+  const clock = new FakeClock(1000000);
+  const writes = [];
+  const detector = new GlitchDetector(config, { clock, env: {}, write: data => writes.push(data) });
+  return { clock, writes, detector };
+}
+
+function record(detector, ...names) {
+  const seen = [];
+  names.forEach(name => detector.on(name, data => seen.push({ name, data })));
+  return seen;
+}
+
+test('DEFAULT_CONFIG comes from the config schema', () => {
+  assert.deepStrictEqual(DEFAULT_CONFIG, defaults().detector);
+  const { detector } = setup({ stdinTimeoutMs: 10 });
+  assert.strictEqual(detector.config.stdinTimeoutMs, 10);
+  assert.strictEqual(detector.config.checkIntervalMs, DEFAULT_CONFIG.checkIntervalMs);
+});
+
+test('starts out healthy', () => {
+  const { detector } = setup();
+  assert.strictEqual(detector.checkGlitchState(), false);
+  assert.strictEqual(detector.isInGlitchState(), false);
+  assert.strictEqual(detector.getGlitchDuration(), 0);
+});
+
+test('input nobody answers is a glitch on its own, with an explanation', () => {
+  const { clock, detector } = setup();
+  const seen = record(detector, 'glitch-detected');
+
+  detector.trackStdin();
+  clock.time += 3000;
+  assert.strictEqual(detector.checkUnechoedInput(), true);
+  assert.strictEqual(detector.checkGlitchState(), false, 'half sure is 0.25, not enough');
+
+  clock.time += 1000;
+  assert.strictEqual(detector.checkGlitchState(), true);
+  assert.strictEqual(detector.isInGlitchState(), true);
+  assert.strictEqual(seen.length, 1);
+  const data = seen[0].data;
+  assert.deepStrictEqual(data.signals, {
+    unechoedInput: true,
+    writeQueue: false,
+    loopLag: false,
+    repeatedFrames: false,
+    sigwinchStorm: false,
+    renderSpike: false
+  });
+  assert.strictEqual(data.score, 0.5);
+  assert.strictEqual(data.threshold, 0.5);
+  assert.deepStrictEqual(data.scores.unechoedInput,
+    { score: 1, weight: 0.5, value: 4000, detail: 'input unanswered for 4000ms' });
+  assert.strictEqual(data.explanation, 'score 0.5 >= 0.5 - unechoedInput 0.5 (input unanswered for 4000ms)');
+  assert.strictEqual(detector.getMetrics().glitchesDetected, 1);
+
+  // still glitched - no second event
+  detector.checkGlitchState();
+  assert.strictEqual(seen.length, 1);
+});
+
+test('quiet stdin is just the user thinking', () => {
+  const { clock, detector } = setup();
+  detector.trackStdout('x'.repeat(20));
+  clock.time += 10000;
+  detector.trackStdout('y'.repeat(20));
+  assert.strictEqual(detector.checkUnechoedInput(), false);
+  assert.strictEqual(detector.checkGlitchState(), false);
+});
+
+test('an echo or any output answers the input', () => {
+  const { clock, detector } = setup();
+  detector.trackStdin();
+  clock.time += 1000;
+  detector.trackStdin();
+  assert.strictEqual(detector.getMetrics().pendingInputAgo, 1000, 'the oldest keystroke counts');
+  detector.trackEcho();
+  assert.strictEqual(detector.getMetrics().pendingInputAgo, null);
+
+  detector.trackStdin();
+  detector.trackStdout();
+  clock.time += 10000;
+  assert.strictEqual(detector.checkUnechoedInput(), false);
+});
+
+test('a paste isn\'t input waiting on an echo', () => {
+  const { clock, detector } = setup();
+  detector.trackInput('\x1b[200~' + 'x'.repeat(5000));
+  detector.trackInput('\x1b[201~');
+  clock.time += 10000;
+  assert.strictEqual(detector.checkUnechoedInput(), false);
+  assert.strictEqual(detector.getMetrics().pendingInputAgo, null);
+  assert.strictEqual(detector.getMetrics().pastes, 1);
+  assert.strictEqual(detector.getMetrics().pasteBytes, 5000);
+  assert.strictEqual(detector.getMetrics().lastPasteAgo, 10000);
+
+  detector.trackInput('k');
+  clock.time += 4000;
+  assert.strictEqual(detector.checkUnechoedInput(), true, 'typing still is');
+});
+
+test('output resolves a glitch and reports how long it lasted', () => {
+  const { clock, detector } = setup();
+  const seen = record(detector, 'glitch-resolved');
+  detector.trackStdin();
+  clock.time += 4000;
+  detector.checkGlitchState();
+
+  clock.time += 700;
+  assert.strictEqual(detector.getGlitchDuration(), 700);
+  detector.trackStdout();
+  assert.strictEqual(detector.checkGlitchState(), false);
+  assert.deepStrictEqual(seen.map(s => s.data), [{ duration: 700, score: 0 }]);
+  assert.strictEqual(detector.getGlitchDuration(), 0);
+});
+
+test('hysteresis - it stays glitched until the score drops to resolveThreshold', () => {
+  const { clock, detector } = setup();
+  const seen = record(detector, 'glitch-detected', 'glitch-resolved');
+  detector.trackStdin();
+  clock.time += 4000;
+  detector.checkGlitchState();
+
+  // 0.3 is under the 0.5 to get in but over the 0.25 to get out
+  detector.trackLoopLag(500);
+  detector.trackEcho();
+  assert.strictEqual(detector.checkGlitchState(), true);
+  assert.strictEqual(detector.getMetrics().score, 0.3);
+
+  detector.trackLoopLag(0);
+  assert.strictEqual(detector.checkGlitchState(), false);
+  assert.deepStrictEqual(seen.map(s => s.name), ['glitch-detected', 'glitch-resolved']);
+});
+
+test('a backed up write queue scores from the tracked value or stdout itself', () => {
+  const { clock, detector } = setup({ writeQueueBytes: 1000 });
+  detector.trackWriteQueue(750);
+  assert.strictEqual(detector.scoreSignals().writeQueue.score, 0.5);
+
+  detector.trackWriteQueue(0);
+  const proc = fakeProcess();
+  proc.stdout.writableLength = 2000;
+  detector.install({ process: proc, clock });
+  assert.strictEqual(detector.scoreSignals().writeQueue.score, 1);
+  assert.strictEqual(detector.scoreSignals().writeQueue.detail, '2000 bytes queued');
+  detector.disable();
+});
+
+test('a late check loop counts as event loop lag', async () => {
+  const { clock, detector } = setup({ loopLagMs: 400 });
+  detector.install({ process: fakeProcess(), clock });
+  await clock.advance(detector.config.checkIntervalMs);
+  assert.strictEqual(detector.scoreSignals().loopLag.score, 0);
+
+  // the next tick fires 300ms late, like a blocked loop would make it
+  clock.time += detector.config.checkIntervalMs + 300;
+  await clock.flush();
+  assert.strictEqual(detector.scoreSignals().loopLag.value, 300);
+  assert.strictEqual(detector.scoreSignals().loopLag.score, 0.5);
+  detector.disable();
+});
+
+test('the same frame over and over adds up, short chunks don\'t', () => {
+  const { clock, detector } = setup({ repeatedFrameCount: 10 });
+  for (let i = 0; i < 20; i++) detector.trackStdout('\r\n');
+  assert.strictEqual(detector.scoreSignals().repeatedFrames.value, 0);
+
+  const frame = '\x1b[H' + 'stuck spinner frame';
+  for (let i = 0; i < 11; i++) detector.trackStdout(frame);
+  assert.strictEqual(detector.scoreSignals().repeatedFrames.value, 10);
+  assert.strictEqual(detector.scoreSignals().repeatedFrames.score, 1);
+
+  clock.time += 10000;
+  assert.strictEqual(detector.scoreSignals().repeatedFrames.value, 0, 'they age out of the window');
+});
+
+test('signalWeights overrides only the signals it names', () => {
+  const { detector } = setup({ signalWeights: { sigwinchStorm: 0.5 } });
+  assert.strictEqual(detector.config.signalWeights.sigwinchStorm, 0.5);
+  assert.strictEqual(detector.config.signalWeights.unechoedInput, DEFAULT_CONFIG.signalWeights.unechoedInput);
+  for (let i = 0; i < 10; i++) detector.onSigwinch();
+  assert.strictEqual(detector.checkGlitchState(), true, 'a storm is enough on its own now');
+  assert.match(detector.explain(0.5, {
+    ...detector.scoreSignals(),
+    sigwinchStorm: { score: 1, weight: 0.5, detail: '9 rapid resizes' }
+  }), /sigwinchStorm 0.5 \(9 rapid resizes\)/);
+});
+
+test('a resize storm alone is not a glitch', () => {
+  const { detector } = setup();
+  for (let i = 0; i < 10; i++) detector.onSigwinch();
+  assert.strictEqual(detector.checkSigwinchStorm(), true);
+  assert.strictEqual(detector.checkGlitchState(), false);
+});
+
+test('a render spike alone is not a glitch', () => {
+  const { detector } = setup({ renderRateLimit: 5 });
+  for (let i = 0; i < 6; i++) detector.trackStdout();
+  assert.strictEqual(detector.checkRenderSpike(), true);
+  assert.strictEqual(detector.checkGlitchState(), false);
+});
+
+test('resize storm plus render spike add up to a glitch', () => {
+  const { detector } = setup({ renderRateLimit: 5 });
+  const seen = record(detector, 'glitch-detected');
+  for (let i = 0; i < 10; i++) detector.onSigwinch();
+  for (let i = 0; i < 6; i++) detector.trackStdout();
+  assert.strictEqual(detector.checkGlitchState(), true);
+  const active = Object.keys(seen[0].data.signals).filter(name => seen[0].data.signals[name]);
+  assert.deepStrictEqual(active, ['sigwinchStorm', 'renderSpike']);
+  assert.match(seen[0].data.explanation, /^score 0.5 >= 0.5 - sigwinchStorm 0.25 \(9 rapid resizes\), renderSpike 0.25 \(6 renders\/min\)$/);
+  const metrics = detector.getMetrics();
+  assert.strictEqual(metrics.sigwinchStorms, 1);
+  assert.strictEqual(metrics.renderSpikes, 1);
+});
+
+test('slow resizes don\'t count toward a storm', () => {
+  const { clock, detector } = setup();
+  for (let i = 0; i < 10; i++) {
+    clock.time += 100;
+    detector.onSigwinch();
+  }
+  assert.strictEqual(detector.sigwinchCount, 0);
+});
+
+test('the storm counter decays a second after each resize', async () => {
+  const { clock, detector } = setup();
+  for (let i = 0; i < 6; i++) detector.onSigwinch();
+  assert.strictEqual(detector.sigwinchCount, 5);
+  await clock.advance(1000);
+  assert.strictEqual(detector.sigwinchCount, 0);
+});
+
+test('renders older than a minute stop counting', () => {
+  const { clock, detector } = setup();
+  detector.trackStdout();
+  detector.trackStdout();
+  clock.time += 60000;
+  detector.trackStdout();
+  assert.strictEqual(detector.getMetrics().renderRate, 1);
+});
+
+test('attemptRecovery() does nothing when healthy unless forced', async () => {
+  const { clock, writes, detector } = setup();
+  assert.strictEqual(await detector.attemptRecovery(), false);
+  assert.deepStrictEqual(writes, []);
+
+  const seen = record(detector, 'recovery-started', 'recovery-success');
+  const result = detector.attemptRecovery({ force: true });
+  await clock.advance(detector.config.recoveryDelayMs);
+  assert.strictEqual(await result, true);
+  assert.deepStrictEqual(writes, ['\x1b[3J']);
+  assert.deepStrictEqual(seen.map(s => s.name), ['recovery-started', 'recovery-success']);
+  assert.strictEqual(seen[1].data.method, 'scrollback-clear');
+});
+
+test('recovery reports failure when the glitch sticks around', async () => {
+  const { clock, detector } = setup();
+  const seen = record(detector, 'recovery-failed');
+  detector.trackStdin();
+  clock.time += 4000;
+  detector.checkGlitchState();
+
+  const result = detector.attemptRecovery();
+  await clock.advance(detector.config.recoveryDelayMs);
+  assert.strictEqual(await result, false);
+  assert.strictEqual(seen.length, 1);
+  assert.strictEqual(detector.getMetrics().recoveriesAttempted, 1);
+});
+
+test('a strategy that throws moves on to the next one', async () => {
+  const clock = new FakeClock();
+  const detector = new GlitchDetector({}, {
+    clock,
+    env: {},
+    write: () => { throw new Error('stdout gone'); }
+  });
+  const seen = record(detector, 'recovery-attempt-failed', 'recovery-failed');
+  assert.strictEqual(await detector.attemptRecovery({ force: true }), false);
+  assert.strictEqual(seen[0].data.method, 'scrollback-clear');
+  assert.strictEqual(seen[0].data.error.message, 'stdout gone');
+  assert.deepStrictEqual(seen[1].data.tried, ['scrollback-clear']);
+});
+
+test('a broken recovery module gets reported as a recovery error', async () => {
+  const { detector } = setup({ recoveryModules: ['/nonexistent/recovery-module.js'] });
+  const seen = record(detector, 'recovery-error');
+  assert.strictEqual(await detector.attemptRecovery({ force: true }), false);
+  assert.match(seen[0].data.error.message, /Cannot find module/);
+});
+
+test('reset() clears every signal', () => {
+  const { clock, detector } = setup({ renderRateLimit: 1 });
+  for (let i = 0; i < 6; i++) {
+    detector.trackStdout('the same frame every time');
+    detector.onSigwinch();
+  }
+  detector.trackStdin();
+  detector.trackWriteQueue(1 << 30);
+  detector.trackLoopLag(10000);
+  clock.time += 4000;
+  assert.strictEqual(detector.checkGlitchState(), true);
+  detector.reset();
+  const metrics = detector.getMetrics();
+  assert.strictEqual(metrics.isGlitched, false);
+  assert.strictEqual(metrics.renderRate, 0);
+  assert.strictEqual(metrics.sigwinchRate, 0);
+  assert.strictEqual(metrics.lastStdinAgo, 0);
+  assert.strictEqual(metrics.pendingInputAgo, null);
+  assert.strictEqual(detector.checkGlitchState(), false);
+  assert.strictEqual(detector.getMetrics().score, 0);
+});
+
+test('install() hooks stdin, SIGWINCH and starts the check loop', async () => {
+  const { clock, detector } = setup();
+  const proc = fakeProcess();
+  detector.install({ process: proc, clock });
+  const seen = record(detector, 'glitch-detected', 'glitch-resolved');
+
+  let resized = 0;
+  proc.on('SIGWINCH', () => resized++);
+  for (let i = 0; i < 6; i++) proc.emit('SIGWINCH');
+  assert.strictEqual(resized, 6, 'handlers still run');
+  assert.strictEqual(detector.sigwinchCount, 5, 'and the detector sees them');
+
+  proc.stdin.type('x');
+  await clock.advance(4000);
+  assert.deepStrictEqual(seen.map(s => s.name), ['glitch-detected']);
+
+  detector.trackStdout();
+  await clock.advance(detector.config.checkIntervalMs);
+  assert.deepStrictEqual(seen.map(s => s.name), ['glitch-detected', 'glitch-resolved']);
+
+  // second install doesn't double up
+  detector.install({ process: proc, clock });
+  detector.disable();
+  assert.strictEqual(detector.checkInterval, null);
+  assert.strictEqual(detector.installed, false);
+});
+
+test('install() with trackInput: false leaves stdin to the caller', () => {
+  const { clock, detector } = setup();
+  const proc = fakeProcess();
+  detector.install({ process: proc, clock, trackInput: false });
+  proc.stdin.type('x');
+  assert.strictEqual(detector.getMetrics().pendingInputAgo, null);
+  assert.strictEqual(proc.stdin.listenerCount('data'), 0);
+  detector.trackInput('x');
+  assert.strictEqual(detector.getMetrics().pendingInputAgo, 0);
+  detector.disable();
+});
+
+test('uninstall() unwraps SIGWINCH handlers and drops its listeners', async () => {
+  const { clock, detector } = setup();
+  const proc = fakeProcess();
+  const on = proc.on;
+  detector.install({ process: proc, clock });
+
+  const calls = [];
+  const handler = () => calls.push('on');
+  proc.on('SIGWINCH', handler);
+  proc.once('SIGWINCH', () => calls.push('once'));
+  proc.prependListener('SIGWINCH', () => calls.push('first'));
+  proc.emit('SIGWINCH');
+  assert.deepStrictEqual(calls, ['first', 'on', 'once']);
+  assert.strictEqual(detector.lastSigwinchTime, clock.now(), 'wrapped, so the detector saw it');
+
+  proc.removeListener('SIGWINCH', handler);
+  assert.strictEqual(proc.listenerCount('SIGWINCH'), 1, 'removing the handler took its wrapper');
+  proc.on('SIGWINCH', handler);
+
+  detector.uninstall();
+  assert.strictEqual(proc.on, on);
+  assert.strictEqual(proc.stdin.listenerCount('data'), 0);
+  assert.strictEqual(detector.checkInterval, null);
+  await clock.advance(1000);
+  assert.strictEqual(clock.timers.size, 0, 'just the storm decay was left, and that ran out');
+  assert.strictEqual(proc.listenerCount('SIGWINCH'), 2, 'handlers stay, unwrapped');
+  detector.lastSigwinchTime = 0;
+  proc.emit('SIGWINCH');
+  assert.strictEqual(detector.lastSigwinchTime, 0);
+
+  // and it goes back in
+  detector.install({ process: proc, clock });
+  assert.strictEqual(proc.stdin.listenerCount('data'), 1);
+  detector.uninstall();
+});
+
+test('setConfig() restarts the check loop on a new interval', async () => {
+  const { clock, detector } = setup();
+  detector.install({ process: fakeProcess(), clock });
+  let checks = 0;
+  const check = detector.checkGlitchState.bind(detector);
+  detector.checkGlitchState = () => { checks++; return check(); };
+
+  detector.setConfig({ checkIntervalMs: 100 });
+  await clock.advance(1000);
+  assert.strictEqual(checks, 10);
+  assert.strictEqual(detector.config.checkIntervalMs, 100);
+  detector.disable();
+});
+
+test('getDetector() hands out one shared detector', () => {
+  const { getDetector } = freshRequire('glitch-detector.cjs');
+  const detector = getDetector({ stdinTimeoutMs: 1234 });
+  assert.strictEqual(getDetector({ stdinTimeoutMs: 1 }), detector);
+  assert.strictEqual(detector.config.stdinTimeoutMs, 1234);
+});
+
+test('getDetector() without a config reads the env', (t) => {
+  const { getDetector } = freshRequire('glitch-detector.cjs');
+  process.env.CLAUDE_GLITCH_DETECTOR_STDIN_TIMEOUT_MS = '4321';
+  t.after(() => delete process.env.CLAUDE_GLITCH_DETECTOR_STDIN_TIMEOUT_MS);
+  assert.strictEqual(getDetector().config.stdinTimeoutMs, 4321);
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+// fakes shared by the tests - nothing in here touches the real terminal
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+// a stdout that remembers what got written to it
+function fakeStdout(options = {}) {
+  const out = new EventEmitter();
+  out.isTTY = options.isTTY !== undefined ? options.isTTY : true;
+  out.columns = options.columns || 80;
+  out.rows = options.rows || 24;
+  out.chunks = [];
+  out.write = function(chunk, encoding, callback) {
+    out.chunks.push(typeof chunk === 'string' ? chunk : chunk.toString());
+    if (typeof encoding === 'function') encoding();
+    else if (typeof callback === 'function') callback();
+    return true;
+  };
+  out.output = () => out.chunks.join('');
+  out.resize = (columns, rows) => {
+    out.columns = columns;
+    out.rows = rows;
+    out.emit('resize');
+  };
+  return out;
+}
+
+function fakeStdin(options = {}) {
+  const input = new EventEmitter();
+  input.isTTY = options.isTTY !== undefined ? options.isTTY : true;
+  input.type = data => input.emit('data', Buffer.from(data));
+  input.isRaw = false;
+  input.setRawMode = raw => { input.isRaw = raw; };
+  input.resume = () => {};
+  input.pause = () => {};
+  return input;
+}
+
+// enough of `process` for install() to hook - on() is a plain emitter so
+// the fix can wrap it the same way it wraps the real one
+function fakeProcess(options = {}) {
+  const proc = new EventEmitter();
+  proc.stdout = fakeStdout(options);
+  proc.stdin = fakeStdin(options);
+  proc.env = options.env || {};
+  proc.on = EventEmitter.prototype.on.bind(proc);
+  return proc;
+}
+
+function tmpDir(prefix = 'claudescreenfix-test-') {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+/**
+ * require a module with a clean cache, HOME pointed at an empty dir and none
+ * of our env vars set - index.cjs reads config the moment it's loaded
+ */
+function freshRequire(file, env = {}) {
+  const saved = { ...process.env };
+  for (const key of Object.keys(process.env)) {
+    if (key.startsWith('CLAUDE_TERMINAL_FIX_') || key.startsWith('CLAUDE_GLITCH_DETECTOR_')) {
+      delete process.env[key];
+    }
+  }
+  const home = env.HOME ? null : tmpDir();
+  process.env.HOME = env.HOME || home;
+  Object.assign(process.env, env);
+
+  for (const key of Object.keys(require.cache)) {
+    if (key.startsWith(ROOT) && !key.includes('node_modules') && !key.startsWith(__dirname)) {
+      delete require.cache[key];
+    }
+  }
+  try {
+    return require(path.join(ROOT, file));
+  } finally {
+    for (const key of Object.keys(process.env)) {
+      if (!(key in saved)) delete process.env[key];
+    }
+    Object.assign(process.env, saved);
+    if (home) fs.rmSync(home, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  ROOT,
+  fakeStdout,
+  fakeStdin,
+  fakeProcess,
+  tmpDir,
+  freshRequire
+};
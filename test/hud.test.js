@@ -0,0 +1,202 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const { FakeClock } = require('../clock.cjs');
+const { defaults } = require('../config.cjs');
+const { OutputEngine } = require('../output-engine.cjs');
+const { Hud, parseKey, checkKey } = require('../hud.cjs');
+
+// a hud on a real engine and a detector that's just the bits the hud reads
+function setup(overrides = {}) {
+  const config = { ...defaults(), hud: 'row', ...overrides };
+  delete config.detector;
+  const clock = new FakeClock(1000);
+  const engine = new OutputEngine({ config, clock, write: () => {}, columns: 80, rows: 24 });
+  const detector = Object.assign(new EventEmitter(), { isGlitched: false, lastScore: 0.05 });
+  const written = [];
+  const resized = [];
+  const hud = new Hud({
+    config,
+    engine,
+    detector,
+    clock,
+    write: data => written.push(data),
+    resize: (columns, rows) => resized.push([columns, rows]),
+    columns: 80,
+    rows: 24
+  });
+  return { hud, config, clock, engine, detector, written, resized };
+}
+
+test('parseKey() turns ctrl-x names into control characters', () => {
+  assert.strictEqual(parseKey('ctrl-]'), '\x1d');
+  assert.strictEqual(parseKey('CTRL-t'), '\x14');
+  assert.strictEqual(parseKey('alt-x'), null);
+  assert.strictEqual(parseKey('ctrl-1'), null);
+  assert.strictEqual(checkKey('ctrl-]'), null);
+  assert.match(checkKey('f12'), /hudKey should look like ctrl-\]/);
+});
+
+test('row mode takes the bottom row and gives the child the rest', () => {
+  const { hud, written, resized } = setup();
+  hud.update();
+  assert.strictEqual(hud.mode, 'row');
+  assert.strictEqual(hud.childRows(), 23);
+  assert.deepStrictEqual(resized, [[80, 23]]);
+  assert.strictEqual(written[0], '\n\x1b[A');
+  assert.strictEqual(written[1], '\x1b7\x1b[1;23r\x1b8');
+  assert.ok(written[2].startsWith('\x1b7\x1b[24;1H\x1b[2K\x1b[7m fix on | 0/s | no periodic clear | ok 0.05'));
+  assert.ok(written[2].endsWith('\x1b[0m\x1b8'));
+  hud.stop();
+  assert.strictEqual(written[written.length - 1], '\x1b7\x1b[r\x1b[24;1H\x1b[2K\x1b8');
+});
+
+test('the line has the render rate, next clear, glitch state and last recovery', async () => {
+  const { hud, config, clock, engine, detector } = setup({ periodicClearMs: 30000 });
+  engine.startPeriodicClear();
+  hud.update();
+  for (let i = 0; i < 6; i++) engine.process('frame ' + i + '\r\n');
+  await clock.advance(config.hudIntervalMs);
+  assert.strictEqual(hud.line(), 'fix on | 6/s | clear in 29s | ok 0.05');
+
+  detector.isGlitched = true;
+  detector.lastScore = 0.75;
+  detector.emit('recovery-success', { method: 'redraw' });
+  engine.pause();
+  assert.strictEqual(hud.line(), 'fix paused | 6/s | clear in 29s | GLITCH 0.75 | recovered: redraw');
+
+  detector.emit('recovery-failed', {});
+  engine.stopPeriodicClear();
+  config.disabled = true;
+  assert.strictEqual(hud.line(), 'fix off | 6/s | no periodic clear | GLITCH 0.75 | recovery failed');
+  hud.stop();
+});
+
+test('output that resets the scroll region or erases gets the row put back', () => {
+  const { hud, written } = setup();
+  hud.update();
+  written.length = 0;
+  hud.wrote('plain text');
+  assert.deepStrictEqual(written, []);
+  hud.wrote('\x1b[r');
+  assert.strictEqual(written[0], '\x1b7\x1b[1;23r\x1b8');
+  assert.strictEqual(written.length, 2);
+  hud.wrote('\x1b[2J\x1b[H');
+  assert.strictEqual(written.length, 3);
+  assert.ok(written[2].includes('\x1b[24;1H'));
+  hud.stop();
+});
+
+test('the row waits while the child has the saved cursor, or is mid-sequence', async () => {
+  const { hud, config, clock, written } = setup();
+  hud.update();
+  written.length = 0;
+
+  hud.wrote('\x1b7\x1b[5;1Hmenu');
+  await clock.advance(config.hudIntervalMs);
+  hud.wrote('\x1b[r');
+  assert.deepStrictEqual(written, [], 'nothing that\'d save over the child\'s cursor');
+  hud.wrote('\x1b8');
+  assert.strictEqual(written.length, 1, 'once it\'s restored, it all goes in one write');
+  assert.ok(written[0].startsWith('\x1b7\x1b[1;23r\x1b[24;1H\x1b[2K\x1b[7m'));
+  assert.ok(written[0].endsWith('\x1b[0m\x1b8'));
+
+  hud.wrote('\x1b[s\x1b[2J');
+  hud.wrote('\x1b[u\x1b[');
+  assert.strictEqual(written.length, 1, 'a sequence cut in half waits too');
+  hud.wrote('1mbold');
+  assert.strictEqual(written.length, 2);
+
+  hud.wrote('\x1b[?1049h');
+  hud.stop();
+  assert.strictEqual(written[written.length - 1], '\x1b7\x1b[r\x1b[24;1H\x1b[2K\x1b8', 'the child\'s gone, no waiting');
+});
+
+test('title mode and making room wait out a half-written sequence too', () => {
+  const title = setup({ hud: 'title' });
+  title.hud.wrote('\x1b]0;claude');
+  title.hud.update();
+  assert.deepStrictEqual(title.written, [], 'no OSC inside the child\'s OSC');
+  title.hud.wrote('\x07');
+  assert.strictEqual(title.written.length, 1);
+  assert.ok(title.written[0].startsWith('\x1b[22;2t\x1b]2;fix on | '));
+  title.hud.stop();
+
+  const row = setup();
+  row.hud.wrote('\x1b[1');
+  row.hud.update();
+  row.hud.wrote('m');
+  assert.ok(row.written[0].startsWith('\n\x1b[A\x1b7\x1b[1;23r\x1b[24;1H'));
+  row.hud.stop();
+
+  const never = setup();
+  never.hud.wrote('\x1b[');
+  never.hud.update();
+  never.hud.toggle();
+  never.hud.wrote('m');
+  assert.deepStrictEqual(never.written, [], 'hidden before it ever showed, nothing to take down');
+});
+
+test('a region reset or erase split across writes still puts the row back', () => {
+  const { hud, written } = setup();
+  hud.update();
+  written.length = 0;
+  hud.wrote('\x1b[');
+  assert.deepStrictEqual(written, []);
+  hud.wrote('r');
+  assert.strictEqual(written[0], '\x1b7\x1b[1;23r\x1b8');
+  assert.strictEqual(written.length, 2);
+  hud.wrote('\x1b[2');
+  hud.wrote('J');
+  assert.strictEqual(written.length, 3);
+  assert.ok(written[2].includes('\x1b[24;1H'));
+  hud.wrote('\x1b[?2026h\x1b[?25l');
+  assert.strictEqual(written.length, 3, 'other private modes leave it be');
+  hud.stop();
+});
+
+test('the hotkey hides and shows it, and never reaches the child', () => {
+  const { hud, written, resized } = setup();
+  hud.update();
+  assert.strictEqual(hud.hotkey('ab\x1dc'), 'abc');
+  assert.strictEqual(hud.mode, 'off');
+  assert.deepStrictEqual(resized, [[80, 23], [80, 24]]);
+  assert.ok(written.includes('\x1b7\x1b[r\x1b[24;1H\x1b[2K\x1b8'));
+
+  assert.deepStrictEqual(hud.hotkey(Buffer.from('\x1d')), Buffer.from(''));
+  assert.strictEqual(hud.mode, 'row');
+  assert.strictEqual(hud.hotkey('\x1d\x1d'), '');
+  assert.strictEqual(hud.mode, 'row', 'twice is back where it was');
+  hud.stop();
+
+  const off = setup({ hud: 'off' });
+  assert.strictEqual(off.hud.hotkey('\x1d'), '\x1d', 'claude gets it when there\'s no hud');
+  const unbound = setup({ hudKey: null });
+  assert.strictEqual(unbound.hud.hotkey('\x1d'), '\x1d');
+});
+
+test('title mode saves the title and puts it back', () => {
+  const { hud, written, resized } = setup({ hud: 'title' });
+  hud.update();
+  assert.strictEqual(hud.childRows(), 24);
+  assert.deepStrictEqual(resized, []);
+  assert.strictEqual(written[0], '\x1b[22;2t');
+  assert.ok(written[1].startsWith('\x1b]2;fix on | '));
+  assert.ok(written[1].endsWith('\x07'));
+  hud.stop();
+  assert.strictEqual(written[written.length - 1], '\x1b[23;2t');
+});
+
+test('resize() hands back the child\'s rows and puts the region back', () => {
+  const { hud, written, resized } = setup();
+  hud.update();
+  written.length = 0;
+  assert.strictEqual(hud.resize(100, 40), 39);
+  assert.ok(written.includes('\x1b7\x1b[1;39r\x1b8'));
+  assert.strictEqual(hud.resize(100, 2), 2, 'too short for a row of our own');
+  assert.strictEqual(hud.mode, 'off');
+  assert.deepStrictEqual(resized, [[80, 23]], 'resizing the child is the caller\'s job');
+  hud.stop();
+});
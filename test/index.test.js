@@ -0,0 +1,473 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { ROOT, fakeProcess, freshRequire, tmpDir } = require('./helpers.js');
+const { FakeClock } = require('../clock.cjs');
+
+const CLEAR_SCROLLBACK = '\x1b[3J';
+const FRAME = '\x1b[2J\x1b[Hframe';
+
+// fresh copy of index.cjs installed onto a fake process, torn down after
+function setup(t, env = {}) {
+  const fix = freshRequire('index.cjs', env);
+  const proc = fakeProcess();
+  const clock = new FakeClock(1000000);
+  fix.install({ process: proc, clock });
+  t.after(() => fix.disable());
+  return { fix, proc, clock, stdout: proc.stdout };
+}
+
+test('install() hooks stdout.write and passes plain output through', (t) => {
+  const { stdout } = setup(t);
+  stdout.write('hello\r\n');
+  assert.strictEqual(stdout.output(), 'hello\r\n');
+});
+
+test('stdin echoes pass through untouched even when a clear is due', (t) => {
+  const { stdout } = setup(t, { CLAUDE_TERMINAL_FIX_CLEAR_AFTER_RENDERS: '1' });
+  stdout.write('a');
+  stdout.write('\x1b[D');
+  stdout.write('\b \b');
+  assert.deepStrictEqual(stdout.chunks, ['a', '\x1b[D', '\b \b']);
+});
+
+test('a clear gets injected every clearAfterRenders renders', (t) => {
+  const { stdout } = setup(t, { CLAUDE_TERMINAL_FIX_CLEAR_AFTER_RENDERS: '3' });
+  stdout.write(FRAME);
+  stdout.write(FRAME);
+  assert.ok(!stdout.output().includes(CLEAR_SCROLLBACK));
+  stdout.write(FRAME);
+  assert.strictEqual(stdout.chunks[2], CLEAR_SCROLLBACK + FRAME);
+});
+
+test('render clears wait while the user is typing', (t) => {
+  const { stdout, proc, clock } = setup(t, { CLAUDE_TERMINAL_FIX_CLEAR_AFTER_RENDERS: '1' });
+  proc.stdin.type('x');
+  stdout.write(FRAME);
+  assert.ok(!stdout.output().includes(CLEAR_SCROLLBACK));
+
+  clock.time += 1000;
+  stdout.write(FRAME);
+  assert.ok(stdout.chunks[1].startsWith(CLEAR_SCROLLBACK));
+});
+
+test('the line limit trims scrollback once enough rows scroll off', (t) => {
+  const { stdout, fix } = setup(t, { CLAUDE_TERMINAL_FIX_MAX_LINE_COUNT: '10' });
+  for (let i = 0; i < 40; i++) stdout.write('line ' + i + '\r\n');
+  assert.ok(stdout.output().includes('\x1b7' + CLEAR_SCROLLBACK + '\x1b8'), 'DECSC/DECRC around the clear');
+  assert.ok(fix.getStats().lineCount <= 10);
+});
+
+test('/clear output clears scrollback, even split across writes', (t) => {
+  const { stdout } = setup(t);
+  stdout.write('Conversation cl');
+  stdout.write('eared\r\n');
+  assert.strictEqual(stdout.chunks[1], CLEAR_SCROLLBACK + 'eared\r\n');
+});
+
+test('frames go out as synchronized updates with the clear inside', async (t) => {
+  const { stdout, clock, fix } = setup(t, {
+    CLAUDE_TERMINAL_FIX_SYNC_OUTPUT: 'on',
+    CLAUDE_TERMINAL_FIX_CLEAR_AFTER_RENDERS: '1'
+  });
+  stdout.write(FRAME);
+  assert.strictEqual(stdout.chunks[0], '\x1b[?2026h' + CLEAR_SCROLLBACK + FRAME);
+  await clock.advance(fix.config.syncOutputMs);
+  assert.strictEqual(stdout.chunks[1], '\x1b[?2026l');
+});
+
+test('an open synchronized update gets closed when claude exits', (t) => {
+  const { stdout, proc } = setup(t, { CLAUDE_TERMINAL_FIX_SYNC_OUTPUT: 'on' });
+  stdout.write(FRAME);
+  assert.ok(stdout.output().startsWith('\x1b[?2026h'));
+  proc.emit('exit', 0);
+  assert.strictEqual(stdout.chunks[stdout.chunks.length - 1], '\x1b[?2026l');
+});
+
+test('a frame the limiter is holding goes out when claude exits', (t) => {
+  const { stdout, proc, fix } = setup(t, { CLAUDE_TERMINAL_FIX_FRAME_RATE_LIMIT: '1' });
+  // past the detector's renderRateLimit, so it's a spike
+  for (let i = 0; i <= fix.getDetector().config.renderRateLimit; i++) stdout.write(FRAME + i);
+  assert.strictEqual(fix.getEngine().limiter.getStats().holding, true);
+  proc.emit('exit', 0);
+  assert.strictEqual(stdout.chunks[stdout.chunks.length - 1], FRAME + fix.getDetector().config.renderRateLimit);
+  assert.strictEqual(fix.getEngine().limiter.getStats().holding, false);
+});
+
+test('SIGWINCH handlers get debounced', async (t) => {
+  const { proc, clock, fix } = setup(t);
+  let calls = 0;
+  proc.on('SIGWINCH', () => calls++);
+
+  proc.emit('SIGWINCH');
+  assert.strictEqual(calls, 1, 'first resize goes straight through');
+
+  proc.emit('SIGWINCH');
+  proc.emit('SIGWINCH');
+  assert.strictEqual(calls, 1, 'a burst waits for the debounce');
+
+  await clock.advance(fix.config.resizeDebounceMs);
+  assert.strictEqual(calls, 2, 'the burst fires once');
+});
+
+test('SIGWINCH once/prepend/remove all go through the debounce', async (t) => {
+  const { proc, clock, fix } = setup(t);
+  const calls = [];
+  const keep = () => calls.push('keep');
+  const gone = () => calls.push('gone');
+  proc.addListener('SIGWINCH', keep);
+  proc.once('SIGWINCH', () => calls.push('once'));
+  proc.prependListener('SIGWINCH', () => calls.push('first'));
+  proc.on('SIGWINCH', gone);
+  proc.off('SIGWINCH', gone);
+  assert.strictEqual(proc.listenerCount('SIGWINCH'), 1, 'one real listener does the debouncing');
+
+  proc.emit('SIGWINCH');
+  assert.deepStrictEqual(calls, ['first', 'keep', 'once']);
+  proc.emit('SIGWINCH');
+  await clock.advance(fix.config.resizeDebounceMs);
+  assert.deepStrictEqual(calls.slice(3), ['first', 'keep'], 'once only ran once');
+
+  // a handler nobody added doesn't take the debounce down with it
+  proc.removeListener('SIGWINCH', keep);
+  proc.removeListener('SIGWINCH', proc.listeners('SIGWINCH')[0]);
+  assert.strictEqual(proc.listenerCount('SIGWINCH'), 1, 'the prepended one is still there');
+});
+
+test('uninstall() puts back every patch, listener and timer', async (t) => {
+  const fix = freshRequire('index.cjs', { CLAUDE_TERMINAL_FIX_PERIODIC_CLEAR_MS: '1000' });
+  const proc = fakeProcess();
+  const clock = new FakeClock(1000000);
+  const write = proc.stdout.write;
+  const on = proc.on;
+  const before = name => proc.listenerCount(name);
+  const counts = { exit: before('exit'), data: proc.stdin.listenerCount('data'), resize: proc.stdout.listenerCount('resize') };
+  t.after(() => fix.uninstall());
+
+  fix.install({ process: proc, clock });
+  let resized = 0;
+  const handler = () => resized++;
+  proc.on('SIGWINCH', handler);
+  assert.notStrictEqual(proc.on, on);
+  assert.ok(proc.stdin.listenerCount('data') > counts.data);
+
+  fix.uninstall();
+  assert.strictEqual(proc.stdout.write, write);
+  assert.strictEqual(proc.on, on);
+  for (const method of ['once', 'addListener', 'prependListener', 'prependOnceListener', 'removeListener', 'off']) {
+    assert.strictEqual(Object.prototype.hasOwnProperty.call(proc, method), false, method + ' is back on the prototype');
+  }
+  assert.strictEqual(proc.listenerCount('exit'), counts.exit);
+  assert.strictEqual(proc.stdin.listenerCount('data'), counts.data);
+  assert.strictEqual(proc.stdout.listenerCount('resize'), counts.resize);
+  assert.strictEqual(fix.getDetector().checkInterval, null);
+  assert.strictEqual(clock.timers.size, 0, 'no timers left');
+  assert.strictEqual(fix.getStats().installed, false);
+
+  // claude's handler is still on, now without us in between
+  assert.deepStrictEqual(proc.listeners('SIGWINCH'), [handler]);
+  proc.emit('SIGWINCH');
+  proc.emit('SIGWINCH');
+  assert.strictEqual(resized, 2);
+
+  proc.stdout.write(FRAME);
+  assert.deepStrictEqual(proc.stdout.chunks, [FRAME]);
+  fix.uninstall();
+});
+
+test('text redaction held back still goes out, masked, when claude exits', (t) => {
+  const { stdout, proc } = setup(t, { CLAUDE_TERMINAL_FIX_REDACT: 'true' });
+  stdout.write('token ghp_' + 'a'.repeat(36));
+  assert.strictEqual(stdout.output(), 'token ', 'the token-shaped end waits');
+  proc.emit('exit', 0);
+  assert.strictEqual(stdout.output(), 'token ' + '*'.repeat(40));
+});
+
+test('reinstall() moves onto a new process with new options', async (t) => {
+  const fix = freshRequire('index.cjs', { CLAUDE_TERMINAL_FIX_CLEAR_AFTER_RENDERS: '1' });
+  const first = fakeProcess();
+  const second = fakeProcess();
+  const clock = new FakeClock(1000000);
+  t.after(() => fix.uninstall());
+  const write = first.stdout.write;
+
+  fix.install({ process: first, clock });
+  fix.reinstall({ process: second, clock: new FakeClock(5) });
+  assert.strictEqual(first.stdout.write, write, 'the old one is let go');
+  assert.strictEqual(fix.getStats().installed, true);
+
+  second.stdout.write(FRAME);
+  second.stdout.write(FRAME);
+  assert.ok(second.stdout.output().includes(CLEAR_SCROLLBACK), 'the new one is hooked');
+  assert.strictEqual(fix.getDetector().clock.now(), 5);
+
+  // and the same process round-trips as many times as you like
+  fix.reinstall({ process: second, clock });
+  fix.reinstall({ process: second, clock });
+  assert.strictEqual(second.stdin.listenerCount('data'), 2, 'one each from the hook and the detector');
+});
+
+test('stdout resize handlers get debounced too, that\'s what ink uses', async (t) => {
+  const { stdout, clock, fix } = setup(t);
+  let calls = 0;
+  stdout.once('resize', () => calls++);
+  stdout.on('resize', () => calls++);
+
+  stdout.resize(100, 30);
+  stdout.resize(101, 30);
+  stdout.resize(102, 30);
+  assert.strictEqual(calls, 2, 'both ran on the first one');
+  assert.strictEqual(fix.getEngine().getStats().screen.cols, 102, 'our own screen model isn\'t held back');
+
+  await clock.advance(fix.config.resizeDebounceMs);
+  assert.strictEqual(calls, 3, 'the burst fired once more, without the once handler');
+  assert.deepStrictEqual(fix.getStats().resize, { mode: 'both', events: 3, fired: 2 });
+});
+
+test('resizeDebounceMode trailing holds the first resize back too', async (t) => {
+  const { proc, clock, fix } = setup(t, { CLAUDE_TERMINAL_FIX_RESIZE_DEBOUNCE_MODE: 'trailing' });
+  let calls = 0;
+  proc.on('SIGWINCH', () => calls++);
+  proc.emit('SIGWINCH');
+  assert.strictEqual(calls, 0);
+  await clock.advance(fix.config.resizeDebounceMs);
+  assert.strictEqual(calls, 1);
+});
+
+test('non-SIGWINCH listeners are left alone', (t) => {
+  const { proc } = setup(t);
+  let seen = null;
+  proc.on('custom', v => { seen = v; });
+  proc.emit('custom', 42);
+  assert.strictEqual(seen, 42);
+});
+
+test('stdout resize keeps the screen model in step', (t) => {
+  const { stdout, fix } = setup(t);
+  stdout.resize(132, 50);
+  const screen = fix.getEngine().getStats().screen;
+  assert.strictEqual(screen.cols, 132);
+  assert.strictEqual(screen.rows, 50);
+});
+
+test('periodic clears go out on the timer', async (t) => {
+  const { stdout, clock } = setup(t, { CLAUDE_TERMINAL_FIX_PERIODIC_CLEAR_MS: '5000' });
+  await clock.advance(5000);
+  assert.ok(stdout.output().includes(CLEAR_SCROLLBACK));
+});
+
+test('periodic clears hold off until typing stops', async (t) => {
+  const { stdout, proc, clock } = setup(t, { CLAUDE_TERMINAL_FIX_PERIODIC_CLEAR_MS: '5000' });
+  await clock.advance(4900);
+  proc.stdin.type('x');
+  await clock.advance(100);
+  assert.ok(!stdout.output().includes(CLEAR_SCROLLBACK));
+  await clock.advance(600);
+  assert.ok(stdout.output().includes(CLEAR_SCROLLBACK));
+});
+
+test('clearScrollback() writes a clear straight away', (t) => {
+  const { stdout, fix } = setup(t);
+  fix.clearScrollback();
+  assert.deepStrictEqual(stdout.chunks, [CLEAR_SCROLLBACK]);
+});
+
+test('getStats() reports engine and detector state', (t) => {
+  const { stdout, fix } = setup(t);
+  stdout.write(FRAME);
+  const stats = fix.getStats();
+  assert.strictEqual(stats.installed, true);
+  assert.strictEqual(stats.renderCount, 1);
+  assert.strictEqual(typeof stats.lineCount, 'number');
+  assert.strictEqual(stats.config, fix.config);
+  assert.strictEqual(stats.glitch.isGlitched, false);
+});
+
+test('getStats() reports stdout backpressure and the detector hears about it', (t) => {
+  const fix = freshRequire('index.cjs');
+  const proc = fakeProcess();
+  const clock = new FakeClock(1000000);
+  // a terminal that's stopped reading - everything sits in the queue
+  proc.stdout.writableLength = 0;
+  proc.stdout.write = (chunk) => {
+    proc.stdout.writableLength += chunk.length;
+    return false;
+  };
+  fix.install({ process: proc, clock });
+  t.after(() => fix.disable());
+
+  assert.strictEqual(proc.stdout.write('thinking...\r\n'), false);
+  clock.time += 40;
+  proc.stdout.writableLength = 0;
+  proc.stdout.emit('drain');
+
+  const stats = fix.getStats();
+  assert.strictEqual(stats.backpressure.blocked, 1);
+  assert.strictEqual(stats.backpressure.maxQueuedBytes, 13);
+  assert.strictEqual(stats.backpressure.drain.lastMs, 40);
+  assert.strictEqual(typeof stats.eventLoop.maxMs, 'number');
+  assert.strictEqual(fix.getDetector().writeQueue, 0);
+});
+
+test('setConfig() changes known keys and ignores the rest', (t) => {
+  const { stdout, fix } = setup(t);
+  fix.setConfig('clearAfterRenders', 1);
+  fix.setConfig('notAKey', 5);
+  assert.strictEqual(fix.config.clearAfterRenders, 1);
+  assert.ok(!('notAKey' in fix.config));
+  stdout.write(FRAME);
+  assert.ok(stdout.chunks[0].startsWith(CLEAR_SCROLLBACK));
+});
+
+test('disable() puts stdout.write back and stops the timers', async (t) => {
+  const { stdout, clock, fix } = setup(t, {
+    CLAUDE_TERMINAL_FIX_CLEAR_AFTER_RENDERS: '1',
+    CLAUDE_TERMINAL_FIX_PERIODIC_CLEAR_MS: '1000'
+  });
+  fix.disable();
+  stdout.write(FRAME);
+  await clock.advance(5000);
+  assert.deepStrictEqual(stdout.chunks, [FRAME]);
+});
+
+test('install() is a no-op when disabled or already installed', (t) => {
+  const fix = freshRequire('index.cjs', { CLAUDE_TERMINAL_FIX_DISABLED: '1' });
+  const proc = fakeProcess();
+  const write = proc.stdout.write;
+  fix.install({ process: proc, clock: new FakeClock() });
+  assert.strictEqual(proc.stdout.write, write);
+  assert.strictEqual(fix.getStats().installed, false);
+
+  const { fix: live, proc: other } = setup(t);
+  const hooked = other.stdout.write;
+  live.install({ process: other, clock: new FakeClock() });
+  assert.strictEqual(other.stdout.write, hooked);
+});
+
+test('isGlitched() and forceRecovery() go through the detector', async (t) => {
+  const { proc, stdout, clock, fix } = setup(t);
+  assert.strictEqual(fix.isGlitched(), false);
+  assert.strictEqual(await fix.forceRecovery(), false, 'nothing to recover from');
+
+  // you type and claude never answers
+  stdout.write('thinking...\r\n');
+  proc.stdin.type('x');
+  await clock.advance(4500);
+  assert.strictEqual(fix.isGlitched(), true);
+
+  // a 'resize' on stdout is how it gets ink to redraw from in here
+  let resized = 0;
+  stdout.on('resize', () => resized++);
+  const tried = [];
+  fix.getDetector().on('recovery-attempt', ({ method }) => tried.push(method));
+
+  const recovery = fix.forceRecovery();
+  await clock.advance(fix.getDetector().config.recoveryDelayMs * 3);
+  await recovery;
+  assert.ok(fix.getDetector().getMetrics().recoveriesAttempted >= 1);
+  assert.deepStrictEqual(tried.slice(0, 2), ['sigwinch', 'repaint']);
+  assert.ok(resized >= 1);
+});
+
+test('getDetector() and getEngine() hand back the live instances', (t) => {
+  const { fix } = setup(t);
+  const { GlitchDetector } = require('../glitch-detector.cjs');
+  const { OutputEngine } = require('../output-engine.cjs');
+  assert.ok(fix.getDetector() instanceof GlitchDetector);
+  assert.ok(fix.getEngine() instanceof OutputEngine);
+});
+
+test('metricsFile gets a json line on the timer and on disable()', async (t) => {
+  const dir = tmpDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'metrics.jsonl');
+  const { fix, clock } = setup(t, {
+    CLAUDE_TERMINAL_FIX_METRICS_FILE: file,
+    CLAUDE_TERMINAL_FIX_METRICS_INTERVAL_MS: '5000',
+    CLAUDE_TERMINAL_FIX_PERIODIC_CLEAR_MS: '0'
+  });
+  assert.ok(fix.getExporter());
+
+  fix.clearScrollback();
+  fix.getEngine().clearNow('ctl');
+  await clock.advance(5000);
+  fix.disable();
+  assert.strictEqual(fix.getExporter(), null);
+
+  const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(l => JSON.parse(l));
+  assert.strictEqual(lines.length, 2);
+  assert.deepStrictEqual(lines[1].clears, { ctl: 1 });
+});
+
+test('install/uninstall cycles don\'t pile metrics listeners onto the detector', (t) => {
+  const dir = tmpDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const { fix, proc, clock } = setup(t, { CLAUDE_TERMINAL_FIX_METRICS_FILE: path.join(dir, 'metrics.jsonl') });
+  const detector = fix.getDetector();
+  const count = detector.listenerCount('recovery-success');
+  for (let i = 0; i < 3; i++) fix.reinstall({ process: proc, clock });
+  assert.strictEqual(detector.listenerCount('recovery-success'), count);
+  fix.uninstall();
+  assert.ok(detector.listenerCount('recovery-success') < count);
+});
+
+test('under tmux, clears reach its history and a resize storm ends with the pane size', async (t) => {
+  const fix = freshRequire('index.cjs', { CLAUDE_TERMINAL_FIX_CLEAR_AFTER_RENDERS: '2' });
+  const proc = fakeProcess({ env: { TMUX: '/tmp/tmux-1000/default,1,0', TMUX_PANE: '%1' } });
+  const clock = new FakeClock(1000000);
+  const calls = [];
+  const execFile = (cmd, args, options, cb) => {
+    calls.push(args[0]);
+    cb(null, args[0] === 'display-message' ? '90 30' : '');
+  };
+  fix.install({ process: proc, clock, execFile });
+  t.after(() => fix.disable());
+  assert.strictEqual(fix.getMultiplexer().type, 'tmux');
+
+  proc.stdout.write(FRAME);
+  proc.stdout.write(FRAME);
+  assert.deepStrictEqual(calls, ['clear-history']);
+
+  proc.on('SIGWINCH', () => {});
+  proc.emit('SIGWINCH');
+  proc.emit('SIGWINCH');
+  await clock.advance(fix.config.resizeDebounceMs);
+  assert.deepStrictEqual(calls, ['clear-history'], 'tmux gets the longer debounce');
+  await clock.advance(fix.config.multiplexerResizeDebounceMs);
+  assert.deepStrictEqual(calls, ['clear-history', 'display-message']);
+  assert.strictEqual(fix.getEngine().screen.cols, 90);
+  assert.strictEqual(fix.getEngine().screen.rows, 30);
+});
+
+test('loader.cjs installs the fix under --require', (t) => {
+  const home = tmpDir();
+  t.after(() => fs.rmSync(home, { recursive: true, force: true }));
+  const out = execFileSync(process.execPath, [
+    '--require', path.join(ROOT, 'loader.cjs'),
+    '-e', 'process.stdout.write("Conversation cleared\\n"); process.exit(0)'
+  ], { env: { PATH: process.env.PATH, HOME: home }, encoding: 'utf8', timeout: 30000 });
+  assert.strictEqual(out, CLEAR_SCROLLBACK + 'Conversation cleared\n');
+});
+
+test('plugins from config see the hook\'s output, stdin and resizes', (t) => {
+  const fixture = path.join(__dirname, 'fixtures', 'plugin.js');
+  const { seen } = require(fixture);
+  const before = seen.tornDown;
+  const { fix, proc, stdout } = setup(t, { CLAUDE_TERMINAL_FIX_PLUGINS: fixture });
+
+  stdout.write('key: sk-fixture\r\n');
+  assert.strictEqual(stdout.output(), 'key: [masked]\r\n');
+  proc.stdin.emit('data', Buffer.from('y'));
+  assert.strictEqual(seen.stdin[seen.stdin.length - 1], 'y');
+  stdout.columns = 132;
+  stdout.emit('resize');
+  assert.deepStrictEqual(seen.resize[seen.resize.length - 1], [132, 24]);
+  assert.deepStrictEqual(fix.getStats().plugins.map(p => p.name), ['fixture-mask']);
+
+  fix.uninstall();
+  assert.strictEqual(seen.tornDown, before + 1);
+});
@@ -0,0 +1,149 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const { FakeClock } = require('../clock.cjs');
+const { LoadMonitor } = require('../load-monitor.cjs');
+
+// a stdout that says no once writableLength goes over its highWaterMark
+function fakeStream(highWaterMark = 10) {
+  const stream = new EventEmitter();
+  stream.writableLength = 0;
+  stream.write = (chunk) => {
+    stream.writableLength += Buffer.byteLength(chunk);
+    return stream.writableLength < highWaterMark;
+  };
+  stream.drain = () => {
+    stream.writableLength = 0;
+    stream.emit('drain');
+  };
+  return stream;
+}
+
+// what perf_hooks hands back, with numbers we pick (in ms, it wants ns)
+function fakeHistogram(samples) {
+  const h = {
+    enabled: false,
+    resets: 0,
+    enable() { h.enabled = true; },
+    disable() { h.enabled = false; },
+    reset() { h.resets++; },
+    set(ms) {
+      h.count = ms.length;
+      h.mean = ms.reduce((a, b) => a + b, 0) / ms.length * 1e6;
+      h.max = Math.max(...ms) * 1e6;
+    },
+    percentile: () => h.max
+  };
+  h.set(samples);
+  return h;
+}
+
+function fakeDetector() {
+  return {
+    queue: [],
+    lag: [],
+    trackWriteQueue(bytes) { this.queue.push(bytes); },
+    trackLoopLag(ms) { this.lag.push(ms); }
+  };
+}
+
+function setup(options = {}) {
+  const clock = new FakeClock(1000000);
+  const stream = fakeStream();
+  const detector = fakeDetector();
+  const monitor = new LoadMonitor({
+    stream,
+    clock,
+    detector,
+    config: { loopDelaySampleMs: 1000 },
+    ...options
+  });
+  return { clock, stream, detector, monitor, write: monitor.wrap(stream.write) };
+}
+
+test('writes that come back false count as backpressure till drain', () => {
+  const { clock, stream, detector, monitor, write } = setup();
+  assert.strictEqual(write('hello'), true);
+  assert.strictEqual(write('world!'), false, 'wrap() hands back what write said');
+  assert.strictEqual(write('more'), false);
+
+  let stats = monitor.getStats().backpressure;
+  assert.strictEqual(stats.writes, 3);
+  assert.strictEqual(stats.bytes, 15);
+  assert.strictEqual(stats.blocked, 2);
+  assert.strictEqual(stats.waiting, true);
+  assert.strictEqual(stats.queuedBytes, 15);
+  assert.deepStrictEqual(detector.queue, [5, 11, 15]);
+  assert.strictEqual(stream.listenerCount('drain'), 1, 'one drain listener, not one a write');
+
+  clock.time += 250;
+  stream.drain();
+  stats = monitor.getStats().backpressure;
+  assert.strictEqual(stats.waiting, false);
+  assert.strictEqual(stats.queuedBytes, 0);
+  assert.strictEqual(stats.maxQueuedBytes, 15);
+  assert.deepStrictEqual(stats.drain, { count: 1, lastMs: 250, maxMs: 250, avgMs: 250 });
+  assert.strictEqual(detector.queue[detector.queue.length - 1], 0, 'the detector hears it emptied');
+});
+
+test('drain latency averages over every backed up stretch', () => {
+  const { clock, stream, monitor, write } = setup();
+  write('x'.repeat(20));
+  clock.time += 100;
+  stream.drain();
+  write('x'.repeat(20));
+  clock.time += 300;
+  stream.drain();
+  assert.deepStrictEqual(monitor.getStats().backpressure.drain, { count: 2, lastMs: 300, maxMs: 300, avgMs: 200 });
+});
+
+test('event loop delay gets sampled and fed to the detector as loop lag', async () => {
+  const histogram = fakeHistogram([20, 20, 620]);
+  const { clock, detector, monitor } = setup({ createHistogram: () => histogram });
+  monitor.start();
+  assert.strictEqual(histogram.enabled, true);
+
+  await clock.advance(1000);
+  let loop = monitor.getStats().eventLoop;
+  assert.strictEqual(loop.sampling, true);
+  assert.strictEqual(loop.maxMs, 600, 'late by whatever is past the resolution');
+  assert.strictEqual(loop.meanMs, 200);
+  assert.strictEqual(histogram.resets, 1);
+  assert.deepStrictEqual(detector.lag, [600]);
+
+  histogram.set([21]);
+  await clock.advance(1000);
+  loop = monitor.getStats().eventLoop;
+  assert.strictEqual(loop.maxMs, 1);
+  assert.strictEqual(loop.worstMs, 600);
+  assert.strictEqual(loop.samples, 2);
+
+  monitor.stop();
+  assert.strictEqual(histogram.enabled, false);
+  assert.strictEqual(monitor.getStats().eventLoop.sampling, false);
+  await clock.advance(5000);
+  assert.strictEqual(detector.lag.length, 2, 'no more samples');
+});
+
+test('loopDelaySampleMs 0 leaves the event loop alone', () => {
+  let made = 0;
+  const { monitor } = setup({
+    config: { loopDelaySampleMs: 0 },
+    createHistogram: () => { made++; return fakeHistogram([0]); }
+  });
+  monitor.start();
+  assert.strictEqual(made, 0);
+  assert.strictEqual(monitor.timer, null);
+});
+
+test('the real perf_hooks histogram works', () => {
+  const monitor = new LoadMonitor({ config: { loopDelaySampleMs: 1000 } });
+  monitor.start();
+  monitor.sample();
+  const loop = monitor.getStats().eventLoop;
+  assert.strictEqual(loop.sampling, true);
+  assert.ok(loop.maxMs >= 0);
+  monitor.stop();
+});
@@ -0,0 +1,172 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { tmpDir } = require('./helpers.js');
+const { FakeClock } = require('../clock.cjs');
+const { defaults } = require('../config.cjs');
+const { OutputEngine } = require('../output-engine.cjs');
+const { GlitchDetector } = require('../glitch-detector.cjs');
+const {
+  MetricsCollector,
+  MetricsExporter,
+  Histogram,
+  createMetrics
+} = require('../metrics.cjs');
+
+function setup() {
+  const config = defaults();
+  const detectorConfig = config.detector;
+  delete config.detector;
+  const clock = new FakeClock(1760000000000);
+  const detector = new GlitchDetector(detectorConfig, { clock, env: {}, write: () => {} });
+  const engine = new OutputEngine({ config, clock, detector, write: () => {}, columns: 80, rows: 24 });
+  const collector = new MetricsCollector({ clock, info: { pid: 42 } }).attach(engine, detector);
+  return { config, clock, detector, engine, collector };
+}
+
+function get(port, url) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path: url }, res => {
+      let body = '';
+      res.on('data', d => { body += d; });
+      res.on('end', () => resolve({ status: res.statusCode, body }));
+    }).on('error', reject);
+  });
+}
+
+test('Histogram counts cumulative buckets', () => {
+  const h = new Histogram([1, 5, 10]);
+  [0.5, 3, 3, 20].forEach(v => h.observe(v));
+  assert.deepStrictEqual(h.toJSON(), {
+    buckets: { 1: 1, 5: 3, 10: 3, '+Inf': 4 },
+    sum: 26.5,
+    count: 4
+  });
+});
+
+test('collector counts clears by reason, renders and render rate', () => {
+  const { clock, engine, collector } = setup();
+  engine.clearNow('ctl');
+  engine.clearNow('ctl');
+  engine.clearNow('manual');
+
+  // 3 renders in one second, 1 in the next - the first second gets observed
+  // once the second one starts. a keystroke echo isn't a render
+  engine.process('a');
+  engine.process('bb');
+  engine.process('ccc');
+  engine.process('dd');
+  clock.time += 1000;
+  engine.process('eee');
+
+  const snap = collector.snapshot();
+  assert.deepStrictEqual(snap.clears, { ctl: 2, manual: 1 });
+  assert.strictEqual(snap.renders, 4);
+  assert.strictEqual(snap.outputBytes, 10);
+  assert.strictEqual(snap.renderRate.count, 1);
+  assert.strictEqual(snap.renderRate.sum, 3);
+  assert.strictEqual(snap.pid, 42);
+  assert.strictEqual(snap.uptimeSeconds, 1);
+});
+
+test('collector tracks glitches, durations and recovery outcomes', () => {
+  const { detector, collector } = setup();
+  detector.emit('glitch-detected', { signals: { unechoedInput: true, sigwinchStorm: false, renderSpike: true } });
+  detector.emit('glitch-resolved', { duration: 2500 });
+  detector.emit('recovery-success', { method: 'scrollback-clear' });
+  detector.emit('recovery-success', { method: 'scrollback-clear' });
+  detector.emit('recovery-failed');
+
+  const snap = collector.snapshot();
+  assert.strictEqual(snap.glitches, 1);
+  assert.deepStrictEqual(snap.glitchSignals, { unechoedInput: 1, renderSpike: 1 });
+  assert.strictEqual(snap.glitchDuration.buckets[5], 1);
+  assert.strictEqual(snap.glitchDuration.buckets[2], 0);
+  assert.deepStrictEqual(snap.recoveries, [
+    { outcome: 'success', method: 'scrollback-clear', count: 2 },
+    { outcome: 'failed', method: 'none', count: 1 }
+  ]);
+});
+
+test('detach() stops counting and takes its listeners off', () => {
+  const { engine, detector, collector } = setup();
+  const before = detector.listenerCount('glitch-detected');
+  collector.detach();
+  assert.strictEqual(detector.listenerCount('glitch-detected'), before - 1);
+  assert.strictEqual(engine.listenerCount('inject'), 0);
+  assert.ok(!engine.rules.some(r => r.name === 'metrics'));
+  detector.emit('glitch-detected', { signals: {} });
+  assert.strictEqual(collector.snapshot().glitches, 0);
+});
+
+test('toPrometheus() writes the text exposition format', () => {
+  const { engine, detector, collector } = setup();
+  engine.clearNow('periodic');
+  detector.emit('glitch-resolved', { duration: 700 });
+  detector.emit('recovery-success', { method: 'screen' });
+
+  const text = collector.toPrometheus();
+  assert.match(text, /^# HELP claudescreenfix_clears_total /m);
+  assert.match(text, /^# TYPE claudescreenfix_clears_total counter$/m);
+  assert.match(text, /^claudescreenfix_clears_total\{reason="periodic"\} 1$/m);
+  assert.match(text, /^claudescreenfix_glitch_duration_seconds_bucket\{le="0.5"\} 0$/m);
+  assert.match(text, /^claudescreenfix_glitch_duration_seconds_bucket\{le="1"\} 1$/m);
+  assert.match(text, /^claudescreenfix_glitch_duration_seconds_bucket\{le="\+Inf"\} 1$/m);
+  assert.match(text, /^claudescreenfix_glitch_duration_seconds_count 1$/m);
+  assert.match(text, /^claudescreenfix_recoveries_total\{outcome="success",method="screen"\} 1$/m);
+  assert.match(text, /^claudescreenfix_glitched 0$/m);
+  assert.ok(text.endsWith('\n'));
+});
+
+test('exporter appends a json line per interval and one more on stop', async (t) => {
+  const dir = tmpDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const { clock, engine, collector } = setup();
+  const file = path.join(dir, 'nested', 'metrics.jsonl');
+  const exporter = new MetricsExporter(collector, { file, intervalMs: 5000 });
+  await exporter.start();
+
+  engine.clearNow('ctl');
+  await clock.advance(10000);
+  exporter.stop();
+
+  const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(l => JSON.parse(l));
+  assert.strictEqual(lines.length, 3);
+  assert.deepStrictEqual(lines[0].clears, { ctl: 1 });
+  assert.strictEqual(lines[0].time, new Date(1760000005000).toISOString());
+  assert.strictEqual(lines[2].uptimeSeconds, 10);
+  assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+  assert.strictEqual(clock.timers.size, 0);
+});
+
+test('exporter serves /metrics on localhost', async (t) => {
+  const { engine, collector } = setup();
+  const exporter = new MetricsExporter(collector, { port: 0 });
+  t.after(() => exporter.stop());
+  await exporter.start();
+  assert.ok(exporter.port > 0);
+
+  engine.clearNow('ctl');
+  const res = await get(exporter.port, '/metrics');
+  assert.strictEqual(res.status, 200);
+  assert.match(res.body, /claudescreenfix_clears_total\{reason="ctl"\} 1/);
+  assert.strictEqual((await get(exporter.port, '/nope')).status, 404);
+});
+
+test('createMetrics() is null unless a file or port is configured', () => {
+  const { config, engine, detector } = setup();
+  assert.strictEqual(createMetrics(config, engine, detector), null);
+
+  const exporter = createMetrics({ ...config, metricsFile: '/tmp/x.jsonl' }, engine, detector);
+  assert.ok(exporter instanceof MetricsExporter);
+  assert.strictEqual(exporter.intervalMs, 60000);
+
+  // a reload keeps counting into the same collector
+  const again = createMetrics({ ...config, metricsPort: 0 }, engine, detector, { collector: exporter.collector });
+  assert.strictEqual(again.collector, exporter.collector);
+  assert.strictEqual(again.file, null);
+});
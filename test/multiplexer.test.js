@@ -0,0 +1,110 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { defaults } = require('../config.cjs');
+const {
+  detectMultiplexer,
+  Multiplexer,
+  createMultiplexer,
+  attachMultiplexer,
+  resizeDebounceMs
+} = require('../multiplexer.cjs');
+
+// execFile stand-in - answers from a table, records every call
+function fakeExec(answers = {}) {
+  const calls = [];
+  const execFile = (cmd, args, options, cb) => {
+    calls.push([cmd].concat(args));
+    const key = args.find(a => answers[a] !== undefined);
+    const answer = key !== undefined ? answers[key] : '';
+    setImmediate(() => (answer instanceof Error ? cb(answer) : cb(null, answer)));
+  };
+  return { calls, execFile };
+}
+
+const TMUX = { TMUX: '/tmp/tmux-1000/default,4242,0', TMUX_PANE: '%7' };
+const SCREEN = { STY: '4242.pts-0.box', WINDOW: '2' };
+
+test('detectMultiplexer() reads $TMUX and $STY', () => {
+  assert.strictEqual(detectMultiplexer({}), null);
+  assert.deepStrictEqual(detectMultiplexer(TMUX), { type: 'tmux', pane: '%7' });
+  assert.deepStrictEqual(detectMultiplexer(SCREEN), { type: 'screen', session: '4242.pts-0.box', window: '2' });
+  assert.strictEqual(detectMultiplexer({ ...TMUX, ...SCREEN }).type, 'tmux');
+  assert.strictEqual(detectMultiplexer({ ...TMUX, ...SCREEN }, 'screen').type, 'screen');
+  assert.strictEqual(detectMultiplexer(TMUX, 'off'), null);
+  assert.strictEqual(detectMultiplexer(SCREEN, 'tmux'), null);
+});
+
+test('tmux: clear-history, history-limit and pane size for our pane', async () => {
+  const { calls, execFile } = fakeExec({ 'display-message': '132 43\n' });
+  const mux = new Multiplexer(detectMultiplexer(TMUX), { execFile });
+
+  assert.strictEqual(await mux.clearHistory(), true);
+  assert.strictEqual(await mux.setHistoryLimit(5000), true);
+  assert.deepStrictEqual(await mux.paneSize(), { columns: 132, rows: 43 });
+  assert.deepStrictEqual(calls, [
+    ['tmux', 'clear-history', '-t', '%7'],
+    ['tmux', 'set-option', '-t', '%7', 'history-limit', '5000'],
+    ['tmux', 'display-message', '-p', '-t', '%7', '#{pane_width} #{pane_height}']
+  ]);
+});
+
+test('screen: scrollback 0 and back clears history, -Q info gives the size', async () => {
+  const { calls, execFile } = fakeExec({ '-Q': '(1,24)/(120,40)+1024 +flow UTF-8 2(bash)' });
+  const mux = new Multiplexer(detectMultiplexer(SCREEN), { execFile });
+
+  assert.strictEqual(await mux.clearHistory(), true);
+  assert.deepStrictEqual(await mux.paneSize(), { columns: 120, rows: 40 });
+  const prefix = ['screen', '-S', '4242.pts-0.box', '-p', '2'];
+  assert.deepStrictEqual(calls, [
+    prefix.concat(['-Q', 'info']),
+    prefix.concat(['-X', 'scrollback', '0']),
+    prefix.concat(['-X', 'scrollback', '1024']),
+    prefix.concat(['-Q', 'info'])
+  ]);
+});
+
+test('a session name is passed as one argument, never through a shell', async () => {
+  const { calls, execFile } = fakeExec();
+  const sty = '1.x"; touch /tmp/pwned; "';
+  const mux = new Multiplexer(detectMultiplexer({ STY: sty }), { execFile });
+  await mux.setHistoryLimit(10);
+  assert.deepStrictEqual(calls[0], ['screen', '-S', sty, '-X', 'scrollback', '10']);
+});
+
+test('clears overlap into one and failures resolve false', async () => {
+  const { calls, execFile } = fakeExec({ 'clear-history': new Error('no server running') });
+  const logs = [];
+  const mux = new Multiplexer(detectMultiplexer(TMUX), { execFile, log: msg => logs.push(msg) });
+  const first = mux.clearHistory();
+  assert.strictEqual(mux.clearHistory(), first);
+  assert.strictEqual(await first, false);
+  assert.strictEqual(calls.length, 1);
+  assert.match(logs[0], /clear-history failed: no server running/);
+  assert.strictEqual(await mux.paneSize(), null);
+});
+
+test('attachMultiplexer() follows the engine\'s scrollback clears', async () => {
+  const { calls, execFile } = fakeExec();
+  const config = { ...defaults(), multiplexerHistoryLimit: 2000 };
+  const engine = new EventEmitter();
+  engine.clearSequence = () => '\x1b[3J';
+  const mux = attachMultiplexer(createMultiplexer(config, { env: TMUX, execFile }), engine, config);
+  assert.deepStrictEqual(calls.shift(), ['tmux', 'set-option', '-t', '%7', 'history-limit', '2000']);
+
+  engine.emit('inject', { seq: '\x1b7\x1b[3J\x1b8', reason: 'periodic' });
+  await mux.clearing;
+  engine.emit('inject', { seq: '\x1b[?2026h', reason: 'other' });
+  config.multiplexerClearHistory = false;
+  engine.emit('inject', { seq: '\x1b[3J', reason: 'periodic' });
+  assert.deepStrictEqual(calls, [['tmux', 'clear-history', '-t', '%7']]);
+});
+
+test('multiplexers get their own resize debounce', () => {
+  const config = defaults();
+  assert.strictEqual(createMultiplexer(config, { env: {} }), null);
+  assert.strictEqual(resizeDebounceMs(config, null), config.resizeDebounceMs);
+  assert.strictEqual(resizeDebounceMs(config, createMultiplexer(config, { env: TMUX })), config.multiplexerResizeDebounceMs);
+});
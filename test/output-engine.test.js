@@ -0,0 +1,469 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { tmpDir } = require('./helpers.js');
+const { FakeClock } = require('../clock.cjs');
+const { defaults } = require('../config.cjs');
+const {
+  OutputEngine,
+  rules,
+  defaultRules,
+  isStdinEcho,
+  CLEAR_SCROLLBACK,
+  CURSOR_SAVE,
+  CURSOR_RESTORE,
+  CLEAR_SCREEN,
+  HOME_CURSOR,
+  SYNC_BEGIN,
+  SYNC_END
+} = require('../output-engine.cjs');
+const { PROFILES } = require('../terminal.cjs');
+
+const TRIM = CURSOR_SAVE + CLEAR_SCROLLBACK + CURSOR_RESTORE;
+const FRAME = CLEAR_SCREEN + HOME_CURSOR + 'frame';
+
+function setup(overrides = {}, options = {}) {
+  const config = { ...defaults(), ...overrides };
+  delete config.detector;
+  const clock = new FakeClock(1000000);
+  const written = [];
+  const engine = new OutputEngine({
+    config,
+    clock,
+    write: data => written.push(data),
+    columns: 80,
+    rows: 24,
+    ...options
+  });
+  const injected = [];
+  engine.on('inject', ev => injected.push(ev.reason));
+  return { engine, config, clock, written, injected };
+}
+
+test('isStdinEcho() spots keystroke echoes', () => {
+  assert.strictEqual(isStdinEcho('a'), true);
+  assert.strictEqual(isStdinEcho('é'), true);
+  assert.strictEqual(isStdinEcho('\x1b[D'), true, 'arrow key');
+  assert.strictEqual(isStdinEcho('\x1b[K'), true, 'erase line');
+  assert.strictEqual(isStdinEcho('\r\n'), true);
+  assert.strictEqual(isStdinEcho('\b \b'), true, 'backspace');
+});
+
+test('isStdinEcho() leaves real output alone', () => {
+  assert.strictEqual(isStdinEcho(''), false);
+  assert.strictEqual(isStdinEcho('ab'), false);
+  assert.strictEqual(isStdinEcho(HOME_CURSOR), false);
+  assert.strictEqual(isStdinEcho(CLEAR_SCREEN), false);
+  assert.strictEqual(isStdinEcho('\x1b[?25l'), false, 'private mode');
+  assert.strictEqual(isStdinEcho('\r\n\r\n'), false);
+  assert.strictEqual(isStdinEcho('\x1b['), false, 'half a sequence');
+});
+
+test('defaultRules() lists the built-ins in order', () => {
+  assert.deepStrictEqual(defaultRules().map(r => r.name),
+    ['stdin-echo', 'render-tracking', 'line-limit', 'render-clear', 'session-events', 'glitch-recovery']);
+  assert.strictEqual(defaultRules()[0], rules.stdinEcho);
+});
+
+test('stdin echoes note typing and skip the other rules', () => {
+  const { engine } = setup({ clearAfterRenders: 1 });
+  assert.strictEqual(engine.process('x'), 'x');
+  assert.strictEqual(engine.renderCount, 0);
+  assert.strictEqual(engine.isTypingActive(), true);
+});
+
+test('render-count clears fire on clear-screen or home frames only', () => {
+  const { engine, injected } = setup({ clearAfterRenders: 2 });
+  engine.process('plain output\r\n');
+  assert.strictEqual(engine.process('more\r\n'), 'more\r\n', 'no frame marker, no clear');
+  assert.strictEqual(engine.process(FRAME), CLEAR_SCROLLBACK + FRAME);
+  assert.deepStrictEqual(injected, ['render-count']);
+  assert.strictEqual(engine.renderCount, 0);
+});
+
+test('clearAfterRenders 0 turns render clears off', () => {
+  const { engine } = setup({ clearAfterRenders: 0 });
+  for (let i = 0; i < 10; i++) assert.strictEqual(engine.process(FRAME), FRAME);
+});
+
+test('a cursor move to row 5 is not a home', () => {
+  const { engine } = setup({ clearAfterRenders: 1 });
+  assert.strictEqual(engine.process('\x1b[5;1Hstatus'), '\x1b[5;1Hstatus');
+});
+
+test('line limit counts rows that scroll off, not redraws', () => {
+  const { engine, injected } = setup({ maxLineCount: 30 });
+  for (let i = 0; i < 100; i++) engine.process(HOME_CURSOR + 'redraw\r\n');
+  assert.deepStrictEqual(injected, []);
+
+  let out = '';
+  for (let i = 0; i < 60; i++) out += engine.process('row ' + i + '\r\n');
+  assert.ok(out.includes(TRIM));
+  assert.ok(injected.every(r => r === 'line-limit'));
+  assert.ok(engine.lineCount <= 30);
+});
+
+test('/clear markers clear once, split or not', () => {
+  const { engine, injected } = setup();
+  assert.strictEqual(engine.process('Chat cleared\r\n'), CLEAR_SCROLLBACK + 'Chat cleared\r\n');
+  engine.process('\x1b[2mConversation \x1b[0m');
+  assert.strictEqual(engine.process('cleared'), CLEAR_SCROLLBACK + 'cleared');
+  engine.process('after\r\n');
+  assert.deepStrictEqual(injected, ['slash-clear', 'slash-clear']);
+});
+
+test('clearedMarkers swaps the /clear text for other targets', () => {
+  const marker = 'History wiped, starting over with a completely fresh context window';
+  const { engine, injected } = setup({ clearedMarkers: [marker] });
+  engine.process('Conversation cleared\r\n');
+  engine.process(marker.slice(0, 40));
+  engine.process(marker.slice(40) + '\r\n');
+  assert.deepStrictEqual(injected, ['slash-clear'], 'long markers still match across reads');
+});
+
+test('claude saying the marker in an answer doesn\'t clear anything', () => {
+  const { engine, injected } = setup();
+  const seen = [];
+  engine.on('session-event', ev => seen.push(ev.event));
+  engine.process('⏺ After /clear you\'ll see Conversation cleared, then\r\n');
+  engine.process('  Chat cleared means the same thing.\r\n');
+  assert.deepStrictEqual(injected, []);
+  engine.process('│ Do you want to proceed? │\r\n');
+  assert.deepStrictEqual(seen, ['permission']);
+  assert.deepStrictEqual(injected, [], 'permission prompts keep scrollback');
+  assert.deepStrictEqual(engine.getStats().sessions, { version: null, events: { permission: 1 } });
+});
+
+test('session events clear, archive or keep by their policy', (t) => {
+  const dir = tmpDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const { engine, injected } = setup({
+    archiveScrollback: true,
+    archiveDir: dir,
+    sessionEvents: { 'new-session': { scrollback: 'archive' } }
+  });
+  engine.process('old stuff\r\n');
+  const out = engine.process('Conversation compacted\r\n');
+  assert.ok(out.startsWith(CLEAR_SCROLLBACK));
+  assert.deepStrictEqual(injected, ['compact']);
+  engine.process('│ ✻ Welcome to Claude Code! │\r\n');
+  assert.deepStrictEqual(injected, ['compact'], 'archived, not cleared');
+  const text = fs.readFileSync(engine.getArchive().file, 'utf8');
+  assert.match(text, /\(compact\) ---\nold stuff\n/);
+  assert.match(text, /\(new-session\) ---\nConversation compacted\n/);
+});
+
+test('glitch recovery clears and kicks the detector once', async () => {
+  let attempts = 0;
+  let glitched = true;
+  const detector = {
+    trackStdout() {},
+    isInGlitchState: () => glitched,
+    attemptRecovery: async () => { attempts++; glitched = false; return true; }
+  };
+  const { engine, clock, injected } = setup({}, { detector });
+  assert.strictEqual(engine.process('output\r\n'), TRIM + 'output\r\n');
+  engine.process('more\r\n');
+  assert.deepStrictEqual(injected, ['glitch'], 'no second clear while recovery is running');
+  await clock.flush();
+  assert.strictEqual(attempts, 1);
+  assert.strictEqual(engine.glitchRecoveryInProgress, false);
+});
+
+test('glitch recovery respects glitchRecoveryEnabled', () => {
+  const detector = { trackStdout() {}, isInGlitchState: () => true, attemptRecovery: async () => true };
+  const { engine } = setup({ glitchRecoveryEnabled: false }, { detector });
+  assert.strictEqual(engine.process('output\r\n'), 'output\r\n');
+});
+
+test('injections never land inside a split sequence', () => {
+  const { engine } = setup({ clearAfterRenders: 1 });
+  assert.strictEqual(engine.process('\x1b[2'), '\x1b[2');
+  // the rest of \x1b[2J plus a home - the clear goes after the finished sequence
+  assert.strictEqual(engine.process('J' + HOME_CURSOR), 'J' + CLEAR_SCROLLBACK + HOME_CURSOR);
+});
+
+test('a chunk that is all middle-of-sequence defers the injection', () => {
+  const { engine } = setup();
+  engine.process('\x1b]0;title');
+  engine.use({ name: 'force', apply(ctx) { ctx.inject('<X>', 'test'); } });
+  assert.strictEqual(engine.process(' still title'), ' still title');
+  assert.strictEqual(engine.deferredPrefix, '<X>');
+  assert.strictEqual(engine.process('\x07done'), '\x07<X><X>done');
+});
+
+test('use() and removeRule() edit the pipeline', () => {
+  const { engine } = setup();
+  const seen = [];
+  const rule = { name: 'spy', apply(ctx) { seen.push(ctx.plain); } };
+  engine.use(rule, 0);
+  assert.strictEqual(engine.rules[0], rule);
+  engine.process('\x1b[1mbold\x1b[0m\r\n');
+  assert.deepStrictEqual(seen, ['bold\n']);
+
+  engine.removeRule('spy');
+  assert.ok(!engine.rules.includes(rule));
+  assert.throws(() => engine.use({ name: 'broken' }), TypeError);
+});
+
+test('a rule can stop the pipeline with passthrough()', () => {
+  const { engine } = setup({ clearAfterRenders: 1 });
+  engine.use({ name: 'stop', apply(ctx) { ctx.passthrough(); } }, 0);
+  assert.strictEqual(engine.process(FRAME), FRAME);
+  assert.strictEqual(engine.renderCount, 0);
+});
+
+test('later injections go in front of earlier ones', () => {
+  const { engine } = setup();
+  engine.use({ name: 'a', apply(ctx) { ctx.inject('<A>', 'a'); } });
+  engine.use({ name: 'b', apply(ctx) { ctx.inject('<B>', 'b'); } });
+  assert.strictEqual(engine.process('text\r\n'), '<B><A>text\r\n');
+});
+
+test('buffers come back decoded, disabled engines touch nothing', () => {
+  const { engine, config } = setup({ clearAfterRenders: 1 });
+  assert.strictEqual(engine.process(Buffer.from(FRAME)), CLEAR_SCROLLBACK + FRAME);
+  config.disabled = true;
+  const buf = Buffer.from(FRAME);
+  assert.strictEqual(engine.process(buf), buf);
+});
+
+test('a utf-8 character split across two reads comes out whole', () => {
+  const { engine, config } = setup();
+  const bytes = Buffer.from('héllo wörld\r\n');
+  assert.strictEqual(engine.process(bytes.subarray(0, 2)) + engine.process(bytes.subarray(2)), 'héllo wörld\r\n');
+  const emoji = Buffer.from('\u{1f600}');
+  assert.strictEqual(engine.process(emoji.subarray(0, 1)), '');
+  assert.strictEqual(engine.process(emoji.subarray(1, 3)), '');
+  assert.strictEqual(engine.process(emoji.subarray(3)), '\u{1f600}');
+
+  engine.process(bytes.subarray(0, 2));
+  config.disabled = true;
+  assert.deepStrictEqual(engine.process(bytes.subarray(2, 5)), Buffer.from('éll'), 'turned off halfway, nothing lost');
+});
+
+test('redaction still applies to a disabled engine, screen and output event both', () => {
+  const { engine } = setup({ disabled: true, redact: true });
+  const seen = [];
+  engine.on('output', data => seen.push(data));
+  const masked = 'key ' + '*'.repeat(40) + '\r\n';
+  assert.strictEqual(engine.process(Buffer.from('key ghp_' + 'a'.repeat(36) + '\r\n')), masked);
+  assert.deepStrictEqual(seen, [masked]);
+});
+
+test('pause() stops injections but keeps tracking', () => {
+  const { engine } = setup({ clearAfterRenders: 1 });
+  engine.pause();
+  for (let i = 0; i < 30; i++) assert.strictEqual(engine.process('row\r\n'), 'row\r\n');
+  assert.strictEqual(engine.getStats().paused, true);
+  assert.ok(engine.lineCount > 0, 'screen model kept up');
+  engine.resume();
+  assert.strictEqual(engine.process(FRAME), CLEAR_SCROLLBACK + FRAME);
+});
+
+test('clearNow() clears straight away, typing or not', () => {
+  const { engine, written, injected } = setup();
+  for (let i = 0; i < 30; i++) engine.process('row\r\n');
+  engine.noteTyping();
+  engine.clearNow('ctl');
+  assert.deepStrictEqual(written, [TRIM]);
+  assert.deepStrictEqual(injected, ['ctl']);
+  assert.strictEqual(engine.lineCount, 0);
+});
+
+test('noteInput() counts keys as typing, a bracketed paste doesn\'t', async () => {
+  const { engine, clock } = setup();
+  engine.noteInput('\x1b[200~' + 'line\r'.repeat(50) + '\x1b[201~');
+  assert.strictEqual(engine.isTypingActive(), false);
+  assert.strictEqual(engine.isPasteActive(), true);
+  assert.deepStrictEqual(engine.getStats().input, { pastes: 1, pasteBytes: 250 });
+
+  engine.noteInput('x');
+  assert.strictEqual(engine.isTypingActive(), true);
+  await clock.advance(engine.config.typingCooldownMs);
+  assert.strictEqual(engine.isPasteActive(), false);
+});
+
+test('safeClearScrollback() waits out typing', async () => {
+  const { engine, clock, written, injected } = setup();
+  engine.noteTyping();
+  engine.safeClearScrollback();
+  engine.safeClearScrollback();
+  await clock.flush();
+  assert.deepStrictEqual(written, []);
+  assert.strictEqual(engine.pendingClear, true);
+
+  await clock.advance(engine.config.typingCooldownMs);
+  assert.deepStrictEqual(written, [TRIM]);
+  assert.deepStrictEqual(injected, ['periodic']);
+});
+
+test('our own clears wait for a sequence to finish, and stop with the periodic clear', async () => {
+  const { engine, clock, written } = setup({ syncOutput: 'off' });
+  assert.strictEqual(engine.process('\x1b[38;5'), '\x1b[38;5');
+  engine.clearNow('ctl');
+  engine.safeClearScrollback();
+  await clock.flush();
+  assert.deepStrictEqual(written, [], 'nothing inside the child\'s half a sequence');
+  assert.strictEqual(engine.process(';1mred'), ';1m' + TRIM + TRIM + 'red');
+
+  engine.noteTyping();
+  engine.safeClearScrollback();
+  engine.stopPeriodicClear();
+  await clock.advance(engine.config.typingCooldownMs * 2);
+  assert.deepStrictEqual(written, [], 'a stopped engine doesn\'t clear later');
+  assert.strictEqual(clock.timers.size, 0);
+});
+
+test('safeClearScrollback() skips non-terminals', async () => {
+  const { engine, clock, written } = setup({}, { isTTY: false });
+  engine.safeClearScrollback();
+  await clock.flush();
+  assert.deepStrictEqual(written, []);
+});
+
+test('periodic clears start, stop and restart', async () => {
+  const { engine, clock, written } = setup({ periodicClearMs: 1000 });
+  engine.startPeriodicClear();
+  engine.startPeriodicClear();
+  await clock.advance(1000);
+  assert.strictEqual(written.length, 1);
+
+  engine.config.periodicClearMs = 500;
+  engine.restartPeriodicClear();
+  await clock.advance(1000);
+  assert.strictEqual(written.length, 3);
+
+  engine.pause();
+  await clock.advance(1000);
+  assert.strictEqual(written.length, 3, 'paused engines skip the timer');
+
+  engine.stopPeriodicClear();
+  engine.resume();
+  await clock.advance(1000);
+  assert.strictEqual(written.length, 3);
+});
+
+test('periodicClearMs 0 never schedules anything', () => {
+  const { engine, clock } = setup({ periodicClearMs: 0 });
+  engine.startPeriodicClear();
+  assert.strictEqual(clock.timers.size, 0);
+});
+
+test('resize() reaches the screen model', () => {
+  const { engine } = setup();
+  engine.resize(100, 40);
+  const { screen } = engine.getStats();
+  assert.strictEqual(screen.cols, 100);
+  assert.strictEqual(screen.rows, 40);
+});
+
+test('scrollback gets archived before each clear we inject', (t) => {
+  const dir = tmpDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const { engine } = setup({ archiveScrollback: true, archiveDir: dir, clearAfterRenders: 1 });
+
+  engine.process('answer line one\r\nanswer line two\r\n');
+  engine.process(FRAME);
+  engine.archiveScrollback('exit');
+
+  const text = fs.readFileSync(engine.getArchive().file, 'utf8');
+  assert.match(text, /\(render-count\) ---\nanswer line one\nanswer line two\n/);
+  assert.match(text, /\(exit\) ---\nframe\n/);
+  assert.strictEqual(engine.getStats().archive.flushes, 2);
+});
+
+test('archiveScrollback() is a no-op with archiving off', () => {
+  const { engine } = setup();
+  engine.process('something\r\n');
+  engine.archiveScrollback('exit');
+  assert.strictEqual(engine.archive, null);
+  assert.strictEqual(engine.getStats().archive, undefined);
+});
+
+test('getStats() lists the rules', () => {
+  const { engine } = setup();
+  engine.process(FRAME);
+  const stats = engine.getStats();
+  assert.strictEqual(stats.renderCount, 1);
+  assert.deepStrictEqual(stats.rules, defaultRules().map(r => r.name));
+});
+
+test('synchronized output wraps a frame and our clear in one update', async () => {
+  const { engine, clock, written } = setup({ syncOutput: 'on', clearAfterRenders: 2 });
+
+  const first = engine.process(FRAME);
+  assert.strictEqual(first, SYNC_BEGIN + FRAME);
+  assert.strictEqual(engine.syncOpen, true);
+
+  // the rest of the frame and the next one coalesce into the same update
+  assert.strictEqual(engine.process('more of it\r\n'), 'more of it\r\n');
+  await clock.advance(5);
+  const second = engine.process(FRAME);
+  assert.strictEqual(second, CLEAR_SCROLLBACK + FRAME, 'the clear lands inside the open update');
+  assert.deepStrictEqual(written, []);
+
+  await clock.advance(10);
+  assert.deepStrictEqual(written, [SYNC_END]);
+  assert.strictEqual(engine.syncOpen, false);
+
+  // next frame opens a fresh one
+  assert.ok(engine.process(FRAME).startsWith(SYNC_BEGIN));
+  assert.strictEqual(engine.getStats().syncUpdates, 2);
+});
+
+test('synchronized output never holds an update past 100ms', async () => {
+  const { engine, clock, written } = setup({ syncOutput: 'on' });
+  engine.process(FRAME);
+  for (let i = 0; i < 20; i++) {
+    await clock.advance(8);
+    engine.process(FRAME);
+  }
+  const ends = written.filter(w => w === SYNC_END).length;
+  assert.ok(ends >= 1, 'closed at least once during a 160ms burst');
+});
+
+test('synchronized output closes up for a keystroke echo', () => {
+  const { engine, written } = setup({ syncOutput: 'on' });
+  engine.process(FRAME);
+  assert.strictEqual(engine.process('a'), SYNC_END + 'a');
+  assert.strictEqual(engine.syncOpen, false);
+  // and an echo with nothing open goes through untouched
+  assert.strictEqual(engine.process('b'), 'b');
+  assert.deepStrictEqual(written, []);
+});
+
+test('synchronized output waits out a half-written sequence before ending', async () => {
+  const { engine, clock, written } = setup({ syncOutput: 'on' });
+  engine.process(FRAME + '\x1b[3');
+  await clock.advance(10);
+  assert.deepStrictEqual(written, [], 'not in the middle of \\x1b[3');
+  engine.process('1mred');
+  await clock.advance(10);
+  assert.deepStrictEqual(written, [SYNC_END]);
+});
+
+test('synchronized output follows the terminal profile on auto', () => {
+  const plain = setup();
+  assert.strictEqual(plain.engine.process(FRAME), FRAME, 'generic profile - no markers');
+  assert.strictEqual(plain.engine.getStats().syncOutput, false);
+
+  const kitty = setup({}, { terminal: PROFILES.kitty });
+  assert.strictEqual(kitty.engine.process(FRAME), SYNC_BEGIN + FRAME);
+
+  const off = setup({ syncOutput: 'off' }, { terminal: PROFILES.kitty });
+  assert.strictEqual(off.engine.process(FRAME), FRAME);
+
+  const pipe = setup({ syncOutput: 'on' }, { isTTY: false });
+  assert.strictEqual(pipe.engine.process(FRAME), FRAME, 'not a terminal');
+});
+
+test('pausing ends an open update', () => {
+  const { engine, written } = setup({ syncOutput: 'on' });
+  engine.process(FRAME);
+  engine.pause();
+  assert.deepStrictEqual(written, [SYNC_END]);
+  assert.strictEqual(engine.process(FRAME), FRAME);
+});
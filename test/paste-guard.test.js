@@ -0,0 +1,180 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { FakeClock } = require('../clock.cjs');
+const { defaults } = require('../config.cjs');
+const { PasteParser, PasteGuard, countLines, PASTE_START, PASTE_END } = require('../paste-guard.cjs');
+
+const paste = text => PASTE_START + text + PASTE_END;
+
+function setup(overrides = {}) {
+  const config = { ...defaults(), ...overrides };
+  const clock = new FakeClock(1000);
+  const written = [];
+  const prompts = [];
+  const guard = new PasteGuard({ config, clock, write: data => written.push(data), prompt: text => prompts.push(text) });
+  return { guard, config, clock, written, prompts };
+}
+
+test('PasteParser splits typing from pastes', () => {
+  const parser = new PasteParser();
+  assert.deepStrictEqual(parser.feed('ab' + paste('x\ry') + 'c'), [
+    { type: 'typed', data: 'ab', done: false },
+    { type: 'paste', data: 'x\ry', done: true },
+    { type: 'typed', data: 'c', done: false }
+  ]);
+  assert.deepStrictEqual(parser.feed(paste('')), [{ type: 'paste', data: '', done: true }]);
+});
+
+test('PasteParser follows markers and pastes across reads', () => {
+  const parser = new PasteParser();
+  assert.deepStrictEqual(parser.feed('a\x1b[20'), [{ type: 'typed', data: 'a', done: false }]);
+  assert.deepStrictEqual(parser.feed('0~one'), [{ type: 'paste', data: 'one', done: false }]);
+  assert.deepStrictEqual(parser.feed('two\x1b[2'), [{ type: 'paste', data: 'two', done: false }]);
+  assert.deepStrictEqual(parser.feed('01~'), [{ type: 'paste', data: '', done: true }]);
+  assert.deepStrictEqual(parser.feed('\x1b'), [{ type: 'typed', data: '\x1b', done: false }], 'escape on its own is a key');
+  assert.deepStrictEqual(parser.feed('\x1b[A'), [{ type: 'typed', data: '\x1b[A', done: false }]);
+});
+
+test('countLines() counts any kind of line break', () => {
+  assert.strictEqual(countLines('one'), 1);
+  assert.strictEqual(countLines('a\rb\nc\r\nd'), 4);
+});
+
+test('typing goes straight through', () => {
+  const { guard, written } = setup();
+  guard.input('hi');
+  assert.deepStrictEqual(written, ['hi']);
+  assert.strictEqual(guard.busy(), false);
+});
+
+test('a big paste goes in pieces, typing waits behind it', async () => {
+  const { guard, clock, written } = setup({ pasteChunkBytes: 4, pasteChunkDelayMs: 10 });
+  guard.input(paste('abcdefghij'));
+  guard.input('k');
+  assert.deepStrictEqual(written, [PASTE_START + 'abcd']);
+  assert.strictEqual(guard.busy(), true);
+  await clock.advance(10);
+  assert.deepStrictEqual(written, [PASTE_START + 'abcd', 'efgh']);
+  await clock.advance(10);
+  assert.deepStrictEqual(written, [PASTE_START + 'abcd', 'efgh', 'ij' + PASTE_END, 'k']);
+  assert.strictEqual(guard.busy(), false);
+  assert.deepStrictEqual(guard.getStats(), { pastes: 1, pasteBytes: 10, chunks: 3, confirmed: 0, cancelled: 0, asking: false, waiting: 0, queued: 0 });
+});
+
+test('small pastes and pasteChunkBytes 0 go in one write', () => {
+  const small = setup();
+  small.guard.input(paste('short'));
+  assert.deepStrictEqual(small.written, [paste('short')]);
+
+  const off = setup({ pasteChunkBytes: 0 });
+  off.guard.input(paste('x'.repeat(5000)));
+  assert.deepStrictEqual(off.written, [paste('x'.repeat(5000))]);
+});
+
+test('pieces don\'t cut a surrogate pair in half', () => {
+  const { guard, written } = setup({ pasteChunkBytes: 2, pasteChunkDelayMs: 0 });
+  guard.input(paste('a\u{1f600}b'));
+  assert.deepStrictEqual(written, [PASTE_START + 'a', '\u{1f600}', 'b' + PASTE_END]);
+});
+
+test('pasteChunkBytes counts utf-8 bytes, not characters', () => {
+  const { guard, written } = setup({ pasteChunkBytes: 4, pasteChunkDelayMs: 0 });
+  const events = [];
+  guard.on('paste', ev => events.push(ev));
+  guard.input(paste('ééé€a'));
+  assert.deepStrictEqual(written, [PASTE_START + 'éé', 'é', '€a' + PASTE_END]);
+  assert.deepStrictEqual(events, [{ bytes: 10, lines: 1 }]);
+  assert.strictEqual(guard.getStats().pasteBytes, 10);
+
+  const fits = setup({ pasteChunkBytes: 6 });
+  fits.guard.input(paste('ééé'));
+  assert.deepStrictEqual(fits.written, [paste('ééé')], 'exactly pasteChunkBytes is one piece');
+});
+
+test('ctrl-c drops the rest of a paste, claude still gets the end marker', async () => {
+  const { guard, clock, written } = setup({ pasteChunkBytes: 4, pasteChunkDelayMs: 10 });
+  const cancelled = [];
+  guard.on('paste-cancelled', ev => cancelled.push(ev));
+  guard.input(paste('abcdefghij'));
+  guard.input('\x03');
+  await clock.advance(10);
+  assert.deepStrictEqual(written, [PASTE_START + 'abcd', PASTE_END, '\x03']);
+  assert.deepStrictEqual(cancelled, [{ bytes: 12, reason: 'ctrl-c' }]);
+});
+
+test('a paste over pasteConfirmLines asks first', () => {
+  const { guard, written, prompts } = setup({ pasteConfirmLines: 2 });
+  const events = [];
+  guard.on('paste-confirmed', ev => events.push(['confirmed', ev]));
+  guard.on('paste-cancelled', ev => events.push(['cancelled', ev]));
+
+  guard.input(paste('one\rtwo'));
+  assert.deepStrictEqual(written, [paste('one\rtwo')], 'two lines is fine');
+
+  guard.input(paste('a\rb\rc'));
+  assert.deepStrictEqual(prompts, ['paste 3 lines (1K)? y/n']);
+  assert.strictEqual(guard.getStats().asking, true);
+  guard.input('x');
+  assert.strictEqual(written.length, 1, 'other keys don\'t answer or reach claude');
+  guard.input('y');
+  assert.deepStrictEqual(prompts, ['paste 3 lines (1K)? y/n', null]);
+  assert.deepStrictEqual(written[1], paste('a\rb\rc'));
+
+  guard.input(paste('a\rb\rc'));
+  guard.input('\x1b');
+  assert.strictEqual(written.length, 2, 'escape says no');
+  guard.input('z');
+  assert.deepStrictEqual(written[2], 'z', 'back to typing');
+  assert.deepStrictEqual(events.map(e => e[0]), ['confirmed', 'cancelled']);
+  assert.deepStrictEqual(events[1][1], { bytes: 5, lines: 3, reason: 'declined' });
+});
+
+test('pastes that come in while it\'s asking wait their turn', () => {
+  const { guard, written, prompts } = setup({ pasteConfirmLines: 2 });
+  guard.input(paste('a\rb\rc'));
+  guard.input(paste('short'));
+  guard.input(paste('d\re\rf\rg'));
+  assert.strictEqual(guard.getStats().waiting, 2);
+  assert.deepStrictEqual(written, []);
+
+  guard.input('n');
+  assert.deepStrictEqual(written, [paste('short')], 'the short one goes in, the long one asks');
+  assert.deepStrictEqual(prompts, ['paste 3 lines (1K)? y/n', null, 'paste 4 lines (1K)? y/n']);
+  guard.input('y');
+  assert.deepStrictEqual(written, [paste('short'), paste('d\re\rf\rg')]);
+  assert.deepStrictEqual(guard.getStats().waiting, 0);
+  assert.deepStrictEqual(guard.getStats().asking, false);
+});
+
+test('a paste that never ends goes in after pasteTimeoutMs, typing\'s typing again', async () => {
+  const { guard, clock, written, config } = setup();
+  guard.input(PASTE_START + 'half a paste');
+  guard.input(' and more\x1b[20');
+  await clock.advance(config.pasteTimeoutMs - 1);
+  assert.deepStrictEqual(written, [], 'still coming in');
+  await clock.advance(1);
+  assert.deepStrictEqual(written, [paste('half a paste and more\x1b[20')]);
+  guard.input('x');
+  assert.deepStrictEqual(written[1], 'x');
+
+  const forever = setup({ pasteTimeoutMs: 0 });
+  forever.guard.input(PASTE_START + 'abc');
+  await forever.clock.advance(60000);
+  assert.deepStrictEqual(forever.written, []);
+});
+
+test('close() stops writing and takes the question down', async () => {
+  const { guard, clock, written, prompts } = setup({ pasteChunkBytes: 4, pasteChunkDelayMs: 10 });
+  guard.input(paste('abcdefghij'));
+  guard.close();
+  await clock.advance(50);
+  assert.strictEqual(written.length, 1);
+
+  const asking = setup({ pasteConfirmLines: 1 });
+  asking.guard.input(paste('a\rb'));
+  asking.guard.close();
+  assert.deepStrictEqual(asking.prompts, ['paste 2 lines (1K)? y/n', null]);
+  assert.deepStrictEqual(prompts, []);
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const { PatchSet, interceptEvent, addListener } = require('../patches.cjs');
+
+test('restore() undoes everything newest first', () => {
+  const patches = new PatchSet();
+  const order = [];
+  patches.add(() => order.push(1));
+  patches.add(() => order.push(2));
+  patches.add(() => order.push(3));
+  assert.strictEqual(patches.size, 3);
+  assert.deepStrictEqual(patches.restore(), []);
+  assert.deepStrictEqual(order, [3, 2, 1]);
+  assert.strictEqual(patches.size, 0);
+});
+
+test('replace() puts back own properties and drops ones from the prototype', () => {
+  const patches = new PatchSet();
+  const emitter = new EventEmitter();
+  const obj = { write: () => 'original' };
+  patches.replace(obj, 'write', () => 'patched');
+  patches.replace(emitter, 'on', () => 'patched');
+  // a patch on top of a patch
+  patches.replace(obj, 'write', () => 'patched twice');
+  assert.strictEqual(obj.write(), 'patched twice');
+
+  patches.restore();
+  assert.strictEqual(obj.write(), 'original');
+  assert.strictEqual(Object.prototype.hasOwnProperty.call(emitter, 'on'), false);
+  assert.strictEqual(emitter.on, EventEmitter.prototype.on);
+});
+
+test('listen() listeners come off with the set', () => {
+  const patches = new PatchSet();
+  const emitter = new EventEmitter();
+  patches.listen(emitter, 'data', () => {});
+  assert.strictEqual(emitter.listenerCount('data'), 1);
+  patches.restore();
+  assert.strictEqual(emitter.listenerCount('data'), 0);
+});
+
+test('an undo that throws doesn\'t stop the rest', () => {
+  const patches = new PatchSet();
+  let ran = false;
+  patches.add(() => { ran = true; });
+  patches.add(() => { throw new Error('nope'); });
+  const errors = patches.restore();
+  assert.strictEqual(ran, true);
+  assert.deepStrictEqual(errors.map(e => e.message), ['nope']);
+});
+
+test('interceptEvent() catches every way to add and remove one event', () => {
+  const patches = new PatchSet();
+  const emitter = new EventEmitter();
+  const seen = [];
+  const real = interceptEvent(patches, emitter, 'SIGWINCH', {
+    add: (handler, how) => seen.push(['add', handler.name, how.method, how.once, how.prepend]),
+    remove: handler => seen.push(['remove', handler.name])
+  });
+
+  function a() {}
+  function b() {}
+  assert.strictEqual(emitter.on('SIGWINCH', a), emitter, 'still chains');
+  emitter.addListener('SIGWINCH', a);
+  emitter.once('SIGWINCH', b);
+  emitter.prependListener('SIGWINCH', a);
+  emitter.prependOnceListener('SIGWINCH', b);
+  emitter.removeListener('SIGWINCH', a);
+  emitter.off('SIGWINCH', b);
+  assert.deepStrictEqual(seen, [
+    ['add', 'a', 'on', false, false],
+    ['add', 'a', 'addListener', false, false],
+    ['add', 'b', 'once', true, false],
+    ['add', 'a', 'prependListener', false, true],
+    ['add', 'b', 'prependOnceListener', true, true],
+    ['remove', 'a'],
+    ['remove', 'b']
+  ]);
+  assert.strictEqual(emitter.listenerCount('SIGWINCH'), 0, 'none of that reached the emitter');
+
+  // other events go straight through, and the real methods skip us
+  emitter.on('exit', a);
+  real.on.call(emitter, 'SIGWINCH', a);
+  assert.strictEqual(emitter.listenerCount('exit'), 1);
+  assert.strictEqual(emitter.listenerCount('SIGWINCH'), 1);
+
+  patches.restore();
+  emitter.on('SIGWINCH', b);
+  assert.strictEqual(seen.length, 7);
+  assert.strictEqual(emitter.listenerCount('SIGWINCH'), 2);
+});
+
+test('addListener() does once by hand so it skips our own patches', () => {
+  const patches = new PatchSet();
+  const emitter = new EventEmitter();
+  const added = [];
+  const real = interceptEvent(patches, emitter, 'resize', { add: h => added.push(h), remove: () => {} });
+  let calls = 0;
+  const handler = () => calls++;
+
+  addListener(real, emitter, 'resize', handler, { once: true });
+  assert.deepStrictEqual(added, [], 'never went through the patched on()');
+  emitter.emit('resize');
+  emitter.emit('resize');
+  assert.strictEqual(calls, 1);
+
+  addListener(real, emitter, 'resize', handler, { once: true });
+  real.removeListener.call(emitter, 'resize', handler);
+  assert.strictEqual(emitter.listenerCount('resize'), 0, 'removable by the handler itself');
+  patches.restore();
+});
@@ -0,0 +1,162 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const EventEmitter = require('events');
+const { FakeClock } = require('../clock.cjs');
+const { defaults } = require('../config.cjs');
+const { OutputEngine } = require('../output-engine.cjs');
+const { PluginHost, loadPluginModule } = require('../plugins.cjs');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'plugin.js');
+
+function setup(overrides = {}, options = {}) {
+  const config = { ...defaults(), ...overrides };
+  delete config.detector;
+  const written = [];
+  const engine = new OutputEngine({
+    config,
+    clock: new FakeClock(1000000),
+    write: data => written.push(data),
+    columns: 80,
+    rows: 24,
+    ...options
+  });
+  const errors = [];
+  engine.plugins.on('plugin-error', ev => errors.push([ev.plugin, ev.hook, ev.error.message]));
+  return { engine, config, written, errors };
+}
+
+test('plugins can change, inject in front of and drop output', () => {
+  const { engine } = setup();
+  engine.plugins.add({ name: 'upper', output: ctx => ctx.replace(ctx.text.toUpperCase()) });
+  engine.plugins.add({
+    name: 'bell',
+    output(ctx) {
+      if (ctx.plain.includes('done')) ctx.inject('\x07');
+      if (ctx.text.startsWith('SECRET')) ctx.drop();
+    }
+  });
+  assert.strictEqual(engine.process('task done\r\n'), '\x07TASK DONE\r\n');
+  assert.strictEqual(engine.process('secret stuff\r\n'), '');
+  assert.strictEqual(engine.process('plain\r\n'), 'PLAIN\r\n');
+});
+
+test('order runs lower first, ties in the order they came', () => {
+  const { engine } = setup();
+  const ran = [];
+  engine.plugins.add({ name: 'b', output: () => ran.push('b') });
+  engine.plugins.add({ name: 'late', order: 10, output: () => ran.push('late') });
+  engine.plugins.add({ name: 'early', order: -1, output: () => ran.push('early') });
+  engine.plugins.add({ name: 'c', output: () => ran.push('c') });
+  engine.process('x');
+  assert.deepStrictEqual(ran, ['early', 'b', 'c', 'late']);
+  assert.deepStrictEqual(engine.getStats().plugins.map(p => p.name), ['early', 'b', 'c', 'late']);
+});
+
+test('a throwing plugin loses its changes, not the chunk, and gets switched off', () => {
+  const { engine, errors } = setup({ pluginMaxErrors: 2 });
+  const disabled = [];
+  engine.plugins.on('plugin-disabled', ev => disabled.push(ev));
+  engine.plugins.add({
+    name: 'broken',
+    output(ctx) {
+      ctx.replace('garbage');
+      ctx.drop();
+      throw new Error('oops');
+    }
+  });
+  engine.plugins.add({ name: 'fine', output: ctx => ctx.replace(ctx.text + '!') });
+
+  assert.strictEqual(engine.process('one'), 'one!');
+  assert.strictEqual(engine.process('two'), 'two!');
+  assert.deepStrictEqual(errors, [['broken', 'output', 'oops'], ['broken', 'output', 'oops']]);
+  assert.deepStrictEqual(disabled, [{ plugin: 'broken', errors: 2 }]);
+  assert.strictEqual(engine.process('three'), 'three!');
+  assert.strictEqual(errors.length, 2, 'switched off plugins don\'t run');
+  assert.deepStrictEqual(engine.getStats().plugins[0], { name: 'broken', order: 0, errors: 2, disabled: true });
+});
+
+test('rejected promises and failed setups count as errors', async () => {
+  const { engine, errors } = setup();
+  engine.plugins.add({ name: 'async', stdin: async () => { throw new Error('later'); } });
+  engine.plugins.add({ name: 'no-setup', setup() { throw new Error('nope'); }, output: ctx => ctx.drop() });
+  engine.plugins.stdin('a');
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepStrictEqual(errors, [['no-setup', 'setup', 'nope'], ['async', 'stdin', 'later']]);
+  assert.strictEqual(engine.process('kept'), 'kept', 'a plugin that didn\'t set up never runs');
+});
+
+test('plugins hear about stdin, resizes, session events and the detector', () => {
+  const detector = new EventEmitter();
+  detector.trackStdout = () => {};
+  detector.trackEcho = () => {};
+  detector.isInGlitchState = () => false;
+  detector.isRenderSpike = () => false;
+  const { engine } = setup({}, { detector });
+  const heard = [];
+  engine.plugins.add({
+    name: 'ears',
+    stdin: ev => heard.push(['stdin', ev.data]),
+    resize: ev => heard.push(['resize', ev.columns, ev.rows]),
+    session: ev => heard.push(['session', ev.event]),
+    detector: ev => heard.push(['detector', ev.type, ev.score])
+  });
+  engine.plugins.stdin(Buffer.from('hi'));
+  engine.resize(100, 30);
+  engine.resize(100, 30);
+  engine.process('Conversation compacted\r\n');
+  detector.emit('glitch-detected', { score: 0.8 });
+  assert.deepStrictEqual(heard, [
+    ['stdin', 'hi'],
+    ['resize', 100, 30],
+    ['session', 'compact'],
+    ['detector', 'glitch-detected', 0.8]
+  ]);
+
+  engine.plugins.close();
+  detector.emit('glitch-detected', { score: 0.9 });
+  assert.strictEqual(heard.length, 4, 'closing stops the detector events');
+});
+
+test('plugins keep running while the engine is paused', () => {
+  const { engine } = setup();
+  engine.plugins.add({ name: 'tag', output: ctx => { ctx.inject('<'); ctx.replace(ctx.text + '>'); } });
+  engine.pause();
+  assert.strictEqual(engine.process('x'), '<x>');
+});
+
+test('api lets plugins write and clear on their own', () => {
+  const { engine, written } = setup();
+  let api;
+  engine.plugins.add({ name: 'remote', setup: a => { api = a; } });
+  api.write('straight out');
+  api.clearScrollback('compact');
+  assert.strictEqual(written[0], 'straight out');
+  assert.ok(written[1].includes('\x1b[3J'));
+  assert.strictEqual(api.getStats().plugins.length, 1);
+});
+
+test('load() takes module paths and skips the ones that break', () => {
+  const host = new PluginHost({ config: defaults() });
+  const errors = [];
+  host.on('plugin-error', ev => errors.push([ev.plugin, ev.hook]));
+  host.load([FIXTURE, './nope-not-here.js']);
+  assert.deepStrictEqual(host.getStats().map(p => p.name), ['fixture-mask']);
+  assert.deepStrictEqual(errors, [['./nope-not-here.js', 'load']]);
+
+  assert.throws(() => loadPluginModule(path.join(__dirname, 'fixtures', 'recovery-strategy.js')), /has none of/);
+  assert.throws(() => host.add({ output() {} }), /needs a name/);
+});
+
+test('close() tears every plugin down, newest first, switched off or not', () => {
+  const host = new PluginHost({ config: { pluginMaxErrors: 1 } });
+  const order = [];
+  host.add({ name: 'a', setup: () => () => order.push('a returned'), teardown: () => order.push('a') });
+  host.add({ name: 'b', output() { throw new Error('x'); }, teardown: () => order.push('b') });
+  host.output('trip b');
+  host.close();
+  assert.deepStrictEqual(order, ['b', 'a returned', 'a']);
+  assert.strictEqual(host.size, 0);
+});
@@ -0,0 +1,165 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tmpDir } = require('./helpers.js');
+const { FakeClock } = require('../clock.cjs');
+const { defaults } = require('../config.cjs');
+const {
+  Recorder,
+  readRecording,
+  replayRecording,
+  formatReport
+} = require('../recording.cjs');
+
+const FRAME = '\x1b[2J\x1b[Hframe\r\n';
+
+function setup(t) {
+  const dir = tmpDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const clock = new FakeClock(1760000000000);
+  const file = path.join(dir, 'session.cast');
+  return { dir, clock, file };
+}
+
+test('Recorder writes asciicast v2 that readRecording() reads back', (t) => {
+  const { clock, file } = setup(t);
+  const rec = new Recorder(file, { clock, width: 100, height: 30, command: 'claude --resume' });
+  clock.time += 250;
+  rec.output('hello\r\n');
+  clock.time += 1000;
+  rec.input(Buffer.from('hi'));
+  rec.resize(120, 40);
+  rec.close();
+  rec.close();
+  rec.output('after close is dropped');
+
+  assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+  const { header, events } = readRecording(file);
+  assert.strictEqual(header.version, 2);
+  assert.strictEqual(header.width, 100);
+  assert.strictEqual(header.timestamp, 1760000000);
+  assert.strictEqual(header.command, 'claude --resume');
+  assert.deepStrictEqual(events, [
+    { time: 0.25, type: 'o', data: 'hello\r\n' },
+    { time: 1.25, type: 'i', data: 'hi' },
+    { time: 1.25, type: 'r', data: '120x40' }
+  ]);
+  assert.strictEqual(rec.events, 3);
+});
+
+test('Recorder replaces an old recording, and won\'t touch anything else', (t) => {
+  const { clock, file } = setup(t);
+  new Recorder(file, { clock }).close();
+  fs.chmodSync(file, 0o644);
+  const again = new Recorder(file, { clock, width: 90 });
+  again.close();
+  assert.strictEqual(readRecording(file).header.width, 90);
+  assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600, 'a new file, not the old one\'s mode');
+
+  const notes = file + '.txt';
+  fs.writeFileSync(notes, 'keep me');
+  assert.throws(() => new Recorder(notes, { clock }), /isn't a recording, not overwriting it/);
+  assert.strictEqual(fs.readFileSync(notes, 'utf8'), 'keep me');
+});
+
+test('with redact on, secrets you type or paste get masked in the recording', async (t) => {
+  const { clock, file } = setup(t);
+  const config = { ...defaults(), redact: true };
+  const rec = new Recorder(file, { clock, config });
+  const token = 'ghp_' + 'a'.repeat(36);
+  rec.input('\x1b[200~export GITHUB_TOKEN=' + token + '\x1b[201~');
+  rec.input('ghp_');
+  await clock.advance(config.redactHoldMs);
+  rec.input('x');
+  config.redact = false;
+  rec.input('ghp_' + 'b'.repeat(36));
+  rec.close();
+
+  const { events } = readRecording(file);
+  assert.deepStrictEqual(events.map(e => e.data), [
+    '\x1b[200~export GITHUB_TOKEN=' + '*'.repeat(40) + '\x1b[201~',
+    'ghp_',
+    'x',
+    'ghp_' + 'b'.repeat(36)
+  ]);
+});
+
+test('readRecording() complains about files it can\'t use', (t) => {
+  const { file } = setup(t);
+  fs.writeFileSync(file, '');
+  assert.throws(() => readRecording(file), /empty recording/);
+  fs.writeFileSync(file, '{"version":1}\n');
+  assert.throws(() => readRecording(file), /only asciicast v2/);
+  fs.writeFileSync(file, '{"version":2}\n[0,"o","ok"]\nnot json\n');
+  assert.throws(() => readRecording(file), /:3: bad event line/);
+});
+
+test('replay reports every clear the engine would inject, with timing', async () => {
+  const events = [];
+  for (let i = 0; i < 5; i++) events.push({ time: i * 0.1, type: 'o', data: FRAME });
+  events.push({ time: 0.5, type: 'o', data: 'Conversation cleared\r\n' });
+  events.push({ time: 65, type: 'i', data: 'x' });
+
+  const report = await replayRecording({ header: { version: 2, width: 80, height: 24 }, events }, {
+    config: { clearAfterRenders: 2, periodicClearMs: 60000 },
+    detectorConfig: { stdinTimeoutMs: 1000000 }
+  });
+
+  assert.deepStrictEqual(report.injections.map(i => i.reason),
+    ['render-count', 'render-count', 'slash-clear', 'periodic']);
+  assert.deepStrictEqual(report.injections.map(i => i.time), [0.1, 0.3, 0.5, 60]);
+  assert.strictEqual(report.events, 7);
+  assert.strictEqual(report.duration, 65);
+  assert.strictEqual(report.bytesIn, FRAME.length * 5 + 'Conversation cleared\r\n'.length);
+  assert.deepStrictEqual(report.verdicts, []);
+});
+
+test('replay reaches the same glitch verdicts every time', async () => {
+  const events = [];
+  for (let t = 0; t < 5; t += 0.25) events.push({ time: t, type: 'o', data: 'thinking... ' + t + '\r\n' });
+  // typed, and claude never answers
+  events.push({ time: 5, type: 'i', data: 'x' });
+  events.push({ time: 9, type: 'o', data: 'finally\r\n' });
+  events.push({ time: 9.1, type: 'r', data: '100x30' });
+  const recording = { header: { version: 2, width: 80, height: 24 }, events };
+
+  const first = await replayRecording(recording);
+  const second = await replayRecording(recording);
+  assert.deepStrictEqual(first.verdicts, second.verdicts);
+  assert.strictEqual(first.verdicts[0].verdict, 'glitch-detected');
+  assert.strictEqual(first.verdicts[0].signals.unechoedInput, true);
+  assert.strictEqual(first.verdicts[0].score, 0.5);
+  assert.match(first.verdicts[0].explanation, /unechoedInput 0.5/);
+  assert.ok(first.injections.some(i => i.reason === 'glitch'));
+  assert.ok(first.glitch.glitchesDetected >= 1);
+  assert.strictEqual(first.stats.screen.cols, 100);
+});
+
+test('formatReport() prints a timeline and totals', () => {
+  const text = formatReport({
+    duration: 12.5,
+    events: 3,
+    bytesIn: 10,
+    bytesOut: 14,
+    injections: [{ time: 2, reason: 'render-count' }],
+    verdicts: [
+      { time: 1, verdict: 'glitch-detected', signals: { stdinBlocked: true } },
+      { time: 3, verdict: 'recovery-success', method: 'scrollback-clear' },
+      { time: 4, verdict: 'glitch-resolved', duration: 3000 }
+    ],
+    glitch: { glitchesDetected: 1, recoveriesAttempted: 1 }
+  });
+  assert.strictEqual(text, [
+    '     1.000s  glitch-detected   {"stdinBlocked":true}',
+    '     2.000s  clear    render-count',
+    '     3.000s  recovery-success  via scrollback-clear',
+    '     4.000s  glitch-resolved   after 3000ms',
+    '',
+    '3 events over 12.5s, 10 bytes in, 14 bytes out',
+    'clears: render-count=1',
+    'glitches: 1, recoveries: 1'
+  ].join('\n'));
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { ROOT } = require('./helpers.js');
+const { FakeClock } = require('../clock.cjs');
+const { GlitchDetector } = require('../glitch-detector.cjs');
+const { BUILTIN, DEFAULT_ORDER, buildRegistry, loadStrategyModule } = require('../recovery.cjs');
+
+const FIXTURE = path.join(ROOT, 'test', 'fixtures', 'recovery-strategy.js');
+
+// detector with a fake execFile, glitched so recoveries have something to fix
+function setup(config = {}, env = {}, execResult = null) {
+  const clock = new FakeClock(1000000);
+  const writes = [];
+  const execs = [];
+  const detector = new GlitchDetector(config, {
+    clock,
+    env,
+    write: data => writes.push(data),
+    execFile: (cmd, args, options, cb) => {
+      execs.push([cmd].concat(args));
+      cb(execResult);
+    }
+  });
+  const attempts = [];
+  ['recovery-attempt', 'recovery-attempt-failed', 'recovery-success', 'recovery-failed'].forEach(name => {
+    detector.on(name, data => attempts.push({ name, data }));
+  });
+  return { clock, writes, execs, detector, attempts };
+}
+
+async function recover(clock, detector, options) {
+  const result = detector.attemptRecovery(options);
+  await clock.advance(detector.config.recoveryDelayMs * 10);
+  return result;
+}
+
+test('every built-in is in the default order', () => {
+  assert.deepStrictEqual(Object.keys(BUILTIN).sort(), DEFAULT_ORDER.slice().sort());
+  assert.ok(buildRegistry().get('tmux') === BUILTIN.tmux);
+});
+
+test('tmux sends Enter to its own pane without a shell', async () => {
+  const { clock, execs, detector, attempts } = setup({}, { TMUX: '/tmp/tmux-0/default,1,0', TMUX_PANE: '%3' });
+  assert.strictEqual(await recover(clock, detector, { force: true }), true);
+  assert.deepStrictEqual(execs, [['tmux', 'send-keys', '-t', '%3', 'Enter']]);
+  assert.deepStrictEqual(attempts.map(a => a.name), ['recovery-attempt', 'recovery-success']);
+  assert.strictEqual(attempts[1].data.method, 'tmux');
+});
+
+test('a screen session name is an argument, not part of a command line', async () => {
+  const sty = '1234.x"; rm -rf ~; "';
+  const { clock, execs, detector } = setup({}, { STY: sty });
+  assert.strictEqual(await recover(clock, detector, { force: true }), true);
+  assert.deepStrictEqual(execs, [['screen', '-S', sty, '-X', 'stuff', '\r']]);
+});
+
+test('a failing tmux falls through to the next strategy', async () => {
+  const { clock, writes, detector, attempts } = setup({}, { TMUX: 'x', TMUX_PANE: '%1' }, new Error('no server running'));
+  assert.strictEqual(await recover(clock, detector, { force: true }), true);
+  assert.strictEqual(attempts[1].name, 'recovery-attempt-failed');
+  assert.strictEqual(attempts[1].data.error.message, 'no server running');
+  assert.deepStrictEqual(attempts[3].data, { method: 'scrollback-clear', tried: ['tmux', 'scrollback-clear'] });
+  assert.deepStrictEqual(writes, ['\x1b[3J']);
+});
+
+test('pty-keystroke types Enter through the hook', async () => {
+  const { clock, detector } = setup({ recoveryOrder: ['pty-keystroke'] });
+  const typed = [];
+  detector.setRecoveryHooks({ sendInput: data => typed.push(data) });
+  assert.strictEqual(await recover(clock, detector, { force: true }), true);
+  assert.deepStrictEqual(typed, ['\r']);
+});
+
+test('sigwinch and repaint only count when the target redraws', async () => {
+  const { clock, writes, detector, attempts } = setup({ recoveryOrder: ['sigwinch', 'repaint'] });
+  let redraw = false;
+  detector.setRecoveryHooks({
+    resize: () => { if (redraw) detector.trackStdout(); }
+  });
+
+  // nothing redrew - both fail even though the detector is happy
+  assert.strictEqual(await recover(clock, detector, { force: true }), false);
+  assert.deepStrictEqual(attempts.pop().data, { tried: ['sigwinch', 'repaint'] });
+  assert.deepStrictEqual(writes, ['\x1b[2J\x1b[3J\x1b[H']);
+
+  redraw = true;
+  detector.trackStdin();
+  assert.strictEqual(await recover(clock, detector, { force: true }), true);
+  assert.strictEqual(attempts.pop().data.method, 'sigwinch');
+});
+
+test('strategies without what they need get skipped, unknown names too', async () => {
+  const { clock, detector } = setup({ recoveryOrder: ['nope', 'tmux', 'screen', 'pty-keystroke', 'sigwinch', 'scrollback-clear'] });
+  const tried = [];
+  detector.on('recovery-attempt', ({ method }) => tried.push(method));
+  assert.strictEqual(await recover(clock, detector, { force: true }), true);
+  assert.deepStrictEqual(tried, ['scrollback-clear']);
+});
+
+test('recoveryModules add strategies that recoveryOrder can name', async () => {
+  assert.strictEqual(loadStrategyModule(FIXTURE)[0].name, 'fixture-nudge');
+  const { clock, writes, detector } = setup({
+    recoveryModules: [FIXTURE],
+    recoveryOrder: ['fixture-nudge', 'scrollback-clear']
+  }, { FIXTURE_NUDGE: '1' });
+  assert.strictEqual(await recover(clock, detector, { force: true }), true);
+  assert.deepStrictEqual(writes, ['nudge']);
+});
+
+test('addStrategy() checks the shape and can replace a built-in', async () => {
+  const { clock, writes, detector } = setup({ recoveryOrder: ['scrollback-clear'] });
+  assert.throws(() => detector.addStrategy({ name: 'x' }), /needs a name and a run/);
+  detector.addStrategy({ name: 'scrollback-clear', run: ctx => ctx.write('mine') });
+  assert.strictEqual(await recover(clock, detector, { force: true }), true);
+  assert.deepStrictEqual(writes, ['mine']);
+});
+
+test('a glitch that sticks around tries everything then gives up', async () => {
+  const { clock, detector, attempts } = setup({}, { TMUX: 'x', TMUX_PANE: '%1' });
+  detector.trackStdin();
+  clock.time += 4000;
+  detector.checkGlitchState();
+  assert.strictEqual(await recover(clock, detector), false);
+  assert.deepStrictEqual(attempts.pop().data, { tried: ['tmux', 'scrollback-clear'] });
+});
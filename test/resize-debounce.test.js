@@ -0,0 +1,136 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const { FakeClock } = require('../clock.cjs');
+const { PatchSet } = require('../patches.cjs');
+const { Debounce, debounceEvent } = require('../resize-debounce.cjs');
+
+// a Debounce on a fake clock, fired is the args of every fire
+function setup(mode, delay = 100) {
+  const clock = new FakeClock(1000);
+  const fired = [];
+  let settled = 0;
+  const debounce = new Debounce({
+    clock,
+    fire: (...args) => fired.push(args[0]),
+    delay: () => delay,
+    mode: () => mode,
+    settle: () => settled++
+  });
+  return { clock, fired, debounce, settled: () => settled };
+}
+
+// a burst of n events 10ms apart, numbered from 1
+async function burst(clock, debounce, n) {
+  for (let i = 1; i <= n; i++) {
+    debounce.trigger(i);
+    await clock.advance(10);
+  }
+}
+
+test('both fires on the first event and again with the last', async () => {
+  const { clock, fired, debounce, settled } = setup('both');
+  await burst(clock, debounce, 5);
+  assert.deepStrictEqual(fired, [1]);
+  await clock.advance(100);
+  assert.deepStrictEqual(fired, [1, 5]);
+  assert.strictEqual(settled(), 1);
+  assert.deepStrictEqual(debounce.stats, { events: 5, fired: 2 });
+});
+
+test('both fires a lone event just once', async () => {
+  const { clock, fired, debounce, settled } = setup('both');
+  debounce.trigger('only');
+  await clock.advance(500);
+  assert.deepStrictEqual(fired, ['only']);
+  assert.strictEqual(settled(), 0, 'nothing to settle');
+});
+
+test('leading fires once per burst, straight away', async () => {
+  const { clock, fired, debounce, settled } = setup('leading');
+  await burst(clock, debounce, 5);
+  await clock.advance(100);
+  assert.deepStrictEqual(fired, [1]);
+  assert.strictEqual(settled(), 1);
+
+  // quiet for the window, so the next one's a new burst
+  debounce.trigger(6);
+  assert.deepStrictEqual(fired, [1, 6]);
+});
+
+test('trailing waits for the burst to settle', async () => {
+  const { clock, fired, debounce } = setup('trailing');
+  await burst(clock, debounce, 5);
+  assert.deepStrictEqual(fired, []);
+  await clock.advance(89);
+  assert.deepStrictEqual(fired, [], 'the window restarts on every event');
+  await clock.advance(1);
+  assert.deepStrictEqual(fired, [5]);
+});
+
+test('cancel() drops what was waiting', async () => {
+  const { clock, fired, debounce } = setup('trailing');
+  debounce.trigger(1);
+  debounce.cancel();
+  await clock.advance(500);
+  assert.deepStrictEqual(fired, []);
+});
+
+test('debounceEvent() takes every way in and runs handlers off one listener', async () => {
+  const clock = new FakeClock(1000);
+  const patches = new PatchSet();
+  const stdout = new EventEmitter();
+  const raw = [];
+  debounceEvent(patches, stdout, 'resize', {
+    clock,
+    delay: () => 100,
+    mode: () => 'both',
+    onEvent: () => raw.push(clock.now())
+  });
+
+  const calls = [];
+  const ink = function() { calls.push(['ink', this === stdout]); };
+  const gone = () => calls.push(['gone']);
+  stdout.on('resize', ink);
+  stdout.prependOnceListener('resize', () => calls.push(['first once']));
+  stdout.addListener('resize', gone);
+  stdout.removeListener('resize', gone);
+  stdout.on('other', () => calls.push(['other']));
+  assert.strictEqual(stdout.listenerCount('resize'), 1);
+
+  stdout.emit('resize');
+  stdout.emit('resize');
+  stdout.emit('resize');
+  stdout.emit('other');
+  await clock.advance(100);
+  assert.deepStrictEqual(calls, [['first once'], ['ink', true], ['other'], ['ink', true]]);
+  assert.strictEqual(raw.length, 3, 'onEvent sees every raw one');
+
+  // the last handler going takes our listener with it
+  stdout.off('resize', ink);
+  assert.strictEqual(stdout.listenerCount('resize'), 0);
+  patches.restore();
+});
+
+test('restoring puts handlers back as plain listeners and drops a pending fire', async () => {
+  const clock = new FakeClock(1000);
+  const patches = new PatchSet();
+  const proc = new EventEmitter();
+  const calls = [];
+  debounceEvent(patches, proc, 'SIGWINCH', { clock, delay: () => 100, mode: () => 'trailing' });
+  const handler = () => calls.push('on');
+  proc.on('SIGWINCH', handler);
+  proc.once('SIGWINCH', () => calls.push('once'));
+  proc.emit('SIGWINCH');
+
+  patches.restore();
+  await clock.advance(500);
+  assert.deepStrictEqual(calls, [], 'the pending trailing fire got cancelled');
+  assert.strictEqual(proc.listenerCount('SIGWINCH'), 2);
+  assert.strictEqual(proc.listeners('SIGWINCH')[0], handler);
+  proc.emit('SIGWINCH');
+  proc.emit('SIGWINCH');
+  assert.deepStrictEqual(calls, ['on', 'once', 'on']);
+});
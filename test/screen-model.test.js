@@ -0,0 +1,76 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { AnsiTokenizer } = require('../ansi-parser.cjs');
+const { ScreenModel, charWidth } = require('../screen-model.cjs');
+
+function feed(screen, str) {
+  return screen.apply(new AnsiTokenizer().feed(str));
+}
+
+test('charWidth() knows wide and zero-width characters', () => {
+  assert.strictEqual(charWidth('a'.codePointAt(0)), 1);
+  assert.strictEqual(charWidth('中'.codePointAt(0)), 2);
+  assert.strictEqual(charWidth('😀'.codePointAt(0)), 2);
+  assert.strictEqual(charWidth(0x301), 0);
+});
+
+test('newlines only count once the screen is full', () => {
+  const screen = new ScreenModel({ cols: 80, rows: 5 });
+  assert.strictEqual(feed(screen, 'a\r\nb\r\nc\r\nd\r\n'), 0);
+  assert.strictEqual(feed(screen, 'e\r\nf\r\ng\r\n'), 3);
+  assert.strictEqual(screen.scrolledOff, 3);
+});
+
+test('long lines wrap into extra rows', () => {
+  const screen = new ScreenModel({ cols: 10, rows: 2 });
+  assert.strictEqual(feed(screen, 'x'.repeat(35)), 2);
+  assert.deepStrictEqual(screen.getState().cursor, { row: 1, col: 5 });
+});
+
+test('writing the last column holds the wrap until the next char', () => {
+  const screen = new ScreenModel({ cols: 4, rows: 1 });
+  assert.strictEqual(feed(screen, 'abcd'), 0);
+  assert.strictEqual(feed(screen, '\r'), 0);
+  assert.strictEqual(feed(screen, 'abcde'), 1);
+});
+
+test('redraws with cursor up don\'t grow scrollback', () => {
+  const screen = new ScreenModel({ cols: 80, rows: 5 });
+  feed(screen, '1\r\n2\r\n3\r\n4\r\n');
+  for (let i = 0; i < 20; i++) assert.strictEqual(feed(screen, '\x1b[3Aa\r\nb\r\nc\r\n'), 0);
+});
+
+test('scroll regions and the alt screen don\'t feed scrollback', () => {
+  const screen = new ScreenModel({ cols: 80, rows: 10 });
+  feed(screen, '\x1b[2;5r\x1b[5;1H');
+  assert.strictEqual(feed(screen, '\r\n\r\n\r\n'), 0);
+
+  const alt = new ScreenModel({ cols: 80, rows: 3 });
+  feed(alt, '\x1b[?1049h');
+  assert.strictEqual(feed(alt, 'a\r\nb\r\nc\r\nd\r\n'), 0);
+  assert.strictEqual(alt.getState().altScreen, true);
+});
+
+test('clearScrollback() restarts the count, resize() clamps the cursor', () => {
+  const screen = new ScreenModel({ cols: 80, rows: 2 });
+  feed(screen, 'a\r\nb\r\nc\r\n');
+  screen.clearScrollback();
+  assert.strictEqual(screen.scrolledOff, 0);
+  screen.clearScrollback(2);
+  assert.strictEqual(screen.scrolledOff, 2);
+
+  screen.resize(40, 1);
+  assert.deepStrictEqual(screen.getState().cursor, { row: 0, col: 0 });
+  screen.resize(0, 0);
+  assert.strictEqual(screen.cols, 40, 'bogus sizes are ignored');
+});
+
+test('save and restore cursor', () => {
+  const screen = new ScreenModel({ cols: 80, rows: 24 });
+  feed(screen, '\x1b[5;10H\x1b7\x1b[H\x1b8');
+  assert.deepStrictEqual(screen.getState().cursor, { row: 4, col: 9 });
+  feed(screen, '\x1b[H\x1b[s\x1b[10;10H\x1b[u');
+  assert.deepStrictEqual(screen.getState().cursor, { row: 0, col: 0 });
+});
@@ -0,0 +1,103 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { tmpDir } = require('./helpers.js');
+const { AnsiTokenizer } = require('../ansi-parser.cjs');
+const {
+  ScrollbackArchive,
+  defaultArchiveDir,
+  makeSessionId,
+  listSessions,
+  readSession,
+  searchArchives
+} = require('../scrollback-archive.cjs');
+
+function setup(t, options = {}) {
+  const dir = tmpDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const archive = new ScrollbackArchive({ dir, sessionId: 'session-a', ...options });
+  const capture = str => archive.capture(new AnsiTokenizer().feed(str));
+  return { dir, archive, capture };
+}
+
+test('defaultArchiveDir() and makeSessionId()', () => {
+  assert.strictEqual(defaultArchiveDir(), path.join(os.homedir(), '.claudescreenfix', 'history'));
+  assert.strictEqual(makeSessionId(new Date(2026, 9, 19, 3, 15, 0), 4242), '20261019-031500-4242');
+});
+
+test('capture() keeps finished lines and drops redraws', (t) => {
+  const { archive, capture } = setup(t);
+  capture('\x1b[1mkeep\x1b[0m me\r\nspinner 1\r\n');
+  capture('\x1b[1Aspinner 2\r\n');
+  capture('progress 10%\rprogress 99%');
+  assert.deepStrictEqual(archive.lines, ['keep me', 'spinner 2']);
+  assert.strictEqual(archive.current, 'progress 99%');
+  capture('\x1b[K');
+  assert.strictEqual(archive.current, '');
+});
+
+test('flush() appends with a header and resets', (t) => {
+  const { archive, capture } = setup(t);
+  assert.strictEqual(archive.flush('empty'), false);
+  capture('one\r\ntwo');
+  assert.strictEqual(archive.hasPending(), true);
+  assert.strictEqual(archive.flush('render-count'), true);
+  assert.strictEqual(archive.hasPending(), false);
+
+  const text = fs.readFileSync(archive.file, 'utf8');
+  assert.match(text, /^--- \d{4}-\d\d-\d\dT[\d:.]+Z \(render-count\) ---\none\ntwo\n$/);
+  assert.strictEqual(fs.statSync(archive.file).mode & 0o777, 0o600);
+  assert.deepStrictEqual(archive.getStats(), { file: archive.file, flushes: 1, bytesWritten: Buffer.byteLength(text) });
+});
+
+test('transcripts rotate and old parts fall off', (t) => {
+  const { dir, archive, capture } = setup(t, { maxBytes: 100, maxFiles: 3 });
+  for (let i = 0; i < 6; i++) {
+    capture('x'.repeat(60) + i + '\r\n');
+    archive.flush();
+  }
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['session-a.log', 'session-a.log.1', 'session-a.log.2']);
+});
+
+test('a failed write doesn\'t throw', (t) => {
+  const { dir } = setup(t);
+  const file = path.join(dir, 'not-a-dir');
+  fs.writeFileSync(file, '');
+  const logged = [];
+  const archive = new ScrollbackArchive({ dir: file, log: (...a) => logged.push(a.join(' ')) });
+  archive.capture(new AnsiTokenizer().feed('line\r\n'));
+  assert.strictEqual(archive.flush(), false);
+  assert.match(logged[0], /archive write failed/);
+  assert.strictEqual(archive.hasPending(), true, 'kept for the next try');
+});
+
+test('listSessions(), readSession() and searchArchives()', (t) => {
+  const { dir, archive, capture } = setup(t, { maxBytes: 80 });
+  capture('first part with a needle in it\r\n');
+  archive.flush();
+  capture('second part ' + 'y'.repeat(50) + '\r\n');
+  archive.flush();
+
+  const other = new ScrollbackArchive({ dir, sessionId: 'session-b' });
+  other.capture(new AnsiTokenizer().feed('newer NEEDLE\r\n'));
+  other.flush();
+  const future = Date.now() / 1000 + 60;
+  fs.utimesSync(other.file, future, future);
+
+  const sessions = listSessions(dir);
+  assert.deepStrictEqual(sessions.map(s => s.id), ['session-b', 'session-a']);
+  assert.strictEqual(sessions[1].files.length, 2);
+
+  const full = readSession('session-a', dir);
+  assert.ok(full.indexOf('first part') < full.indexOf('second part'), 'rotated parts read in order');
+  assert.match(readSession('last', dir), /newer NEEDLE/);
+  assert.strictEqual(readSession('nope', dir), null);
+
+  const hits = searchArchives('needle', dir);
+  assert.deepStrictEqual(hits.map(h => h.session).sort(), ['session-a', 'session-b']);
+  assert.deepStrictEqual(listSessions(path.join(dir, 'missing')), []);
+});
@@ -0,0 +1,179 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tmpDir } = require('./helpers.js');
+const { FakeClock } = require('../clock.cjs');
+const { AnsiTokenizer } = require('../ansi-parser.cjs');
+const { defaults } = require('../config.cjs');
+const {
+  SessionMatcher,
+  compileMatchers,
+  classifyLine,
+  satisfies,
+  detectVersion
+} = require('../session-events.cjs');
+
+// a matcher on defaults + overrides, feed() takes raw output
+function setup(overrides = {}, version = null) {
+  const config = { ...defaults(), ...overrides };
+  const clock = new FakeClock(1000);
+  const logged = [];
+  const matcher = new SessionMatcher({ config, version, clock, log: msg => logged.push(msg) });
+  const tokenizer = new AnsiTokenizer();
+  const feed = text => matcher.feed(tokenizer.feed(text));
+  return { matcher, config, clock, logged, feed };
+}
+
+test('classifyLine() sorts lines into ink\'s regions', () => {
+  assert.deepStrictEqual(classifyLine('⏺ Conversation cleared means...'), { region: 'message', content: 'Conversation cleared means...' });
+  assert.deepStrictEqual(classifyLine('  ⎿  (no content)'), { region: 'result', content: '(no content)' });
+  assert.deepStrictEqual(classifyLine('│ Do you want to proceed?   │'), { region: 'box', content: 'Do you want to proceed?' });
+  assert.deepStrictEqual(classifyLine('  Chat cleared  '), { region: 'line', content: 'Chat cleared' });
+  assert.strictEqual(classifyLine('  Chat cleared', true).region, 'message', 'indented under a message');
+  assert.strictEqual(classifyLine('Chat cleared', true).region, 'message', 'the next paragraph of one');
+  assert.strictEqual(classifyLine('╭────╮', true).region, 'box', 'the prompt box ends it');
+  assert.strictEqual(classifyLine('  ⎿  Chat cleared', true).region, 'result');
+  assert.deepStrictEqual(classifyLine('| Chat cleared | yes |'), { region: 'line', content: '| Chat cleared | yes |' }, 'a markdown table isn\'t a box');
+});
+
+test('a clear has to be the line, not something claude says', () => {
+  const { feed } = setup();
+  assert.deepStrictEqual(feed('⏺ Conversation cleared is what /clear prints\r\n'), []);
+  assert.deepStrictEqual(feed('  Chat cleared shows up when you run it\r\n'), [], 'still the message, wrapped');
+  assert.deepStrictEqual(feed('\r\n  Chat cleared\r\n'), [], 'so is the next paragraph');
+  assert.deepStrictEqual(feed('╭────╮\r\n│ > │\r\n╰────╯\r\n  Chat cleared\r\n').length, 1, 'the prompt box ends the message');
+  const [ev] = feed('\x1b[2K\x1b[1G\x1b[2mConversation cleared\x1b[0m\r\n');
+  assert.deepStrictEqual(ev, {
+    event: 'clear',
+    region: 'line',
+    line: 'Conversation cleared',
+    pattern: 'Conversation cleared',
+    scrollback: 'clear',
+    reason: 'slash-clear',
+    version: null
+  });
+});
+
+test('a long answer stays claude talking, blank lines and all', () => {
+  const { feed, matcher } = setup();
+  const answer = [
+    '⏺ Here\'s what the session commands print.',
+    '',
+    'Conversation cleared is what /clear leaves behind.',
+    '',
+    '| command | prints |',
+    '|---------|--------|',
+    '| /clear  | Chat cleared |',
+    '',
+    '  Compacted is what /compact says, and /exit just says',
+    '',
+    'Goodbye!',
+    ''
+  ].join('\r\n');
+  assert.deepStrictEqual(feed(answer), []);
+  assert.deepStrictEqual(matcher.getStats().events, {});
+
+  assert.deepStrictEqual(feed('\x1b[2J\x1b[HChat cleared\r\n').map(e => e.event), ['clear'], 'a wiped screen ends it too');
+});
+
+test('lines are followed across reads, a match fires as soon as it can', () => {
+  const { feed } = setup();
+  assert.deepStrictEqual(feed('Conver'), []);
+  assert.strictEqual(feed('sation cleared')[0].event, 'clear');
+  assert.deepStrictEqual(feed('\r\n'), [], 'the rest of the line doesn\'t fire it again');
+});
+
+test('built-in events carry their scrollback policy', () => {
+  const { feed, matcher } = setup();
+  assert.deepStrictEqual(feed('╭──────╮\r\n│ ✻ Welcome to Claude Code! │\r\n').map(e => [e.event, e.scrollback]), [['new-session', 'clear']]);
+  assert.deepStrictEqual(feed('  ⎿  Compacted. ctrl+r to see full summary\r\n').map(e => [e.event, e.scrollback]), [['compact', 'clear']]);
+  assert.deepStrictEqual(feed('│ Do you want to make this edit to a.js? │\r\n').map(e => [e.event, e.scrollback]), [['permission', 'keep']]);
+  assert.deepStrictEqual(feed('Goodbye'), [], 'ends in $, waits for the whole line');
+  assert.deepStrictEqual(feed('!\r\n').map(e => [e.event, e.scrollback]), [['exit', 'archive']]);
+  assert.deepStrictEqual(matcher.getStats().events, { 'new-session': 1, compact: 1, permission: 1, exit: 1 });
+});
+
+test('compact takes the line claude prints, not any output that starts with Compacted', () => {
+  const { feed } = setup();
+  assert.deepStrictEqual(feed('  ⎿  Compacted 3 migrations into one\r\n'), []);
+  assert.deepStrictEqual(feed('Compacted\r\n'), []);
+  assert.deepStrictEqual(feed('  ⎿  Compacted (ctrl+o to see full summary)\r\n').map(e => e.event), ['compact']);
+  assert.deepStrictEqual(feed('Conversation compacted\r\n').map(e => e.event), ['compact']);
+});
+
+test('ink drawing the same line again isn\'t a new event', async () => {
+  const { feed, clock } = setup();
+  assert.strictEqual(feed('Chat cleared\r\n').length, 1);
+  assert.strictEqual(feed('\x1b[3A\x1b[2KChat cleared\r\n').length, 0);
+  await clock.advance(1000);
+  assert.strictEqual(feed('Chat cleared\r\n').length, 1, 'a second later it\'s a new /clear');
+});
+
+test('sessionEvents adds matchers, changes policies and drops built-ins', () => {
+  const { feed } = setup({
+    sessionEvents: {
+      clear: { matchers: [{ pattern: 'Historial borrado', regions: ['result'] }] },
+      compact: { scrollback: 'keep' },
+      exit: { builtin: false }
+    }
+  });
+  assert.deepStrictEqual(feed('Historial borrado\r\n'), [], 'only in a result');
+  assert.strictEqual(feed('⎿ Historial borrado\r\n')[0].reason, 'slash-clear');
+  assert.strictEqual(feed('Conversation compacted\r\n')[0].scrollback, 'keep');
+  assert.deepStrictEqual(feed('Goodbye!\r\n'), []);
+});
+
+test('matchers only apply to the versions they name', () => {
+  const sessionEvents = { compact: { builtin: false, matchers: [{ pattern: 'Squashed', versions: '>=2.0.0' }] } };
+  assert.deepStrictEqual(setup({ sessionEvents }, '1.0.61').feed('Squashed\r\n'), []);
+  assert.strictEqual(setup({ sessionEvents }, '2.1.0').feed('Squashed\r\n').length, 1);
+  assert.strictEqual(setup({ sessionEvents }).feed('Squashed\r\n').length, 1, 'unknown version tries them all');
+
+  const { matcher, feed } = setup({ sessionEvents }, '1.0.0');
+  matcher.setVersion('2.0.0');
+  assert.strictEqual(feed('Squashed\r\n')[0].version, '2.0.0');
+});
+
+test('satisfies() handles comparator ranges', () => {
+  assert.strictEqual(satisfies('1.0.61', '>=1.0.0 <2'), true);
+  assert.strictEqual(satisfies('2.0.0', '>=1.0.0 <2'), false);
+  assert.strictEqual(satisfies('v1.2.3-beta', '=1.2.3'), true);
+  assert.strictEqual(satisfies('1.2.3', '1.2'), false);
+  assert.strictEqual(satisfies('1.2.3', '>1.2'), true);
+  assert.strictEqual(satisfies(null, '>=9'), true);
+  assert.strictEqual(satisfies('1.0.0', ''), true);
+});
+
+test('compileMatchers() reports what it can\'t use', () => {
+  const { problems, matchers } = compileMatchers({
+    sessionEvents: {
+      nap: {},
+      clear: { scrollback: 'shred', matchers: [{ pattern: '(' }, { pattern: 'x', regions: ['footer'] }] }
+    }
+  }, null);
+  assert.strictEqual(problems.length, 4);
+  assert.ok(problems.some(p => /unknown event nap/.test(p)));
+  assert.ok(problems.some(p => /clear\.scrollback should be one of clear, archive, keep/.test(p)));
+  assert.ok(problems.some(p => /bad pattern \(/.test(p)));
+  assert.ok(problems.some(p => /unknown region footer/.test(p)));
+  assert.ok(matchers.every(m => m.scrollback === 'clear' || m.event !== 'clear'), 'a bad policy falls back');
+});
+
+test('detectVersion() finds the package.json or a versioned install', () => {
+  const dir = tmpDir();
+  const pkg = path.join(dir, 'node_modules', '@anthropic-ai', 'claude-code');
+  fs.mkdirSync(pkg, { recursive: true });
+  fs.writeFileSync(path.join(pkg, 'package.json'), JSON.stringify({ name: '@anthropic-ai/claude-code', version: '1.0.61' }));
+  fs.writeFileSync(path.join(pkg, 'cli.js'), '');
+  fs.symlinkSync(path.join(pkg, 'cli.js'), path.join(dir, 'claude'));
+  assert.strictEqual(detectVersion(path.join(dir, 'claude')), '1.0.61');
+
+  fs.mkdirSync(path.join(dir, 'versions'));
+  fs.writeFileSync(path.join(dir, 'versions', '2.0.14'), '');
+  assert.strictEqual(detectVersion(path.join(dir, 'versions', '2.0.14')), '2.0.14');
+  assert.strictEqual(detectVersion(path.join(dir, 'missing')), null);
+  assert.strictEqual(detectVersion(null), null);
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tmpDir } = require('./helpers.js');
+const {
+  resolveTarget,
+  searchDirs,
+  isExecutable,
+  TargetError,
+  DEFAULT_TARGET
+} = require('../target.cjs');
+
+// a home, a project and a PATH dir, nothing installed anywhere yet
+function setup(t) {
+  const root = tmpDir();
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const home = path.join(root, 'home');
+  const project = path.join(home, 'work', 'app');
+  const bin = path.join(root, 'bin');
+  [project, bin].forEach(d => fs.mkdirSync(d, { recursive: true }));
+  // no system dirs, whatever's installed on this machine stays out of it
+  const options = { homedir: home, cwd: project, env: { PATH: bin }, systemDirs: [] };
+  return { root, home, project, bin, options };
+}
+
+function install(dir, name = 'claude', mode = 0o755) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, '#!/bin/sh\n', { mode });
+  return file;
+}
+
+test('looks for claude by default', (t) => {
+  const { bin, options } = setup(t);
+  assert.strictEqual(DEFAULT_TARGET, 'claude');
+  const file = install(bin);
+  const target = resolveTarget({}, options);
+  assert.strictEqual(target.name, 'claude');
+  assert.strictEqual(target.path, file);
+  assert.deepStrictEqual(target.args, []);
+});
+
+test('$PATH comes first, node_modules/.bin only when asked and last', (t) => {
+  const { home, project, bin, options } = setup(t);
+  const local = install(path.join(home, 'work', 'node_modules', '.bin'));
+  assert.throws(() => resolveTarget({}, options), TargetError, 'a claude in the repo you\'re in isn\'t picked up');
+  assert.ok(!searchDirs(options).includes(path.join(project, 'node_modules', '.bin')));
+  assert.strictEqual(resolveTarget({ searchNodeModules: true }, options).path, local);
+
+  const installed = install(path.join(home, '.local', 'bin'));
+  assert.strictEqual(resolveTarget({ searchNodeModules: true }, options).path, installed);
+  const onPath = install(bin);
+  assert.strictEqual(resolveTarget({ searchNodeModules: true }, options).path, onPath);
+  const dirs = searchDirs({ ...options, nodeModules: true });
+  assert.strictEqual(dirs[0], bin);
+  assert.strictEqual(dirs[dirs.length - 1], path.parse(project).root + 'node_modules/.bin');
+});
+
+test('falls back to nvm installs, newest node first', (t) => {
+  const { home, options } = setup(t);
+  const versions = path.join(home, '.nvm', 'versions', 'node');
+  install(path.join(versions, 'v9.11.0', 'bin'));
+  const newest = install(path.join(versions, 'v20.11.0', 'bin'));
+  install(path.join(versions, 'v18.19.1', 'bin'));
+  assert.strictEqual(resolveTarget({}, options).path, newest);
+
+  const pinned = install(path.join(home, 'pinned'));
+  assert.strictEqual(resolveTarget({}, { ...options, env: { ...options.env, NVM_BIN: path.dirname(pinned) } }).path, pinned);
+});
+
+test('cmd can be any name, a path, and bring its own args', (t) => {
+  const { project, bin, options } = setup(t);
+  const other = install(bin, 'gemini');
+  assert.strictEqual(resolveTarget({ cmd: 'gemini', cmdArgs: ['--x'] }, options).path, other);
+  assert.deepStrictEqual(resolveTarget({ cmd: 'gemini', cmdArgs: ['--x'] }, options).args, ['--x']);
+
+  const script = install(path.join(project, 'scripts'), 'run-cli');
+  assert.strictEqual(resolveTarget({ cmd: './scripts/run-cli' }, options).path, script);
+  assert.strictEqual(resolveTarget({ cmd: script }, options).path, script);
+});
+
+test('not finding it explains everywhere it looked', (t) => {
+  const { home, bin, options } = setup(t);
+  install(bin, 'claude', 0o644);
+  let err;
+  try {
+    resolveTarget({}, options);
+  } catch (e) {
+    err = e;
+  }
+  assert.ok(err instanceof TargetError);
+  assert.ok(err.tried.includes(path.join(bin, 'claude')), 'not executable doesn\'t count');
+  assert.ok(err.tried.includes(path.join(home, '.local', 'bin', 'claude')));
+  assert.match(err.message, /^claude not found, tried:\n/);
+  assert.match(err.message, /--cmd/);
+
+  assert.throws(() => resolveTarget({ cmd: './nope' }, options), e => e.tried.length === 1);
+});
+
+test('isExecutable() wants an executable file', (t) => {
+  const { bin } = setup(t);
+  assert.strictEqual(isExecutable(install(bin, 'yes')), true);
+  assert.strictEqual(isExecutable(install(bin, 'no', 0o644)), false);
+  assert.strictEqual(isExecutable(bin), false);
+  assert.strictEqual(isExecutable(path.join(bin, 'missing')), false);
+});
@@ -0,0 +1,205 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const childProcess = require('child_process');
+const { fakeStdout, fakeProcess, freshRequire } = require('./helpers.js');
+const { FakeClock } = require('../clock.cjs');
+const { defaults } = require('../config.cjs');
+const { OutputEngine } = require('../output-engine.cjs');
+const {
+  PROFILES,
+  PROFILE_NAMES,
+  resolveTerminal,
+  decodeTerminfo,
+  fromEnv,
+  fromQueryReply,
+  syncFromReply,
+  queryTerminal,
+  lateReplies,
+  profileFromReply,
+  QUERY
+} = require('../terminal.cjs');
+
+const noTerminfo = () => null;
+
+test('every profile has a scrollback clear and DECSC/DECRC', () => {
+  for (const name of PROFILE_NAMES) {
+    const p = PROFILES[name];
+    assert.strictEqual(p.name, name);
+    assert.ok(p.clearScrollback);
+    assert.strictEqual(p.saveCursor, '\x1b7');
+    assert.strictEqual(p.restoreCursor, '\x1b8');
+  }
+});
+
+test('fromEnv() knows the terminals by what they set', () => {
+  const cases = [
+    [{ TERM_PROGRAM: 'iTerm.app', TERM: 'xterm-256color' }, 'iterm2'],
+    [{ TERM_PROGRAM: 'WezTerm', TERM: 'xterm-256color' }, 'wezterm'],
+    [{ TERM: 'xterm-kitty' }, 'kitty'],
+    [{ TERM: 'xterm-256color', KITTY_WINDOW_ID: '1' }, 'kitty'],
+    [{ TERM: 'alacritty' }, 'alacritty'],
+    [{ TERM: 'xterm-256color', WT_SESSION: 'abc' }, 'windows-terminal'],
+    [{ TERM: 'xterm-256color', VTE_VERSION: '7600' }, 'vte'],
+    [{ TERM: 'linux' }, 'linux'],
+    [{ TERM: 'xterm-256color' }, 'xterm'],
+    [{ TERM: 'tmux-256color' }, null],
+    [{}, null]
+  ];
+  for (const [env, name] of cases) assert.strictEqual(fromEnv(env), name, JSON.stringify(env));
+});
+
+test('resolveTerminal(): config, then env, then terminfo, then generic', () => {
+  const env = { TERM: 'xterm-kitty' };
+  assert.strictEqual(resolveTerminal({ terminalProfile: 'linux' }, { env, terminfo: noTerminfo }).name, 'linux');
+  const fromEnvironment = resolveTerminal({ terminalProfile: 'auto' }, { env, terminfo: noTerminfo });
+  assert.deepStrictEqual([fromEnvironment.name, fromEnvironment.source], ['kitty', 'env']);
+
+  const terminfo = () => ({ E3: '\x1b[3J', sc: '\x1b[s', rc: '\x1b[u' });
+  const fromTerminfo = resolveTerminal({}, { env: { TERM: 'foot' }, terminfo });
+  assert.strictEqual(fromTerminfo.name, 'terminfo:foot');
+  assert.strictEqual(fromTerminfo.saveCursor, '\x1b[s');
+
+  // no E3 in terminfo - stick with the generic profile
+  const fallback = resolveTerminal({}, { env: { TERM: 'dumb' }, terminfo: () => ({ sc: '\x1b7' }) });
+  assert.deepStrictEqual([fallback.name, fallback.source], ['generic', 'default']);
+});
+
+test('decodeTerminfo() unescapes infocmp output', () => {
+  assert.strictEqual(decodeTerminfo('\\E[3J'), '\x1b[3J');
+  assert.strictEqual(decodeTerminfo('\\E7'), '\x1b7');
+  assert.strictEqual(decodeTerminfo('^G\\,\\072'), '\x07,:');
+});
+
+test('fromQueryReply() reads XTVERSION and DA1', () => {
+  assert.strictEqual(fromQueryReply('\x1bP>|kitty(0.31.0)\x1b\\\x1b[?62;c'), 'kitty');
+  assert.strictEqual(fromQueryReply('\x1bP>|WezTerm 20240203-110809-5046fc22\x1b\\'), 'wezterm');
+  assert.strictEqual(fromQueryReply('\x1bP>|XTerm(390)\x1b\\\x1b[?64;1;2c'), 'xterm');
+  assert.strictEqual(fromQueryReply('\x1bP>|iTerm2 3.5.0\x1b\\'), 'iterm2');
+  assert.strictEqual(fromQueryReply('\x1b[?6c'), 'linux');
+  assert.strictEqual(fromQueryReply('\x1b[?65;1;9c'), null);
+  assert.strictEqual(fromQueryReply(''), null);
+});
+
+test('profileFromReply() lets a reply beat the env but not an explicit profile', () => {
+  const env = { TERM: 'xterm-256color' };
+  const reply = '\x1bP>|WezTerm 20240203\x1b\\\x1b[?65c';
+  assert.deepStrictEqual(
+    [profileFromReply({ terminalProfile: 'auto' }, reply, { env }).name, profileFromReply({}, reply, { env }).source],
+    ['wezterm', 'query']);
+  assert.strictEqual(profileFromReply({ terminalProfile: 'vte' }, reply, { env }).name, 'vte');
+  assert.strictEqual(profileFromReply({}, '', { env }).name, 'xterm');
+});
+
+test('queryTerminal() asks, waits for DA1 and puts stdin back', async () => {
+  const { stdin, stdout } = fakeProcess();
+  const pending = queryTerminal(stdin, stdout, 1000);
+  assert.strictEqual(stdout.output(), QUERY);
+  assert.strictEqual(stdin.isRaw, true);
+  stdin.type('\x1bP>|kitty(0.31.0)\x1b\\');
+  stdin.type('\x1b[?62;22c');
+  assert.strictEqual(await pending, '\x1bP>|kitty(0.31.0)\x1b\\\x1b[?62;22c');
+  assert.strictEqual(stdin.isRaw, false);
+  assert.strictEqual(stdin.listenerCount('data'), 0);
+
+  // nobody answers - gives up after the timeout
+  assert.strictEqual(await queryTerminal(stdin, stdout, 10), '');
+  // not a tty - doesn't ask at all
+  assert.strictEqual(await queryTerminal(stdin, fakeStdout({ isTTY: false })), '');
+});
+
+test('replies that miss the wait get taken out of stdin, keystrokes don\'t', () => {
+  let now = 0;
+  const drop = lateReplies('', { now: () => now });
+  assert.deepStrictEqual(drop(Buffer.from('a\x1bP>|xterm(390)\x1b\\b')), Buffer.from('ab'));
+  assert.strictEqual(drop('\x1b[?2026;2$y'), '');
+  const keys = Buffer.from('héllo\x1b[A');
+  assert.strictEqual(drop(keys), keys, 'nothing to take out, same chunk back');
+  assert.deepStrictEqual(drop(Buffer.from('\x1b[?1;2cx')), Buffer.from('x'));
+  assert.strictEqual(drop('\x1b[?1;2c'), '\x1b[?1;2c', 'DA1 is the last of em, after that it\'s all the child\'s');
+
+  const slow = lateReplies('', { now: () => now });
+  now = 2001;
+  assert.strictEqual(slow('\x1b[?6c'), '\x1b[?6c', 'not forever');
+
+  const answered = lateReplies('\x1b[?62;22c');
+  assert.strictEqual(answered('\x1b[?62;22c'), '\x1b[?62;22c', 'it already answered in time');
+});
+
+test('terminfo gets looked up in the background, once per TERM', async () => {
+  const real = { execFile: childProcess.execFile, execFileSync: childProcess.execFileSync };
+  const calls = [];
+  childProcess.execFileSync = () => { throw new Error('install() shouldn\'t wait on infocmp'); };
+  childProcess.execFile = (cmd, args, options, cb) => {
+    calls.push(args[1]);
+    setImmediate(() => {
+      if (args[1] === 'foot') cb(null, 'foot|foot terminal,\n\tE3=\\E[3J,\n\tsc=\\E7,\n\trc=\\E8,\n');
+      else cb(new Error('infocmp: couldn\'t open terminfo file'));
+    });
+  };
+  try {
+    const terminal = freshRequire('terminal.cjs');
+    const env = { TERM: 'foot' };
+    assert.strictEqual(terminal.resolveTerminal({}, { env }).source, 'default', 'not till infocmp answers');
+    const [a, b] = await Promise.all([terminal.readTerminfo('foot'), terminal.readTerminfo('foot')]);
+    assert.deepStrictEqual(a, { E3: '\x1b[3J', sc: '\x1b7', rc: '\x1b8' });
+    assert.strictEqual(b, a);
+    assert.strictEqual(terminal.resolveTerminal({}, { env }).name, 'terminfo:foot');
+    assert.strictEqual(await terminal.readTerminfo('nope'), null);
+    assert.strictEqual(await terminal.readTerminfo('nope'), null);
+    assert.deepStrictEqual(calls, ['foot', 'nope']);
+  } finally {
+    Object.assign(childProcess, real);
+  }
+});
+
+test('the engine injects whatever its profile says', () => {
+  const config = { ...defaults(), maxLineCount: 5, clearedMarkers: ['Conversation cleared'] };
+  delete config.detector;
+  const written = [];
+  const engine = new OutputEngine({
+    config,
+    clock: new FakeClock(1000000),
+    write: data => written.push(data),
+    terminal: PROFILES.iterm2
+  });
+  const clear = PROFILES.iterm2.clearScrollback;
+  const injected = [];
+  engine.on('inject', ev => injected.push(ev));
+
+  let out = '';
+  for (let i = 0; i < 30; i++) out += engine.process('line ' + i + '\r\n');
+  assert.ok(out.includes('\x1b7' + clear + '\x1b8'));
+  assert.ok(!out.includes('\x1b[3J'));
+  assert.ok(engine.lineCount <= 5, 'the screen model saw the clear');
+
+  assert.ok(engine.process('Conversation cleared').startsWith(clear));
+  engine.clearNow('ctl');
+  assert.deepStrictEqual(written, [], 'not inside the open update');
+  engine.endSync();
+  assert.deepStrictEqual(written, ['\x1b7' + clear + '\x1b8\x1b[?2026l']);
+  assert.strictEqual(injected.pop().seq, '\x1b7' + clear + '\x1b8');
+  assert.strictEqual(engine.getStats().terminal, 'iterm2');
+
+  engine.setTerminal(PROFILES.linux);
+  assert.strictEqual(engine.trimSequence(), '\x1b7\x1b[3J\x1b8');
+});
+
+test('synchronized output support comes from the profile, terminfo or DECRQM', () => {
+  assert.strictEqual(PROFILES.kitty.syncOutput, true);
+  assert.strictEqual(PROFILES.xterm.syncOutput, false);
+
+  const terminfo = () => ({ E3: '\x1b[3J', Sync: '\x1b[?2026%?%p1%{1}%-%tl%eh%;' });
+  assert.strictEqual(resolveTerminal({}, { env: { TERM: 'foot' }, terminfo }).syncOutput, true);
+
+  assert.strictEqual(syncFromReply('\x1b[?2026;2$y\x1b[?62c'), true);
+  assert.strictEqual(syncFromReply('\x1b[?2026;1$y'), true);
+  assert.strictEqual(syncFromReply('\x1b[?2026;0$y'), false);
+  assert.strictEqual(syncFromReply('\x1b[?62c'), null);
+
+  const env = { TERM: 'xterm-256color' };
+  assert.strictEqual(profileFromReply({}, '\x1b[?2026;2$y\x1b[?64c', { env }).syncOutput, true, 'xterm that says it can');
+  assert.strictEqual(profileFromReply({}, '\x1bP>|kitty(0.20)\x1b\\\x1b[?2026;0$y\x1b[?62c', { env }).syncOutput, false, 'old kitty that says it cannot');
+  assert.strictEqual(profileFromReply({}, '\x1b[?64c', { env }).syncOutput, false);
+});
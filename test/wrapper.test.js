@@ -0,0 +1,382 @@
+'use strict';
+
+// drives bin/claude-fixed.js end to end against test/fixtures/fake-claude.js
+// every test gets its own HOME with the stub linked in as ~/.local/bin/claude,
+// which is where target discovery finds it
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawn, execFileSync } = require('child_process');
+const { ROOT, tmpDir } = require('./helpers.js');
+const { sendCommand, socketPath } = require('../control-socket.cjs');
+const { readRecording } = require('../recording.cjs');
+
+const WRAPPER = path.join(ROOT, 'bin', 'claude-fixed.js');
+const STUB = path.join(__dirname, 'fixtures', 'fake-claude.js');
+
+let pty = null;
+try {
+  pty = require('node-pty');
+} catch (e) {
+  // no native build here, the pty test gets skipped
+}
+
+function setup(t, extraEnv = {}) {
+  const home = tmpDir();
+  t.after(() => fs.rmSync(home, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(home, '.local', 'bin'), { recursive: true });
+  fs.symlinkSync(STUB, path.join(home, '.local', 'bin', 'claude'));
+
+  // $PATH gets searched first, so the stub goes in front of any real claude
+  const bin = path.join(home, '.local', 'bin');
+  const env = { PATH: bin + path.delimiter + process.env.PATH, HOME: home, XDG_RUNTIME_DIR: home, TERM: 'xterm-256color' };
+  for (const key of Object.keys(env)) if (env[key] === undefined) delete env[key];
+  Object.assign(env, { CLAUDE_TERMINAL_FIX_WATCH_CONFIG: '0' }, extraEnv);
+  return { home, env };
+}
+
+// run the wrapper in a pty, resolves helpers to wait on output and exit
+function runInPty(env, args = []) {
+  const term = pty.spawn(process.execPath, [WRAPPER, ...args], {
+    name: 'xterm-256color',
+    cols: 80,
+    rows: 24,
+    cwd: env.HOME,
+    env
+  });
+  let output = '';
+  const waiters = [];
+  term.onData((data) => {
+    output += data;
+    waiters.slice().forEach(w => w.check());
+  });
+  const exited = new Promise(resolve => term.onExit(resolve));
+
+  function waitFor(needle, timeoutMs = 10000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('timed out waiting for ' + JSON.stringify(needle) + ', got ' + JSON.stringify(output))), timeoutMs);
+      const waiter = {
+        check() {
+          const idx = output.indexOf(needle);
+          if (idx === -1) return;
+          clearTimeout(timer);
+          waiters.splice(waiters.indexOf(waiter), 1);
+          resolve(output);
+        }
+      };
+      waiters.push(waiter);
+      waiter.check();
+    });
+  }
+
+  return { term, waitFor, exited, output: () => output };
+}
+
+test('pty mode: clears scrollback on /clear and passes the exit code through', { skip: !pty && 'node-pty not available' }, async (t) => {
+  const { env } = setup(t);
+  const run = runInPty(env, ['--resume', '--fix-debug=false']);
+  t.after(() => { try { run.term.kill(); } catch (e) {} });
+
+  await run.waitFor('fake claude ready ["--resume"]');
+
+  run.term.write('x');
+  await run.waitFor('x');
+
+  run.term.write('c');
+  const out = await run.waitFor('Conversation cleared');
+  assert.ok(out.includes('\x1b[3J'), 'a scrollback clear went out with /clear');
+
+  run.term.write('q');
+  const { exitCode } = await run.exited;
+  assert.strictEqual(exitCode, 3);
+});
+
+test('pty mode: query replies that come in late don\'t get typed into claude', { skip: !pty && 'node-pty not available' }, async (t) => {
+  const { env } = setup(t, { CLAUDE_TERMINAL_FIX_TERMINAL_QUERY: '1' });
+  const run = runInPty(env);
+  t.after(() => { try { run.term.kill(); } catch (e) {} });
+  await run.waitFor('\x1b[c');
+  // too slow - claude's already running by the time we answer
+  await run.waitFor('fake claude ready');
+
+  run.term.write('a\x1bP>|xterm(390)\x1b\\\x1b[?2026;2$yb\x1b[?62;22cz');
+  const out = await run.waitFor('abz');
+  assert.ok(!out.includes('xterm(390)') && !out.includes('62;22c'), 'the replies never reached claude');
+
+  run.term.write('q');
+  await run.exited;
+});
+
+test('pty mode: control socket answers while claude runs', { skip: !pty && 'node-pty not available' }, async (t) => {
+  const { env } = setup(t);
+  const run = runInPty(env);
+  t.after(() => { try { run.term.kill(); } catch (e) {} });
+  await run.waitFor('fake claude ready');
+
+  const file = socketPath(run.term.pid, env);
+  let stats;
+  for (let i = 0; i < 50 && !stats; i++) {
+    try {
+      stats = await sendCommand(file, { cmd: 'stats' }, 1000);
+    } catch (e) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  assert.strictEqual(stats.ok, true);
+  assert.strictEqual(typeof stats.result.engine.renderCount, 'number');
+
+  const set = await sendCommand(file, { cmd: 'set', key: 'maxLineCount', value: '10' });
+  assert.strictEqual(set.ok, true);
+
+  const late = await sendCommand(file, { cmd: 'set', key: 'recordFile', value: '/tmp/nope.cast' });
+  assert.strictEqual(late.ok, false);
+  assert.match(late.error, /only read at startup/);
+  const got = await sendCommand(file, { cmd: 'get', key: 'recordFile' });
+  assert.deepStrictEqual(got.result, { recordFile: null });
+
+  run.term.write('l');
+  const out = await run.waitFor('lines done');
+  assert.ok(out.includes('\x1b7\x1b[3J\x1b8'), 'the new line limit kicked in');
+
+  const off = await sendCommand(file, { cmd: 'metrics' });
+  assert.strictEqual(off.result.port, null);
+  await sendCommand(file, { cmd: 'set', key: 'metricsPort', value: '0' });
+  const metrics = await sendCommand(file, { cmd: 'metrics' });
+  assert.strictEqual(metrics.ok, true);
+  assert.ok(metrics.result.port > 0);
+  assert.ok(Object.values(metrics.result.clears).reduce((a, b) => a + b, 0) >= 1, 'counts from before it was on');
+
+  run.term.write('q');
+  await run.exited;
+  assert.strictEqual(fs.existsSync(file), false, 'socket cleaned up on exit');
+});
+
+test('pty mode: frameDiff sends only what changed between frames', { skip: !pty && 'node-pty not available' }, async (t) => {
+  const { env } = setup(t, { CLAUDE_TERMINAL_FIX_FRAME_DIFF: '1' });
+  const run = runInPty(env);
+  t.after(() => { try { run.term.kill(); } catch (e) {} });
+  await run.waitFor('fake claude ready');
+
+  run.term.write('f');
+  await run.waitFor('frame 1 done');
+  const before = run.output().length;
+  run.term.write('f');
+  await run.waitFor('2');
+  await new Promise(resolve => setTimeout(resolve, 200));
+  const second = run.output().slice(before);
+  assert.ok(!second.includes('the same line every frame'), 'unchanged rows not sent again');
+
+  const stats = await sendCommand(socketPath(run.term.pid, env), { cmd: 'stats' });
+  const diff = stats.result.frameDiff;
+  assert.strictEqual(diff.frames, 2);
+  assert.strictEqual(diff.diffed, 1);
+  assert.ok(diff.bytesSaved > 0);
+  assert.strictEqual(typeof diff.latency.avgMs, 'number');
+
+  run.term.write('q');
+  await run.exited;
+});
+
+test('pty mode: records a session that replays', { skip: !pty && 'node-pty not available' }, async (t) => {
+  const { home, env } = setup(t);
+  const cast = path.join(home, 'session.cast');
+  const run = runInPty(env, ['--fix-record-file=' + cast]);
+  t.after(() => { try { run.term.kill(); } catch (e) {} });
+  await run.waitFor('fake claude ready');
+  run.term.write('c');
+  await run.waitFor('Conversation cleared');
+  run.term.write('q');
+  await run.exited;
+
+  const { header, events } = readRecording(cast);
+  assert.strictEqual(header.width, 80);
+  assert.ok(events.some(e => e.type === 'i' && e.data === 'c'));
+  assert.ok(events.some(e => e.type === 'o' && e.data.includes('Conversation cleared')));
+  assert.ok(!events.some(e => e.type === 'o' && e.data.includes('\x1b[3J')), 'recorded before the engine touched it');
+
+  const report = execFileSync(process.execPath, [WRAPPER, 'replay', cast], { env, encoding: 'utf8', timeout: 30000 });
+  assert.match(report, /clear {4}slash-clear/);
+});
+
+test('pty mode: redaction masks the screen and the recording', { skip: !pty && 'node-pty not available' }, async (t) => {
+  const { home, env } = setup(t);
+  const cast = path.join(home, 'session.cast');
+  const run = runInPty(env, ['--fix-redact=1', '--fix-record-file=' + cast]);
+  t.after(() => { try { run.term.kill(); } catch (e) {} });
+  await run.waitFor('fake claude ready');
+  // fake claude echoes it, in capitals so it's none of its keys
+  run.term.write('\x1b[200~ghp_' + 'A1B2C3D4E5F6'.repeat(3) + '\x1b[201~');
+  run.term.write('s');
+  await run.waitFor(' end');
+  run.term.write('q');
+  await run.exited;
+
+  assert.ok(!run.output().includes('a1B2c3'), 'the token never reached the screen');
+  assert.ok(!run.output().includes('A1B2C3'), 'nor did its echo');
+  assert.ok(run.output().includes('token ' + '*'.repeat(52) + ' end'));
+  const { events } = readRecording(cast);
+  const recorded = events.filter(e => e.type === 'o').map(e => e.data).join('');
+  assert.ok(recorded.includes('token ' + '*'.repeat(52)));
+  assert.ok(!recorded.includes('a1B2c3'));
+  const typed = events.filter(e => e.type === 'i').map(e => e.data).join('');
+  assert.ok(typed.includes('\x1b[200~' + '*'.repeat(40) + '\x1b[201~s'), 'what you pasted is masked too');
+});
+
+test('pty mode: redaction still masks with the fix disabled', { skip: !pty && 'node-pty not available' }, async (t) => {
+  const { home, env } = setup(t);
+  const cast = path.join(home, 'session.cast');
+  const run = runInPty({ ...env, CLAUDE_TERMINAL_FIX_DISABLED: '1' }, ['--fix-redact=1', '--fix-record-file=' + cast]);
+  t.after(() => { try { run.term.kill(); } catch (e) {} });
+  await run.waitFor('fake claude ready');
+  run.term.write('s');
+  await run.waitFor(' end');
+  run.term.write('q');
+  await run.exited;
+
+  assert.ok(!run.output().includes('a1B2c3'));
+  const { events } = readRecording(cast);
+  const recorded = events.filter(e => e.type === 'o').map(e => e.data).join('');
+  assert.ok(recorded.includes('token ' + '*'.repeat(52)));
+  assert.ok(!recorded.includes('a1B2c3'), 'the recording too');
+});
+
+test('pty mode: a big paste asks first, then goes in pieces', { skip: !pty && 'node-pty not available' }, async (t) => {
+  const { env } = setup(t);
+  const run = runInPty(env, ['--fix-paste-confirm-lines=2', '--fix-paste-chunk-bytes=4']);
+  t.after(() => { try { run.term.kill(); } catch (e) {} });
+  await run.waitFor('fake claude ready');
+  run.term.write('\x1b[200~ab\rde\rgh\x1b[201~');
+  await run.waitFor('paste 3 lines (1K)? y/n');
+  run.term.write('x');
+  run.term.write('y');
+  await run.waitFor('gh\x1b[201~');
+  run.term.write('q');
+  await run.exited;
+
+  assert.ok(run.output().includes('\x1b[200~ab\rde\rgh\x1b[201~'), 'claude got all of it, in order');
+  assert.ok(!run.output().includes('x'), 'keys while it asks don\'t reach claude');
+});
+
+test('pty mode: the hud takes the bottom row and the hotkey gives it back', { skip: !pty && 'node-pty not available' }, async (t) => {
+  const { env } = setup(t);
+  const run = runInPty(env, ['--fix-hud=row']);
+  t.after(() => { try { run.term.kill(); } catch (e) {} });
+  await run.waitFor('fake claude ready');
+  await run.waitFor('\x1b[1;23r');
+  await run.waitFor(' fix on | ');
+  run.term.write('w');
+  await run.waitFor('size 80x23');
+  run.term.write('\x1d');
+  await run.waitFor('\x1b[r');
+  // the resize can land a moment after the key
+  for (let i = 0; i < 50 && !run.output().includes('size 80x24'); i++) {
+    run.term.write('w');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  await run.waitFor('size 80x24');
+  run.term.write('q');
+  await run.exited;
+});
+
+test('pty mode: the hud hotkey doesn\'t count as input waiting on claude', { skip: !pty && 'node-pty not available' }, async (t) => {
+  const { env } = setup(t);
+  const run = runInPty(env, ['--fix-hud=row']);
+  t.after(() => { try { run.term.kill(); } catch (e) {} });
+  await run.waitFor('fake claude ready');
+  await run.waitFor(' fix on | ');
+
+  run.term.write('\x1d');
+  await run.waitFor('\x1b[r');
+  run.term.write('\x1d');
+  const file = socketPath(run.term.pid, env);
+  let stats;
+  for (let i = 0; i < 50 && !stats; i++) {
+    try {
+      stats = await sendCommand(file, { cmd: 'stats' }, 1000);
+    } catch (e) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  assert.strictEqual(stats.result.glitch.pendingInputAgo, null);
+
+  run.term.write('q');
+  await run.exited;
+});
+
+test('pty mode: frameDiff turned on with the hud up diffs the child\'s rows only', { skip: !pty && 'node-pty not available' }, async (t) => {
+  const { env } = setup(t);
+  const run = runInPty(env, ['--fix-hud=row']);
+  t.after(() => { try { run.term.kill(); } catch (e) {} });
+  await run.waitFor('fake claude ready');
+  await run.waitFor(' fix on | ');
+
+  const file = socketPath(run.term.pid, env);
+  let set;
+  for (let i = 0; i < 50 && !set; i++) {
+    try {
+      set = await sendCommand(file, { cmd: 'set', key: 'frameDiff', value: 'true' }, 1000);
+    } catch (e) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  assert.strictEqual(set.ok, true);
+  const stats = await sendCommand(file, { cmd: 'stats' });
+  assert.deepStrictEqual([stats.result.frameDiff.columns, stats.result.frameDiff.rows], [80, 23]);
+
+  run.term.write('q');
+  await run.exited;
+});
+
+test('basic mode: pipes output through the engine without a pty', async (t) => {
+  const { env } = setup(t, { FAKE_CLAUDE_EXIT: '3' });
+  const child = spawn(process.execPath, [WRAPPER, 'arg'], { env, stdio: ['ignore', 'pipe', 'pipe'] });
+  let out = '';
+  child.stdout.setEncoding('utf8');
+  child.stdout.on('data', d => { out += d; });
+
+  const code = await new Promise(resolve => child.on('exit', resolve));
+  assert.strictEqual(code, 3);
+  assert.ok(out.includes('fake claude ready ["arg"]'));
+  assert.ok(out.includes('\x1b[3JConversation cleared'));
+});
+
+test('--cmd wraps another cli and its profile picks the clear text', async (t) => {
+  const { home, env } = setup(t, { FAKE_CLAUDE_EXIT: '0' });
+  const other = path.join(home, 'tools', 'other-cli');
+  fs.mkdirSync(path.dirname(other));
+  fs.symlinkSync(STUB, other);
+  fs.writeFileSync(path.join(home, '.claudescreenfixrc'), JSON.stringify({
+    profiles: { 'other-cli': { cmdArgs: ['--from-profile'], clearedMarkers: ['fake claude ready'] } }
+  }));
+
+  const out = execFileSync(process.execPath, [WRAPPER, '--cmd', other, 'x'], { env, encoding: 'utf8', timeout: 30000 });
+  assert.ok(out.startsWith('\x1b[3Jfake claude ready ["--from-profile","x"]'));
+  assert.ok(!out.includes('\x1b[3JConversation cleared'), 'claude\'s marker is off for this target');
+});
+
+test('a missing target says where it looked', (t) => {
+  const { env } = setup(t, { CLAUDE_FIXED_TARGET: 'not-installed-anywhere' });
+  let err;
+  try {
+    execFileSync(process.execPath, [WRAPPER], { env, encoding: 'utf8', stdio: 'pipe', timeout: 30000 });
+  } catch (e) {
+    err = e;
+  }
+  assert.strictEqual(err.status, 1);
+  assert.match(err.stderr, /not-installed-anywhere not found, tried:/);
+  assert.ok(err.stderr.includes(path.join(env.HOME, '.local', 'bin', 'not-installed-anywhere')));
+});
+
+test('bad flags stop the wrapper before claude starts', (t) => {
+  const { env } = setup(t);
+  let err;
+  try {
+    execFileSync(process.execPath, [WRAPPER, '--fix-max-line-count=none'], { env, encoding: 'utf8', stdio: 'pipe', timeout: 30000 });
+  } catch (e) {
+    err = e;
+  }
+  assert.strictEqual(err.status, 2);
+  assert.match(err.stderr, /maxLineCount should be a number/);
+});